@@ -7,6 +7,7 @@ import SearchCombobox from './ui/SearchCombobox';
 import FilterMenu from './ui/FilterMenu';
 import AnalyticsModal from './ui/AnalyticsModal';
 import ComposeModal from './ui/ComposeModal';
+import { encodeAttachments, parseRecipients } from '../utils/compose';
 import EmailList from './email/EmailList';
 import EmailDetail from './email/EmailDetail';
 import ElasticsearchStatus from './ui/ElasticsearchStatus';
@@ -67,6 +68,22 @@ const apiService = {
     return response.json();
   },
 
+  // action: 'reply', 'reply-all' or 'forward'
+  async sendReply(emailId, action, { mode, content, to, cc, bcc, attachments }) {
+    const response = await fetch(`${API_BASE}/emails/${emailId}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...(action === 'forward' ? { to: parseRecipients(to) } : {}),
+        ...(mode === 'rich' ? { html: content } : { text: content }),
+        cc: parseRecipients(cc.join(',')),
+        bcc: parseRecipients(bcc.join(',')),
+        attachments: await encodeAttachments(attachments)
+      })
+    });
+    return response.json();
+  },
+
   async deleteEmail(emailId) {
     const response = await fetch(`${API_BASE}/emails/bulk-actions`, {
       method: 'POST',
@@ -91,6 +108,7 @@ const NotificationToast = ({ notification, onClose, isDarkMode }) => {
         case 'meeting_booked': return 'bg-blue-500/20 border-blue-400/40 text-blue-300 shadow-blue-500/20';
         case 'success': return 'bg-green-500/20 border-green-400/40 text-green-300 shadow-green-500/20';
         case 'error': return 'bg-red-500/20 border-red-400/40 text-red-300 shadow-red-500/20';
+        case 'warning': return 'bg-amber-500/20 border-amber-400/40 text-amber-300 shadow-amber-500/20';
         case 'info': return 'bg-blue-500/20 border-blue-400/40 text-blue-300 shadow-blue-500/20';
         default: return 'bg-slate-700/60 border-slate-600/60 text-slate-200 shadow-slate-900/40';
       }
@@ -100,6 +118,7 @@ const NotificationToast = ({ notification, onClose, isDarkMode }) => {
         case 'meeting_booked': return 'bg-blue-50 border-blue-200 text-blue-800 shadow-blue-500/20';
         case 'success': return 'bg-green-50 border-green-200 text-green-800 shadow-green-500/20';
         case 'error': return 'bg-red-50 border-red-200 text-red-800 shadow-red-500/20';
+        case 'warning': return 'bg-amber-50 border-amber-200 text-amber-800 shadow-amber-500/20';
         case 'info': return 'bg-blue-50 border-blue-200 text-blue-800 shadow-blue-500/20';
         default: return 'bg-white border-gray-200 text-gray-800 shadow-gray-500/20';
       }
@@ -112,6 +131,7 @@ const NotificationToast = ({ notification, onClose, isDarkMode }) => {
       case 'meeting_booked': return '📅';
       case 'success': return '✅';
       case 'error': return '❌';
+      case 'warning': return '⚠️';
       case 'info': return 'ℹ️';
       default: return '📧';
     }
@@ -596,14 +616,36 @@ const EmailDashboard = () => {
         case 'markUnread':
           result = await apiService.markEmailUnread(emailId);
           break;
-        case 'reply':
-          // Handle reply functionality
+        case 'reply': {
+          if (data.scheduledFor) {
+            setNotification({
+              type: 'success',
+              title: 'Reply scheduled!',
+              message: `Reply scheduled for ${new Date(data.scheduledFor).toLocaleString()}`
+            });
+            return true;
+          }
+
+          result = await apiService.sendReply(emailId, data.action || 'reply', data);
+          if (!result.success) {
+            setNotification({
+              type: 'error',
+              title: data.action === 'forward' ? 'Forward failed' : 'Reply failed',
+              message: result.error
+            });
+            return false;
+          }
+
+          const rejected = result.data.rejected || [];
           setNotification({
-            type: 'info',
-            title: 'Reply sent',
-            message: 'Your reply has been sent successfully'
+            type: rejected.length > 0 ? 'warning' : 'success',
+            title: data.action === 'forward' ? 'Email forwarded' : 'Reply sent',
+            message: rejected.length > 0
+              ? `Refused for ${rejected.join(', ')}`
+              : `Sent to ${result.data.accepted.join(', ')}`
           });
-          return;
+          return true;
+        }
         default:
           console.log('Action not implemented via API:', action);
           return;
@@ -662,16 +704,28 @@ const EmailDashboard = () => {
         title: 'Action failed',
         message: error.message
       });
+      return false;
     }
   }, [selectedEmailId]);
 
   const handleComposeSend = useCallback((emailData) => {
+    if (emailData.scheduled) {
+      setNotification({
+        type: 'success',
+        title: 'Email scheduled!',
+        message: `Email scheduled for ${new Date(emailData.scheduled).toLocaleString()}`
+      });
+      return;
+    }
+
+    // Some recipients can be refused while the rest are delivered
+    const rejected = emailData.rejected || [];
     setNotification({
-      type: 'success',
-      title: emailData.scheduled ? 'Email scheduled!' : 'Email sent!',
-      message: emailData.scheduled
-        ? `Email scheduled for ${new Date(emailData.scheduled).toLocaleString()}`
-        : `Email sent to ${emailData.to}`
+      type: rejected.length > 0 ? 'warning' : 'success',
+      title: rejected.length > 0 ? 'Email partly sent' : 'Email sent!',
+      message: rejected.length > 0
+        ? `Delivered to ${emailData.accepted.join(', ')}; refused for ${rejected.join(', ')}`
+        : `Email sent to ${emailData.accepted.join(', ')}`
     });
   }, []);
 
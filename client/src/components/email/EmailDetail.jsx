@@ -5,6 +5,8 @@ import {
   ArchiveBoxIcon,
   TrashIcon,
   ArrowUturnLeftIcon,
+  ArrowUturnRightIcon,
+  UserGroupIcon,
   PaperClipIcon,
   EyeIcon,
   CodeBracketIcon,
@@ -33,6 +35,9 @@ const EmailDetail = ({
   const [replyText, setReplyText] = useState('');
   const [replyHtml, setReplyHtml] = useState('');
   const [showReply, setShowReply] = useState(false);
+  const [replyAction, setReplyAction] = useState('reply'); // 'reply' | 'reply-all' | 'forward'
+  const [forwardTo, setForwardTo] = useState('');
+  const [isSendingReply, setIsSendingReply] = useState(false);
   const [viewMode, setViewMode] = useState('auto');
   const [replyMode, setReplyMode] = useState('rich');
   const [scheduledDate, setScheduledDate] = useState('');
@@ -47,6 +52,10 @@ const EmailDetail = ({
   const [showBcc, setShowBcc] = useState(false);
   const [ccList, setCcList] = useState('');
   const [bccList, setBccList] = useState('');
+  const [thread, setThread] = useState(null);
+  const [expandedMessages, setExpandedMessages] = useState({});
+  const [showQuoted, setShowQuoted] = useState(false);
+  const [remoteView, setRemoteView] = useState(null);
   
   const bodyRef = useRef(null);
   const fileInputRef = useRef(null);
@@ -56,6 +65,9 @@ const EmailDetail = ({
     setShowReply(false);
     setReplyText('');
     setReplyHtml('');
+    setForwardTo('');
+    setShowQuoted(false);
+    setRemoteView(null);
     
     // FIXED: Better auto-detection of content type
     if (email?.htmlBody && email.htmlBody.length > 50) {
@@ -123,6 +135,15 @@ const EmailDetail = ({
     }
   }, [email?._id]);
 
+  // Load the rest of the conversation
+  useEffect(() => {
+    setThread(null);
+    setExpandedMessages({});
+    if (email?.threadId) {
+      loadThread();
+    }
+  }, [email?._id]);
+
   const markEmailAsRead = async () => {
     try {
       const response = await fetch(`http://65.1.63.189:5001/api/v1/emails/${email._id}/read`, {
@@ -164,6 +185,50 @@ const EmailDetail = ({
     }
   };
 
+  const loadThread = async () => {
+    try {
+      const response = await fetch(`http://65.1.63.189:5001/api/v1/emails/threads/${encodeURIComponent(email.threadId)}`);
+      if (response.ok) {
+        const data = await response.json();
+        setThread(data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load conversation:', error);
+    }
+  };
+
+  // Reload the message with its remote images, through the server's image proxy
+  const showRemoteContent = async () => {
+    try {
+      const response = await fetch(`http://65.1.63.189:5001/api/v1/emails/${email._id}?remoteContent=show`);
+      if (response.ok) {
+        const data = await response.json();
+        setRemoteView(data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load remote content:', error);
+    }
+  };
+
+  const allowSenderRemoteContent = async () => {
+    try {
+      const response = await fetch(`http://65.1.63.189:5001/api/v1/emails/senders/${encodeURIComponent(email.from.address)}/remote-content`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ allow: true })
+      });
+      if (response.ok) {
+        await showRemoteContent();
+      }
+    } catch (error) {
+      console.error('Failed to allow remote content:', error);
+    }
+  };
+
+  const toggleThreadMessage = (messageId) => {
+    setExpandedMessages(prev => ({ ...prev, [messageId]: !prev[messageId] }));
+  };
+
   // FIXED: Enhanced AI reply generation with actual LLM
   const generateAiReply = async (customPromptText = '') => {
     if (isGeneratingReply) return;
@@ -238,12 +303,22 @@ const EmailDetail = ({
     }
   };
 
-  const handleReply = () => {
-    if ((!replyText.trim() && !replyHtml.trim()) || !email) return;
+  // The header buttons open the form for one action, or close it when it is
+  // already open for that action
+  const openReply = (action) => {
+    setShowReply(!(showReply && replyAction === action));
+    setReplyAction(action);
+  };
 
+  const handleReply = async () => {
+    const isForward = replyAction === 'forward';
+    if ((!isForward && !replyText.trim() && !replyHtml.trim()) || !email) return;
+    if (isForward && !forwardTo.trim()) return;
+
+    // Recipients, subject and threading headers are worked out by the server
     const replyData = {
-      inReplyTo: email.messageId,
-      references: email.messageId,
+      action: replyAction,
+      to: isForward ? forwardTo : undefined,
       mode: replyMode,
       content: replyMode === 'rich' ? replyHtml : replyText,
       cc: ccList ? ccList.split(',').map(e => e.trim()) : [],
@@ -255,9 +330,15 @@ const EmailDetail = ({
       replyData.scheduledFor = new Date(`${scheduledDate}T${scheduledTime}`);
     }
 
-    onReply(email._id || email.id, replyMode === 'rich' ? replyHtml : replyText, replyData);
-    
+    setIsSendingReply(true);
+    const sent = await onReply(email._id || email.id, replyMode === 'rich' ? replyHtml : replyText, replyData);
+    setIsSendingReply(false);
+
+    // Keep what was written when sending fails, so it can be retried
+    if (sent === false) return;
+
     // Reset form
+    setForwardTo('');
     setReplyText('');
     setReplyHtml('');
     setShowReply(false);
@@ -271,6 +352,11 @@ const EmailDetail = ({
     setShowBcc(false);
   };
 
+  // A forward may go without a note, but needs someone to go to
+  const canSendReply = !isSendingReply && (replyAction === 'forward'
+    ? Boolean(forwardTo.trim())
+    : Boolean(replyText.trim() || replyHtml.trim()));
+
   const handleFileAttach = (event) => {
     const files = Array.from(event.target.files);
     const newAttachments = files.map(file => ({
@@ -345,20 +431,28 @@ const EmailDetail = ({
     return email.textBody || '';
   };
 
+  // Quoted history, signature and disclaimer stay collapsed until asked for
+  const view = remoteView || email;
+  const segments = view?.segments;
+  const collapsesHtml = viewMode === 'html' && !!segments?.htmlContent;
+  const collapsesText = viewMode !== 'html' && !!segments?.content &&
+    !!(segments.quoted || segments.signature || segments.disclaimer);
+  const hasQuotedParts = collapsesHtml || collapsesText;
+
   const renderEmailContent = () => {
     if (!email) return null;
   
     // Use original content without aggressive cleaning
-    const content = viewMode === 'html' && email.htmlBody 
-      ? email.htmlBody 
+    const content = collapsesText && !showQuoted
+      ? segments.content
       : email.textBody || '';
     
-    if (viewMode === 'html' && email.htmlBody) {
+    if (viewMode === 'html' && view.htmlBody) {
       return (
         <div 
           className={`prose max-w-none ${isDarkMode ? 'prose-invert' : ''} break-words`}
           dangerouslySetInnerHTML={{ 
-            __html: sanitizeHtml(email.htmlBody) 
+            __html: sanitizeHtml(collapsesHtml && !showQuoted ? segments.htmlContent : view.htmlBody) 
           }}
           style={{
             maxHeight: 'none',
@@ -379,6 +473,39 @@ const EmailDetail = ({
     );
   };
 
+  // Other messages of the conversation, collapsed to a snippet until clicked
+  const renderThreadMessages = (messages) => messages.map(message => (
+    <div
+      key={message._id}
+      onClick={() => toggleThreadMessage(message._id)}
+      className={`mb-3 rounded-lg p-3 cursor-pointer border transition-colors ${
+        isDarkMode
+          ? 'border-slate-600/40 bg-slate-800/20 hover:bg-slate-800/40'
+          : 'border-gray-200/60 bg-white/20 hover:bg-white/40'
+      }`}
+    >
+      <div className="flex items-center justify-between gap-4">
+        <span className={`text-sm font-medium truncate ${
+          isDarkMode ? 'text-white' : 'text-gray-900'
+        } ${message.isRead ? '' : 'font-semibold'}`}>
+          {message.from?.name || message.from?.address || 'Unknown'}
+        </span>
+        <span className={`text-xs flex-shrink-0 ${isDarkMode ? 'text-slate-400' : 'text-gray-600'}`}>
+          {formatDate(message.receivedDate)}
+        </span>
+      </div>
+      <div className={`mt-1 text-sm break-words ${
+        expandedMessages[message._id] ? 'whitespace-pre-wrap' : 'truncate'
+      } ${isDarkMode ? 'text-slate-300' : 'text-gray-700'}`}>
+        {expandedMessages[message._id] ? (message.segments?.content || message.textBody || 'No content') : message.snippet}
+      </div>
+    </div>
+  ));
+
+  const threadPosition = thread?.messages?.findIndex(message => message._id === email?._id) ?? -1;
+  const earlierMessages = threadPosition > 0 ? thread.messages.slice(0, threadPosition) : [];
+  const laterMessages = threadPosition >= 0 ? thread.messages.slice(threadPosition + 1) : [];
+
   const handleFormatText = (command) => {
     document.execCommand(command, false, null);
     if (bodyRef.current) {
@@ -535,7 +662,8 @@ const EmailDetail = ({
                 </button>
 
                 <button
-                  onClick={() => setShowReply(!showReply)}
+                  onClick={() => openReply('reply')}
+                  title="Reply"
                   className={`p-2 rounded-lg transition-colors ${
                     isDarkMode
                       ? 'text-slate-400 hover:text-blue-400 hover:bg-slate-700'
@@ -545,6 +673,30 @@ const EmailDetail = ({
                   <ArrowUturnLeftIcon className="w-5 h-5" />
                 </button>
 
+                <button
+                  onClick={() => openReply('reply-all')}
+                  title="Reply all"
+                  className={`p-2 rounded-lg transition-colors ${
+                    isDarkMode
+                      ? 'text-slate-400 hover:text-blue-400 hover:bg-slate-700'
+                      : 'text-gray-400 hover:text-blue-500 hover:bg-gray-100'
+                  }`}
+                >
+                  <UserGroupIcon className="w-5 h-5" />
+                </button>
+
+                <button
+                  onClick={() => openReply('forward')}
+                  title="Forward"
+                  className={`p-2 rounded-lg transition-colors ${
+                    isDarkMode
+                      ? 'text-slate-400 hover:text-blue-400 hover:bg-slate-700'
+                      : 'text-gray-400 hover:text-blue-500 hover:bg-gray-100'
+                  }`}
+                >
+                  <ArrowUturnRightIcon className="w-5 h-5" />
+                </button>
+
                 <button
                   onClick={() => onArchive(email._id || email.id)}
                   className={`p-2 rounded-lg transition-colors ${
@@ -633,14 +785,17 @@ const EmailDetail = ({
             </div>
             <div className="flex flex-wrap gap-2">
               {email.attachments.map((attachment, index) => (
-                <div
-                  key={index}
-                  className={`px-3 py-1 rounded-full text-sm ${
-                    isDarkMode ? 'bg-slate-700 text-slate-300' : 'bg-gray-200 text-gray-700'
+                <a
+                  key={attachment._id || index}
+                  href={`http://65.1.63.189:5001/api/v1/emails/${email._id}/attachments/${attachment._id}?download=true`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                    isDarkMode ? 'bg-slate-700 text-slate-300 hover:bg-slate-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
                   }`}
                 >
                   {attachment.filename} ({attachment.size || 'unknown size'})
-                </div>
+                </a>
               ))}
             </div>
           </div>
@@ -649,11 +804,64 @@ const EmailDetail = ({
 
       {/* Email Content */}
       <div className={`flex-1 overflow-y-auto p-6 custom-scrollbar`}>
+        {thread && thread.messageCount > 1 && (
+          <div className={`mb-3 text-xs uppercase tracking-wide ${isDarkMode ? 'text-slate-400' : 'text-gray-600'}`}>
+            {thread.messageCount} messages in this conversation
+          </div>
+        )}
+        {renderThreadMessages(earlierMessages)}
+        {view?.tracking && (view.tracking.pixels > 0 || view.tracking.trackedLinks > 0) && (
+          <div className={`mb-3 rounded-lg px-3 py-2 text-sm border ${
+            isDarkMode ? 'border-amber-500/30 bg-amber-500/10 text-amber-300' : 'border-amber-300 bg-amber-50 text-amber-800'
+          }`}>
+            This email tracks you{view.tracking.trackers?.length > 0 ? ` (${view.tracking.trackers.join(', ')})` : ''}:
+            {view.tracking.pixels > 0 && ` ${view.tracking.pixels} tracking pixel${view.tracking.pixels === 1 ? '' : 's'} removed`}
+            {view.tracking.pixels > 0 && view.tracking.trackedLinks > 0 && ','}
+            {view.tracking.trackedLinks > 0 && ` ${view.tracking.trackedLinks} link${view.tracking.trackedLinks === 1 ? '' : 's'} report clicks`}
+          </div>
+        )}
+        {viewMode === 'html' && view?.remoteContent?.blocked > 0 && (
+          <div className={`mb-3 rounded-lg px-3 py-2 text-sm border flex flex-wrap items-center gap-3 ${
+            isDarkMode ? 'border-slate-600/40 bg-slate-800/40 text-slate-300' : 'border-gray-200 bg-gray-50 text-gray-700'
+          }`}>
+            <PhotoIcon className="w-4 h-4 flex-shrink-0" />
+            <span>Remote images are hidden to protect your privacy.</span>
+            <button onClick={showRemoteContent} className="font-medium text-blue-500 hover:underline">
+              Show images
+            </button>
+            {email.from?.address && (
+              <button onClick={allowSenderRemoteContent} className="font-medium text-blue-500 hover:underline">
+                Always show from {email.from.address}
+              </button>
+            )}
+          </div>
+        )}
         <div className={`rounded-lg p-4 ${
           isDarkMode ? 'bg-slate-800/30' : 'bg-white/30'
         } backdrop-blur-sm`}>
           {renderEmailContent()}
+          {hasQuotedParts && (
+            <button
+              onClick={() => setShowQuoted(!showQuoted)}
+              title={showQuoted ? 'Hide quoted text' : 'Show quoted text'}
+              className={`mt-3 px-2 py-0.5 rounded text-xs font-bold tracking-widest transition-colors ${
+                isDarkMode ? 'bg-slate-700 text-slate-300 hover:bg-slate-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {showQuoted ? 'Hide quoted text' : '•••'}
+            </button>
+          )}
+          {collapsesText && !showQuoted && (segments.signature || segments.disclaimer) && (
+            <div className={`mt-3 text-xs whitespace-pre-wrap break-words ${isDarkMode ? 'text-slate-500' : 'text-gray-500'}`}>
+              {[segments.signature, segments.disclaimer].filter(Boolean).join('\n\n')}
+            </div>
+          )}
         </div>
+        {laterMessages.length > 0 && (
+          <div className="mt-3">
+            {renderThreadMessages(laterMessages)}
+          </div>
+        )}
       </div>
 
       {/* ENHANCED: Better Reply Section UI with improved colors and layout */}
@@ -667,7 +875,9 @@ const EmailDetail = ({
             <div className="mb-4">
               <div className="flex items-center justify-between mb-4">
                 <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
-                  ✍️ Reply to {email.from?.name || email.from?.address}
+                  {replyAction === 'forward'
+                    ? `↪️ Forward "${email.subject}"`
+                    : `✍️ ${replyAction === 'reply-all' ? 'Reply all to' : 'Reply to'} ${email.from?.name || email.from?.address}`}
                 </h3>
                 <div className="flex items-center gap-3">
                   <button
@@ -701,6 +911,20 @@ const EmailDetail = ({
 
               {/* Enhanced CC/BCC Fields */}
               <div className="space-y-3 mb-4">
+                {replyAction === 'forward' && (
+                  <input
+                    type="email"
+                    multiple
+                    value={forwardTo}
+                    onChange={(e) => setForwardTo(e.target.value)}
+                    placeholder="Forward to (comma separated)"
+                    className={`w-full rounded-lg px-4 py-2 text-sm border-0 focus:ring-2 focus:ring-blue-500 transition-all ${
+                      isDarkMode 
+                        ? 'bg-slate-700/50 text-white placeholder-slate-400' 
+                        : 'bg-white/80 text-gray-900 placeholder-gray-500'
+                    }`}
+                  />
+                )}
                 <div className="flex items-center gap-3">
                   <button
                     onClick={() => setShowCc(!showCc)}
@@ -1075,9 +1299,9 @@ const EmailDetail = ({
                 
                 <button
                   onClick={handleReply}
-                  disabled={!replyText.trim() && !replyHtml.trim()}
+                  disabled={!canSendReply}
                   className={`flex items-center gap-2 px-8 py-2.5 rounded-lg font-semibold transition-all duration-200 ${
-                    (replyText.trim() || replyHtml.trim())
+                    canSendReply
                       ? (scheduledDate && scheduledTime)
                         ? 'bg-gradient-to-r from-purple-500 to-indigo-500 hover:from-purple-600 hover:to-indigo-600 text-white shadow-lg'
                         : 'bg-gradient-to-r from-blue-500 to-cyan-500 hover:from-blue-600 hover:to-cyan-600 text-white shadow-lg'
@@ -1094,7 +1318,7 @@ const EmailDetail = ({
                   ) : (
                     <>
                       <PaperAirplaneIcon className="w-5 h-5" />
-                      Send Reply
+                      {isSendingReply ? 'Sending...' : replyAction === 'forward' ? 'Forward' : 'Send Reply'}
                     </>
                   )}
                 </button>
@@ -1,4 +1,4 @@
-import React, { useState, useRef, Fragment } from 'react';
+import React, { useState, useRef, useEffect, Fragment } from 'react';
 import { Dialog, Transition } from '@headlessui/react';
 import { 
   XMarkIcon, 
@@ -12,6 +12,13 @@ import {
   EyeIcon,
   DocumentIcon
 } from '@heroicons/react/24/outline';
+import { encodeAttachments, formatRecipients, parseRecipients, readAsBase64 } from '../../utils/compose';
+
+const API_BASE = 'http://65.1.63.189:5001/api/v1';
+
+// The draft being written, reopened after a reload
+const DRAFT_STORAGE_KEY = 'compose.draftId';
+const AUTOSAVE_DELAY_MS = 2000;
 
 const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
   const [emailData, setEmailData] = useState({
@@ -25,13 +32,23 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
   const [showBcc, setShowBcc] = useState(false);
   const [attachments, setAttachments] = useState([]);
   const [isSending, setIsSending] = useState(false);
-  const [isDraft, setIsDraft] = useState(false);
+  const [draftStatus, setDraftStatus] = useState(null); // 'saving' | 'saved' | 'error'
+  const [draftNotice, setDraftNotice] = useState(null);
   const [scheduledDate, setScheduledDate] = useState('');
   const [scheduledTime, setScheduledTime] = useState('');
   const [showScheduler, setShowScheduler] = useState(false);
+  const [accounts, setAccounts] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [sendError, setSendError] = useState(null);
   
   const bodyRef = useRef(null);
   const fileInputRef = useRef(null);
+  const draftRef = useRef(null); // { id, version } of the saved draft
+  const draftQueueRef = useRef(Promise.resolve()); // saves run one at a time
+  const autosaveTimerRef = useRef(null);
+  const isDirtyRef = useRef(false);
+  const skipAutosaveRef = useRef(false);
+  const uploadedRef = useRef(new Map()); // attachment id -> contentHash on the server
 
   const formatButtons = [
     { icon: 'B', action: 'bold', tooltip: 'Bold (Ctrl+B)' },
@@ -40,6 +57,182 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
     { icon: 'S', action: 'strikethrough', tooltip: 'Strikethrough' },
   ];
 
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchAccounts = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/accounts`);
+        const data = await response.json();
+        if (data.success) {
+          setAccounts(data.data);
+          setAccountId(current => current || data.data.find(account => account.smtpConfig?.host)?._id || data.data[0]?._id || '');
+        }
+      } catch (error) {
+        console.error('Failed to fetch accounts:', error);
+      }
+    };
+
+    fetchAccounts();
+  }, [isOpen]);
+
+  // Reopen the draft that was being written before a reload
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const restoreDraft = async () => {
+      await draftQueueRef.current;
+      const draftId = localStorage.getItem(DRAFT_STORAGE_KEY);
+      if (!draftId || draftRef.current) return;
+
+      try {
+        const response = await fetch(`${API_BASE}/drafts/${draftId}`);
+        const data = await response.json();
+        if (!data.success) {
+          localStorage.removeItem(DRAFT_STORAGE_KEY);
+          return;
+        }
+        loadDraft(data.data);
+      } catch (error) {
+        console.error('Failed to restore draft:', error);
+      }
+    };
+
+    restoreDraft();
+  }, [isOpen]);
+
+  // Autosave once typing pauses
+  useEffect(() => {
+    if (!isOpen) return;
+    if (skipAutosaveRef.current) {
+      skipAutosaveRef.current = false;
+      return;
+    }
+
+    const isEmpty = !emailData.to.trim() && !emailData.subject.trim() && !emailData.body.trim() && attachments.length === 0;
+    if (isEmpty && !draftRef.current) return;
+
+    isDirtyRef.current = true;
+    autosaveTimerRef.current = setTimeout(() => saveDraft(), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(autosaveTimerRef.current);
+  }, [isOpen, emailData, attachments, accountId]);
+
+  // Fills the form from a saved draft
+  const loadDraft = (draft) => {
+    draftRef.current = { id: draft._id, version: draft.version };
+    uploadedRef.current = new Map();
+    skipAutosaveRef.current = true;
+
+    setEmailData({
+      to: formatRecipients(draft.to),
+      cc: formatRecipients(draft.cc),
+      bcc: formatRecipients(draft.bcc),
+      subject: draft.subject || '',
+      body: draft.htmlBody || ''
+    });
+    setShowCc(draft.cc?.length > 0);
+    setShowBcc(draft.bcc?.length > 0);
+    setAccountId(draft.accountId);
+    setAttachments((draft.attachments || []).map((attachment, index) => {
+      const id = `${attachment.contentHash}-${index}`;
+      uploadedRef.current.set(id, attachment.contentHash);
+      return {
+        id,
+        name: attachment.filename,
+        size: `${(attachment.size / 1024).toFixed(1)} KB`,
+        type: attachment.contentType
+      };
+    }));
+    if (bodyRef.current) bodyRef.current.innerHTML = draft.htmlBody || '';
+    setDraftStatus('saved');
+  };
+
+  const saveDraft = () => {
+    clearTimeout(autosaveTimerRef.current);
+    isDirtyRef.current = false;
+    const snapshot = { emailData, attachments, accountId };
+    draftQueueRef.current = draftQueueRef.current.then(() => writeDraft(snapshot));
+    return draftQueueRef.current;
+  };
+
+  // Creates the draft on the first save and updates it after that. A draft
+  // saved in another window since is loaded instead of overwritten.
+  const writeDraft = async (snapshot) => {
+    if (!snapshot.accountId) return;
+    setDraftStatus('saving');
+
+    try {
+      const draft = draftRef.current;
+      const fields = {
+        accountId: snapshot.accountId,
+        to: parseRecipients(snapshot.emailData.to),
+        cc: parseRecipients(snapshot.emailData.cc),
+        bcc: parseRecipients(snapshot.emailData.bcc),
+        subject: snapshot.emailData.subject,
+        html: snapshot.emailData.body,
+        // Files already on the server are sent by hash, not again
+        attachments: await Promise.all(snapshot.attachments.map(async (attachment) => ({
+          filename: attachment.name,
+          contentType: attachment.type || 'application/octet-stream',
+          ...(uploadedRef.current.has(attachment.id)
+            ? { contentHash: uploadedRef.current.get(attachment.id) }
+            : { content: await readAsBase64(attachment.file) })
+        })))
+      };
+
+      const response = await fetch(draft ? `${API_BASE}/drafts/${draft.id}` : `${API_BASE}/drafts`, {
+        method: draft ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draft ? { ...fields, version: draft.version } : fields)
+      });
+      const data = await response.json();
+
+      if (response.status === 409) {
+        loadDraft(data.data);
+        setDraftNotice('This draft was changed in another window; showing the latest version.');
+        return;
+      }
+      if (response.status === 404 && draft) {
+        // Sent or discarded elsewhere; the next save starts a new draft
+        draftRef.current = null;
+        localStorage.removeItem(DRAFT_STORAGE_KEY);
+      }
+      if (!data.success) {
+        setDraftStatus('error');
+        return;
+      }
+
+      draftRef.current = { id: data.data._id, version: data.data.version };
+      localStorage.setItem(DRAFT_STORAGE_KEY, data.data._id);
+      snapshot.attachments.forEach((attachment, index) => {
+        uploadedRef.current.set(attachment.id, data.data.attachments[index]?.contentHash);
+      });
+      setDraftStatus('saved');
+    } catch (error) {
+      console.error('Failed to save draft:', error);
+      setDraftStatus('error');
+    }
+  };
+
+  // Drops the draft once it has been sent or the user throws it away
+  const discardDraft = async () => {
+    clearTimeout(autosaveTimerRef.current);
+    isDirtyRef.current = false;
+    await draftQueueRef.current;
+
+    const draft = draftRef.current;
+    draftRef.current = null;
+    uploadedRef.current = new Map();
+    localStorage.removeItem(DRAFT_STORAGE_KEY);
+    if (!draft) return;
+
+    try {
+      await fetch(`${API_BASE}/drafts/${draft.id}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Failed to delete draft:', error);
+    }
+  };
+
   const handleFormatText = (command) => {
     document.execCommand(command, false, null);
     bodyRef.current?.focus();
@@ -67,34 +260,73 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
       return;
     }
 
-    setIsSending(true);
-    
-    // Simulate sending delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
     const scheduledDateTime = scheduledDate && scheduledTime 
       ? new Date(`${scheduledDate}T${scheduledTime}`) 
       : null;
 
-    onSend({
-      ...emailData,
-      attachments: attachments,
-      sentAt: new Date(),
-      scheduled: scheduledDateTime
-    });
-    
-    setIsSending(false);
-    handleClose();
+    if (scheduledDateTime) {
+      onSend({
+        ...emailData,
+        attachments: attachments,
+        scheduled: scheduledDateTime
+      });
+      handleClose();
+      return;
+    }
+
+    setIsSending(true);
+    setSendError(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/emails/send`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          accountId,
+          to: parseRecipients(emailData.to),
+          cc: parseRecipients(emailData.cc),
+          bcc: parseRecipients(emailData.bcc),
+          subject: emailData.subject,
+          html: emailData.body || '<br>',
+          attachments: await encodeAttachments(attachments)
+        })
+      });
+      const data = await response.json();
+
+      // Keep what was written when sending fails, so it can be retried
+      if (!data.success) {
+        setSendError(data.error || 'Failed to send email');
+        return;
+      }
+
+      await discardDraft();
+      onSend({ ...emailData, ...data.data, message: data.message });
+      handleClose();
+    } catch (error) {
+      setSendError(error.message);
+    } finally {
+      setIsSending(false);
+    }
   };
 
   const handleSaveDraft = () => {
-    setIsDraft(true);
-    setTimeout(() => {
-      setIsDraft(false);
-    }, 1000);
+    saveDraft();
   };
 
+  const handleDiscardDraft = async () => {
+    await discardDraft();
+    handleClose();
+  };
+
+  // The draft stays saved, and opens again with the next compose
   const handleClose = () => {
+    clearTimeout(autosaveTimerRef.current);
+    const pending = isDirtyRef.current ? saveDraft() : draftQueueRef.current;
+    draftQueueRef.current = pending.then(() => {
+      draftRef.current = null;
+      uploadedRef.current = new Map();
+    });
+
     setEmailData({ to: '', cc: '', bcc: '', subject: '', body: '' });
     setAttachments([]);
     setShowCc(false);
@@ -102,6 +334,10 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
     setScheduledDate('');
     setScheduledTime('');
     setShowScheduler(false);
+    setSendError(null);
+    setDraftStatus(null);
+    setDraftNotice(null);
+    if (bodyRef.current) bodyRef.current.innerHTML = '';
     onClose();
   };
 
@@ -191,6 +427,29 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
                 <div className="p-6 space-y-4">
                   {/* Recipients */}
                   <div className="space-y-3">
+                    {/* From */}
+                    <div className="flex items-center gap-3">
+                      <label className={`text-sm font-medium w-12 ${
+                        isDarkMode ? 'text-slate-300' : 'text-gray-700'
+                      }`}>From:</label>
+                      <select
+                        value={accountId}
+                        onChange={(e) => setAccountId(e.target.value)}
+                        className={`flex-1 rounded-lg px-3 py-2 border transition-colors focus:ring-2 focus:ring-blue-500/50 focus:border-transparent ${
+                          isDarkMode 
+                            ? 'bg-slate-700/50 border-slate-600/50 text-white' 
+                            : 'bg-white/80 border-gray-300/50 text-gray-900'
+                        }`}
+                      >
+                        {accounts.map(account => (
+                          <option key={account._id} value={account._id} disabled={!account.smtpConfig?.host}>
+                            {account.displayName ? `${account.displayName} <${account.email}>` : account.email}
+                            {!account.smtpConfig?.host ? ' (no outgoing server)' : ''}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+
                     {/* To Field */}
                     <div className="flex items-center gap-3">
                       <label className={`text-sm font-medium w-12 ${
@@ -198,6 +457,7 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
                       }`}>To:</label>
                       <input
                         type="email"
+                        multiple
                         value={emailData.to}
                         onChange={(e) => setEmailData(prev => ({ ...prev, to: e.target.value }))}
                         placeholder="recipient@example.com"
@@ -244,6 +504,7 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
                         }`}>Cc:</label>
                         <input
                           type="email"
+                          multiple
                           value={emailData.cc}
                           onChange={(e) => setEmailData(prev => ({ ...prev, cc: e.target.value }))}
                           placeholder="cc@example.com"
@@ -264,6 +525,7 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
                         }`}>Bcc:</label>
                         <input
                           type="email"
+                          multiple
                           value={emailData.bcc}
                           onChange={(e) => setEmailData(prev => ({ ...prev, bcc: e.target.value }))}
                           placeholder="bcc@example.com"
@@ -539,6 +801,26 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
                   )}
                 </div>
 
+                {draftNotice && (
+                  <div className={`mx-6 mb-4 p-3 rounded-lg border text-sm ${
+                    isDarkMode 
+                      ? 'bg-amber-500/10 border-amber-500/20 text-amber-300' 
+                      : 'bg-amber-50 border-amber-300/50 text-amber-800'
+                  }`}>
+                    {draftNotice}
+                  </div>
+                )}
+
+                {sendError && (
+                  <div className={`mx-6 mb-4 p-3 rounded-lg border text-sm ${
+                    isDarkMode 
+                      ? 'bg-red-500/10 border-red-500/20 text-red-300' 
+                      : 'bg-red-50 border-red-300/50 text-red-800'
+                  }`}>
+                    {sendError}
+                  </div>
+                )}
+
                 {/* Footer Actions */}
                 <div className={`flex items-center justify-between p-6 border-t ${
                   isDarkMode 
@@ -548,7 +830,7 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
                   <div className="flex items-center gap-3">
                     <button
                       onClick={handleSaveDraft}
-                      disabled={isDraft}
+                      disabled={draftStatus === 'saving' || !accountId}
                       className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors disabled:opacity-50 ${
                         isDarkMode 
                           ? 'text-slate-300 hover:text-white hover:bg-slate-700/50' 
@@ -556,8 +838,31 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
                       }`}
                     >
                       <BookmarkIcon className="w-4 h-4" />
-                      {isDraft ? 'Saving...' : 'Save Draft'}
+                      {draftStatus === 'saving' ? 'Saving...' : 'Save Draft'}
                     </button>
+
+                    {draftStatus && draftStatus !== 'saving' && (
+                      <span className={`text-xs ${
+                        draftStatus === 'error'
+                          ? 'text-red-400'
+                          : isDarkMode ? 'text-slate-500' : 'text-gray-500'
+                      }`}>
+                        {draftStatus === 'error' ? 'Draft not saved' : 'Draft saved'}
+                      </span>
+                    )}
+
+                    {draftStatus === 'saved' && (
+                      <button
+                        onClick={handleDiscardDraft}
+                        className={`px-3 py-2 text-sm rounded-lg transition-colors ${
+                          isDarkMode 
+                            ? 'text-slate-400 hover:text-red-400 hover:bg-slate-700/50' 
+                            : 'text-gray-600 hover:text-red-600 hover:bg-gray-200/50'
+                        }`}
+                      >
+                        Discard
+                      </button>
+                    )}
                     
                     <button className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
                       isDarkMode 
@@ -583,7 +888,7 @@ const ComposeModal = ({ isOpen, onClose, onSend, isDarkMode = true }) => {
                     
                     <button
                       onClick={handleSend}
-                      disabled={isSending || !emailData.to.trim() || !emailData.subject.trim() || (isScheduled && !isValidSchedule)}
+                      disabled={isSending || !accountId || !emailData.to.trim() || !emailData.subject.trim() || (isScheduled && !isValidSchedule)}
                       className={`flex items-center gap-2 px-6 py-2 rounded-lg transition-colors shadow-lg hover:shadow-xl disabled:cursor-not-allowed ${
                         isScheduled && isValidSchedule
                           ? 'bg-purple-500 hover:bg-purple-600 disabled:bg-slate-600 text-white'
@@ -0,0 +1,33 @@
+// Helpers shared by the compose and reply forms
+
+// "a@x.com, B <b@y.com>; c@z.com" -> [{ address, name }]
+export const parseRecipients = (value) => (value || '')
+  .split(/[,;]/)
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const match = part.match(/^(.*?)\s*<([^>]+)>$/);
+    return match
+      ? { name: match[1].replace(/^"|"$/g, '').trim(), address: match[2].trim() }
+      : { address: part };
+  });
+
+// The inverse of parseRecipients, for filling a form from a saved draft
+export const formatRecipients = (recipients) => (recipients || [])
+  .map(recipient => (recipient.name ? `${recipient.name} <${recipient.address}>` : recipient.address))
+  .join(', ');
+
+// File contents as base64, without the data: URL prefix
+export const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// Attachments picked in a form, as POST /emails/send expects them
+export const encodeAttachments = (attachments) => Promise.all((attachments || []).map(async (attachment) => ({
+  filename: attachment.name,
+  contentType: attachment.type || 'application/octet-stream',
+  content: await readAsBase64(attachment.file)
+})));
@@ -9,15 +9,16 @@ import morgan from 'morgan';
 import dotenv from 'dotenv';
 import { connectDatabase } from './config/database';
 import { connectElasticsearch } from './config/elasticsearch';
-import { initializeServices } from './services';
+import { initializeServices, queueService } from './services';
 
 // Import all route modules
 import emailRoutes from './routes/emails';
+import draftRoutes from './routes/drafts';
 import aiRoutes from './routes/ai';
 import { accountRouter } from './routes/accounts';
 import testRoutes from './routes/test';
 import { errorHandler } from './middleware/errorHandler';
-import { logger } from './utils/logger';
+import { logger, redactSensitive, redactUrl } from './utils/logger';
 
 dotenv.config();
 
@@ -76,6 +77,8 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
+// Keep OAuth codes and other secrets in query strings out of the access log
+morgan.token('url', (req: any) => redactUrl(req.originalUrl || req.url));
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -83,8 +86,8 @@ app.use(express.urlencoded({ extended: true }));
 // Request logging middleware
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
-    query: req.query,
-    body: req.method !== 'GET' ? req.body : undefined,
+    query: redactSensitive(req.query),
+    body: req.method !== 'GET' ? redactSensitive(req.body) : undefined,
     timestamp: new Date().toISOString()
   });
   next();
@@ -123,6 +126,7 @@ app.get('/health', async (req, res) => {
         database: dbStatus,
         ...servicesStatus
       },
+      queues: queueService ? await queueService.getStats() : null,
       endpoints: {
         emails: `${process.env.API_PREFIX || '/api/v1'}/emails`,
         accounts: `${process.env.API_PREFIX || '/api/v1'}/accounts`,
@@ -143,6 +147,7 @@ app.get('/health', async (req, res) => {
 const apiPrefix = process.env.API_PREFIX || '/api/v1';
 
 app.use(`${apiPrefix}/emails`, emailRoutes);
+app.use(`${apiPrefix}/drafts`, draftRoutes);
 app.use(`${apiPrefix}/ai`, aiRoutes);
 app.use(`${apiPrefix}/accounts`, accountRouter);
 app.use(`${apiPrefix}/test`, testRoutes);
@@ -155,16 +160,36 @@ app.get(`${apiPrefix}/docs`, (req, res) => {
     baseUrl: `http://65.1.63.189:${PORT}${apiPrefix}`,
     endpoints: {
       emails: {
-        'GET /emails': 'Get all emails with filtering and pagination',
+        'GET /emails': 'Get all emails with filtering and pagination (dedupe=true for the unified inbox)',
+        'GET /emails/threads': 'List conversations with participants and unread counts',
+        'GET /emails/threads/:threadId': 'Get a conversation, oldest message first',
+        'POST /emails/send': 'Send an email through the account\'s SMTP server and store it in Sent',
+        'POST /emails/:id/reply': 'Reply to the sender, threaded under the original',
+        'POST /emails/:id/reply-all': 'Reply to the sender and the other recipients',
+        'POST /emails/:id/forward': 'Forward an email with its attachments',
+        'GET /emails/image-proxy': 'Remote image from an email, fetched by the server (signed links only)',
+        'GET /emails/senders/remote-content': 'List senders whose remote content loads',
+        'PUT /emails/senders/:address/remote-content': 'Always load or block remote content from a sender',
         'GET /emails/:id': 'Get single email by ID',
+        'GET /emails/:id/attachments/:attachmentId': 'Download or display an attachment',
         'PUT /emails/:id/read': 'Mark email as read',
         'PUT /emails/:id/unread': 'Mark email as unread',
         'PUT /emails/:id/star': 'Toggle star status',
+        'PUT /emails/:id/labels': 'Add or remove labels (synced to Gmail)',
         'PUT /emails/:id/archive': 'Archive email',
         'POST /emails/bulk-actions': 'Perform bulk operations',
         'GET /emails/search': 'Advanced email search',
+        'GET /emails/export': 'Export matching emails as mbox, zipped EML or NDJSON',
         'GET /emails/stats': 'Email statistics by folder/category'
       },
+      drafts: {
+        'GET /drafts': 'List unsent drafts (sourceEmailId= for the replies to an email)',
+        'GET /drafts/:id': 'Get a draft',
+        'POST /drafts': 'Start a draft, or a reply or forward draft of an email',
+        'PUT /drafts/:id': 'Autosave a draft (409 when it was saved elsewhere since `version`)',
+        'DELETE /drafts/:id': 'Discard a draft and its copy on the server',
+        'POST /drafts/:id/send': 'Send `version` of a draft and discard it (409 when saved since or already being sent)'
+      },
       ai: {
         'POST /ai/classify': 'Classify email content using AI',
         'POST /ai/generate-reply': 'Generate AI-powered reply',
@@ -176,15 +201,28 @@ app.get(`${apiPrefix}/docs`, (req, res) => {
         'GET /accounts': 'Get all email accounts',
         'POST /accounts': 'Add new email account',
         'GET /accounts/:id': 'Get account by ID',
+        'GET /accounts/discover': 'Autodiscover server settings for an email address',
+        'POST /accounts/test-connection': 'Test IMAP or POP3 settings before adding an account',
         'POST /accounts/:id/test-connection': 'Test account connection',
-        'GET /accounts/:id/stats': 'Get account statistics'
+        'POST /accounts/:id/retry-connection': 'Reconnect now, clearing backoff and circuit breaker',
+        'PUT /accounts/:id/tls-policy': 'Set the TLS mode, minimum version, extra CA and pinned certificate',
+        'PUT /accounts/:id/smtp-config': 'Set the outgoing (SMTP) server',
+        'POST /accounts/:id/test-smtp': 'Test the outgoing server connection and sign-in',
+        'GET /accounts/:id/stats': 'Get account statistics',
+        'GET /accounts/:id/mailboxes': 'List server mailboxes and their folder mapping',
+        'PUT /accounts/:id/mailboxes': 'Choose which mailboxes to sync',
+        'PUT /accounts/:id/sync-settings': 'Set the account sync interval, per-sync budget and draft sync',
+        'POST /accounts/:id/import': 'Import an mbox file or zip of .eml files (raw body)',
+        'GET /accounts/:id/imports': 'List archive import jobs',
+        'GET /accounts/:id/imports/:jobId': 'Get archive import progress'
       },
       test: {
         'GET /test/health': 'System health check',
         'POST /test/setup-accounts': 'Setup test accounts',
         'POST /test/sample-emails': 'Generate sample emails',
         'POST /test/test-ai': 'Test AI classification',
-        'GET /test/sync-status': 'Monitor sync progress'
+        'GET /test/sync-status': 'Monitor sync progress',
+        'POST /test/force-sync': 'Resync accounts keeping user state (reset + confirm to re-download one account)'
       }
     },
     examples: {
@@ -1,6 +1,28 @@
 import mongoose from 'mongoose';
 import { logger } from '../utils/logger';
 
+// Indexes dropped from the schemas. Mongoose builds new indexes but never
+// removes old ones, and these would reject documents the schemas now allow.
+const LEGACY_INDEXES = [
+  { collection: 'emails', name: 'messageId_1' } // messageId was unique across all accounts
+];
+
+async function dropLegacyIndexes(): Promise<void> {
+  for (const { collection, name } of LEGACY_INDEXES) {
+    try {
+      const indexes = await mongoose.connection.collection(collection).indexes();
+      if (indexes.some(index => index.name === name)) {
+        await mongoose.connection.collection(collection).dropIndex(name);
+        logger.info(`Dropped legacy index ${collection}.${name}`);
+      }
+    } catch (error: any) {
+      if (error.codeName !== 'NamespaceNotFound') {
+        logger.warn(`Could not drop legacy index ${collection}.${name}:`, error.message);
+      }
+    }
+  }
+}
+
 export async function connectDatabase(): Promise<void> {
   try {
     const mongoUri = process.env.MONGODB_URI;
@@ -11,6 +33,8 @@ export async function connectDatabase(): Promise<void> {
     await mongoose.connect(mongoUri);
     logger.info('✅ MongoDB connected successfully');
 
+    await dropLegacyIndexes();
+
   } catch (error) {
     logger.error('Failed to connect to MongoDB:', error);
     throw error;
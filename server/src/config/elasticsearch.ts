@@ -196,7 +196,8 @@ export async function bulkIndexEmails(emails: any[]): Promise<number> {
     });
 
     const successCount = response.items.reduce((count, item) => {
-      return item.index?.status === 201 ? count + 1 : count;
+      // 201 for new documents, 200 when an existing one was replaced
+      return item.index?.status === 201 || item.index?.status === 200 ? count + 1 : count;
     }, 0);
 
     logger.info(`📊 Bulk indexed ${successCount}/${emails.length} emails`);
@@ -207,3 +208,15 @@ export async function bulkIndexEmails(emails: any[]): Promise<number> {
     return 0;
   }
 }
+
+export async function deleteAccountFromIndex(accountId: string): Promise<void> {
+  try {
+    await elasticClient.deleteByQuery({
+      index: 'emails',
+      query: { term: { accountId } },
+      refresh: true
+    });
+  } catch (error: any) {
+    logger.warn(`Failed to remove account ${accountId} from Elasticsearch:`, error.message);
+  }
+}
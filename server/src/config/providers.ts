@@ -0,0 +1,133 @@
+export interface ServerSettings {
+  host: string;
+  port: number;
+  secure: boolean; // implicit TLS
+}
+
+export interface MailProvider {
+  id: string;
+  displayName: string;
+  accountProvider: 'gmail' | 'outlook' | 'yahoo' | 'other'; // EmailAccount.provider
+  domains: string[];
+  mxSuffixes: string[]; // custom domains hosted by the provider are recognised by their MX hosts
+  imap: ServerSettings;
+  pop3?: ServerSettings;
+  smtp?: ServerSettings;
+  savesSentMail?: boolean; // the SMTP server files submitted mail in Sent itself
+}
+
+// Bundled provider database, the first source autodiscovery consults
+export const mailProviders: MailProvider[] = [
+  {
+    id: 'gmail',
+    displayName: 'Gmail',
+    accountProvider: 'gmail',
+    domains: ['gmail.com', 'googlemail.com'],
+    mxSuffixes: ['google.com', 'googlemail.com'],
+    imap: { host: 'imap.gmail.com', port: 993, secure: true },
+    pop3: { host: 'pop.gmail.com', port: 995, secure: true },
+    smtp: { host: 'smtp.gmail.com', port: 465, secure: true },
+    savesSentMail: true
+  },
+  {
+    id: 'outlook',
+    displayName: 'Outlook',
+    accountProvider: 'outlook',
+    domains: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'hotmail.co.uk', 'outlook.co.uk'],
+    mxSuffixes: ['mail.protection.outlook.com', 'olc.protection.outlook.com'],
+    imap: { host: 'outlook.office365.com', port: 993, secure: true },
+    pop3: { host: 'outlook.office365.com', port: 995, secure: true },
+    smtp: { host: 'smtp.office365.com', port: 587, secure: false },
+    savesSentMail: true
+  },
+  {
+    id: 'yahoo',
+    displayName: 'Yahoo',
+    accountProvider: 'yahoo',
+    domains: ['yahoo.com', 'ymail.com', 'rocketmail.com', 'yahoo.co.uk', 'yahoo.fr', 'yahoo.de', 'yahoo.co.in'],
+    mxSuffixes: ['yahoodns.net'],
+    imap: { host: 'imap.mail.yahoo.com', port: 993, secure: true },
+    pop3: { host: 'pop.mail.yahoo.com', port: 995, secure: true },
+    smtp: { host: 'smtp.mail.yahoo.com', port: 465, secure: true }
+  },
+  {
+    id: 'icloud',
+    displayName: 'iCloud Mail',
+    accountProvider: 'other',
+    domains: ['icloud.com', 'me.com', 'mac.com'],
+    mxSuffixes: ['mail.icloud.com'],
+    imap: { host: 'imap.mail.me.com', port: 993, secure: true },
+    smtp: { host: 'smtp.mail.me.com', port: 587, secure: false }
+  },
+  {
+    id: 'aol',
+    displayName: 'AOL Mail',
+    accountProvider: 'other',
+    domains: ['aol.com', 'aim.com'],
+    mxSuffixes: ['mx.aol.com'],
+    imap: { host: 'imap.aol.com', port: 993, secure: true },
+    pop3: { host: 'pop.aol.com', port: 995, secure: true },
+    smtp: { host: 'smtp.aol.com', port: 465, secure: true }
+  },
+  {
+    id: 'fastmail',
+    displayName: 'Fastmail',
+    accountProvider: 'other',
+    domains: ['fastmail.com', 'fastmail.fm'],
+    mxSuffixes: ['messagingengine.com'],
+    imap: { host: 'imap.fastmail.com', port: 993, secure: true },
+    pop3: { host: 'pop.fastmail.com', port: 995, secure: true },
+    smtp: { host: 'smtp.fastmail.com', port: 465, secure: true }
+  },
+  {
+    id: 'zoho',
+    displayName: 'Zoho Mail',
+    accountProvider: 'other',
+    domains: ['zoho.com', 'zohomail.com'],
+    mxSuffixes: ['zoho.com'],
+    imap: { host: 'imap.zoho.com', port: 993, secure: true },
+    pop3: { host: 'pop.zoho.com', port: 995, secure: true },
+    smtp: { host: 'smtp.zoho.com', port: 465, secure: true }
+  },
+  {
+    id: 'gmx',
+    displayName: 'GMX',
+    accountProvider: 'other',
+    domains: ['gmx.com', 'gmx.net', 'gmx.de'],
+    mxSuffixes: ['gmx.net'],
+    imap: { host: 'imap.gmx.com', port: 993, secure: true },
+    pop3: { host: 'pop.gmx.com', port: 995, secure: true },
+    smtp: { host: 'mail.gmx.com', port: 465, secure: true }
+  },
+  {
+    id: 'yandex',
+    displayName: 'Yandex Mail',
+    accountProvider: 'other',
+    domains: ['yandex.com', 'yandex.ru', 'ya.ru'],
+    mxSuffixes: ['mx.yandex.net', 'mx.yandex.ru'],
+    imap: { host: 'imap.yandex.com', port: 993, secure: true },
+    pop3: { host: 'pop.yandex.com', port: 995, secure: true },
+    smtp: { host: 'smtp.yandex.com', port: 465, secure: true }
+  }
+];
+
+// Providers offered in account setup, in the shape GET /accounts/providers
+// has always returned: IMAP settings at the top level, POP3 nested
+export const providerConfigs: { [provider: string]: ServerSettings & { pop3?: ServerSettings } } =
+  Object.fromEntries(
+    mailProviders
+      .filter(provider => provider.accountProvider === provider.id)
+      .map(provider => [provider.id, { ...provider.imap, pop3: provider.pop3 }])
+  );
+
+export function findProviderByDomain(domain: string): MailProvider | undefined {
+  const normalized = domain.toLowerCase();
+  return mailProviders.find(provider => provider.domains.includes(normalized));
+}
+
+export function findProviderByMx(mxHost: string): MailProvider | undefined {
+  const normalized = mxHost.toLowerCase().replace(/\.$/, '');
+  return mailProviders.find(provider =>
+    provider.mxSuffixes.some(suffix => normalized === suffix || normalized.endsWith(`.${suffix}`))
+  );
+}
@@ -0,0 +1,62 @@
+import { EmailAccount } from '..';
+import { decryptSecret, encryptSecret, revealSecret } from '../../utils/crypto';
+
+// Secrets must be encrypted however they are written, not only on save()
+describe('EmailAccount secrets', () => {
+  beforeAll(() => {
+    process.env.ENCRYPT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('encrypts passwords set on a document', () => {
+    const account = new EmailAccount({
+      userId: 'user-1',
+      email: 'user@example.com',
+      provider: 'other',
+      imapConfig: { host: 'imap.example.com', port: 993, secure: true, user: 'user', pass: 'imap-pass' },
+      smtpConfig: { host: 'smtp.example.com', port: 465, secure: true, user: 'user', pass: 'smtp-pass' }
+    });
+
+    expect(decryptSecret(account.imapConfig.pass!)).toBe('imap-pass');
+    expect(decryptSecret(account.smtpConfig!.pass!)).toBe('smtp-pass');
+  });
+
+  it('does not encrypt an already encrypted value again', () => {
+    const encrypted = encryptSecret('imap-pass');
+    const account = new EmailAccount({ imapConfig: { pass: encrypted } });
+
+    expect(account.imapConfig.pass).toBe(encrypted);
+  });
+
+  it('encrypts secrets written by update queries', async () => {
+    const updateOne = jest.spyOn(EmailAccount.collection, 'updateOne').mockResolvedValue({} as any);
+
+    await EmailAccount.updateOne({ _id: '64b000000000000000000001' }, {
+      $set: { 'pop3Config.pass': 'pop3-pass', 'oauth.refreshToken': 'refresh-token' }
+    });
+
+    const update: any = updateOne.mock.calls[0][1];
+    expect(decryptSecret(update.$set['pop3Config.pass'])).toBe('pop3-pass');
+    expect(decryptSecret(update.$set['oauth.refreshToken'])).toBe('refresh-token');
+  });
+
+  it('encrypts secrets inside a nested object set by findOneAndUpdate', async () => {
+    const findOneAndUpdate = jest.spyOn(EmailAccount.collection, 'findOneAndUpdate').mockResolvedValue(null as any);
+
+    await EmailAccount.findOneAndUpdate({ _id: '64b000000000000000000001' }, {
+      $set: { oauth: { provider: 'gmail', accessToken: 'access-token' } }
+    });
+
+    const update: any = findOneAndUpdate.mock.calls[0][1];
+    expect(decryptSecret(update.$set.oauth.accessToken)).toBe('access-token');
+  });
+
+  it('reads legacy plaintext as it is', () => {
+    expect(revealSecret('v1:looks:like:ciphertext')).toBe('v1:looks:like:ciphertext');
+    expect(revealSecret(encryptSecret('imap-pass'))).toBe('imap-pass');
+    expect(revealSecret(undefined)).toBe('');
+  });
+});
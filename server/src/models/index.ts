@@ -1,10 +1,18 @@
 import mongoose, { Document, Schema } from 'mongoose';
+import { protectSecret } from '../utils/crypto';
+import { BodySegments, newContentText } from '../utils/bodySegmenter';
+import { TrackingReport } from '../utils/htmlSanitizer';
 
 // Enhanced Email Model with Full State Persistence
 export interface IEmail extends Document {
   accountId: string;
   messageId: string;
   threadId?: string;
+  gmailMessageId?: string; // X-GM-MSGID, the same in every Gmail mailbox
+  
+  // IMAP Location
+  mailbox?: string;
+  uid?: number;
   
   // Email Headers
   from: { address: string; name?: string };
@@ -17,7 +25,12 @@ export interface IEmail extends Document {
   subject: string;
   textBody: string;
   htmlBody?: string;
-  snippet: string; // First 150 chars for preview
+  segments?: BodySegments; // body split into new content, quoted history, signature and disclaimer
+  tracking?: TrackingReport; // tracking pixels and click-tracking links found in htmlBody
+  snippet: string; // First 150 chars of the new content, for preview
+  size?: number; // RFC822 size on the server
+  bodyStatus: 'complete' | 'partial' | 'headers_only';
+  importJobId?: string; // set for mail brought in from an archive upload
   
   // Metadata
   folder: string;
@@ -38,7 +51,7 @@ export interface IEmail extends Document {
   
   // AI Processing
   aiProcessed: boolean;
-  aiCategory?: 'interested' | 'meeting_booked' | 'not_interested' | 'spam' | 'out_of_office';
+  aiCategory?: 'interested' | 'meeting_booked' | 'not_interested' | 'spam' | 'out_of_office' | 'uncategorized';
   aiConfidence?: number;
   aiInsights?: {
     sentiment: 'positive' | 'negative' | 'neutral';
@@ -54,12 +67,15 @@ export interface IEmail extends Document {
     contentType: string;
     size: number;
     contentId?: string;
+    partId?: string; // IMAP body section, for content fetched on demand
+    contentHash?: string; // SHA-256 key into attachment storage
     url?: string;
   }[];
   
   // Threading
   inReplyTo?: string;
-  references: string[];
+  references: string[]; // from the root, In-Reply-To included
+  threadSubject?: string; // normalized subject, for messages without usable references
   
   // User Actions History
   actions: {
@@ -92,7 +108,6 @@ const emailSchema = new Schema({
   messageId: { 
     type: String, 
     required: true, 
-    unique: true,
     trim: true
   },
   threadId: {
@@ -100,6 +115,14 @@ const emailSchema = new Schema({
     trim: true,
     index: true
   },
+  gmailMessageId: String,
+  
+  // IMAP Location (UID is only meaningful together with the mailbox UIDVALIDITY)
+  mailbox: {
+    type: String,
+    trim: true
+  },
+  uid: Number,
   
   // Email Headers
   from: {
@@ -173,10 +196,30 @@ const emailSchema = new Schema({
     required: true
   },
   htmlBody: String,
+  segments: {
+    content: String,
+    quoted: String,
+    signature: String,
+    disclaimer: String,
+    htmlContent: String
+  },
+  tracking: {
+    trackers: [String],
+    pixels: Number,
+    trackedLinks: Number
+  },
   snippet: {
     type: String,
     maxlength: 200
   },
+  size: Number,
+  // Oversized messages are stored without their attachment bodies
+  bodyStatus: {
+    type: String,
+    enum: ['complete', 'partial', 'headers_only'],
+    default: 'complete'
+  },
+  importJobId: String,
   
   // Metadata
   folder: { 
@@ -237,7 +280,9 @@ const emailSchema = new Schema({
   },
   aiCategory: { 
     type: String,
-    enum: ['interested', 'meeting_booked', 'not_interested', 'spam', 'out_of_office'],
+    // 'uncategorized' when classification failed; aiProcessed stays false so
+    // it is picked up again by reclassification
+    enum: ['interested', 'meeting_booked', 'not_interested', 'spam', 'out_of_office', 'uncategorized'],
     index: true
   },
   aiConfidence: { 
@@ -265,12 +310,15 @@ const emailSchema = new Schema({
     contentType: { type: String, required: true },
     size: { type: Number, required: true },
     contentId: String,
+    partId: String,
+    contentHash: String,
     url: String
   }],
   
   // Threading
   inReplyTo: String,
   references: [String],
+  threadSubject: String,
   
   // User Actions History
   actions: [{
@@ -307,6 +355,11 @@ emailSchema.index({ aiCategory: 1, aiConfidence: -1 });
 emailSchema.index({ isRead: 1, isArchived: 1, isDeleted: 1 });
 emailSchema.index({ 'from.address': 1, receivedDate: -1 });
 emailSchema.index({ threadId: 1, receivedDate: -1 });
+emailSchema.index({ accountId: 1, references: 1 });
+emailSchema.index({ accountId: 1, threadSubject: 1, receivedDate: -1 });
+// A message is unique per account; the messageId prefix serves cross-account lookups
+emailSchema.index({ messageId: 1, accountId: 1 }, { unique: true });
+emailSchema.index({ accountId: 1, mailbox: 1, uid: 1 });
 emailSchema.index({ lastActionAt: -1 });
 
 // Text search index
@@ -331,7 +384,7 @@ emailSchema.virtual('priority').get(function() {
 // Middleware to update snippet
 emailSchema.pre('save', function(next) {
   if (this.textBody && !this.snippet) {
-    this.snippet = this.textBody.substring(0, 150).trim();
+    this.snippet = newContentText(this).substring(0, 150).trim();
   }
   if (this.isModified('isRead') || this.isModified('isStarred') || this.isModified('isArchived')) {
     this.lastActionAt = new Date();
@@ -394,68 +447,101 @@ emailSchema.methods.moveToFolder = function(targetFolder: string) {
 export const Email = mongoose.model<IEmail>('Email', emailSchema);
 
 // Draft Model
+// Saved by the compose UI while the user writes. Every save bumps `version`,
+// and a save made against an older version is refused, so two tabs cannot
+// silently overwrite each other.
 export interface IDraft extends Document {
   accountId: string;
-  to: string[];
-  cc?: string[];
-  bcc?: string[];
+  to: { address: string; name?: string }[];
+  cc?: { address: string; name?: string }[];
+  bcc?: { address: string; name?: string }[];
   subject: string;
-  body: string;
+  body: string; // plain text
   htmlBody?: string;
-  
+
+  // Reply and forward drafts; threading headers come from the source email
+  // when the draft is sent, and so do the recipients of a reply left
+  // without `to`
+  sourceEmailId?: string;
+  replyAction?: 'reply' | 'reply-all' | 'forward';
+  quote?: boolean; // include the source email below, default true
+  includeAttachments?: boolean; // forwards: carry the source email's attachments, default true
+
   attachments: {
     filename: string;
     contentType: string;
     size: number;
-    path: string;
+    contentHash: string; // key in AttachmentService
+    contentId?: string; // referenced from htmlBody as cid:...
   }[];
-  
+
   scheduledFor?: Date;
   isScheduled: boolean;
-  
+
+  version: number;
+  sending?: boolean; // claimed by a send in progress; not editable meanwhile
+
+  // Copy in the server's Drafts mailbox, when the account syncs drafts
+  remoteMailbox?: string;
+  remoteUid?: number; // unset when the server does not report UIDs on APPEND
+  remoteMessageId?: string;
+  remoteVersion?: number; // the version that copy holds
+
   lastSavedAt: Date;
   createdAt: Date;
   updatedAt: Date;
 }
 
+const draftAddressSchema = new Schema({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
 const draftSchema = new Schema({
   accountId: { 
     type: String, 
     required: true,
     ref: 'EmailAccount'
   },
-  to: [{ 
-    type: String, 
-    required: true,
-    trim: true,
-    lowercase: true
-  }],
-  cc: [{ 
-    type: String,
-    trim: true,
-    lowercase: true
-  }],
-  bcc: [{ 
-    type: String,
-    trim: true,
-    lowercase: true
-  }],
+  to: [draftAddressSchema],
+  cc: [draftAddressSchema],
+  bcc: [draftAddressSchema],
   subject: { 
     type: String, 
-    required: true,
+    default: '',
     trim: true
   },
   body: { 
     type: String, 
-    required: true
+    default: ''
   },
   htmlBody: String,
+
+  sourceEmailId: {
+    type: String,
+    ref: 'Email'
+  },
+  replyAction: {
+    type: String,
+    enum: ['reply', 'reply-all', 'forward']
+  },
+  quote: Boolean,
+  includeAttachments: Boolean,
   
   attachments: [{
     filename: { type: String, required: true },
     contentType: { type: String, required: true },
     size: { type: Number, required: true },
-    path: { type: String, required: true }
+    contentHash: { type: String, required: true },
+    contentId: String
   }],
   
   scheduledFor: Date,
@@ -463,6 +549,17 @@ const draftSchema = new Schema({
     type: Boolean, 
     default: false 
   },
+
+  version: {
+    type: Number,
+    default: 1
+  },
+  sending: Boolean,
+
+  remoteMailbox: String,
+  remoteUid: Number,
+  remoteMessageId: String,
+  remoteVersion: Number,
   
   lastSavedAt: { 
     type: Date, 
@@ -473,10 +570,203 @@ const draftSchema = new Schema({
 });
 
 draftSchema.index({ accountId: 1, updatedAt: -1 });
+draftSchema.index({ sourceEmailId: 1 });
 draftSchema.index({ scheduledFor: 1, isScheduled: 1 });
 
 export const Draft = mongoose.model<IDraft>('Draft', draftSchema);
 
+// Pending IMAP write-back (flag and folder changes made in ReachInbox)
+export interface IPendingImapAction extends Document {
+  accountId: string;
+  emailId: string;
+  action: 'read' | 'unread' | 'star' | 'unstar' | 'move' | 'label' | 'unlabel';
+  targetFolder?: string;
+  labels?: string[]; // for label / unlabel (Gmail only)
+  status: 'pending' | 'failed';
+  attempts: number;
+  lastError?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const pendingImapActionSchema = new Schema({
+  accountId: {
+    type: String,
+    required: true,
+    ref: 'EmailAccount'
+  },
+  emailId: {
+    type: String,
+    required: true,
+    ref: 'Email'
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['read', 'unread', 'star', 'unstar', 'move', 'label', 'unlabel']
+  },
+  targetFolder: {
+    type: String,
+    enum: ['inbox', 'sent', 'drafts', 'archive', 'deleted', 'spam']
+  },
+  labels: {
+    type: [String],
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String
+}, {
+  timestamps: true
+});
+
+pendingImapActionSchema.index({ accountId: 1, status: 1, createdAt: 1 });
+
+export const PendingImapAction = mongoose.model<IPendingImapAction>('PendingImapAction', pendingImapActionSchema);
+
+// POP3 messages already downloaded, by UIDL (POP3 has no other stable id)
+export interface IPop3SeenMessage extends Document {
+  accountId: string;
+  uidl: string;
+  createdAt: Date;
+}
+
+const pop3SeenMessageSchema = new Schema({
+  accountId: {
+    type: String,
+    required: true,
+    ref: 'EmailAccount'
+  },
+  uidl: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+pop3SeenMessageSchema.index({ accountId: 1, uidl: 1 }, { unique: true });
+
+export const Pop3SeenMessage = mongoose.model<IPop3SeenMessage>('Pop3SeenMessage', pop3SeenMessageSchema);
+
+// Per-sender preferences; remote content is blocked for senders without one
+export interface ISenderSetting extends Document {
+  address: string; // lowercased
+  allowRemoteContent: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const senderSettingSchema = new Schema({
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  allowRemoteContent: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+export const SenderSetting = mongoose.model<ISenderSetting>('SenderSetting', senderSettingSchema);
+
+// Archive import (mbox / zipped EML) progress
+export interface IImportJob extends Document {
+  accountId: string;
+  format: 'mbox' | 'eml_zip';
+  filename?: string;
+  folder: string;
+  status: 'pending' | 'running' | 'completed' | 'failed';
+  bytesTotal: number;
+  bytesProcessed: number;
+  messagesTotal?: number; // known up front for zip archives only
+  messagesProcessed: number;
+  imported: number;
+  duplicates: number;
+  failed: number;
+  errorSamples: { message: string; item?: string }[]; // first few per-message errors
+  error?: string;
+  startedAt?: Date;
+  finishedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const importJobSchema = new Schema({
+  accountId: {
+    type: String,
+    required: true,
+    ref: 'EmailAccount'
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: ['mbox', 'eml_zip']
+  },
+  filename: String,
+  folder: {
+    type: String,
+    required: true,
+    enum: ['inbox', 'sent', 'drafts', 'archive', 'deleted', 'spam']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  bytesTotal: {
+    type: Number,
+    default: 0
+  },
+  bytesProcessed: {
+    type: Number,
+    default: 0
+  },
+  messagesTotal: Number,
+  messagesProcessed: {
+    type: Number,
+    default: 0
+  },
+  imported: {
+    type: Number,
+    default: 0
+  },
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  errorSamples: [{
+    _id: false,
+    message: String,
+    item: String
+  }],
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ accountId: 1, createdAt: -1 });
+
+export const ImportJob = mongoose.model<IImportJob>('ImportJob', importJobSchema);
+
 // User Model
 export interface IUser extends Document {
   email: string;
@@ -505,24 +795,95 @@ const userSchema = new Schema({
 export const User = mongoose.model<IUser>('User', userSchema);
 
 // EmailAccount Model
+export interface IMailboxSyncState {
+  path: string;
+  uidValidity?: number;
+  lastFetchedUid: number;
+  highestModseq?: string; // CONDSTORE, when the server supports it
+  failedUid?: number; // first UID that could not be stored; the checkpoint waits for it
+  failedAttempts?: number;
+  lastFlagSyncAt?: Date;
+  lastSyncAt?: Date;
+}
+
 export interface IEmailAccount extends Document {
   userId: string;
   email: string;
   provider: 'gmail' | 'outlook' | 'yahoo' | 'other';
   displayName?: string;
   
+  protocol: 'imap' | 'pop3';
+  authType: 'password' | 'oauth2';
   imapConfig: {
+    host: string;
+    port: number;
+    secure: boolean;
+    user: string;
+    pass?: string; // encrypted; unset for OAuth2 accounts
+  }; // unset for POP3 accounts
+  pop3Config?: {
     host: string;
     port: number;
     secure: boolean;
     user: string;
     pass: string; // encrypted
+    leaveOnServer: boolean; // false = delete messages once ingested
+  };
+  // Outgoing mail; unset when no server is known for the account
+  smtpConfig?: {
+    host: string;
+    port: number;
+    secure: boolean;
+    tlsMode?: 'implicit' | 'starttls' | 'none'; // unset = implicit when `secure`, else STARTTLS
+    user?: string; // unset = no authentication (e.g. a local relay)
+    pass?: string; // encrypted; unset = the IMAP/POP3 password (or OAuth2)
+  };
+  
+  // How the IMAP/POP3 connection is secured; certificates are always verified
+  tlsPolicy?: {
+    mode?: 'implicit' | 'starttls' | 'none'; // unset = implicit when `secure`, else STARTTLS
+    minVersion?: 'TLSv1' | 'TLSv1.1' | 'TLSv1.2' | 'TLSv1.3'; // default TLSv1.2
+    caBundle?: string; // extra trusted PEM certificates, e.g. a private CA
+    pinnedFingerprint?: string; // SHA-256 of the server certificate, AA:BB:...
+  };
+  
+  // OAuth2 (XOAUTH2) credentials; tokens are encrypted and not selected by default
+  oauth?: {
+    provider: 'gmail' | 'outlook';
+    refreshToken: string;
+    accessToken?: string;
+    accessTokenExpiresAt?: Date;
+    scope?: string;
+  };
+  
+  // Mailboxes discovered on the server and the subset chosen for sync
+  remoteMailboxes: {
+    path: string;
+    folder?: 'inbox' | 'sent' | 'drafts' | 'archive' | 'spam' | 'deleted';
+    specialUse?: string;
+  }[];
+  syncSettings?: {
+    mailboxes?: string[]; // empty = every mailbox mapped to a folder
+    intervalMinutes?: number; // defaults to SYNC_INTERVAL_MINUTES
+    maxEmailsPerSync?: number; // defaults to MAX_EMAILS_PER_SYNC
+    syncDrafts?: boolean; // keep a copy of each draft in the server's Drafts mailbox
   };
   
   // Sync Status
   isActive: boolean;
   syncStatus: 'connecting' | 'connected' | 'syncing' | 'error' | 'disconnected';
   lastSyncAt?: Date;
+  nextSyncAt?: Date; // next scheduled sync
+  
+  // Circuit breaker for automatic reconnects, kept by ConnectionManager
+  connectionHealth?: {
+    state: 'closed' | 'open' | 'half_open';
+    consecutiveFailures: number;
+    lastError?: string;
+    lastFailureAt?: Date;
+    nextRetryAt?: Date; // unset while open = given up until retried by hand
+    openedAt?: Date;
+  };
   
   // Statistics
   syncStats?: {
@@ -530,6 +891,7 @@ export interface IEmailAccount extends Document {
     lastFetchedUid?: number;
     errorCount: number;
     lastError?: string;
+    mailboxes: IMailboxSyncState[];
   };
   
   // Timestamps
@@ -537,6 +899,14 @@ export interface IEmailAccount extends Document {
   updatedAt: Date;
 }
 
+function isImapAccount(this: IEmailAccount): boolean {
+  return this.protocol !== 'pop3';
+}
+
+function isPop3Account(this: IEmailAccount): boolean {
+  return this.protocol === 'pop3';
+}
+
 const emailAccountSchema = new Schema({
   userId: {
     type: String,
@@ -561,28 +931,139 @@ const emailAccountSchema = new Schema({
     trim: true
   },
   
+  protocol: {
+    type: String,
+    enum: ['imap', 'pop3'],
+    default: 'imap'
+  },
+  authType: {
+    type: String,
+    enum: ['password', 'oauth2'],
+    default: 'password'
+  },
   imapConfig: {
     host: {
       type: String,
-      required: true
+      required: isImapAccount
     },
     port: {
       type: Number,
-      required: true
+      required: isImapAccount
     },
     secure: {
       type: Boolean,
-      required: true
+      required: isImapAccount
     },
     user: {
       type: String,
-      required: true
+      required: isImapAccount
     },
     pass: {
       type: String,
-      required: true
+      required: function(this: IEmailAccount) { return isImapAccount.call(this) && this.authType !== 'oauth2'; },
+      set: protectSecret
     }
   },
+  pop3Config: {
+    host: {
+      type: String,
+      required: isPop3Account
+    },
+    port: {
+      type: Number,
+      required: isPop3Account
+    },
+    secure: {
+      type: Boolean,
+      required: isPop3Account
+    },
+    user: {
+      type: String,
+      required: isPop3Account
+    },
+    pass: {
+      type: String,
+      required: isPop3Account,
+      set: protectSecret
+    },
+    leaveOnServer: {
+      type: Boolean,
+      default: true
+    }
+  },
+  smtpConfig: {
+    host: String,
+    port: Number,
+    secure: Boolean,
+    tlsMode: {
+      type: String,
+      enum: ['implicit', 'starttls', 'none']
+    },
+    user: String,
+    pass: {
+      type: String,
+      set: protectSecret
+    }
+  },
+  tlsPolicy: {
+    mode: {
+      type: String,
+      enum: ['implicit', 'starttls', 'none']
+    },
+    minVersion: {
+      type: String,
+      enum: ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3']
+    },
+    caBundle: String,
+    pinnedFingerprint: String
+  },
+  
+  oauth: {
+    provider: {
+      type: String,
+      enum: ['gmail', 'outlook']
+    },
+    refreshToken: {
+      type: String,
+      select: false,
+      set: protectSecret
+    },
+    accessToken: {
+      type: String,
+      select: false,
+      set: protectSecret
+    },
+    accessTokenExpiresAt: Date,
+    scope: String
+  },
+  
+  remoteMailboxes: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    folder: {
+      type: String,
+      enum: ['inbox', 'sent', 'drafts', 'archive', 'spam', 'deleted']
+    },
+    specialUse: String
+  }],
+  syncSettings: {
+    mailboxes: [{
+      type: String,
+      trim: true
+    }],
+    intervalMinutes: {
+      type: Number,
+      min: 1
+    },
+    maxEmailsPerSync: {
+      type: Number,
+      min: 1
+    },
+    syncDrafts: Boolean
+  },
   
   isActive: {
     type: Boolean,
@@ -596,6 +1077,23 @@ const emailAccountSchema = new Schema({
     index: true
   },
   lastSyncAt: Date,
+  nextSyncAt: Date,
+
+  connectionHealth: {
+    state: {
+      type: String,
+      enum: ['closed', 'open', 'half_open'],
+      default: 'closed'
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    lastError: String,
+    lastFailureAt: Date,
+    nextRetryAt: Date,
+    openedAt: Date
+  },
   
   syncStats: {
     totalEmails: {
@@ -607,7 +1105,25 @@ const emailAccountSchema = new Schema({
       type: Number,
       default: 0
     },
-    lastError: String
+    lastError: String,
+    // Per-mailbox incremental sync checkpoints
+    mailboxes: [{
+      _id: false,
+      path: {
+        type: String,
+        required: true
+      },
+      uidValidity: Number,
+      lastFetchedUid: {
+        type: Number,
+        default: 0
+      },
+      highestModseq: String,
+      failedUid: Number,
+      failedAttempts: Number,
+      lastFlagSyncAt: Date,
+      lastSyncAt: Date
+    }]
   }
 }, {
   timestamps: true
@@ -1,8 +1,19 @@
 import express, { Request, Response } from 'express';
-import { EmailAccount, User } from '../models';
+import { EmailAccount, ImportJob, User } from '../models';
 import { asyncHandler } from '../middleware/errorHandler';
 import { ImapService } from '../services/ImapService';
+import { SyncScheduler } from '../services/SyncScheduler';
+import { OAuthService } from '../services/OAuthService';
+import { ImportService } from '../services/ImportService';
+import { Pop3Service } from '../services/Pop3Service';
+import { AutodiscoveryService } from '../services/AutodiscoveryService';
+import { SmtpService } from '../services/SmtpService';
+import { findProviderByDomain, providerConfigs } from '../config/providers';
 import Joi from 'joi';
+import { resolveSyncedMailboxes } from '../utils/mailboxUtils';
+import { revealSecret, signPayload, verifyPayload } from '../utils/crypto';
+import { logger } from '../utils/logger';
+import { TlsPolicy, normalizeFingerprint, parseCaBundle, probeTls, resolveTlsMode } from '../utils/tlsUtils';
 
 const router = express.Router();
 
@@ -12,47 +23,192 @@ export function setImapService(service: ImapService) {
   imapService = service;
 }
 
+let syncScheduler: SyncScheduler;
+
+export function setSyncScheduler(scheduler: SyncScheduler) {
+  syncScheduler = scheduler;
+}
+
+let oauthService: OAuthService;
+
+export function setOAuthService(service: OAuthService) {
+  oauthService = service;
+}
+
+let importService: ImportService;
+
+export function setImportService(service: ImportService) {
+  importService = service;
+}
+
+let pop3Service: Pop3Service;
+
+export function setPop3Service(service: Pop3Service) {
+  pop3Service = service;
+}
+
+let autodiscoveryService: AutodiscoveryService;
+
+export function setAutodiscoveryService(service: AutodiscoveryService) {
+  autodiscoveryService = service;
+}
+
+let smtpService: SmtpService;
+
+export function setSmtpService(service: SmtpService) {
+  smtpService = service;
+}
+
+function oauthSupport(provider: string) {
+  return {
+    supported: !!oauthService?.supports(provider),
+    configured: !!oauthService?.isConfigured(provider)
+  };
+}
+
+// Outgoing server of a known provider, signing in as the incoming user
+function defaultSmtpConfig(email: string, user: string) {
+  const smtp = findProviderByDomain(email.split('@')[1] || '')?.smtp;
+  return smtp ? { ...smtp, user } : undefined;
+}
+
+const serverConfigSchema = Joi.object({
+  host: Joi.string().required(),
+  port: Joi.number().integer().min(1).max(65535).required(),
+  secure: Joi.boolean().required(),
+  user: Joi.string().required(),
+  pass: Joi.string().required()
+});
+
+const tlsPolicySchema = Joi.object({
+  mode: Joi.string().valid('implicit', 'starttls', 'none'),
+  minVersion: Joi.string().valid('TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'),
+  caBundle: Joi.string().max(256 * 1024).custom(value => {
+    parseCaBundle(value);
+    return value;
+  }, 'PEM certificate bundle'),
+  pinnedFingerprint: Joi.string().custom((value, helpers) =>
+    normalizeFingerprint(value) || helpers.error('any.invalid'), 'SHA-256 fingerprint')
+});
+
+// Without user the server is used unauthenticated (a local relay); without
+// pass the account's IMAP/POP3 password, or its OAuth2 token, is used
+const smtpConfigSchema = Joi.object({
+  host: Joi.string().required(),
+  port: Joi.number().integer().min(1).max(65535).required(),
+  secure: Joi.boolean().required(),
+  tlsMode: Joi.string().valid('implicit', 'starttls', 'none'),
+  user: Joi.string(),
+  pass: Joi.string()
+});
+
+// node-pop3 cannot upgrade a plaintext connection
+const pop3TlsPolicySchema = tlsPolicySchema.keys({
+  mode: Joi.string().valid('implicit', 'none')
+});
+
 const addAccountSchema = Joi.object({
   userId: Joi.string().required(),
   email: Joi.string().email().required(),
   provider: Joi.string().valid('gmail', 'outlook', 'yahoo', 'other').required(),
-  imapConfig: Joi.object({
-    host: Joi.string().required(),
-    port: Joi.number().integer().min(1).max(65535).required(),
-    secure: Joi.boolean().required(),
-    user: Joi.string().required(),
-    pass: Joi.string().required()
-  }).required()
+  protocol: Joi.string().valid('imap', 'pop3').default('imap'),
+  // POP3 accounts sign in with a password only
+  authType: Joi.when('protocol', {
+    is: 'pop3',
+    then: Joi.string().valid('password').default('password'),
+    otherwise: Joi.string().valid('password', 'oauth2').default('password')
+  }),
+  // OAuth2 accounts get their IMAP settings from the provider
+  imapConfig: Joi.when('protocol', {
+    is: 'pop3',
+    then: Joi.forbidden(),
+    otherwise: Joi.when('authType', {
+      is: 'oauth2',
+      then: Joi.forbidden(),
+      otherwise: serverConfigSchema.required()
+    })
+  }),
+  pop3Config: Joi.when('protocol', {
+    is: 'pop3',
+    then: serverConfigSchema.keys({
+      leaveOnServer: Joi.boolean().default(true)
+    }).required(),
+    otherwise: Joi.forbidden()
+  }),
+  tlsPolicy: Joi.when('protocol', { is: 'pop3', then: pop3TlsPolicySchema, otherwise: tlsPolicySchema }),
+  // Defaults to the provider's server when the domain is a known one
+  smtpConfig: smtpConfigSchema
+});
+
+const testConnectionSchema = Joi.object({
+  protocol: Joi.string().valid('imap', 'pop3').default('imap'),
+  config: serverConfigSchema.required(),
+  tlsPolicy: Joi.when('protocol', { is: 'pop3', then: pop3TlsPolicySchema, otherwise: tlsPolicySchema })
+});
+
+// null clears a setting back to its default
+const updateTlsPolicySchema = Joi.object({
+  mode: Joi.string().valid('implicit', 'starttls', 'none').allow(null),
+  minVersion: Joi.string().valid('TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3').allow(null),
+  caBundle: tlsPolicySchema.extract('caBundle').allow(null),
+  pinnedFingerprint: tlsPolicySchema.extract('pinnedFingerprint').allow(null)
+}).min(1);
+
+// pass: null goes back to using the IMAP/POP3 password; omitted keeps the stored one
+const updateSmtpConfigSchema = smtpConfigSchema.keys({
+  pass: Joi.string().allow(null)
+});
+
+const discoverQuerySchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const updateMailboxesSchema = Joi.object({
+  mailboxes: Joi.array().items(Joi.string()).required()
+});
+
+const updateSyncSettingsSchema = Joi.object({
+  intervalMinutes: Joi.number().integer().min(1).max(1440).allow(null),
+  maxEmailsPerSync: Joi.number().integer().min(1).max(10000).allow(null),
+  syncDrafts: Joi.boolean().allow(null)
+}).min(1);
+
+const importQuerySchema = Joi.object({
+  format: Joi.string().valid('mbox', 'zip'),
+  folder: Joi.string().valid('inbox', 'sent', 'archive', 'spam').default('archive'),
+  filename: Joi.string().max(255)
 });
 
+// The certificate chain the server presents, probed on a connection of its
+// own that never logs in, so it can be inspected even when verification fails
+async function describeServerTls(
+  protocol: 'imap' | 'pop3',
+  config: { host: string; port: number; secure: boolean },
+  tlsPolicy?: TlsPolicy
+) {
+  const mode = resolveTlsMode(config.secure, tlsPolicy);
+  if (mode === 'none' || (protocol === 'pop3' && mode === 'starttls')) {
+    return { mode };
+  }
+
+  try {
+    return { mode, ...await probeTls({ host: config.host, port: config.port, mode, protocol, policy: tlsPolicy }) };
+  } catch (error: any) {
+    return { mode, error: error.message };
+  }
+}
+
 // CRITICAL: SPECIFIC ROUTES MUST COME BEFORE PARAMETERIZED ROUTES
 
 // GET /api/v1/accounts/providers - FIXED: Moved before /:id
 router.get('/providers', (req: Request, res: Response) => {
-  const providerConfigs = {
-    gmail: {
-      host: 'imap.gmail.com',
-      port: 993,
-      secure: true
-    },
-    outlook: {
-      host: 'outlook.office365.com',
-      port: 993,
-      secure: true
-    },
-    yahoo: {
-      host: 'imap.mail.yahoo.com',
-      port: 993,
-      secure: true
-    }
-  };
-
   res.json({
     success: true,
     data: Object.keys(providerConfigs).map(provider => ({
       name: provider,
       displayName: provider.charAt(0).toUpperCase() + provider.slice(1),
-      ...providerConfigs[provider as keyof typeof providerConfigs]
+      ...providerConfigs[provider],
+      oauth: oauthSupport(provider)
     }))
   });
 });
@@ -60,26 +216,8 @@ router.get('/providers', (req: Request, res: Response) => {
 // GET /api/v1/accounts/providers/:provider/config - FIXED: Moved before /:id
 router.get('/providers/:provider/config', (req: Request, res: Response) => {
   const { provider } = req.params;
-  
-  const providerConfigs = {
-    gmail: {
-      host: 'imap.gmail.com',
-      port: 993,
-      secure: true
-    },
-    outlook: {
-      host: 'outlook.office365.com',
-      port: 993,
-      secure: true
-    },
-    yahoo: {
-      host: 'imap.mail.yahoo.com',
-      port: 993,
-      secure: true
-    }
-  };
 
-  const config = providerConfigs[provider as keyof typeof providerConfigs];
+  const config = providerConfigs[provider];
   
   if (!config) {
     res.status(404).json({
@@ -91,16 +229,138 @@ router.get('/providers/:provider/config', (req: Request, res: Response) => {
 
   res.json({
     success: true,
-    data: config
+    data: { ...config, oauth: oauthSupport(provider) }
   });
 });
 
+// GET /api/v1/accounts/discover?email= - Candidate server settings for an address, best first
+router.get('/discover', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = discoverQuerySchema.validate(req.query);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const result = await autodiscoveryService.discover(value.email);
+  const provider = result.provider?.accountProvider;
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      oauth: provider && provider !== 'other' ? oauthSupport(provider) : { supported: false, configured: false }
+    }
+  });
+}));
+
+// GET /api/v1/accounts/oauth/callback - Completes the OAuth2 authorization started by POST /accounts
+router.get('/oauth/callback', asyncHandler(async (req: Request, res: Response) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const finish = (params: { [key: string]: string }) =>
+    res.redirect(`${frontendUrl}/?${new URLSearchParams(params).toString()}`);
+
+  const state = verifyPayload<{ userId: string; provider: string; email: string }>(req.query.state as string);
+  if (!state || !oauthService?.supports(state.provider)) {
+    finish({ oauth: 'error', message: 'Authorization request is invalid or has expired' });
+    return;
+  }
+
+  if (req.query.error || !req.query.code) {
+    finish({ oauth: 'error', message: String(req.query.error_description || req.query.error || 'Authorization was cancelled') });
+    return;
+  }
+
+  try {
+    const tokens = await oauthService.exchangeCode(state.provider, req.query.code as string);
+    if (tokens.email !== state.email) {
+      finish({ oauth: 'error', message: `Signed in as ${tokens.email}, expected ${state.email}` });
+      return;
+    }
+
+    const fields: any = {
+      authType: 'oauth2',
+      oauth: oauthService.toAccountFields(state.provider, tokens),
+      imapConfig: {
+        host: providerConfigs[state.provider].host,
+        port: providerConfigs[state.provider].port,
+        secure: providerConfigs[state.provider].secure,
+        user: tokens.email
+      },
+      smtpConfig: defaultSmtpConfig(tokens.email, tokens.email)
+    };
+
+    // Re-authorizing an existing (or removed) account replaces its
+    // credentials; SMTP settings the user changed are kept. An address
+    // another user has connected is left alone.
+    const existing = await EmailAccount.findOne({ userId: state.userId, email: tokens.email });
+    if (!existing && await EmailAccount.exists({ email: tokens.email })) {
+      finish({ oauth: 'error', message: `${tokens.email} is already connected by another user` });
+      return;
+    }
+    if (existing?.smtpConfig?.host || !fields.smtpConfig) {
+      delete fields.smtpConfig;
+    }
+    if (existing) {
+      await EmailAccount.updateOne({ _id: existing._id }, { $set: { ...fields, isActive: true } });
+      const updated = await EmailAccount.findById(existing._id);
+      await imapService.addAccount(updated!);
+    } else {
+      await imapService.addAccount({
+        userId: state.userId,
+        email: tokens.email,
+        provider: state.provider,
+        ...fields
+      });
+    }
+
+    finish({ oauth: 'success', email: tokens.email });
+  } catch (error: any) {
+    logger.error(`OAuth callback failed for ${state.email}:`, error.message);
+    finish({ oauth: 'error', message: error.message });
+  }
+}));
+
+// POST /api/v1/accounts/test-connection - Check server settings before adding an account
+router.post('/test-connection', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = testConnectionSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const tls = await describeServerTls(value.protocol, value.config, value.tlsPolicy);
+
+  try {
+    const result = value.protocol === 'pop3'
+      ? await pop3Service.testConnection(value.config, value.tlsPolicy)
+      : await imapService.testConnection(value.config, value.tlsPolicy);
+
+    res.json({
+      success: true,
+      message: 'Connection test successful',
+      data: { protocol: value.protocol, ...result, tls }
+    });
+  } catch (testError: any) {
+    res.status(400).json({
+      success: false,
+      error: 'Connection test failed: ' + testError.message,
+      data: { protocol: value.protocol, tls }
+    });
+  }
+}));
+
 // GET /api/v1/accounts - Get all accounts
 router.get('/', asyncHandler(async (req: Request, res: Response) => {
   const { userId } = req.query;
   
   const filter = userId ? { userId, isActive: true } : { isActive: true };
-  const accounts = await EmailAccount.find(filter).select('-imapConfig.pass');
+  const accounts = await EmailAccount.find(filter).select('-imapConfig.pass -pop3Config.pass -smtpConfig.pass');
   
   const accountsWithStatus = accounts.map(account => {
     const connectionStatus = imapService?.getConnectionStatus() || {};
@@ -121,7 +381,7 @@ router.get('/', asyncHandler(async (req: Request, res: Response) => {
 
 // GET /api/v1/accounts/:id - Get account by ID
 router.get('/:id', asyncHandler(async (req: Request, res: Response) => {
-  const account = await EmailAccount.findById(req.params.id).select('-imapConfig.pass');
+  const account = await EmailAccount.findById(req.params.id).select('-imapConfig.pass -pop3Config.pass -smtpConfig.pass');
   
   if (!account) {
     res.status(404).json({ 
@@ -160,6 +420,29 @@ router.post('/', asyncHandler(async (req: Request, res: Response) => {
     return;
   }
 
+  if (value.authType === 'oauth2') {
+    if (!oauthService?.isConfigured(value.provider)) {
+      res.status(400).json({
+        success: false,
+        error: `OAuth is not available for ${value.provider}`
+      });
+      return;
+    }
+
+    // The account is created by the callback once the user grants access,
+    // so an existing account can be re-authorized this way too
+    const state = signPayload({ userId: value.userId, provider: value.provider, email: value.email.toLowerCase() }, 600);
+    res.json({
+      success: true,
+      message: 'Open authorizationUrl to grant mailbox access',
+      data: {
+        authType: 'oauth2',
+        authorizationUrl: oauthService.getAuthorizationUrl(value.provider, state, value.email)
+      }
+    });
+    return;
+  }
+
   const existingAccount = await EmailAccount.findOne({ 
     email: value.email,
     isActive: true 
@@ -173,11 +456,41 @@ router.post('/', asyncHandler(async (req: Request, res: Response) => {
     return;
   }
 
+  if (!value.smtpConfig) {
+    value.smtpConfig = defaultSmtpConfig(value.email, (value.imapConfig || value.pop3Config).user);
+  }
+
+  if (value.protocol === 'pop3') {
+    const account = await EmailAccount.create({
+      ...value,
+      isActive: true,
+      syncStatus: 'pending'
+    });
+    logger.info(`Created new POP3 account: ${account.email}`);
+
+    // First poll right away; SyncScheduler takes over from there
+    pop3Service.pollAccount((account._id as any).toString()).catch(err =>
+      logger.error(`Initial POP3 poll failed for ${account.email}:`, err.message)
+    );
+
+    const accountResponse: any = account.toObject();
+    delete accountResponse.pop3Config.pass;
+    delete accountResponse.smtpConfig?.pass;
+
+    res.status(201).json({
+      success: true,
+      message: 'Email account added successfully',
+      data: accountResponse
+    });
+    return;
+  }
+
   try {
     const account = await imapService.addAccount(value);
     
     const accountResponse = { ...account.toObject() };
     delete accountResponse.imapConfig.pass;
+    delete accountResponse.smtpConfig?.pass;
     
     res.status(201).json({
       success: true,
@@ -199,12 +512,22 @@ router.put('/:id', asyncHandler(async (req: Request, res: Response) => {
 
   delete updateData.imapConfig;
   delete updateData.userId;
+  delete updateData.protocol;
+  delete updateData.tlsPolicy; // validated by PUT /:id/tls-policy
+  delete updateData.smtpConfig; // validated by PUT /:id/smtp-config
+
+  // Of the POP3 settings only leaveOnServer can change here
+  const leaveOnServer = updateData.pop3Config?.leaveOnServer;
+  delete updateData.pop3Config;
+  if (typeof leaveOnServer === 'boolean') {
+    updateData['pop3Config.leaveOnServer'] = leaveOnServer;
+  }
 
   const account = await EmailAccount.findByIdAndUpdate(
     id,
     updateData,
     { new: true }
-  ).select('-imapConfig.pass');
+  ).select('-imapConfig.pass -pop3Config.pass -smtpConfig.pass');
 
   if (!account) {
     res.status(404).json({
@@ -262,20 +585,352 @@ router.post('/:id/test-connection', asyncHandler(async (req: Request, res: Respo
     return;
   }
 
+  const protocol = account.protocol === 'pop3' ? 'pop3' : 'imap';
+  const tls = await describeServerTls(protocol, (account.pop3Config || account.imapConfig)!, account.tlsPolicy);
+
   try {
-    await imapService.removeAccount(id);
-    await imapService.addAccount(account);
+    if (account.protocol === 'pop3') {
+      const maildrop = await pop3Service.testConnection({
+        ...account.pop3Config!,
+        pass: revealSecret(account.pop3Config!.pass)
+      }, account.tlsPolicy);
+
+      res.json({
+        success: true,
+        message: 'Connection test successful',
+        data: { protocol, ...maildrop, tls }
+      });
+      return;
+    }
+
+    const result = await imapService.testAccount(account);
     
     res.json({
       success: true,
-      message: 'Connection test successful'
+      message: 'Connection test successful',
+      data: { protocol, ...result, tls }
     });
   } catch (error: any) {
     res.status(500).json({
       success: false,
-      error: 'Connection test failed: ' + error.message
+      error: 'Connection test failed: ' + error.message,
+      data: { protocol, tls }
+    });
+  }
+}));
+
+// POST /api/v1/accounts/:id/test-smtp - Connect and sign in to the outgoing server without sending
+router.post('/:id/test-smtp', asyncHandler(async (req: Request, res: Response) => {
+  try {
+    await smtpService.testAccount(req.params.id);
+    res.json({
+      success: true,
+      message: 'SMTP connection test successful'
+    });
+  } catch (error: any) {
+    const status = error.code === 'ENOACCOUNT' ? 404 : error.code === 'ENOSMTPCONFIG' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: status === 500 ? 'SMTP connection test failed: ' + error.message : error.message
+    });
+  }
+}));
+
+// POST /api/v1/accounts/:id/retry-connection - Clear backoff / circuit breaker and reconnect now
+router.post('/:id/retry-connection', asyncHandler(async (req: Request, res: Response) => {
+  const account = await EmailAccount.findById(req.params.id).select('email protocol isActive');
+  if (!account?.isActive || account.protocol === 'pop3') {
+    res.status(404).json({
+      success: false,
+      error: 'IMAP account not found'
+    });
+    return;
+  }
+
+  const connected = await imapService.retryAccount(req.params.id);
+  const updated = await EmailAccount.findById(req.params.id).select('syncStatus connectionHealth');
+
+  res.json({
+    success: true,
+    message: connected ? 'Account reconnected' : 'Reconnect attempt failed',
+    data: {
+      connected,
+      syncStatus: updated?.syncStatus,
+      connectionHealth: updated?.connectionHealth
+    }
+  });
+}));
+
+// PUT /api/v1/accounts/:id/tls-policy - TLS mode, minimum version, extra CA and pinned certificate (null = default)
+router.put('/:id/tls-policy', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = updateTlsPolicySchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const existing = await EmailAccount.findById(req.params.id).select('protocol isActive');
+  if (!existing) {
+    res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+    return;
+  }
+  if (existing.protocol === 'pop3' && value.mode === 'starttls') {
+    res.status(400).json({
+      success: false,
+      error: 'POP3 accounts support implicit TLS or no TLS only'
+    });
+    return;
+  }
+
+  const $set: any = {};
+  const $unset: any = {};
+  for (const [field, setting] of Object.entries(value)) {
+    if (setting === null) {
+      $unset[`tlsPolicy.${field}`] = 1;
+    } else {
+      $set[`tlsPolicy.${field}`] = setting;
+    }
+  }
+
+  const account = await EmailAccount.findByIdAndUpdate(req.params.id, { $set, $unset }, { new: true })
+    .select('tlsPolicy');
+
+  // The live IMAP connection was made under the old policy; POP3 picks the
+  // new one up on its next poll
+  const connected = existing.isActive && existing.protocol !== 'pop3'
+    ? await imapService.retryAccount(req.params.id)
+    : undefined;
+
+  res.json({
+    success: true,
+    message: 'TLS policy updated',
+    data: {
+      tlsPolicy: account?.tlsPolicy || {},
+      connected
+    }
+  });
+}));
+
+// PUT /api/v1/accounts/:id/smtp-config - Outgoing server settings
+router.put('/:id/smtp-config', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = updateSmtpConfigSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
     });
+    return;
   }
+
+  // Saved through the document so the pre-save hook encrypts the password
+  const account = await EmailAccount.findById(req.params.id).select('+smtpConfig.pass');
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+    return;
+  }
+
+  const pass = value.pass === undefined ? account.smtpConfig?.pass : value.pass || undefined;
+  account.smtpConfig = { ...value, pass };
+  await account.save();
+
+  const { pass: _pass, ...smtpConfig } = account.toObject().smtpConfig || {};
+  res.json({
+    success: true,
+    message: 'SMTP settings updated',
+    data: { smtpConfig }
+  });
+}));
+
+// GET /api/v1/accounts/:id/mailboxes - Server mailboxes and which ones are synced
+router.get('/:id/mailboxes', asyncHandler(async (req: Request, res: Response) => {
+  const account = await EmailAccount.findById(req.params.id).select('email remoteMailboxes syncSettings');
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+    return;
+  }
+
+  const synced = resolveSyncedMailboxes(account.remoteMailboxes || [], account.syncSettings?.mailboxes)
+    .map(mailbox => mailbox.path);
+
+  res.json({
+    success: true,
+    data: {
+      mailboxes: (account.remoteMailboxes || []).map(mailbox => ({
+        path: mailbox.path,
+        folder: mailbox.folder || null,
+        specialUse: mailbox.specialUse || null,
+        synced: synced.includes(mailbox.path)
+      })),
+      usingDefaults: !account.syncSettings?.mailboxes?.length
+    }
+  });
+}));
+
+// PUT /api/v1/accounts/:id/mailboxes - Choose which mailboxes to sync (empty list = defaults)
+router.put('/:id/mailboxes', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = updateMailboxesSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const account = await EmailAccount.findById(req.params.id).select('remoteMailboxes');
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+    return;
+  }
+
+  const known = (account.remoteMailboxes || []).map(mailbox => mailbox.path);
+  const unknown = value.mailboxes.filter((path: string) => !known.includes(path));
+  if (known.length > 0 && unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown mailboxes: ${unknown.join(', ')}`
+    });
+    return;
+  }
+
+  await EmailAccount.findByIdAndUpdate(req.params.id, { 'syncSettings.mailboxes': value.mailboxes });
+  const syncStarted = imapService ? await imapService.syncAccount(req.params.id) : false;
+
+  res.json({
+    success: true,
+    message: 'Mailbox selection updated',
+    data: { mailboxes: value.mailboxes, syncStarted }
+  });
+}));
+
+// PUT /api/v1/accounts/:id/sync-settings - Per-account sync interval, message budget and draft sync (null = defaults)
+router.put('/:id/sync-settings', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = updateSyncSettingsSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const $set: any = {};
+  const $unset: any = {};
+  for (const [field, setting] of Object.entries(value)) {
+    if (setting === null) {
+      $unset[`syncSettings.${field}`] = 1;
+    } else {
+      $set[`syncSettings.${field}`] = setting;
+    }
+  }
+
+  const account = await EmailAccount.findByIdAndUpdate(req.params.id, { $set, $unset }, { new: true })
+    .select('syncSettings');
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+    return;
+  }
+
+  const nextSyncAt = syncScheduler ? await syncScheduler.reschedule(req.params.id) : null;
+
+  res.json({
+    success: true,
+    message: 'Sync settings updated',
+    data: {
+      intervalMinutes: account.syncSettings?.intervalMinutes || null,
+      maxEmailsPerSync: account.syncSettings?.maxEmailsPerSync || null,
+      syncDrafts: account.syncSettings?.syncDrafts || false,
+      nextSyncAt
+    }
+  });
+}));
+
+// POST /api/v1/accounts/:id/import - Upload an mbox file or a zip of .eml files as the raw request body
+router.post('/:id/import', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = importQuerySchema.validate(req.query);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const account = await EmailAccount.findById(req.params.id);
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+    return;
+  }
+
+  try {
+    const job = await importService.startImport(account, req, {
+      format: value.format === 'zip' ? 'eml_zip' : value.format,
+      filename: value.filename,
+      folder: value.folder
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started',
+      data: job
+    });
+  } catch (importError: any) {
+    logger.warn(`Import upload for ${account.email} rejected:`, importError.message);
+    res.status(importError.statusCode || 500).json({
+      success: false,
+      error: importError.message
+    });
+  }
+}));
+
+// GET /api/v1/accounts/:id/imports - List import jobs, newest first
+router.get('/:id/imports', asyncHandler(async (req: Request, res: Response) => {
+  const jobs = await ImportJob.find({ accountId: req.params.id })
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  res.json({
+    success: true,
+    data: jobs
+  });
+}));
+
+// GET /api/v1/accounts/:id/imports/:jobId - Import progress and error samples
+router.get('/:id/imports/:jobId', asyncHandler(async (req: Request, res: Response) => {
+  const job = await ImportJob.findOne({ _id: req.params.jobId, accountId: req.params.id });
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Import job not found'
+    });
+    return;
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
 }));
 
 // GET /api/v1/accounts/:id/stats - Get account statistics
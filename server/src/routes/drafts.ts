@@ -0,0 +1,220 @@
+import express, { Request, Response } from 'express';
+import Joi from 'joi';
+import { asyncHandler } from '../middleware/errorHandler';
+import { Draft } from '../models';
+import { draftService } from '../services';
+import { recipientSchema, respondWithSend } from '../utils/sendUtils';
+
+const router = express.Router();
+
+// New attachments carry base64 content; ones the draft already has are
+// named by contentHash and not uploaded again
+const draftAttachmentSchema = Joi.object({
+  filename: Joi.string().required(),
+  contentType: Joi.string(),
+  content: Joi.string().base64().allow(''),
+  contentHash: Joi.string().hex().length(64),
+  cid: Joi.string()
+}).xor('content', 'contentHash');
+
+const draftFields = {
+  accountId: Joi.string(),
+  to: Joi.array().items(recipientSchema),
+  cc: Joi.array().items(recipientSchema),
+  bcc: Joi.array().items(recipientSchema),
+  subject: Joi.string().allow(''),
+  text: Joi.string().allow(''),
+  html: Joi.string().allow(''),
+  attachments: Joi.array().items(draftAttachmentSchema),
+  quote: Joi.boolean(),
+  includeAttachments: Joi.boolean()
+};
+
+const createDraftSchema = Joi.object({
+  sourceEmailId: Joi.string(),
+  replyAction: Joi.string().valid('reply', 'reply-all', 'forward'),
+  ...draftFields
+}).or('accountId', 'sourceEmailId');
+
+// Autosave sends the version it edited; fields left out keep their value
+const updateDraftSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+  ...draftFields
+});
+
+// The version the user saw, so a send never delivers edits they did not
+const sendDraftSchema = Joi.object({
+  version: Joi.number().integer().min(1).required()
+});
+
+const listDraftsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  accountId: Joi.string(),
+  sourceEmailId: Joi.string()
+});
+
+const DRAFT_ERROR_STATUS: { [code: string]: number } = {
+  ENOACCOUNT: 404,
+  ENOEMAIL: 404,
+  ENODRAFT: 404,
+  ENOATTACHMENT: 400,
+  EDRAFTSENDING: 409
+};
+
+function withDraftAttachments<T extends { attachments?: { content?: string }[] }>(input: T) {
+  return {
+    ...input,
+    attachments: input.attachments?.map(attachment => ({
+      ...attachment,
+      content: attachment.content !== undefined ? Buffer.from(attachment.content, 'base64') : undefined
+    }))
+  };
+}
+
+// GET /api/v1/drafts - Unsent drafts, most recently saved first. With
+// sourceEmailId, the reply and forward drafts of that email.
+router.get('/', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = listDraftsSchema.validate(req.query);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const { page, limit, accountId, sourceEmailId } = value;
+  const filter: any = {};
+  if (accountId) filter.accountId = accountId;
+  if (sourceEmailId) filter.sourceEmailId = sourceEmailId;
+
+  const [drafts, total] = await Promise.all([
+    Draft.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Draft.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      drafts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    }
+  });
+}));
+
+// GET /api/v1/drafts/:id - One draft
+router.get('/:id', asyncHandler(async (req: Request, res: Response) => {
+  const draft = await Draft.findById(req.params.id).lean();
+  if (!draft) {
+    res.status(404).json({
+      success: false,
+      error: 'Draft not found'
+    });
+    return;
+  }
+
+  res.json({ success: true, data: draft });
+}));
+
+// POST /api/v1/drafts - Start a draft; with sourceEmailId, a reply or
+// forward of that email. Attachment content is base64.
+router.post('/', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = createDraftSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  try {
+    const draft = await draftService.create(withDraftAttachments(value));
+    res.status(201).json({ success: true, message: 'Draft saved', data: draft });
+  } catch (draftError: any) {
+    const status = DRAFT_ERROR_STATUS[draftError.code];
+    if (!status) throw draftError;
+    res.status(status).json({
+      success: false,
+      error: draftError.message
+    });
+  }
+}));
+
+// PUT /api/v1/drafts/:id - Autosave. 409 with the current draft when it was
+// saved since `version`.
+router.put('/:id', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = updateDraftSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const { version, ...changes } = value;
+  try {
+    const draft = await draftService.update(req.params.id, version, withDraftAttachments(changes));
+    res.json({ success: true, message: 'Draft saved', data: draft });
+  } catch (draftError: any) {
+    if (draftError.code === 'EVERSIONCONFLICT') {
+      res.status(409).json({
+        success: false,
+        error: draftError.message,
+        data: draftError.current
+      });
+      return;
+    }
+
+    const status = DRAFT_ERROR_STATUS[draftError.code];
+    if (!status) throw draftError;
+    res.status(status).json({
+      success: false,
+      error: draftError.message
+    });
+  }
+}));
+
+// DELETE /api/v1/drafts/:id - Discard a draft and its copy on the server
+router.delete('/:id', asyncHandler(async (req: Request, res: Response) => {
+  if (!(await draftService.remove(req.params.id))) {
+    res.status(404).json({
+      success: false,
+      error: 'Draft not found'
+    });
+    return;
+  }
+
+  res.json({ success: true, message: 'Draft deleted' });
+}));
+
+// POST /api/v1/drafts/:id/send - Send `version` of the draft (as a reply or
+// forward when it has a source email) and discard it. 409 when it was saved
+// since, or is already being sent.
+router.post('/:id/send', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = sendDraftSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  await respondWithSend(res, () => draftService.send(req.params.id, value.version));
+}));
+
+export default router;
@@ -1,9 +1,17 @@
 import express, { Request, Response } from 'express';
 import Joi from 'joi';
 import { asyncHandler } from '../middleware/errorHandler';
-import { Draft, Email, EmailAccount } from '../models';
-import { cleanEmailText, extractEmailSnippet } from '../utils/emailUtils';
+import { Draft, Email, EmailAccount, IEmail, SenderSetting } from '../models';
+import { cleanEmailText, extractEmailSnippet, resolveInlineImages } from '../utils/emailUtils';
+import { buildSearchFilter } from '../utils/searchUtils';
 import { elasticClient } from '../config/elasticsearch';
+import { attachmentService, exportService, imageProxyService, imapService, smtpService } from '../services';
+import { RemoteAction } from '../services/ImapService';
+import { newContentText } from '../utils/bodySegmenter';
+import { sanitizeEmailHtml } from '../utils/htmlSanitizer';
+import { signValue, verifySignedValue } from '../utils/crypto';
+import { logger } from '../utils/logger';
+import { outgoingAttachmentSchema, recipientSchema, respondWithSend, withAttachmentContent } from '../utils/sendUtils';
 
 const router = express.Router();
 
@@ -17,12 +25,137 @@ const updateEmailSchema = Joi.object({
 });
 
 const bulkActionSchema = Joi.object({
-  action: Joi.string().valid('markRead', 'markUnread', 'star', 'unstar', 'archive', 'restore', 'delete', 'move').required(),
+  action: Joi.string().valid('markRead', 'markUnread', 'star', 'unstar', 'archive', 'restore', 'delete', 'move', 'addLabels', 'removeLabels').required(),
   emailIds: Joi.array().items(Joi.string()).min(1).required(),
   targetFolder: Joi.string().valid('inbox', 'sent', 'drafts', 'archive', 'deleted', 'spam'),
-  labels: Joi.array().items(Joi.string())
+  labels: Joi.when('action', {
+    is: Joi.valid('addLabels', 'removeLabels'),
+    then: Joi.array().items(Joi.string().trim().min(1)).min(1).required(),
+    otherwise: Joi.array().items(Joi.string())
+  })
+});
+
+const updateLabelsSchema = Joi.object({
+  add: Joi.array().items(Joi.string().trim().min(1)).default([]),
+  remove: Joi.array().items(Joi.string().trim().min(1)).default([])
+}).or('add', 'remove');
+
+const imageProxySchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(4096).required(),
+  sig: Joi.string().required()
+});
+
+const remoteContentSchema = Joi.object({
+  allow: Joi.boolean().required()
+});
+
+const sendEmailSchema = Joi.object({
+  accountId: Joi.string().required(),
+  to: Joi.array().items(recipientSchema).min(1).required(),
+  cc: Joi.array().items(recipientSchema).default([]),
+  bcc: Joi.array().items(recipientSchema).default([]),
+  subject: Joi.string().allow('').default(''),
+  text: Joi.string().allow(''),
+  html: Joi.string().allow(''),
+  attachments: Joi.array().items(outgoingAttachmentSchema).default([])
+}).or('text', 'html');
+
+// Recipients (beyond cc/bcc additions), subject and threading headers come
+// from the original
+const respondSchema = Joi.object({
+  cc: Joi.array().items(recipientSchema).default([]),
+  bcc: Joi.array().items(recipientSchema).default([]),
+  text: Joi.string().allow(''),
+  html: Joi.string().allow(''),
+  attachments: Joi.array().items(outgoingAttachmentSchema).default([]),
+  quote: Joi.boolean().default(true)
+});
+
+const replySchema = respondSchema.or('text', 'html');
+
+// A forward can go without a note of its own
+const forwardSchema = respondSchema.keys({
+  to: Joi.array().items(recipientSchema).min(1).required(),
+  includeAttachments: Joi.boolean().default(true)
+});
+
+const threadsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  accountId: Joi.string(),
+  folder: Joi.string().valid('inbox', 'sent', 'drafts', 'archive', 'spam', 'all').default('inbox'),
+  unread: Joi.boolean()
+});
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('mbox', 'eml', 'ndjson').required(),
+  q: Joi.string(),
+  from: Joi.string(),
+  to: Joi.string(),
+  subject: Joi.string(),
+  body: Joi.string(),
+  dateFrom: Joi.date().iso(),
+  dateTo: Joi.date().iso(),
+  hasAttachments: Joi.string().valid('true', 'false'),
+  aiCategory: Joi.string(),
+  folder: Joi.string(),
+  label: Joi.string(),
+  accountId: Joi.string()
 });
 
+function attachmentUrl(req: Request, emailId: any, attachmentId: string): string {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/${emailId}/attachments/${attachmentId}`;
+}
+
+function imageProxyUrl(req: Request, url: string): string {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/image-proxy?url=${encodeURIComponent(url)}&sig=${signValue(url)}`;
+}
+
+// Message HTML as the browser gets it: sanitized, with inline images
+// resolved, and remote images loaded through the image proxy for senders the
+// user allowed (or for this request, with ?remoteContent=show) and blocked
+// otherwise. The segmented HTML gets the same treatment.
+async function renderEmailsHtml<T extends { _id: any; htmlBody?: string; segments?: any; attachments?: any[]; from?: { address: string } }>(
+  req: Request,
+  emails: T[]
+) {
+  const allowedSenders = req.query.remoteContent === 'show' ? null : await remoteContentSenders(emails);
+
+  return emails.map(email => {
+    const allowRemote = !allowedSenders || allowedSenders.has(email.from?.address?.toLowerCase() || '');
+    const render = (html: string) => {
+      const sanitized = sanitizeEmailHtml(html, allowRemote ? { proxyUrl: url => imageProxyUrl(req, url) } : {});
+      return { ...sanitized, html: resolveInlineImages(sanitized.html, email.attachments || [], id => attachmentUrl(req, email._id, id)) };
+    };
+
+    const body = render(email.htmlBody || '');
+    return {
+      ...email,
+      htmlBody: body.html,
+      segments: email.segments?.htmlContent
+        ? { ...email.segments, htmlContent: render(email.segments.htmlContent).html }
+        : email.segments,
+      tracking: body.tracking,
+      remoteContent: { images: body.remoteImages, blocked: body.blockedImages, allowed: allowRemote }
+    };
+  });
+}
+
+// A single stored email as the GET routes return it, for routes that
+// answer with the updated document
+async function renderEmail(req: Request, email: IEmail) {
+  const [rendered] = await renderEmailsHtml(req, [email.toObject()]);
+  return rendered;
+}
+
+async function remoteContentSenders(emails: { from?: { address: string } }[]): Promise<Set<string>> {
+  const addresses = [...new Set(emails.map(email => email.from?.address?.toLowerCase()).filter(Boolean))];
+  if (addresses.length === 0) return new Set();
+
+  const settings = await SenderSetting.find({ address: { $in: addresses }, allowRemoteContent: true }).select('address').lean();
+  return new Set(settings.map(setting => setting.address));
+}
+
 // GET /api/v1/emails/stats - FIXED: Better folder counting
 router.get('/stats', asyncHandler(async (req: Request, res: Response) => {
   const { accountId } = req.query;
@@ -102,25 +235,13 @@ router.get('/search', asyncHandler(async (req: Request, res: Response) => {
     hasAttachments,
     aiCategory,
     folder,
+    label,
+    accountId,
     page = 1,
     limit = 20
   } = req.query;
 
-  const filter: any = {}; // Don't filter by isDeleted for search
-
-  if (q) filter.$text = { $search: q as string };
-  if (from) filter['from.address'] = new RegExp(from as string, 'i');
-  if (to) filter['to.address'] = new RegExp(to as string, 'i');
-  if (subject) filter.subject = new RegExp(subject as string, 'i');
-  if (body) filter.textBody = new RegExp(body as string, 'i');
-  if (dateFrom || dateTo) {
-    filter.receivedDate = {};
-    if (dateFrom) filter.receivedDate.$gte = new Date(dateFrom as string);
-    if (dateTo) filter.receivedDate.$lte = new Date(dateTo as string);
-  }
-  if (hasAttachments === 'true') filter['attachments.0'] = { $exists: true };
-  if (aiCategory) filter.aiCategory = aiCategory;
-  if (folder) filter.folder = folder;
+  const filter = buildSearchFilter(req.query);
 
   const emails = await Email
     .find(filter)
@@ -131,10 +252,10 @@ router.get('/search', asyncHandler(async (req: Request, res: Response) => {
     .lean();
 
   // Clean email text for better display
-  const cleanedEmails = emails.map(email => ({
+  const cleanedEmails = (await renderEmailsHtml(req, emails)).map(email => ({
     ...email,
     textBody: cleanEmailText(email.textBody),
-    snippet: extractEmailSnippet(email.textBody)
+    snippet: extractEmailSnippet(newContentText(email))
   }));
 
   const total = await Email.countDocuments(filter);
@@ -143,7 +264,7 @@ router.get('/search', asyncHandler(async (req: Request, res: Response) => {
     success: true,
     data: {
       emails: cleanedEmails,
-      searchQuery: { q, from, to, subject, body, dateFrom, dateTo, hasAttachments, aiCategory, folder },
+      searchQuery: { q, from, to, subject, body, dateFrom, dateTo, hasAttachments, aiCategory, folder, label, accountId },
       pagination: {
         page: Number(page),
         limit: Number(limit),
@@ -165,11 +286,21 @@ router.post('/bulk-actions', asyncHandler(async (req: Request, res: Response) =>
     return;
   }
 
-  const { action, emailIds } = value;
+  const { action, emailIds, targetFolder, labels } = value;
+
+  if (action === 'move' && !targetFolder) {
+    res.status(400).json({
+      success: false,
+      error: 'targetFolder is required for move'
+    });
+    return;
+  }
 
   // FIXED THE TYPO HERE
   let updateData: any = { lastActionAt: new Date() };
-  const actionEntry = { type: action, timestamp: new Date() };
+  const actionEntry = ['addLabels', 'removeLabels'].includes(action)
+    ? { type: 'label', timestamp: new Date(), metadata: { [action === 'addLabels' ? 'added' : 'removed']: labels } }
+    : { type: action, timestamp: new Date() };
 
   switch (action) {
     case 'markRead':
@@ -178,6 +309,16 @@ router.post('/bulk-actions', asyncHandler(async (req: Request, res: Response) =>
     case 'markUnread':
       updateData.isRead = false;
       break;
+    case 'star':
+      updateData.isStarred = true;
+      break;
+    case 'unstar':
+      updateData.isStarred = false;
+      break;
+    case 'move':
+      updateData.folder = targetFolder;
+      updateData.isArchived = targetFolder === 'archive';
+      break;
     case 'archive':
       updateData.isArchived = true;
       updateData.folder = 'archive';
@@ -191,6 +332,12 @@ router.post('/bulk-actions', asyncHandler(async (req: Request, res: Response) =>
       // FIXED: Restore from deleted back to inbox
       updateData.folder = 'inbox';
       break;
+    case 'addLabels':
+      updateData.$addToSet = { labels: { $each: labels } };
+      break;
+    case 'removeLabels':
+      updateData.$pullAll = { labels };
+      break;
   }
 
   const result = await Email.updateMany(
@@ -201,6 +348,23 @@ router.post('/bulk-actions', asyncHandler(async (req: Request, res: Response) =>
     }
   );
 
+  // Mirror the change on the IMAP server
+  const remoteActions: { [action: string]: [RemoteAction, string?] } = {
+    markRead: ['read'],
+    markUnread: ['unread'],
+    star: ['star'],
+    unstar: ['unstar'],
+    archive: ['move', 'archive'],
+    delete: ['move', 'deleted'],
+    restore: ['move', 'inbox'],
+    move: ['move', targetFolder],
+    addLabels: ['label'],
+    removeLabels: ['unlabel']
+  };
+  const [remoteAction, remoteFolder] = remoteActions[action];
+  const emails = await Email.find({ _id: { $in: emailIds } }).select('accountId uid').lean();
+  await imapService?.queueRemoteActions(emails, remoteAction, remoteFolder, labels);
+
   res.json({
     success: true,
     message: `Bulk ${action} completed: ${result.modifiedCount}/${emailIds.length} emails processed`,
@@ -221,7 +385,8 @@ router.get('/', asyncHandler(async (req: Request, res: Response) => {
     aiCategory,
     search,
     sortBy = 'receivedDate',
-    sortOrder = 'desc'
+    sortOrder = 'desc',
+    dedupe
   } = req.query;
 
   // Build filter query - FIXED: No isDeleted filter
@@ -256,23 +421,53 @@ router.get('/', asyncHandler(async (req: Request, res: Response) => {
   const sort: any = {};
   sort[sortBy as string] = sortOrder === 'desc' ? -1 : 1;
 
-  const emails = await Email
-    .find(filter)
-    .sort(sort)
-    .limit(Number(limit))
-    .skip((Number(page) - 1) * Number(limit))
-    .populate('accountId', 'email provider')
-    .lean();
+  let emails: any[];
+  let total: number;
+
+  if (dedupe === 'true') {
+    // Unified inbox: a message delivered to several connected accounts is
+    // listed once, with every stored copy under `copies`
+    const [result] = await Email.aggregate([
+      { $match: filter },
+      { $sort: sort },
+      {
+        $group: {
+          _id: '$messageId',
+          email: { $first: '$$ROOT' },
+          copies: { $push: { _id: '$_id', accountId: '$accountId', folder: '$folder' } }
+        }
+      },
+      { $replaceRoot: { newRoot: { $mergeObjects: ['$email', { copies: '$copies' }] } } },
+      { $sort: sort },
+      {
+        $facet: {
+          emails: [{ $skip: (Number(page) - 1) * Number(limit) }, { $limit: Number(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    emails = await Email.populate(result.emails as any[], { path: 'accountId', select: 'email provider' }) as any[];
+    total = result.total[0]?.count || 0;
+  } else {
+    emails = await Email
+      .find(filter)
+      .sort(sort)
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .populate('accountId', 'email provider')
+      .lean();
+
+    total = await Email.countDocuments(filter);
+  }
 
   // Clean email text for better display
-  const cleanedEmails = emails.map(email => ({
+  const cleanedEmails = (await renderEmailsHtml(req, emails)).map(email => ({
     ...email,
     textBody: cleanEmailText(email.textBody),
-    snippet: extractEmailSnippet(email.textBody)
+    snippet: extractEmailSnippet(newContentText(email))
   }));
 
-  const total = await Email.countDocuments(filter);
-
   res.json({
     success: true,
     data: {
@@ -289,6 +484,41 @@ router.get('/', asyncHandler(async (req: Request, res: Response) => {
   });
 }));
 
+// GET /api/v1/emails/export - Stream matching emails as mbox, a zip of EML files or NDJSON (same filters as /search)
+router.get('/export', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = exportQuerySchema.validate(req.query);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const { format, ...query } = value;
+  const filename = `reachinbox-export-${new Date().toISOString().slice(0, 10)}.${exportService.fileExtension(format)}`;
+
+  res.setHeader('Content-Type', exportService.contentType(format));
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    const count = await exportService.exportEmails(buildSearchFilter(query), format, res);
+    logger.info(`📤 Exported ${count} emails as ${format}`);
+  } catch (exportError: any) {
+    logger.error('Email export failed:', exportError.message);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        success: false,
+        error: 'Export failed'
+      });
+      return;
+    }
+    // Mid-stream, cutting the connection is the only way to signal failure
+    res.destroy(exportError);
+  }
+}));
+
 // This route is placed BEFORE /:id
 router.get('/search-status', asyncHandler(async (req: Request, res: Response) => {
   try {
@@ -317,6 +547,263 @@ router.get('/search-status', asyncHandler(async (req: Request, res: Response) =>
   }
 }));
 
+function uniqueParticipants(addresses: ({ address: string; name?: string } | undefined)[]) {
+  const seen = new Map<string, { address: string; name?: string }>();
+  for (const participant of addresses) {
+    const key = participant?.address?.toLowerCase();
+    if (key && !seen.has(key)) {
+      seen.set(key, { address: participant!.address, name: participant!.name || undefined });
+    }
+  }
+  return [...seen.values()];
+}
+
+// GET /api/v1/emails/threads - Conversations with a message in the folder, most recent first
+router.get('/threads', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = threadsQuerySchema.validate(req.query);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const { page, limit, accountId, folder, unread } = value;
+  const filter: any = {
+    threadId: { $ne: null },
+    folder: folder === 'all' ? { $ne: 'deleted' } : folder
+  };
+  if (accountId) filter.accountId = accountId;
+  if (unread !== undefined) filter.isRead = !unread;
+
+  const [listing] = await Email.aggregate([
+    { $match: filter },
+    { $group: { _id: '$threadId', lastMessageAt: { $max: '$receivedDate' } } },
+    { $sort: { lastMessageAt: -1, _id: 1 } },
+    {
+      $facet: {
+        threads: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]).allowDiskUse(true);
+  const threadIds: string[] = listing.threads.map((thread: any) => thread._id);
+  const total = listing.total[0]?.count || 0;
+
+  // Summaries cover every message in the conversation, not just the folder's
+  const summaries = await Email.aggregate([
+    { $match: { threadId: { $in: threadIds }, folder: { $ne: 'deleted' } } },
+    { $sort: { receivedDate: 1 } },
+    {
+      $group: {
+        _id: '$threadId',
+        accountId: { $first: '$accountId' },
+        subject: { $first: '$subject' },
+        messageCount: { $sum: 1 },
+        unreadCount: { $sum: { $cond: ['$isRead', 0, 1] } },
+        isStarred: { $max: '$isStarred' },
+        hasAttachments: { $max: { $gt: [{ $size: { $ifNull: ['$attachments', []] } }, 0] } },
+        folders: { $addToSet: '$folder' },
+        senders: { $push: '$from' },
+        firstMessageAt: { $min: '$receivedDate' },
+        lastMessageAt: { $max: '$receivedDate' },
+        latest: { $last: { _id: '$_id', from: '$from', textBody: '$textBody', segments: '$segments', aiCategory: '$aiCategory' } }
+      }
+    }
+  ]);
+  const byId = new Map(summaries.map(summary => [summary._id, summary]));
+
+  const threads = threadIds.map(id => byId.get(id)).filter(Boolean).map(({ _id, senders, latest, ...summary }) => ({
+    threadId: _id,
+    ...summary,
+    participants: uniqueParticipants(senders),
+    latest: {
+      _id: latest._id,
+      from: latest.from,
+      aiCategory: latest.aiCategory,
+      snippet: extractEmailSnippet(newContentText(latest))
+    }
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      threads,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    }
+  });
+}));
+
+// GET /api/v1/emails/threads/:threadId - A conversation's messages, oldest first
+router.get('/threads/:threadId', asyncHandler(async (req: Request, res: Response) => {
+  const emails = await Email.find({ threadId: req.params.threadId, folder: { $ne: 'deleted' } })
+    .sort({ receivedDate: 1 })
+    .populate('accountId', 'email provider')
+    .lean();
+
+  if (emails.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Thread not found'
+    });
+    return;
+  }
+
+  // Each message's parent is its closest ancestor present in the thread
+  const idsByMessageId = new Map(emails.map(email => [email.messageId, email._id]));
+  const messages = (await renderEmailsHtml(req, emails)).map(email => {
+    const parent = [...(email.references || [])].reverse().find(id => idsByMessageId.has(id));
+    return {
+      ...email,
+      parentId: parent ? idsByMessageId.get(parent) : null,
+      textBody: cleanEmailText(email.textBody),
+      snippet: extractEmailSnippet(newContentText(email))
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      threadId: req.params.threadId,
+      subject: emails[0].subject,
+      messageCount: emails.length,
+      unreadCount: emails.filter(email => !email.isRead).length,
+      participants: uniqueParticipants(emails.flatMap(email => [email.from, ...(email.to || []), ...(email.cc || [])])),
+      firstMessageAt: emails[0].receivedDate,
+      lastMessageAt: emails[emails.length - 1].receivedDate,
+      messages
+    }
+  });
+}));
+
+// POST /api/v1/emails/send - Deliver a message through the account's SMTP
+// server, file it in Sent and store it in `sent`. Attachment content is base64.
+router.post('/send', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = sendEmailSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const { accountId, ...message } = value;
+  await respondWithSend(res, () => smtpService.send(accountId, withAttachmentContent(message)));
+}));
+
+function replyHandler(all: boolean) {
+  return asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = replySchema.validate(req.body);
+    if (error) {
+      res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+      return;
+    }
+
+    await respondWithSend(res, () => smtpService.reply(req.params.id, withAttachmentContent(value), all));
+  });
+}
+
+// POST /api/v1/emails/:id/reply - Answer the sender from the receiving account, threaded under the original
+router.post('/:id/reply', replyHandler(false));
+
+// POST /api/v1/emails/:id/reply-all - Answer the sender and the other recipients
+router.post('/:id/reply-all', replyHandler(true));
+
+// POST /api/v1/emails/:id/forward - Forward with the original's attachments
+router.post('/:id/forward', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = forwardSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  await respondWithSend(res, () => smtpService.forward(req.params.id, withAttachmentContent(value)));
+}));
+
+// GET /api/v1/emails/image-proxy - A remote image from a message, fetched by
+// the server so the sender sees neither the reader's address, cookies nor
+// Referer. Only links signed by this server are served.
+router.get('/image-proxy', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = imageProxySchema.validate(req.query);
+  if (error || !verifySignedValue(value.url, value.sig)) {
+    res.status(403).json({
+      success: false,
+      error: 'Invalid image link'
+    });
+    return;
+  }
+
+  const image = await imageProxyService.fetchImage(value.url);
+  if (!image) {
+    res.status(502).json({
+      success: false,
+      error: 'Image could not be loaded'
+    });
+    return;
+  }
+
+  res.setHeader('Content-Type', image.contentType);
+  res.setHeader('Content-Length', image.data.length);
+  res.setHeader('Cache-Control', 'private, max-age=86400');
+  res.setHeader('Content-Security-Policy', "default-src 'none'");
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.send(image.data);
+}));
+
+// GET /api/v1/emails/senders/remote-content - Senders whose remote content loads
+router.get('/senders/remote-content', asyncHandler(async (req: Request, res: Response) => {
+  const senders = await SenderSetting.find({ allowRemoteContent: true })
+    .sort({ address: 1 })
+    .select('address updatedAt')
+    .lean();
+
+  res.json({ success: true, data: senders });
+}));
+
+// PUT /api/v1/emails/senders/:address/remote-content - Always load (or block)
+// remote content from a sender
+router.put('/senders/:address/remote-content', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = remoteContentSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const address = req.params.address.trim().toLowerCase();
+  if (Joi.string().email({ tlds: false }).validate(address).error) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid sender address'
+    });
+    return;
+  }
+
+  await SenderSetting.updateOne({ address }, { allowRemoteContent: value.allow }, { upsert: true });
+
+  res.json({
+    success: true,
+    data: { address, allowRemoteContent: value.allow },
+    message: value.allow ? `Remote content from ${address} will load` : `Remote content from ${address} is blocked`
+  });
+}));
 
 // GET /api/v1/emails/:id - Get single email with cleaned text
 router.get('/:id', asyncHandler(async (req: Request, res: Response) => {
@@ -333,15 +820,79 @@ router.get('/:id', asyncHandler(async (req: Request, res: Response) => {
   }
 
   // Clean the email text
+  const [rendered] = await renderEmailsHtml(req, [email]);
   const cleanedEmail = {
-    ...email,
+    ...rendered,
     textBody: cleanEmailText(email.textBody),
-    snippet: extractEmailSnippet(email.textBody)
+    snippet: extractEmailSnippet(newContentText(email))
   };
 
   res.json({ success: true, data: cleanedEmail });
 }));
 
+// Types safe to render in the browser; everything else is forced to download
+const INLINE_CONTENT_TYPES = /^(image\/(png|jpe?g|gif|webp|bmp)|application\/pdf|text\/plain)$/i;
+
+function contentDisposition(type: 'inline' | 'attachment', filename: string): string {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// GET /api/v1/emails/:id/attachments/:attachmentId - Download or display an attachment
+router.get('/:id/attachments/:attachmentId', asyncHandler(async (req: Request, res: Response) => {
+  const email = await Email.findById(req.params.id);
+  if (!email) {
+    res.status(404).json({ success: false, error: 'Email not found' });
+    return;
+  }
+
+  const attachment = email.attachments.find((att: any) => att._id?.toString() === req.params.attachmentId) as any;
+  if (!attachment) {
+    res.status(404).json({ success: false, error: 'Attachment not found' });
+    return;
+  }
+
+  // Attachments of oversized messages are fetched from IMAP on first download
+  if (!attachment.contentHash && attachment.partId) {
+    const content = await imapService?.fetchAttachmentContent(
+      { accountId: email.accountId.toString(), mailbox: email.mailbox, uid: email.uid },
+      attachment.partId
+    );
+
+    if (content) {
+      attachment.contentHash = await attachmentService.store(content);
+      await Email.updateOne(
+        { _id: email._id, 'attachments._id': attachment._id },
+        { $set: { 'attachments.$.contentHash': attachment.contentHash } }
+      );
+    }
+  }
+
+  const stream = attachment.contentHash ? await attachmentService?.open(attachment.contentHash) : null;
+  if (!stream) {
+    res.status(404).json({ success: false, error: 'Attachment content is not available' });
+    return;
+  }
+
+  const contentType = attachment.contentType || 'application/octet-stream';
+  const inline = req.query.download !== 'true' && INLINE_CONTENT_TYPES.test(contentType);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', attachment.filename));
+  res.setHeader('Cache-Control', 'private, max-age=86400');
+  // The client is served from another origin and embeds inline images
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+
+  stream.on('error', (error: any) => {
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: error.message });
+    } else {
+      res.destroy(error);
+    }
+  });
+  stream.pipe(res);
+}));
+
 // PUT /api/v1/emails/:id/read - Mark as read
 router.put('/:id/read', asyncHandler(async (req: Request, res: Response) => {
   const email = await Email.findByIdAndUpdate(
@@ -359,7 +910,9 @@ router.put('/:id/read', asyncHandler(async (req: Request, res: Response) => {
     return;
   }
 
-  res.json({ success: true, message: 'Email marked as read', data: email });
+  await imapService?.queueRemoteActions([email], 'read');
+
+  res.json({ success: true, message: 'Email marked as read', data: await renderEmail(req, email) });
 }));
 
 // PUT /api/v1/emails/:id/unread - Mark as unread
@@ -379,7 +932,9 @@ router.put('/:id/unread', asyncHandler(async (req: Request, res: Response) => {
     return;
   }
 
-  res.json({ success: true, message: 'Email marked as unread', data: email });
+  await imapService?.queueRemoteActions([email], 'unread');
+
+  res.json({ success: true, message: 'Email marked as unread', data: await renderEmail(req, email) });
 }));
 
 // PUT /api/v1/emails/:id/star - Toggle star
@@ -400,13 +955,52 @@ router.put('/:id/star', asyncHandler(async (req: Request, res: Response) => {
     { new: true }
   );
 
+  if (updatedEmail) {
+    await imapService?.queueRemoteActions([updatedEmail], updatedEmail.isStarred ? 'star' : 'unstar');
+  }
+
   res.json({
     success: true,
     message: `Email ${updatedEmail?.isStarred ? 'starred' : 'unstarred'}`,
-    data: updatedEmail
+    data: updatedEmail && await renderEmail(req, updatedEmail)
   });
 }));
 
+// PUT /api/v1/emails/:id/labels - Add and/or remove labels (written back to Gmail)
+router.put('/:id/labels', asyncHandler(async (req: Request, res: Response) => {
+  const { error, value } = updateLabelsSchema.validate(req.body);
+  if (error) {
+    res.status(400).json({ success: false, error: error.details[0].message });
+    return;
+  }
+
+  const email = await Email.findById(req.params.id);
+  if (!email) {
+    res.status(404).json({ success: false, error: 'Email not found' });
+    return;
+  }
+
+  const added = value.add.filter((label: string) => !email.labels.includes(label));
+  const removed = value.remove.filter((label: string) => email.labels.includes(label) && !value.add.includes(label));
+
+  const updatedEmail = await Email.findByIdAndUpdate(
+    req.params.id,
+    {
+      labels: [...email.labels.filter(label => !removed.includes(label)), ...added],
+      lastActionAt: new Date(),
+      $push: { actions: { type: 'label', timestamp: new Date(), metadata: { added, removed } } }
+    },
+    { new: true }
+  );
+
+  if (updatedEmail) {
+    if (added.length > 0) await imapService?.queueRemoteActions([updatedEmail], 'label', undefined, added);
+    if (removed.length > 0) await imapService?.queueRemoteActions([updatedEmail], 'unlabel', undefined, removed);
+  }
+
+  res.json({ success: true, message: 'Labels updated', data: updatedEmail && await renderEmail(req, updatedEmail) });
+}));
+
 // PUT /api/v1/emails/:id/archive - Archive email
 router.put('/:id/archive', asyncHandler(async (req: Request, res: Response) => {
   const email = await Email.findByIdAndUpdate(
@@ -425,7 +1019,9 @@ router.put('/:id/archive', asyncHandler(async (req: Request, res: Response) => {
     return;
   }
 
-  res.json({ success: true, message: 'Email archived', data: email });
+  await imapService?.queueRemoteActions([email], 'move', 'archive');
+
+  res.json({ success: true, message: 'Email archived', data: await renderEmail(req, email) });
 }));
 
 export default router;
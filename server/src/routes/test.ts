@@ -1,12 +1,21 @@
 import express, { Request, Response } from 'express';
+import Joi from 'joi';
 import { Email, EmailAccount, User } from '../models';
 import { elasticClient } from '../config/elasticsearch';
 import { asyncHandler } from '../middleware/errorHandler';
-import { imapService, aiService, notificationService } from '../services';
+import { imapService, pop3Service, aiService, notificationService, connectionManager } from '../services';
 import { logger } from '../utils/logger';
 
 const router = express.Router();
 
+// A reset deletes the account's stored mail, so it needs an account and an
+// explicit confirmation
+const forceSyncSchema = Joi.object({
+  accountId: Joi.string().when('reset', { is: true, then: Joi.required() }),
+  reset: Joi.boolean().default(false),
+  confirm: Joi.boolean().when('reset', { is: true, then: Joi.valid(true).required() })
+});
+
 // System health check
 router.get('/health', asyncHandler(async (req: Request, res: Response) => {
   const emailCount = await Email.countDocuments();
@@ -377,6 +386,7 @@ router.get('/sync-status', asyncHandler(async (req: Request, res: Response) => {
     data: {
       connections: connectionStatus,
       accounts: Object.keys(connectionStatus).length,
+      pool: connectionManager?.getStats() || null,
       timestamp: new Date().toISOString()
     }
   });
@@ -422,23 +432,55 @@ router.delete('/clear-samples', asyncHandler(async (req: Request, res: Response)
   }
 }));
 
-// Force fresh sync
+// Resync without losing stars, read state, labels or history; with
+// { reset: true, confirm: true } the account's mail is deleted and downloaded again
 router.post('/force-sync', asyncHandler(async (req: Request, res: Response) => {
-  try {
-    logger.info('🔄 Manual force sync requested');
-    await imapService.forceFreshSync();
+  const { error, value } = forceSyncSchema.validate(req.body || {});
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return;
+  }
+
+  const { accountId, reset } = value;
 
+  if (!accountId) {
+    logger.info('🔄 Manual resync requested for all accounts');
+    imapService.resyncAllAccounts().catch(err =>
+      logger.error('Failed to resync accounts:', err.message)
+    );
     res.json({
       success: true,
-      message: 'Fresh sync initiated successfully'
+      message: 'Resync initiated for all accounts'
     });
+    return;
+  }
 
-  } catch (error: any) {
-    res.status(500).json({
+  const account = await EmailAccount.findOne({ _id: accountId, isActive: true });
+  if (!account) {
+    res.status(404).json({
       success: false,
-      error: 'Failed to initiate fresh sync: ' + error.message
+      error: 'Account not found'
     });
+    return;
   }
+
+  logger.info(`🔄 Manual ${reset ? 'reset' : 'resync'} requested for ${account.email}`);
+  const resync = account.protocol === 'pop3'
+    ? pop3Service.resyncAccount(accountId, { reset })
+    : imapService.resyncAccount(accountId, { reset });
+  resync.catch(err =>
+    logger.error(`Failed to ${reset ? 'reset' : 'resync'} ${account.email}:`, err.message)
+  );
+
+  res.json({
+    success: true,
+    message: reset
+      ? `Reset initiated for ${account.email}: stored emails are being deleted and downloaded again`
+      : `Resync initiated for ${account.email}`
+  });
 }));
 
 // IMPORTANT: Add default export
@@ -0,0 +1,69 @@
+// Re-encrypts every stored account credential with the current key.
+//
+// To rotate: move the old secret to ENCRYPT_SECRET_V<old version>, set the
+// new ENCRYPT_SECRET, bump ENCRYPT_KEY_VERSION, then run `npm run rotate-keys`.
+// Plaintext passwords left over from before encryption are encrypted too.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDatabase } from '../config/database';
+import { EmailAccount } from '../models';
+import { currentKeyVersion, encryptSecret, needsReencryption, revealSecret } from '../utils/crypto';
+import { logger } from '../utils/logger';
+
+dotenv.config();
+
+function reencrypt(value: string): string {
+  return encryptSecret(revealSecret(value));
+}
+
+async function rotate(): Promise<void> {
+  await connectDatabase();
+  logger.info(`🔑 Re-encrypting account credentials with key version ${currentKeyVersion()}`);
+
+  const accounts = await EmailAccount.find({}).select('email imapConfig.pass pop3Config.pass smtpConfig.pass +oauth.refreshToken +oauth.accessToken');
+  let updated = 0;
+  let failed = 0;
+
+  for (const account of accounts) {
+    try {
+      const update: { [path: string]: string } = {};
+
+      if (needsReencryption(account.imapConfig?.pass)) {
+        update['imapConfig.pass'] = reencrypt(account.imapConfig.pass!);
+      }
+      if (needsReencryption(account.pop3Config?.pass)) {
+        update['pop3Config.pass'] = reencrypt(account.pop3Config!.pass);
+      }
+      if (needsReencryption(account.smtpConfig?.pass)) {
+        update['smtpConfig.pass'] = reencrypt(account.smtpConfig!.pass!);
+      }
+      if (needsReencryption(account.oauth?.refreshToken)) {
+        update['oauth.refreshToken'] = reencrypt(account.oauth!.refreshToken);
+      }
+      if (needsReencryption(account.oauth?.accessToken)) {
+        update['oauth.accessToken'] = reencrypt(account.oauth!.accessToken!);
+      }
+
+      if (Object.keys(update).length > 0) {
+        await EmailAccount.updateOne({ _id: account._id }, { $set: update });
+        updated++;
+      }
+    } catch (error: any) {
+      failed++;
+      logger.error(`Failed to re-encrypt credentials for ${account.email}:`, error.message);
+    }
+  }
+
+  logger.info(`✅ Key rotation finished: ${updated} updated, ${accounts.length - updated - failed} already current, ${failed} failed`);
+  await mongoose.disconnect();
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+rotate().catch(async (error: any) => {
+  logger.error('Key rotation failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -23,14 +23,10 @@ export class AiService {
     }
   }
 
-  // FIXED: Updated return type to match LocalLLMService
+  // Rejects when the LLM fails: the classify queue retries the job, and
+  // marks the email uncategorized once it gives up
   async classifyEmail(email: any): Promise<{ category: string; confidence: number; salesInsights?: any }> {
-    try {
-      return await this.localLLM.classifyEmail(email);
-    } catch (error) {
-      logger.error('Email classification failed:', error);
-      return { category: 'interested', confidence: 0.3 };
-    }
+    return this.localLLM.classifyEmail(email);
   }
 
   // FIXED: Updated to match the route expectations
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger';
+
+type StorageBackend = 'gridfs' | 'local';
+
+// Attachment content is stored once per SHA-256 hash, so the same file
+// received in many emails (signatures, logos, forwarded threads) is kept once.
+export class AttachmentService {
+  private backend: StorageBackend;
+  private directory: string;
+  private bucketName = 'attachments';
+  private storing: Map<string, Promise<void>> = new Map();
+
+  constructor() {
+    this.backend = process.env.ATTACHMENT_STORAGE === 'local' ? 'local' : 'gridfs';
+    this.directory = path.resolve(process.env.ATTACHMENT_DIR || 'data/attachments');
+
+    logger.info(`📎 Attachment storage: ${this.backend === 'local' ? this.directory : 'GridFS'}`);
+  }
+
+  static hash(content: Buffer): string {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // Returns the content hash used as the storage key. A sync batch stores
+  // its messages concurrently, so the same logo can arrive twice at once:
+  // those stores share one write.
+  async store(content: Buffer): Promise<string> {
+    const contentHash = AttachmentService.hash(content);
+
+    let storing = this.storing.get(contentHash);
+    if (!storing) {
+      storing = this.write(contentHash, content).finally(() => this.storing.delete(contentHash));
+      this.storing.set(contentHash, storing);
+    }
+    await storing;
+    return contentHash;
+  }
+
+  private async write(contentHash: string, content: Buffer): Promise<void> {
+    if (await this.exists(contentHash)) {
+      return;
+    }
+
+    if (this.backend === 'local') {
+      const filePath = this.localPath(contentHash);
+      const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await fs.promises.writeFile(tempPath, content);
+        await fs.promises.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        // Another process stored the same content first
+        if (!(await this.exists(contentHash))) throw error;
+      }
+      return;
+    }
+
+    await new Promise<void>((resolve, reject) => {
+      Readable.from([content])
+        .pipe(this.bucket().openUploadStream(contentHash))
+        .on('finish', () => resolve())
+        .on('error', reject);
+    });
+
+    // Another process may have uploaded the same content meanwhile; every
+    // writer keeps the oldest file, so one copy remains
+    const [, ...duplicates] = await this.bucket().find({ filename: contentHash }).sort({ _id: 1 }).toArray();
+    for (const duplicate of duplicates) {
+      await this.bucket().delete(duplicate._id).catch(() => undefined); // deleted by the other writer
+    }
+  }
+
+  async exists(contentHash: string): Promise<boolean> {
+    if (this.backend === 'local') {
+      try {
+        await fs.promises.access(this.localPath(contentHash));
+        return true;
+      } catch {
+        return false;
+      }
+    }
+
+    const files = await this.bucket().find({ filename: contentHash }).limit(1).toArray();
+    return files.length > 0;
+  }
+
+  async open(contentHash: string): Promise<Readable | null> {
+    if (!(await this.exists(contentHash))) {
+      return null;
+    }
+
+    return this.backend === 'local'
+      ? fs.createReadStream(this.localPath(contentHash))
+      : this.bucket().openDownloadStreamByName(contentHash);
+  }
+
+  private bucket(): mongoose.mongo.GridFSBucket {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db!, { bucketName: this.bucketName });
+  }
+
+  private localPath(contentHash: string): string {
+    return path.join(this.directory, contentHash.slice(0, 2), contentHash);
+  }
+}
@@ -0,0 +1,379 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import axios from 'axios';
+import { XMLParser } from 'fast-xml-parser';
+import { MailProvider, ServerSettings, findProviderByDomain, findProviderByMx } from '../config/providers';
+import { LookupFunction, createPublicOnlyLookup, isPrivateHost, refusePrivateRedirect } from '../utils/netUtils';
+import { logger } from '../utils/logger';
+
+export type DiscoveryProtocol = 'imap' | 'pop3' | 'smtp';
+export type DiscoverySource = 'bundled' | 'autoconfig' | 'autodiscover' | 'srv' | 'mx' | 'guess';
+
+export interface DiscoveredServer extends ServerSettings {
+  protocol: DiscoveryProtocol;
+  starttls: boolean; // plain connection upgraded with STARTTLS
+  username: string;
+  source: DiscoverySource;
+  confidence: number; // 0-1
+}
+
+export interface DiscoveryResult {
+  email: string;
+  domain: string;
+  provider?: { id: string; displayName: string; accountProvider: MailProvider['accountProvider'] };
+  candidates: DiscoveredServer[]; // best first
+}
+
+// Every network lookup discovery makes. The default goes to DNS and HTTPS;
+// tests pass a canned one.
+export interface DiscoveryResolver {
+  resolveMx(domain: string): Promise<{ exchange: string; priority: number }[]>;
+  resolveSrv(name: string): Promise<{ name: string; port: number; priority: number; weight: number }[]>;
+  // Response body, or null for an error status or a failed request
+  fetchText(url: string, options?: { method?: 'GET' | 'POST'; body?: string; contentType?: string }): Promise<string | null>;
+}
+
+// Discovery fetches URLs on domains chosen by whoever types an address, so
+// it only connects to public addresses. `lookup` resolves host names for
+// HTTP; tests pass a stub to check what gets refused.
+export function createDiscoveryResolver(lookup?: LookupFunction): DiscoveryResolver {
+  const publicOnlyLookup = createPublicOnlyLookup(lookup);
+  const discoveryHttp = axios.create({
+    timeout: 5000,
+    maxRedirects: 3,
+    maxContentLength: 512 * 1024,
+    responseType: 'text',
+    validateStatus: status => status >= 200 && status < 300,
+    httpAgent: new http.Agent({ lookup: publicOnlyLookup } as any),
+    httpsAgent: new https.Agent({ lookup: publicOnlyLookup } as any),
+    beforeRedirect: refusePrivateRedirect
+  });
+
+  return {
+    resolveMx: domain => dns.promises.resolveMx(domain),
+    resolveSrv: name => dns.promises.resolveSrv(name),
+    async fetchText(url, options = {}) {
+      try {
+        // IP literals are connected to without a lookup
+        if (isPrivateHost(new URL(url).hostname)) return null;
+
+        const response = await discoveryHttp.request({
+          url,
+          method: options.method || 'GET',
+          data: options.body,
+          headers: options.contentType ? { 'Content-Type': options.contentType } : undefined
+        });
+        return typeof response.data === 'string' ? response.data : null;
+      } catch (error: any) {
+        logger.debug(`Autodiscovery request to ${url} failed:`, error.message);
+        return null;
+      }
+    }
+  };
+}
+
+export const defaultResolver = createDiscoveryResolver();
+
+// Confidence by source. Settings published by the domain itself beat
+// third-party data, which beats anything inferred.
+const CONFIDENCE = {
+  bundled: 0.95,
+  autoconfigDomain: 0.9,
+  autodiscover: 0.85,
+  autoconfigIspdb: 0.85,
+  srv: 0.8,
+  mxProvider: 0.75,
+  mxIspdb: 0.7,
+  mxGuess: 0.35,
+  domainGuess: 0.3
+};
+
+const SRV_RECORDS: { name: string; protocol: DiscoveryProtocol; secure: boolean }[] = [
+  { name: '_imaps._tcp', protocol: 'imap', secure: true },
+  { name: '_imap._tcp', protocol: 'imap', secure: false },
+  { name: '_pop3s._tcp', protocol: 'pop3', secure: true },
+  { name: '_pop3._tcp', protocol: 'pop3', secure: false },
+  { name: '_submissions._tcp', protocol: 'smtp', secure: true },
+  { name: '_submission._tcp', protocol: 'smtp', secure: false }
+];
+
+const DEFAULT_PORTS: { [protocol in DiscoveryProtocol]: { secure: number; plain: number } } = {
+  imap: { secure: 993, plain: 143 },
+  pop3: { secure: 995, plain: 110 },
+  smtp: { secure: 465, plain: 587 }
+};
+
+// Finds mail server settings for an email address, in the order mail
+// clients do: the bundled provider database, then the domain's own
+// autoconfig / autodiscover documents and RFC 6186 SRV records, then
+// whatever the MX records suggest. All sources are merged and ranked.
+export class AutodiscoveryService {
+  private resolver: DiscoveryResolver;
+  private xml = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@', removeNSPrefix: true, parseTagValue: false });
+
+  constructor(resolver: DiscoveryResolver = defaultResolver) {
+    this.resolver = resolver;
+  }
+
+  async discover(email: string): Promise<DiscoveryResult> {
+    const address = email.trim().toLowerCase();
+    const domain = address.slice(address.lastIndexOf('@') + 1);
+    const candidates: DiscoveredServer[] = [];
+
+    // Known domains need no network lookups
+    const bundled = findProviderByDomain(domain);
+    if (bundled) {
+      candidates.push(...this.fromProvider(bundled, address, 'bundled', CONFIDENCE.bundled));
+      return { email: address, domain, provider: this.describe(bundled), candidates: this.rank(candidates) };
+    }
+
+    const [autoconfig, autodiscover, srv, mx] = await Promise.all([
+      this.lookupAutoconfig(domain, address),
+      this.lookupAutodiscover(domain, address),
+      this.lookupSrv(domain, address),
+      this.lookupMx(domain, address)
+    ]);
+    candidates.push(...autoconfig, ...autodiscover, ...srv, ...mx.candidates);
+
+    // Last resort: the usual host names on the domain itself
+    for (const protocol of ['imap', 'pop3', 'smtp'] as DiscoveryProtocol[]) {
+      const prefix = { imap: 'imap', pop3: 'pop', smtp: 'smtp' }[protocol];
+      candidates.push(this.candidate(protocol, `${prefix}.${domain}`, DEFAULT_PORTS[protocol].secure, true, address, 'guess', CONFIDENCE.domainGuess));
+      candidates.push(this.candidate(protocol, `mail.${domain}`, DEFAULT_PORTS[protocol].secure, true, address, 'guess', CONFIDENCE.domainGuess - 0.05));
+    }
+
+    return {
+      email: address,
+      domain,
+      provider: mx.provider ? this.describe(mx.provider) : undefined,
+      candidates: this.rank(candidates)
+    };
+  }
+
+  // Thunderbird's autoconfig: the domain's own document first, then the ISPDB
+  private async lookupAutoconfig(domain: string, email: string): Promise<DiscoveredServer[]> {
+    const query = `emailaddress=${encodeURIComponent(email)}`;
+    const own = await this.firstDocument([
+      `https://autoconfig.${domain}/mail/config-v1.1.xml?${query}`,
+      `https://${domain}/.well-known/autoconfig/mail/config-v1.1.xml?${query}`
+    ]);
+    if (own) {
+      return this.parseAutoconfig(own, email, CONFIDENCE.autoconfigDomain);
+    }
+
+    const ispdb = await this.resolver.fetchText(`https://autoconfig.thunderbird.net/v1.1/${domain}`);
+    return ispdb ? this.parseAutoconfig(ispdb, email, CONFIDENCE.autoconfigIspdb) : [];
+  }
+
+  // Outlook's plain-XML autodiscover. Redirect responses are not followed:
+  // they would let the domain point discovery anywhere.
+  private async lookupAutodiscover(domain: string, email: string): Promise<DiscoveredServer[]> {
+    const body = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<Autodiscover xmlns="http://schemas.microsoft.com/exchange/autodiscover/outlook/requestschema/2006">',
+      `<Request><EMailAddress>${email.replace(/[<>&'"]/g, '')}</EMailAddress>`,
+      '<AcceptableResponseSchema>http://schemas.microsoft.com/exchange/autodiscover/outlook/responseschema/2006a</AcceptableResponseSchema>',
+      '</Request></Autodiscover>'
+    ].join('');
+
+    for (const url of [`https://autodiscover.${domain}/autodiscover/autodiscover.xml`, `https://${domain}/autodiscover/autodiscover.xml`]) {
+      const document = await this.resolver.fetchText(url, { method: 'POST', body, contentType: 'text/xml' });
+      const candidates = document ? this.parseAutodiscover(document, email) : [];
+      if (candidates.length > 0) return candidates;
+    }
+    return [];
+  }
+
+  private async lookupSrv(domain: string, email: string): Promise<DiscoveredServer[]> {
+    const results = await Promise.all(SRV_RECORDS.map(async record => {
+      try {
+        const entries = (await this.resolver.resolveSrv(`${record.name}.${domain}`))
+          .sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+
+        // A target of "." means the service is deliberately not offered
+        return entries
+          .filter(entry => entry.name && entry.name !== '.')
+          .map((entry, index) => this.candidate(
+            record.protocol,
+            entry.name.replace(/\.$/, ''),
+            entry.port,
+            record.secure,
+            email,
+            'srv',
+            CONFIDENCE.srv - (record.secure ? 0 : 0.05) - index * 0.01
+          ));
+      } catch {
+        return [];
+      }
+    }));
+    return results.flat();
+  }
+
+  // Hosted domains: a known provider behind the MX, else the ISPDB entry
+  // for the MX host's domain, else guesses on that domain
+  private async lookupMx(domain: string, email: string): Promise<{ provider?: MailProvider; candidates: DiscoveredServer[] }> {
+    let exchanges: string[];
+    try {
+      exchanges = (await this.resolver.resolveMx(domain))
+        .sort((a, b) => a.priority - b.priority)
+        .map(record => record.exchange.toLowerCase().replace(/\.$/, ''))
+        .filter(Boolean);
+    } catch {
+      return { candidates: [] };
+    }
+    if (exchanges.length === 0) return { candidates: [] };
+
+    const provider = exchanges.map(findProviderByMx).find(Boolean);
+    if (provider) {
+      return { provider, candidates: this.fromProvider(provider, email, 'mx', CONFIDENCE.mxProvider) };
+    }
+
+    const mxDomain = exchanges[0].split('.').slice(-2).join('.');
+    if (mxDomain === domain) {
+      return { candidates: [] }; // self-hosted: the domain guesses already cover it
+    }
+
+    const ispdb = await this.resolver.fetchText(`https://autoconfig.thunderbird.net/v1.1/${mxDomain}`);
+    const candidates = ispdb ? this.parseAutoconfig(ispdb, email, CONFIDENCE.mxIspdb, 'mx') : [];
+    for (const protocol of ['imap', 'pop3', 'smtp'] as DiscoveryProtocol[]) {
+      const prefix = { imap: 'imap', pop3: 'pop', smtp: 'smtp' }[protocol];
+      candidates.push(this.candidate(protocol, `${prefix}.${mxDomain}`, DEFAULT_PORTS[protocol].secure, true, email, 'mx', CONFIDENCE.mxGuess));
+    }
+    return { candidates };
+  }
+
+  private async firstDocument(urls: string[]): Promise<string | null> {
+    for (const url of urls) {
+      const document = await this.resolver.fetchText(url);
+      if (document) return document;
+    }
+    return null;
+  }
+
+  private parseAutoconfig(document: string, email: string, confidence: number, source: DiscoverySource = 'autoconfig'): DiscoveredServer[] {
+    let provider: any;
+    try {
+      provider = this.xml.parse(document)?.clientConfig?.emailProvider;
+    } catch (error: any) {
+      logger.debug('Unreadable autoconfig document:', error.message);
+      return [];
+    }
+    if (!provider) return [];
+
+    const servers = [
+      ...this.asArray(provider.incomingServer),
+      ...this.asArray(provider.outgoingServer)
+    ];
+
+    const candidates: DiscoveredServer[] = [];
+    servers.forEach((server, index) => {
+      const protocol = ({ imap: 'imap', pop3: 'pop3', smtp: 'smtp' } as { [type: string]: DiscoveryProtocol })[server['@type']];
+      const port = Number(server.port);
+      if (!protocol || !server.hostname || !port) return;
+
+      const socketType = String(server.socketType || '').toUpperCase();
+      if (socketType !== 'SSL' && socketType !== 'STARTTLS') return; // never suggest plaintext
+
+      candidates.push({
+        ...this.candidate(protocol, String(server.hostname), port, socketType === 'SSL', email, source, confidence - index * 0.01),
+        username: this.expandUsername(String(server.username || '%EMAILADDRESS%'), email)
+      });
+    });
+    return candidates;
+  }
+
+  private parseAutodiscover(document: string, email: string): DiscoveredServer[] {
+    let account: any;
+    try {
+      account = this.xml.parse(document)?.Autodiscover?.Response?.Account;
+    } catch (error: any) {
+      logger.debug('Unreadable autodiscover document:', error.message);
+      return [];
+    }
+    if (!account) return [];
+
+    const candidates: DiscoveredServer[] = [];
+    for (const entry of this.asArray(account.Protocol)) {
+      const protocol = ({ IMAP: 'imap', POP3: 'pop3', SMTP: 'smtp' } as { [type: string]: DiscoveryProtocol })[String(entry.Type).toUpperCase()];
+      const port = Number(entry.Port);
+      if (!protocol || !entry.Server || !port) continue;
+
+      // SSL=off means no encryption at all; Encryption=TLS means STARTTLS
+      const encryption = String(entry.Encryption || '').toUpperCase();
+      if (String(entry.SSL || 'on').toLowerCase() === 'off' && !encryption) continue;
+      const secure = encryption ? encryption === 'SSL' : port === DEFAULT_PORTS[protocol].secure;
+
+      candidates.push({
+        ...this.candidate(protocol, String(entry.Server), port, secure, email, 'autodiscover', CONFIDENCE.autodiscover),
+        username: entry.LoginName ? String(entry.LoginName) : email
+      });
+    }
+    return candidates;
+  }
+
+  private fromProvider(provider: MailProvider, email: string, source: DiscoverySource, confidence: number): DiscoveredServer[] {
+    const servers: [DiscoveryProtocol, ServerSettings | undefined][] = [['imap', provider.imap], ['pop3', provider.pop3], ['smtp', provider.smtp]];
+    return servers
+      .filter((entry): entry is [DiscoveryProtocol, ServerSettings] => !!entry[1])
+      .map(([protocol, settings]) => this.candidate(protocol, settings.host, settings.port, settings.secure, email, source, confidence));
+  }
+
+  private candidate(
+    protocol: DiscoveryProtocol,
+    host: string,
+    port: number,
+    secure: boolean,
+    email: string,
+    source: DiscoverySource,
+    confidence: number
+  ): DiscoveredServer {
+    return {
+      protocol,
+      host: host.toLowerCase(),
+      port,
+      secure,
+      starttls: !secure,
+      username: email,
+      source,
+      confidence: Math.round(confidence * 100) / 100
+    };
+  }
+
+  // One entry per protocol, host and port, keeping the most confident;
+  // IMAP first, then POP3, then SMTP, each best first
+  private rank(candidates: DiscoveredServer[]): DiscoveredServer[] {
+    const best = new Map<string, DiscoveredServer>();
+    for (const candidate of candidates) {
+      const key = `${candidate.protocol}:${candidate.host}:${candidate.port}`;
+      const existing = best.get(key);
+      if (!existing || candidate.confidence > existing.confidence) {
+        best.set(key, candidate);
+      }
+    }
+
+    const order: DiscoveryProtocol[] = ['imap', 'pop3', 'smtp'];
+    return Array.from(best.values()).sort((a, b) =>
+      order.indexOf(a.protocol) - order.indexOf(b.protocol) ||
+      b.confidence - a.confidence ||
+      Number(b.secure) - Number(a.secure)
+    );
+  }
+
+  private expandUsername(template: string, email: string): string {
+    const [localPart, domain] = email.split('@');
+    return template
+      .replace(/%EMAILADDRESS%/g, email)
+      .replace(/%EMAILLOCALPART%/g, localPart)
+      .replace(/%EMAILDOMAIN%/g, domain);
+  }
+
+  private describe(provider: MailProvider): DiscoveryResult['provider'] {
+    return { id: provider.id, displayName: provider.displayName, accountProvider: provider.accountProvider };
+  }
+
+  private asArray<T>(value: T | T[] | undefined): T[] {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
@@ -0,0 +1,189 @@
+import { EmailAccount, IEmailAccount } from '../models';
+import { logger } from '../utils/logger';
+
+type ConnectionHealth = NonNullable<IEmailAccount['connectionHealth']>;
+
+interface Waiter {
+  host: string;
+  resolve: () => void;
+}
+
+// Governs IMAP connections across the whole fleet of accounts:
+// - caps how many connects and syncs run at once, globally and per host, so
+//   100+ mailboxes on one provider do not trip its rate limits
+// - spaces reconnects with exponential backoff and jitter
+// - keeps a circuit breaker per account on EmailAccount.connectionHealth, so
+//   it survives restarts. After failureThreshold failures in a row the
+//   breaker opens and automatic attempts pause for openCooldown, then a
+//   single trial runs (half_open). Rejected logins open it with no retry
+//   at all: only retryAccount (POST /accounts/:id/retry-connection) closes it.
+export class ConnectionManager {
+  private maxConcurrent = Number(process.env.IMAP_MAX_CONCURRENT || 10);
+  private maxPerHost = Number(process.env.IMAP_MAX_CONCURRENT_PER_HOST || 4);
+  private failureThreshold = Number(process.env.IMAP_CIRCUIT_BREAKER_THRESHOLD || 5);
+  private baseDelay = 30 * 1000;
+  private maxDelay = 30 * 60 * 1000;
+  private openCooldown = 60 * 60 * 1000;
+  private timerSlack = 1000; // reconnect timers may fire slightly early
+  private active = 0;
+  private activeByHost: Map<string, number> = new Map();
+  private waiting: Waiter[] = [];
+
+  // Runs `task` once a global and a per-host slot are free
+  async withSlot<T>(host: string, task: () => Promise<T>): Promise<T> {
+    await this.acquire(host);
+    try {
+      return await task();
+    } finally {
+      this.release(host);
+    }
+  }
+
+  // Exponential backoff with equal jitter: between half and all of the
+  // capped delay, so accounts that failed together do not retry together
+  backoffDelay(failures: number): number {
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** Math.max(0, failures - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // Whether an automatic attempt may run now; moves an open breaker whose
+  // cooldown has passed to half_open for its trial attempt
+  async allowAttempt(accountId: string): Promise<boolean> {
+    const account = await EmailAccount.findById(accountId).select('connectionHealth').lean();
+    const health = account?.connectionHealth;
+    const due = (at?: Date) => !at || at.getTime() <= Date.now() + this.timerSlack;
+    if (!health || health.state === 'closed') {
+      return due(health?.nextRetryAt);
+    }
+
+    if (health.state === 'open') {
+      if (!health.nextRetryAt || !due(health.nextRetryAt)) return false;
+      await EmailAccount.updateOne({ _id: accountId }, { 'connectionHealth.state': 'half_open' });
+    }
+    return true;
+  }
+
+  // Milliseconds until the next automatic attempt, or null when there is none
+  async retryDelay(accountId: string): Promise<number | null> {
+    const account = await EmailAccount.findById(accountId).select('connectionHealth').lean();
+    const health = account?.connectionHealth;
+    if (!health) return 0;
+    if (health.state === 'open' && !health.nextRetryAt) return null;
+    return Math.max(0, (health.nextRetryAt?.getTime() || 0) - Date.now());
+  }
+
+  async recordSuccess(accountId: string): Promise<void> {
+    await EmailAccount.updateOne(
+      {
+        _id: accountId,
+        $or: [
+          { 'connectionHealth.state': { $in: ['open', 'half_open'] } },
+          { 'connectionHealth.consecutiveFailures': { $gt: 0 } }
+        ]
+      },
+      {
+        $set: { 'connectionHealth.state': 'closed', 'connectionHealth.consecutiveFailures': 0 },
+        $unset: { 'connectionHealth.nextRetryAt': 1, 'connectionHealth.openedAt': 1 }
+      }
+    );
+  }
+
+  // Returns the delay before the next automatic attempt, or null once the
+  // account has been given up on
+  async recordFailure(accountId: string, error: any): Promise<number | null> {
+    const account = await EmailAccount.findById(accountId).select('email connectionHealth').lean();
+    if (!account) return null;
+
+    const previous: Partial<ConnectionHealth> = account.connectionHealth || {};
+    const failures = (previous.consecutiveFailures || 0) + 1;
+    const now = new Date();
+    const health: ConnectionHealth = {
+      state: 'closed',
+      consecutiveFailures: failures,
+      lastError: error?.message || String(error),
+      lastFailureAt: now
+    };
+
+    let delay: number | null;
+    if (error?.source === 'authentication') {
+      // Retrying a rejected login cannot succeed and can get the account locked
+      health.state = 'open';
+      health.openedAt = now;
+      delay = null;
+      logger.error(`🔌 Giving up on ${account.email}: authentication failed. Retry after fixing the credentials`);
+    } else if (previous.state === 'half_open' || failures >= this.failureThreshold) {
+      health.state = 'open';
+      health.openedAt = previous.state === 'open' || previous.state === 'half_open' ? previous.openedAt : now;
+      delay = this.openCooldown / 2 + Math.random() * this.openCooldown / 2;
+      logger.warn(`🔌 Circuit open for ${account.email} after ${failures} failures; next trial in ${Math.round(delay / 60000)} min`);
+    } else {
+      delay = this.backoffDelay(failures);
+    }
+
+    if (delay !== null) {
+      health.nextRetryAt = new Date(now.getTime() + delay);
+    }
+    await EmailAccount.updateOne({ _id: accountId }, { connectionHealth: health });
+    return delay;
+  }
+
+  // Manual retry: forget past failures so the next attempt runs right away
+  async reset(accountId: string): Promise<void> {
+    await EmailAccount.updateOne(
+      { _id: accountId },
+      {
+        $set: { 'connectionHealth.state': 'closed', 'connectionHealth.consecutiveFailures': 0 },
+        $unset: { 'connectionHealth.nextRetryAt': 1, 'connectionHealth.openedAt': 1 }
+      }
+    );
+  }
+
+  getStats(): { active: number; waiting: number; byHost: { [host: string]: number }; limits: { global: number; perHost: number } } {
+    return {
+      active: this.active,
+      waiting: this.waiting.length,
+      byHost: Object.fromEntries(this.activeByHost),
+      limits: { global: this.maxConcurrent, perHost: this.maxPerHost }
+    };
+  }
+
+  private hasSlot(host: string): boolean {
+    return this.active < this.maxConcurrent && (this.activeByHost.get(host) || 0) < this.maxPerHost;
+  }
+
+  private take(host: string): void {
+    this.active++;
+    this.activeByHost.set(host, (this.activeByHost.get(host) || 0) + 1);
+  }
+
+  private acquire(host: string): Promise<void> {
+    if (this.hasSlot(host) && !this.waiting.some(waiter => waiter.host === host)) {
+      this.take(host);
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push({ host, resolve }));
+  }
+
+  // Hands freed slots to waiters in arrival order, skipping past waiters
+  // whose host is still at its cap
+  private release(host: string): void {
+    this.active--;
+    const remaining = (this.activeByHost.get(host) || 1) - 1;
+    if (remaining > 0) {
+      this.activeByHost.set(host, remaining);
+    } else {
+      this.activeByHost.delete(host);
+    }
+
+    for (let i = 0; i < this.waiting.length && this.active < this.maxConcurrent;) {
+      const waiter = this.waiting[i];
+      if (this.hasSlot(waiter.host)) {
+        this.waiting.splice(i, 1);
+        this.take(waiter.host);
+        waiter.resolve();
+      } else {
+        i++;
+      }
+    }
+  }
+}
@@ -0,0 +1,373 @@
+import crypto from 'crypto';
+import MailComposer from 'nodemailer/lib/mail-composer';
+import { Draft, Email, EmailAccount, IDraft } from '../models';
+import { AttachmentService } from './AttachmentService';
+import { ImapService } from './ImapService';
+import { OutgoingAddress, OutgoingAttachment, SendResult, SmtpService } from './SmtpService';
+import { htmlToText } from '../utils/emailUtils';
+import { forwardSubject, replyRecipients, replySubject, replyThreadHeaders } from '../utils/replyUtils';
+import { logger } from '../utils/logger';
+
+// Attachments are either new content or one the draft already has, named
+// by its content hash, so an autosave does not upload files again
+export interface DraftAttachmentInput {
+  filename: string;
+  contentType?: string;
+  content?: Buffer;
+  contentHash?: string;
+  cid?: string;
+}
+
+export interface DraftInput {
+  accountId?: string;
+  to?: OutgoingAddress[];
+  cc?: OutgoingAddress[];
+  bcc?: OutgoingAddress[];
+  subject?: string;
+  text?: string;
+  html?: string;
+  attachments?: DraftAttachmentInput[];
+  quote?: boolean;
+  includeAttachments?: boolean;
+}
+
+export interface NewDraftInput extends DraftInput {
+  sourceEmailId?: string;
+  replyAction?: 'reply' | 'reply-all' | 'forward';
+}
+
+// Stores drafts, keeps their copies in the server's Drafts mailbox for
+// accounts that sync drafts, and sends them through SmtpService
+export class DraftService {
+  private imapService: ImapService;
+  private smtpService: SmtpService;
+  private attachmentService: AttachmentService;
+
+  // Autosave runs every few seconds while the user types; the server copy is
+  // replaced once typing pauses
+  private syncDelayMs = Number(process.env.DRAFT_SYNC_DELAY_MS || 15000);
+  private syncTimers: Map<string, NodeJS.Timeout> = new Map();
+
+  constructor(imapService: ImapService, smtpService: SmtpService, attachmentService: AttachmentService) {
+    this.imapService = imapService;
+    this.smtpService = smtpService;
+    this.attachmentService = attachmentService;
+  }
+
+  async create(input: NewDraftInput): Promise<IDraft> {
+    const source = input.sourceEmailId ? await Email.findById(input.sourceEmailId) : null;
+    if (input.sourceEmailId && !source) {
+      throw Object.assign(new Error('Email not found'), { code: 'ENOEMAIL' });
+    }
+
+    // From the source email's account unless chosen
+    const accountId = input.accountId || source?.accountId;
+    await this.requireAccount(accountId);
+
+    let subject = input.subject;
+    if (subject === undefined && source) {
+      subject = input.replyAction === 'forward' ? forwardSubject(source.subject) : replySubject(source.subject);
+    }
+
+    const draft = await Draft.create({
+      accountId,
+      ...(source ? { sourceEmailId: input.sourceEmailId, replyAction: input.replyAction || 'reply' } : {}),
+      ...(await this.toFields({ ...input, subject }, [])),
+      lastSavedAt: new Date()
+    });
+
+    this.scheduleSync(draft);
+    return draft;
+  }
+
+  // Saves changes made on top of `version`. A draft saved since (in another
+  // tab, say) is not overwritten: EVERSIONCONFLICT carries the current one.
+  async update(draftId: string, version: number, input: DraftInput): Promise<IDraft> {
+    const current = await this.load(draftId);
+    if (current.sending) {
+      throw this.alreadySending();
+    }
+    if (current.version !== version) {
+      throw this.conflict(current);
+    }
+
+    // Sent from another account: the copy in the old account's Drafts goes
+    const movesAccount = input.accountId !== undefined && input.accountId !== current.accountId;
+    if (movesAccount) {
+      await this.requireAccount(input.accountId);
+      await this.deleteServerCopy(current);
+    }
+
+    const updated = await Draft.findOneAndUpdate(
+      { _id: draftId, version, sending: { $ne: true } },
+      {
+        $set: { ...(await this.toFields(input, current.attachments)), lastSavedAt: new Date() },
+        $inc: { version: 1 },
+        ...(movesAccount ? { $unset: { remoteMailbox: 1, remoteUid: 1, remoteMessageId: 1, remoteVersion: 1 } } : {})
+      },
+      { new: true }
+    );
+    if (!updated) {
+      // Saved, sent or deleted between the read and the write
+      const latest = await this.load(draftId);
+      throw latest.sending ? this.alreadySending() : this.conflict(latest);
+    }
+
+    this.scheduleSync(updated);
+    return updated;
+  }
+
+  async remove(draftId: string): Promise<boolean> {
+    const draft = await Draft.findByIdAndDelete(draftId);
+    if (!draft) return false;
+
+    this.cancelSync(draftId);
+    await this.deleteServerCopy(draft);
+    return true;
+  }
+
+  // Sends `version` of the draft, then discards it. Reply and forward drafts
+  // go out as answers to their source email. The draft is claimed first, so
+  // a second send (a double click, another tab) gets EDRAFTSENDING instead
+  // of delivering it twice; a draft saved since gets EVERSIONCONFLICT.
+  async send(draftId: string, version: number): Promise<SendResult> {
+    const draft = await Draft.findOneAndUpdate(
+      { _id: draftId, version, sending: { $ne: true } },
+      { $set: { sending: true } },
+      { new: true }
+    );
+    if (!draft) {
+      const current = await this.load(draftId);
+      throw current.sending ? this.alreadySending() : this.conflict(current);
+    }
+
+    let result: SendResult;
+    try {
+      const body = {
+        text: draft.body || undefined,
+        html: draft.htmlBody || undefined,
+        cc: plainAddresses(draft.cc),
+        bcc: plainAddresses(draft.bcc),
+        attachments: await this.loadAttachments(draft),
+        quote: draft.quote
+      };
+
+      if (draft.sourceEmailId && draft.replyAction === 'forward') {
+        result = await this.smtpService.forward(draft.sourceEmailId, {
+          ...body,
+          to: this.requireRecipients(draft),
+          subject: draft.subject,
+          includeAttachments: draft.includeAttachments
+        });
+      } else if (draft.sourceEmailId) {
+        // Recipients and subject as edited in the draft
+        result = await this.smtpService.reply(draft.sourceEmailId, {
+          ...body,
+          to: plainAddresses(draft.to),
+          subject: draft.subject
+        }, draft.replyAction === 'reply-all');
+      } else {
+        result = await this.smtpService.send(draft.accountId, {
+          ...body,
+          to: this.requireRecipients(draft),
+          subject: draft.subject
+        });
+      }
+    } catch (error) {
+      // Not sent: the draft can be edited and sent again
+      await Draft.updateOne({ _id: draftId }, { $unset: { sending: 1 } });
+      throw error;
+    }
+
+    await this.remove(draftId);
+    return result;
+  }
+
+  private async load(draftId: string): Promise<IDraft> {
+    const draft = await Draft.findById(draftId);
+    if (!draft) {
+      throw Object.assign(new Error('Draft not found'), { code: 'ENODRAFT' });
+    }
+    return draft;
+  }
+
+  private async requireAccount(accountId: string | undefined): Promise<void> {
+    if (!accountId || !(await EmailAccount.exists({ _id: accountId }))) {
+      throw Object.assign(new Error('Account not found'), { code: 'ENOACCOUNT' });
+    }
+  }
+
+  private conflict(current: IDraft): Error {
+    return Object.assign(
+      new Error(`The draft was saved elsewhere (now at version ${current.version})`),
+      { code: 'EVERSIONCONFLICT', current }
+    );
+  }
+
+  private alreadySending(): Error {
+    return Object.assign(new Error('The draft is being sent'), { code: 'EDRAFTSENDING' });
+  }
+
+  private requireRecipients(draft: IDraft): OutgoingAddress[] {
+    if (!draft.to?.length) {
+      throw Object.assign(new Error('The draft has no recipients'), { code: 'ENORECIPIENTS' });
+    }
+    return plainAddresses(draft.to);
+  }
+
+  // Draft fields for the given input; fields left out are not changed
+  private async toFields(input: DraftInput, existing: IDraft['attachments']): Promise<any> {
+    const fields: any = {};
+    for (const key of ['accountId', 'to', 'cc', 'bcc', 'subject', 'quote', 'includeAttachments'] as const) {
+      if (input[key] !== undefined) fields[key] = input[key];
+    }
+    if (input.text !== undefined) fields.body = input.text;
+    if (input.html !== undefined) fields.htmlBody = input.html;
+
+    if (input.attachments) {
+      fields.attachments = [];
+      for (const attachment of input.attachments) {
+        if (attachment.content) {
+          fields.attachments.push({
+            filename: attachment.filename,
+            contentType: attachment.contentType || 'application/octet-stream',
+            size: attachment.content.length,
+            contentHash: await this.attachmentService.store(attachment.content),
+            contentId: attachment.cid
+          });
+          continue;
+        }
+
+        const kept = existing.find(candidate => candidate.contentHash === attachment.contentHash);
+        if (!kept) {
+          throw Object.assign(new Error(`Attachment ${attachment.filename} is not part of this draft`), { code: 'ENOATTACHMENT' });
+        }
+        fields.attachments.push({
+          filename: attachment.filename,
+          contentType: attachment.contentType || kept.contentType,
+          size: kept.size,
+          contentHash: kept.contentHash,
+          contentId: attachment.cid ?? kept.contentId
+        });
+      }
+    }
+    return fields;
+  }
+
+  // Buffered: the message is built twice, for sending and for Sent
+  private async loadAttachments(draft: IDraft): Promise<OutgoingAttachment[]> {
+    const attachments: OutgoingAttachment[] = [];
+    for (const attachment of draft.attachments || []) {
+      const stream = await this.attachmentService.open(attachment.contentHash);
+      if (!stream) {
+        throw Object.assign(new Error(`Attachment ${attachment.filename} is not available`), { code: 'EATTACHMENTUNAVAILABLE' });
+      }
+      attachments.push({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: Buffer.concat(await stream.toArray()),
+        cid: attachment.contentId
+      });
+    }
+    return attachments;
+  }
+
+  private scheduleSync(draft: IDraft): void {
+    const draftId = (draft._id as any).toString();
+    this.cancelSync(draftId);
+    this.syncTimers.set(draftId, setTimeout(() => {
+      this.syncTimers.delete(draftId);
+      this.syncToServer(draftId).catch(error =>
+        logger.warn(`Could not save draft ${draftId} to the server: ${error.message}`)
+      );
+    }, this.syncDelayMs));
+  }
+
+  private cancelSync(draftId: string): void {
+    clearTimeout(this.syncTimers.get(draftId));
+    this.syncTimers.delete(draftId);
+  }
+
+  // IMAP has no way to change a message, so each version is appended as a
+  // new one and the previous copy is deleted
+  private async syncToServer(draftId: string): Promise<void> {
+    const draft = await Draft.findById(draftId);
+    if (!draft || draft.remoteVersion === draft.version) return;
+
+    const account = await EmailAccount.findById(draft.accountId).select('email displayName protocol syncSettings');
+    if (!account?.syncSettings?.syncDrafts || account.protocol === 'pop3') return;
+
+    const domain = account.email.split('@')[1] || 'localhost';
+    const messageId = `<${crypto.randomUUID()}@${domain}>`;
+    const raw = await this.buildMessage(draft, { name: account.displayName || '', address: account.email }, messageId);
+
+    // Not connected, or no Drafts mailbox: the next save tries again
+    const appended = await this.imapService.appendMessage(draft.accountId, 'drafts', raw, ['\\Draft', '\\Seen']);
+    if (!appended) return;
+
+    const copy = { remoteMailbox: appended.mailbox, remoteUid: appended.uid, remoteMessageId: messageId };
+    const $set: any = { remoteMailbox: appended.mailbox, remoteMessageId: messageId, remoteVersion: draft.version };
+    if (appended.uid) $set.remoteUid = appended.uid;
+    const previous = await Draft.findOneAndUpdate({ _id: draftId }, appended.uid ? { $set } : { $set, $unset: { remoteUid: 1 } });
+
+    // The copy it replaces; or this one, when the draft was sent or
+    // discarded while it was being saved
+    await this.deleteServerCopy(previous || { accountId: draft.accountId, ...copy });
+  }
+
+  // Removes the server copy and what sync stored of it
+  private async deleteServerCopy(draft: Pick<IDraft, 'accountId' | 'remoteMailbox' | 'remoteUid' | 'remoteMessageId'>): Promise<void> {
+    if (!draft.remoteMailbox || !draft.remoteMessageId) return;
+
+    try {
+      await this.imapService.deleteMessage(draft.accountId, draft.remoteMailbox, {
+        uid: draft.remoteUid,
+        messageId: draft.remoteMessageId
+      });
+    } catch (error: any) {
+      logger.warn(`Could not delete a draft copy in ${draft.remoteMailbox}: ${error.message}`);
+    }
+    await Email.deleteMany({ accountId: draft.accountId, messageId: draft.remoteMessageId });
+  }
+
+  // The draft as a message other mail clients can open and continue
+  private async buildMessage(draft: IDraft, from: OutgoingAddress, messageId: string): Promise<Buffer> {
+    const source = draft.sourceEmailId ? await Email.findById(draft.sourceEmailId) : null;
+    const recipients = source && draft.replyAction !== 'forward'
+      ? replyRecipients(source, from.address, draft.replyAction === 'reply-all')
+      : { to: [], cc: [] };
+    const to = draft.to?.length ? plainAddresses(draft.to) : recipients.to;
+
+    const composer = new MailComposer({
+      from: { name: from.name || '', address: from.address },
+      to: to.map(toMailAddress),
+      cc: [...recipients.cc, ...plainAddresses(draft.cc)].map(toMailAddress),
+      bcc: plainAddresses(draft.bcc).map(toMailAddress),
+      subject: draft.subject,
+      messageId,
+      date: draft.lastSavedAt,
+      ...(source ? replyThreadHeaders(source) : {}),
+      text: draft.body || (draft.htmlBody ? htmlToText(draft.htmlBody) : ''),
+      html: draft.htmlBody || undefined,
+      attachments: (await this.loadAttachments(draft)).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: attachment.content,
+        cid: attachment.cid
+      }))
+    });
+
+    const compiled = composer.compile();
+    compiled.keepBcc = true;
+    return compiled.build();
+  }
+}
+
+// Mongoose subdocuments as plain { address, name }
+function plainAddresses(addresses: { address: string; name?: string }[] | undefined): OutgoingAddress[] {
+  return (addresses || []).map(({ address, name }) => ({ address, name: name || undefined }));
+}
+
+function toMailAddress(recipient: OutgoingAddress): { name: string; address: string } {
+  return { name: recipient.name || '', address: recipient.address };
+}
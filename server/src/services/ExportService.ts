@@ -0,0 +1,188 @@
+import { once } from 'events';
+import { Readable, Writable } from 'stream';
+import yazl from 'yazl';
+import MailComposer from 'nodemailer/lib/mail-composer';
+import { Email, IEmail } from '../models';
+import { AttachmentService } from './AttachmentService';
+import { formatMboxMessage } from '../utils/mboxUtils';
+import { logger } from '../utils/logger';
+
+export type ExportFormat = 'mbox' | 'eml' | 'ndjson';
+
+// Fields written to NDJSON exports, AI results included
+const NDJSON_FIELDS = [
+  'accountId', 'messageId', 'mailbox', 'from', 'to', 'cc', 'bcc', 'replyTo', 'subject', 'textBody', 'htmlBody',
+  'folder', 'labels', 'flags', 'isRead', 'isStarred', 'receivedDate', 'attachments',
+  'inReplyTo', 'references', 'aiCategory', 'aiConfidence', 'aiInsights', 'aiProcessed'
+].join(' ');
+
+// Streams stored mail out as mbox, a zip of .eml files or NDJSON. Raw
+// messages are rebuilt from the stored fields and attachment content.
+export class ExportService {
+  private attachmentService: AttachmentService;
+
+  constructor(attachmentService: AttachmentService) {
+    this.attachmentService = attachmentService;
+  }
+
+  contentType(format: ExportFormat): string {
+    return {
+      mbox: 'application/mbox',
+      eml: 'application/zip',
+      ndjson: 'application/x-ndjson'
+    }[format];
+  }
+
+  fileExtension(format: ExportFormat): string {
+    return { mbox: 'mbox', eml: 'zip', ndjson: 'ndjson' }[format];
+  }
+
+  // Resolves with the number of messages written; stops early if the
+  // client goes away
+  async exportEmails(filter: any, format: ExportFormat, out: Writable): Promise<number> {
+    switch (format) {
+      case 'mbox':
+        return this.writeMbox(filter, out);
+      case 'eml':
+        return this.writeEmlZip(filter, out);
+      case 'ndjson':
+        return this.writeNdjson(filter, out);
+    }
+  }
+
+  async buildRawMessage(email: IEmail): Promise<Buffer> {
+    const attachments: any[] = [];
+    const omitted: string[] = [];
+
+    for (const attachment of email.attachments || []) {
+      const content = attachment.contentHash
+        ? await this.attachmentService.open(attachment.contentHash)
+        : null;
+      if (!content) {
+        omitted.push(attachment.filename);
+        continue;
+      }
+
+      attachments.push({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        cid: attachment.contentId,
+        content
+      });
+    }
+
+    // Status / X-Status carry read and flagged state, as mbox readers expect
+    const headers: { [key: string]: string } = {
+      Status: email.isRead ? 'RO' : 'O',
+      'X-Status': email.isStarred ? 'F' : ''
+    };
+    if (omitted.length > 0) {
+      headers['X-ReachInbox-Omitted-Attachments'] = omitted.join(', ');
+    }
+
+    const composer = new MailComposer({
+      from: email.from?.name ? { name: email.from.name, address: email.from.address } : email.from?.address,
+      to: (email.to || []).map(toMailAddress),
+      cc: (email.cc || []).map(toMailAddress),
+      bcc: (email.bcc || []).map(toMailAddress),
+      replyTo: email.replyTo?.address ? toMailAddress(email.replyTo) : undefined,
+      subject: email.subject,
+      date: email.receivedDate,
+      messageId: email.messageId,
+      inReplyTo: email.inReplyTo,
+      references: email.references?.length ? email.references : undefined,
+      text: email.textBody,
+      html: email.htmlBody || undefined,
+      headers,
+      attachments
+    });
+
+    // Bcc is only known for mail sent from here; an export keeps it
+    const compiled = composer.compile();
+    compiled.keepBcc = true;
+    return compiled.build();
+  }
+
+  private async writeMbox(filter: any, out: Writable): Promise<number> {
+    let count = 0;
+
+    for await (const email of Email.find(filter).sort({ receivedDate: 1 }).cursor()) {
+      const raw = await this.buildRawMessage(email);
+      if (!(await this.write(out, formatMboxMessage(raw, email.from?.address, email.receivedDate)))) {
+        return count;
+      }
+      count++;
+    }
+
+    out.end();
+    return count;
+  }
+
+  private async writeNdjson(filter: any, out: Writable): Promise<number> {
+    let count = 0;
+
+    for await (const email of Email.find(filter).select(NDJSON_FIELDS).sort({ receivedDate: 1 }).lean().cursor()) {
+      if (!(await this.write(out, JSON.stringify(email) + '\n'))) {
+        return count;
+      }
+      count++;
+    }
+
+    out.end();
+    return count;
+  }
+
+  // Entries are added lazily so only the message being zipped is in memory
+  private async writeEmlZip(filter: any, out: Writable): Promise<number> {
+    const zipfile = new yazl.ZipFile();
+    let count = 0;
+
+    zipfile.on('error', (error: Error) => {
+      logger.error('EML export failed:', error.message);
+      out.destroy(error);
+    });
+    zipfile.outputStream.pipe(out);
+
+    const cursor = Email.find(filter).select('_id folder receivedDate').sort({ receivedDate: 1 }).lean().cursor();
+    for await (const email of cursor) {
+      if (out.destroyed) break;
+
+      const date = email.receivedDate ? new Date(email.receivedDate) : new Date();
+      const name = `${email.folder}/${date.toISOString().slice(0, 10)}-${email._id}.eml`;
+
+      zipfile.addReadStreamLazy(name, { mtime: date }, callback => {
+        Email.findById(email._id)
+          .then(async fullEmail => {
+            if (!fullEmail) throw new Error(`Email ${email._id} was deleted during export`);
+            callback(null, Readable.from([await this.buildRawMessage(fullEmail)]));
+          })
+          .catch(error => callback(error, undefined as any));
+      });
+      count++;
+    }
+
+    zipfile.end();
+    return count;
+  }
+
+  // False once the client has disconnected
+  private async write(out: Writable, chunk: string | Buffer): Promise<boolean> {
+    if (out.destroyed) return false;
+    if (!out.write(chunk)) {
+      const waiting = new AbortController();
+      try {
+        await Promise.race([
+          once(out, 'drain', { signal: waiting.signal }),
+          once(out, 'close', { signal: waiting.signal })
+        ]);
+      } finally {
+        waiting.abort();
+      }
+    }
+    return !out.destroyed;
+  }
+}
+
+function toMailAddress(recipient: { address: string; name?: string }): { name: string; address: string } {
+  return { name: recipient.name || '', address: recipient.address };
+}
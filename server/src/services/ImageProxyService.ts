@@ -0,0 +1,53 @@
+import http from 'http';
+import https from 'https';
+import axios from 'axios';
+import { isPrivateHost, publicOnlyLookup, refusePrivateRedirect } from '../utils/netUtils';
+import { logger } from '../utils/logger';
+
+export interface ProxiedImage {
+  contentType: string;
+  data: Buffer;
+}
+
+// Raster formats only: SVG can carry script when opened on its own
+const IMAGE_TYPES = /^image\/(png|jpe?g|gif|webp|avif|bmp|x-icon|vnd\.microsoft\.icon)$/i;
+
+// Fetches remote images on behalf of the browser, so senders see the server
+// instead of the reader: no cookies, no Referer, a generic User-Agent, and
+// only public addresses (the URLs come from incoming mail).
+export class ImageProxyService {
+  private maxBytes = Number(process.env.IMAGE_PROXY_MAX_BYTES || 10 * 1024 * 1024);
+
+  private http = axios.create({
+    timeout: 10000,
+    maxRedirects: 3,
+    responseType: 'arraybuffer',
+    validateStatus: status => status >= 200 && status < 300,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; ReachInbox-ImageProxy/1.0)',
+      Accept: 'image/avif,image/webp,image/png,image/jpeg,image/gif,image/*;q=0.8'
+    },
+    httpAgent: new http.Agent({ lookup: publicOnlyLookup } as any),
+    httpsAgent: new https.Agent({ lookup: publicOnlyLookup } as any),
+    beforeRedirect: refusePrivateRedirect
+  });
+
+  // The image, or null when the URL does not serve one we are willing to pass on
+  async fetchImage(url: string): Promise<ProxiedImage | null> {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if (!/^https?:$/.test(protocol) || isPrivateHost(hostname)) return null;
+
+      const response = await this.http.get(url, { maxContentLength: this.maxBytes });
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim();
+      if (!IMAGE_TYPES.test(contentType)) {
+        logger.debug(`Image proxy refused ${contentType || 'untyped'} content`);
+        return null;
+      }
+      return { contentType, data: Buffer.from(response.data) };
+    } catch (error: any) {
+      logger.debug(`Image proxy fetch failed: ${error.code || error.message}`);
+      return null;
+    }
+  }
+}
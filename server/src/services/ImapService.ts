@@ -1,12 +1,22 @@
 import Imap from 'imap';
-import { simpleParser } from 'mailparser';
+import { ParsedMail, simpleParser } from 'mailparser';
 import { EventEmitter } from 'events';
-import { Email, EmailAccount, IEmailAccount } from '../models';
-import { AiService } from './AiService';
-import { NotificationService } from './NotificationService';
+import { Email, EmailAccount, IEmailAccount, IMailboxSyncState, PendingImapAction } from '../models';
+import { QueueService } from './QueueService';
+import { MessageIngestor } from './MessageIngestor';
+import { OAuthService, buildXOAuth2Token } from './OAuthService';
+import { ConnectionManager } from './ConnectionManager';
+import { isEncrypted, revealSecret } from '../utils/crypto';
 import { elasticClient } from '../config/elasticsearch';
-import { indexEmailInElasticsearch, bulkIndexEmails } from '../config/elasticsearch';
+import { bulkIndexEmails } from '../config/elasticsearch';
 import { logger } from '../utils/logger';
+import { DiscoveredMailbox, discoverMailboxes, resolveSyncedMailboxes } from '../utils/mailboxUtils';
+import { withTimeout } from '../utils/promiseUtils';
+import { TlsPolicy, buildTlsOptions, resolveTlsMode } from '../utils/tlsUtils';
+import { fromGmailLabels, toGmailLabel } from '../utils/gmailUtils';
+import { describeAttachmentPart, findAttachmentParts, findTextParts, isSinglePart } from '../utils/messageStructure';
+
+export type RemoteAction = 'read' | 'unread' | 'star' | 'unstar' | 'move' | 'label' | 'unlabel';
 
 interface ImapConnection {
   imap: Imap;
@@ -15,21 +25,67 @@ interface ImapConnection {
   lastActivity: Date;
   errorCount: number;
   isReconnecting: boolean;
+  lock: Promise<unknown>;
+  reconcileTimer?: NodeJS.Timeout;
+  isSyncing?: boolean;
+  failureHandled?: boolean; // the connect timeout and the error event both report a failure
+}
+
+// node-imap's debug hook sees each protocol line before the line is acted on.
+// Before STARTTLS the only command is CAPABILITY, and node-imap logs in as
+// soon as its tagged reply arrives; without STARTTLS on offer the connection
+// is dropped at that reply, which destroy() keeps from being handled.
+function refuseLoginWithoutStarttls(getImap: () => Imap): (line: string) => void {
+  let upgrading = false;
+
+  return (line: string) => {
+    if (upgrading) return;
+
+    if (/^=> 'A\d+ STARTTLS'/.test(line)) {
+      upgrading = true; // from here on node-imap only logs in over TLS
+    } else if (/^<= 'A\d+ /.test(line) && !getImap().serverSupports('STARTTLS')) {
+      const imap = getImap();
+      const error: any = new Error('Server did not offer STARTTLS; refusing to send credentials unencrypted');
+      error.source = 'tls';
+      imap.destroy();
+      imap.emit('error', error);
+    }
+  };
 }
 
 export class ImapService extends EventEmitter {
   private connections: Map<string, ImapConnection> = new Map();
   private reconnectTimeouts: Map<string, NodeJS.Timeout> = new Map();
-  private aiService: AiService;
-  private notificationService: NotificationService;
+  private connecting: Set<string> = new Set(); // includes attempts waiting for a slot
+  private queueService: QueueService;
+  private messageIngestor: MessageIngestor;
+  private oauthService: OAuthService;
+  private connectionManager: ConnectionManager;
   private syncProgress: Map<string, { processed: number; total: number }> = new Map();
-  private maxReconnectAttempts = 3;
-  private reconnectDelay = 30000; // 30 seconds
-
-  constructor(aiService: AiService, notificationService: NotificationService) {
+  private fetchBatchSize = 50;
+  private fetchTimeout = 120000; // 2 minutes per batch
+  private maxActionAttempts = 10;
+  private maxFetchAttempts = 5; // syncs that retry a message that fails to store
+  private flagResyncInterval = 15 * 60 * 1000; // full flag diff without CONDSTORE
+  private maxEmailsPerSync = Number(process.env.MAX_EMAILS_PER_SYNC || 1000);
+  private probeTimeout = 60000;
+  private maxMessageSize = Number(process.env.MAX_MESSAGE_SIZE_MB || 25) * 1024 * 1024;
+  private maxTextPartSize = 2 * 1024 * 1024;
+  private maxBatchBytes = 64 * 1024 * 1024;
+
+  constructor(
+    queueService: QueueService,
+    messageIngestor: MessageIngestor,
+    oauthService: OAuthService,
+    connectionManager: ConnectionManager
+  ) {
     super();
-    this.aiService = aiService;
-    this.notificationService = notificationService;
+    this.queueService = queueService;
+    this.messageIngestor = messageIngestor;
+    this.oauthService = oauthService;
+    this.connectionManager = connectionManager;
+
+    this.queueService.on('emailIngested', (email) => this.emit('emailProcessed', email));
     
     // Handle uncaught errors to prevent crashes
     this.on('error', (error) => {
@@ -45,8 +101,10 @@ export class ImapService extends EventEmitter {
       });
 
       if (existingAccount) {
+        // Re-added or re-authorized by the user: past failures no longer apply
         logger.info(`Account ${accountData.email} already exists, updating connection`);
-        await this.safeConnectToAccount(existingAccount);
+        await this.connectionManager.reset((existingAccount._id as any).toString());
+        await this.safeConnectToAccount(existingAccount, { force: true });
         return existingAccount;
       }
 
@@ -81,14 +139,71 @@ export class ImapService extends EventEmitter {
     }
   }
 
-  private async safeConnectToAccount(account: IEmailAccount): Promise<void> {
+  // Logs in with settings that are not saved yet and lists the mailboxes
+  public async testConnection(
+    config: { host: string; port: number; secure: boolean; user: string; pass?: string; xoauth2?: string },
+    tlsPolicy?: TlsPolicy
+  ): Promise<{ mailboxes: number }> {
+    const imap = this.createImap({
+      user: config.user,
+      password: config.pass || '',
+      xoauth2: config.xoauth2,
+      host: config.host,
+      port: config.port,
+      connTimeout: 30000,
+      authTimeout: 15000
+    }, config.secure, tlsPolicy);
+
+    try {
+      await withTimeout(new Promise<void>((resolve, reject) => {
+        imap.once('ready', () => resolve());
+        imap.on('error', reject); // stays attached: late socket errors must not go unhandled
+        imap.connect();
+      }), 45000, 'Connection timeout');
+
+      const boxes = await new Promise<Imap.MailBoxes>((resolve, reject) => {
+        imap.getBoxes((error, result) => error ? reject(error) : resolve(result));
+      });
+      return { mailboxes: discoverMailboxes(boxes).length };
+    } finally {
+      imap.end();
+    }
+  }
+
+  // Logs in with a saved account's settings on a connection of its own,
+  // leaving the account's live connection alone
+  public async testAccount(account: IEmailAccount): Promise<{ mailboxes: number }> {
+    const accountId = (account._id as any).toString();
+    const xoauth2 = account.authType === 'oauth2'
+      ? buildXOAuth2Token(account.imapConfig.user, await this.oauthService.getAccessToken(accountId))
+      : undefined;
+
+    return this.testConnection({
+      host: account.imapConfig.host,
+      port: account.imapConfig.port,
+      secure: account.imapConfig.secure,
+      user: account.imapConfig.user,
+      pass: await this.resolvePassword(account),
+      xoauth2
+    }, account.tlsPolicy);
+  }
+
+  // Automatic attempts respect the account's backoff and circuit breaker;
+  // `force` is for attempts the user asked for
+  private async safeConnectToAccount(account: IEmailAccount, options: { force?: boolean } = {}): Promise<void> {
     const accountId = (account._id as any).toString();
+
+    // Check if already connecting
+    const existingConnection = this.connections.get(accountId);
+    if (existingConnection?.isReconnecting || this.connecting.has(accountId)) {
+      logger.info(`Already connecting to ${account.email}, skipping...`);
+      return;
+    }
+    this.connecting.add(accountId);
     
     try {
-      // Check if already connecting
-      const existingConnection = this.connections.get(accountId);
-      if (existingConnection?.isReconnecting) {
-        logger.info(`Already connecting to ${account.email}, skipping...`);
+      if (!options.force && !(await this.connectionManager.allowAttempt(accountId))) {
+        logger.debug(`Connection to ${account.email} held back by backoff or circuit breaker`);
         return;
       }
 
@@ -97,72 +212,131 @@ export class ImapService extends EventEmitter {
         await this.safeDisconnectAccount(accountId);
       }
 
-      logger.info(`Connecting to IMAP for ${account.email}...`);
-      
-      const imap = new Imap({
-        user: account.imapConfig.user,
-        password: account.imapConfig.pass,
-        host: account.imapConfig.host,
-        port: account.imapConfig.port,
-        tls: account.imapConfig.secure,
-        tlsOptions: { 
-          rejectUnauthorized: false,
-          servername: account.imapConfig.host
-        },
-        connTimeout: 30000,
-        authTimeout: 15000,
-        keepalive: {
-          interval: 10000,
-          idleInterval: 300000,
-          forceNoop: true
-        }
-      });
+      await this.connectionManager.withSlot(account.imapConfig.host, async () => {
+        logger.info(`Connecting to IMAP for ${account.email}...`);
 
-      const connection: ImapConnection = {
-        imap,
-        account,
-        isConnected: false,
-        lastActivity: new Date(),
-        errorCount: 0,
-        isReconnecting: true
-      };
+        const xoauth2 = account.authType === 'oauth2'
+          ? buildXOAuth2Token(account.imapConfig.user, await this.oauthService.getAccessToken(accountId))
+          : undefined;
+        
+        const imap = this.createImap({
+          user: account.imapConfig.user,
+          password: await this.resolvePassword(account),
+          xoauth2,
+          host: account.imapConfig.host,
+          port: account.imapConfig.port,
+          connTimeout: 30000,
+          authTimeout: 15000,
+          keepalive: {
+            interval: 10000,
+            idleInterval: 300000,
+            forceNoop: true
+          }
+        }, account.imapConfig.secure, account.tlsPolicy);
+
+        const connection: ImapConnection = {
+          imap,
+          account,
+          isConnected: false,
+          lastActivity: new Date(),
+          errorCount: 0,
+          isReconnecting: true,
+          lock: Promise.resolve()
+        };
 
-      this.connections.set(accountId, connection);
-      this.setupSafeImapEventHandlers(connection, accountId);
-      
-      // Connect with timeout protection
-      const connectPromise = new Promise<void>((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Connection timeout'));
-        }, 45000); // 45 second timeout
+        this.connections.set(accountId, connection);
+        this.setupSafeImapEventHandlers(connection, accountId);
+        
+        // Connect with timeout protection
+        await new Promise<void>((resolve, reject) => {
+          const timeout = setTimeout(() => {
+            reject(new Error('Connection timeout'));
+          }, 45000); // 45 second timeout
 
-        imap.once('ready', () => {
-          clearTimeout(timeout);
-          resolve();
-        });
+          imap.once('ready', () => {
+            clearTimeout(timeout);
+            resolve();
+          });
 
-        imap.once('error', (error: any) => {
-          clearTimeout(timeout);
-          reject(error);
-        });
+          imap.once('error', (error: any) => {
+            clearTimeout(timeout);
+            reject(error);
+          });
 
-        imap.connect();
+          imap.connect();
+        });
       });
 
-      await connectPromise;
-
     } catch (error: any) {
       logger.error(`Failed to connect to ${account.email}:`, error.message);
-      await this.updateAccountStatus(account, 'error', error.message);
-      
-      // Schedule reconnection if not too many failures
+
+      // A timed-out attempt must not come up later behind the retry's back
       const connection = this.connections.get(accountId);
-      if (connection && connection.errorCount < this.maxReconnectAttempts) {
-        this.scheduleReconnection(accountId, this.reconnectDelay);
+      if (connection && !connection.failureHandled && !connection.isConnected) {
+        connection.imap.destroy();
+      }
+      await this.handleConnectionFailure(accountId, connection, error);
+    } finally {
+      this.connecting.delete(accountId);
+    }
+  }
+
+  // Records the failure on the account's circuit breaker and schedules the
+  // next attempt, if the breaker allows one
+  private async handleConnectionFailure(accountId: string, connection: ImapConnection | undefined, error: any): Promise<void> {
+    if (connection) {
+      if (connection.failureHandled) return;
+      connection.failureHandled = true;
+      connection.isConnected = false;
+      connection.isReconnecting = false;
+      connection.errorCount++;
+    }
+
+    try {
+      const account = connection?.account || await EmailAccount.findById(accountId);
+      if (!account) return;
+
+      await this.updateAccountStatus(account, 'error', error.message);
+      const delay = await this.connectionManager.recordFailure(accountId, error);
+      if (delay !== null) {
+        logger.info(`Scheduling reconnection for ${account.email} in ${Math.round(delay / 1000)}s`);
+        this.scheduleReconnection(accountId, delay);
       }
+    } catch (handlerError: any) {
+      logger.error(`Failed to record connection failure for ${accountId}:`, handlerError.message);
     }
   }
 
+  // Applies the account's TLS policy. With STARTTLS, node-imap logs in over
+  // plaintext when the server does not offer the upgrade, so credentials are
+  // held back until the socket is encrypted.
+  private createImap(config: Imap.Config, secure: boolean, tlsPolicy?: TlsPolicy): Imap {
+    const mode = resolveTlsMode(secure, tlsPolicy);
+    const imap: Imap = new Imap({
+      ...config,
+      tls: mode === 'implicit',
+      autotls: mode === 'starttls' ? 'always' : 'never',
+      tlsOptions: mode === 'none' ? undefined : buildTlsOptions(config.host!, tlsPolicy),
+      debug: mode === 'starttls' ? refuseLoginWithoutStarttls(() => imap) : config.debug
+    });
+
+    return imap;
+  }
+
+  // The only place a stored IMAP password is decrypted. Passwords saved
+  // before encryption was introduced are encrypted in place on first use.
+  private async resolvePassword(account: IEmailAccount): Promise<string> {
+    const stored = account.imapConfig.pass;
+
+    if (stored && !isEncrypted(stored)) {
+      // The schema setter encrypts it
+      await EmailAccount.updateOne({ _id: account._id }, { 'imapConfig.pass': stored });
+      logger.info(`🔒 Encrypted legacy plaintext password for ${account.email}`);
+    }
+
+    return revealSecret(stored);
+  }
+
   private setupSafeImapEventHandlers(connection: ImapConnection, accountId: string): void {
     const { imap, account } = connection;
 
@@ -177,6 +351,9 @@ export class ImapService extends EventEmitter {
         this.updateAccountStatus(account, 'connected').catch(err => 
           logger.error('Failed to update status:', err.message)
         );
+        this.connectionManager.recordSuccess(accountId).catch(err =>
+          logger.error('Failed to reset circuit breaker:', err.message)
+        );
         
         this.safeSyncEmails(connection).catch(err => 
           logger.error('Failed to sync emails:', err.message)
@@ -188,26 +365,19 @@ export class ImapService extends EventEmitter {
 
     imap.once('error', (error: any) => {
       try {
-        connection.errorCount++;
-        connection.isReconnecting = false;
         logger.error(`IMAP error for ${account.email}:`, {
           message: error.message,
           code: error.code,
           errno: error.errno,
           source: error.source
         });
-        
-        this.updateAccountStatus(account, 'error', error.message).catch(err => 
-          logger.error('Failed to update status:', err.message)
-        );
-        
-        // Don't crash - schedule reconnection instead
-        if (connection.errorCount < this.maxReconnectAttempts) {
-          const delay = this.reconnectDelay * connection.errorCount;
-          logger.info(`Scheduling reconnection for ${account.email} in ${delay}ms (attempt ${connection.errorCount})`);
-          this.scheduleReconnection(accountId, delay);
+
+        // Don't crash - back off and reconnect instead. A connection that
+        // was already replaced has nothing left to retry.
+        if (this.connections.get(accountId) === connection) {
+          this.handleConnectionFailure(accountId, connection, error);
         } else {
-          logger.error(`Too many errors for ${account.email}, giving up`);
+          connection.failureHandled = true;
         }
       } catch (handlerError: any) {
         logger.error('Error in error handler:', handlerError.message);
@@ -218,11 +388,14 @@ export class ImapService extends EventEmitter {
       try {
         connection.isConnected = false;
         connection.isReconnecting = false;
+        this.clearConnectionTimers(connection);
         logger.info(`IMAP connection ended for ${account.email}`);
         
-        // Only reconnect if not in error state
-        if (account.syncStatus !== 'error' && connection.errorCount < this.maxReconnectAttempts) {
-          this.scheduleReconnection(accountId, this.reconnectDelay);
+        // Failures schedule their own retry; a clean close by the server
+        // reconnects after a short jittered delay
+        const isCurrent = this.connections.get(accountId) === connection;
+        if (isCurrent && !connection.failureHandled) {
+          this.scheduleReconnection(accountId, this.connectionManager.backoffDelay(1));
         }
       } catch (error: any) {
         logger.error('Error in end handler:', error.message);
@@ -239,127 +412,439 @@ export class ImapService extends EventEmitter {
         logger.error('Error in mail handler:', error.message);
       }
     });
+
+    // Unsolicited FETCH/EXPUNGE responses for the selected mailbox (INBOX)
+    const onRemoteChange = () => {
+      if (connection.reconcileTimer) clearTimeout(connection.reconcileTimer);
+      connection.reconcileTimer = setTimeout(() => {
+        connection.reconcileTimer = undefined;
+        this.runExclusive(connection, () =>
+          this.reconcileMailbox(connection, { path: 'INBOX', folder: 'inbox' })
+        ).catch(err => logger.error('Failed to reconcile INBOX:', err.message));
+      }, 5000);
+    };
+    imap.on('update', onRemoteChange);
+    imap.on('expunge', onRemoteChange);
   }
 
-  private async safeSyncEmails(connection: ImapConnection): Promise<void> {
-    const { imap, account } = connection;
+  private clearConnectionTimers(connection: ImapConnection): void {
+    if (connection.reconcileTimer) clearTimeout(connection.reconcileTimer);
+    connection.reconcileTimer = undefined;
+  }
+
+  // Full pass over the account's mailboxes. Returns the number of messages
+  // fetched, which reaches the account's per-sync budget when more remain.
+  private async safeSyncEmails(connection: ImapConnection): Promise<number> {
+    const { account } = connection;
     const accountId = (account._id as any).toString();
 
     try {
+      connection.isSyncing = true;
       await this.updateAccountStatus(account, 'syncing');
 
-      return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Sync timeout'));
-        }, 120000); // 2 minute timeout
+      const settings = (await EmailAccount.findById(accountId).select('syncSettings'))?.syncSettings;
+      const budget = settings?.maxEmailsPerSync || this.maxEmailsPerSync;
 
-        imap.openBox('INBOX', true, async (err: any, box: any) => {
-          if (err) {
-            clearTimeout(timeout);
-            logger.error(`Failed to open INBOX for ${account.email}:`, err.message);
-            await this.updateAccountStatus(account, 'error', err.message);
-            reject(err);
-            return;
-          }
+      const processed = await this.connectionManager.withSlot(account.imapConfig.host, () => this.runExclusive(connection, async () => {
+        const mailboxes = await this.discoverAccountMailboxes(connection);
+        let total = 0;
 
+        // Reconcile everywhere first so messages moved between mailboxes on
+        // the server are released before their new UIDs are fetched.
+        for (const mailbox of mailboxes) {
           try {
-            const totalMessages = box.messages.total;
-            if (totalMessages === 0) {
-              clearTimeout(timeout);
-              logger.info(`No messages in INBOX for ${account.email}`);
-              await this.updateAccountStatus(account, 'completed');
-              resolve();
-              return;
-            }
-
-            // Sync recent emails (last 150 or all if less)
-            const limit = Math.min(totalMessages, 150);
-            const start = Math.max(1, totalMessages - limit + 1);
-            
-            logger.info(`Syncing ${limit} emails for ${account.email} (${start}:${totalMessages})`);
-            
-            this.syncProgress.set(accountId, { processed: 0, total: limit });
-
-            const fetch = imap.fetch(`${start}:${totalMessages}`, {
-              bodies: '',
-              struct: true,
-              envelope: true
-            });
-
-            let processed = 0;
-
-            fetch.on('message', (msg: any, seqno: number) => {
-              this.safeProcessMessage(msg, account, seqno).then(() => {
-                processed++;
-                this.syncProgress.set(accountId, { processed, total: limit });
-                
-                if (processed === limit) {
-                  clearTimeout(timeout);
-                  logger.info(`Completed syncing ${processed} emails for ${account.email}`);
-                  this.updateAccountSyncStats(account, processed, 0);
-                  this.updateAccountStatus(account, 'completed');
-                  resolve();
-                }
-              }).catch((error) => {
-                logger.error(`Error processing message ${seqno} for ${account.email}:`, error.message);
-              });
-            });
-
-            fetch.once('error', async (error: any) => {
-              clearTimeout(timeout);
-              logger.error(`Fetch error for ${account.email}:`, error.message);
-              await this.updateAccountStatus(account, 'error', error.message);
-              reject(error);
-            });
-
-            fetch.once('end', async () => {
-              if (processed === limit) {
-                clearTimeout(timeout);
-                
-                // Bulk index all processed emails
-                try {
-                  const allProcessedEmails = await Email.find({
-                    accountId: accountId,
-                    receivedDate: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
-                  }).limit(processed);
-                  
-                  await this.bulkIndexEmailsInElasticsearch(allProcessedEmails);
-                } catch (bulkError: any) {
-                  logger.debug('Bulk indexing after sync failed:', bulkError.message);
-                }
-                
-                logger.info(`Completed syncing ${processed} emails for ${account.email}`);
-                this.updateAccountSyncStats(account, processed, 0);
-                this.updateAccountStatus(account, 'completed');
-                resolve();
-              }
-            });
+            await this.reconcileMailbox(connection, mailbox);
+          } catch (error: any) {
+            logger.error(`Failed to reconcile ${mailbox.path} for ${account.email}:`, error.message);
+          }
+        }
 
+        // INBOX spends the budget first; it is reselected afterwards for IDLE
+        const byPriority = [...mailboxes].sort((a, b) => Number(b.folder === 'inbox') - Number(a.folder === 'inbox'));
+        for (const mailbox of byPriority) {
+          if (total >= budget) break;
+          try {
+            total += await this.syncMailbox(connection, mailbox, budget - total);
           } catch (error: any) {
-            clearTimeout(timeout);
-            logger.error(`Sync error for ${account.email}:`, error.message);
-            await this.updateAccountStatus(account, 'error', error.message);
-            reject(error);
+            logger.error(`Failed to sync ${mailbox.path} for ${account.email}:`, error.message);
+            if (mailbox.folder === 'inbox') throw error;
           }
-        });
-      });
+        }
+
+        await this.openMailbox(connection.imap, 'INBOX', false);
+        return total;
+      }));
+
+      await this.flushPendingActions(accountId);
+
+      logger.info(`Completed syncing ${processed} emails for ${account.email}`);
+      await this.updateAccountSyncStats(account, processed, 0);
+      await this.updateAccountStatus(account, 'completed');
+      return processed;
     } catch (error: any) {
       logger.error(`Sync error for ${account.email}:`, error.message);
+      this.syncProgress.delete(accountId);
       await this.updateAccountStatus(account, 'error', error.message);
       throw error;
+    } finally {
+      connection.isSyncing = false;
     }
   }
 
-  private async safeProcessMessage(msg: any, account: IEmailAccount, seqno: number): Promise<void> {
+  // Lists the server's mailboxes, stores the folder mapping on the account and
+  // returns the ones selected for sync (INBOX last).
+  private async discoverAccountMailboxes(connection: ImapConnection): Promise<DiscoveredMailbox[]> {
+    const { imap, account } = connection;
+
+    const boxes = await new Promise<Imap.MailBoxes>((resolve, reject) => {
+      imap.getBoxes((err: any, result: Imap.MailBoxes) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(result);
+      });
+    });
+
+    const discovered = discoverMailboxes(boxes);
+    const updated = await EmailAccount.findByIdAndUpdate(
+      account._id,
+      { remoteMailboxes: discovered },
+      { new: true }
+    ).select('syncSettings');
+
+    const mailboxes = resolveSyncedMailboxes(discovered, updated?.syncSettings?.mailboxes);
+    logger.info(`Syncing mailboxes for ${account.email}: ${mailboxes.map(mailbox => mailbox.path).join(', ')}`);
+    return mailboxes;
+  }
+
+  // Incremental sync of one mailbox: only UIDs above the stored checkpoint are
+  // fetched, and a UIDVALIDITY change invalidates the checkpoint entirely.
+  // At most `budget` messages are fetched; the rest wait for the next run.
+  private async syncMailbox(connection: ImapConnection, mailbox: DiscoveredMailbox, budget = Infinity): Promise<number> {
+    const { imap, account } = connection;
+    const accountId = (account._id as any).toString();
+    const { path } = mailbox;
+
+    const box = await this.openMailbox(imap, path, false);
+    const state = await this.getMailboxState(accountId, path);
+    let lastUid = state?.lastFetchedUid || 0;
+
+    if (state?.uidValidity && state.uidValidity !== box.uidvalidity) {
+      logger.warn(`UIDVALIDITY changed for ${account.email} ${path} (${state.uidValidity} -> ${box.uidvalidity}), running full resync`);
+      await Email.updateMany({ accountId, mailbox: path }, { $unset: { uid: 1 } });
+      await EmailAccount.updateOne(
+        { _id: accountId, 'syncStats.mailboxes.path': path },
+        { $unset: { 'syncStats.mailboxes.$.highestModseq': 1, 'syncStats.mailboxes.$.lastFlagSyncAt': 1 } }
+      );
+      lastUid = 0;
+    }
+
+    if (box.messages.total === 0 || box.uidnext <= lastUid + 1) {
+      logger.info(`No new messages in ${path} for ${account.email}`);
+      await this.saveMailboxState(accountId, path, { uidValidity: box.uidvalidity, lastFetchedUid: lastUid });
+      return 0;
+    }
+
+    // "UID n:*" always matches the highest UID, even when it is below n
+    const uids = (await this.searchUids(imap, [['UID', `${lastUid + 1}:*`]]))
+      .filter(uid => uid > lastUid)
+      .sort((a, b) => a - b)
+      .slice(0, budget);
+
+    if (uids.length === 0) {
+      await this.saveMailboxState(accountId, path, { uidValidity: box.uidvalidity, lastFetchedUid: lastUid });
+      return 0;
+    }
+
+    logger.info(`Syncing ${uids.length} emails for ${account.email} (${path} UID ${uids[0]}:${uids[uids.length - 1]})`);
+    this.syncProgress.set(accountId, { processed: 0, total: uids.length });
+
+    let processed = 0;
+    for (let i = 0; i < uids.length; i += this.fetchBatchSize) {
+      const batch = uids.slice(i, i + this.fetchBatchSize);
+      const toFetch = await this.filterKnownMessages(imap, accountId, mailbox, batch);
+      const regular = toFetch.filter(message => message.size <= this.maxMessageSize);
+      const oversized = toFetch.filter(message => message.size > this.maxMessageSize).map(message => message.uid);
+      const failed: number[] = [];
+
+      // Cap the bytes parsed concurrently, not just the message count
+      for (const group of this.groupBySize(regular, this.maxBatchBytes)) {
+        await this.fetchMessages(imap, group, { bodies: '', struct: true, size: true }, (msg) =>
+          this.safeProcessMessage(msg, account, mailbox).catch((error: any) => {
+            // A failure without a UID cannot be pinned down: the group is retried
+            failed.push(...(error.uid ? [error.uid] : group));
+          })
+        );
+      }
+
+      for (const uid of oversized) {
+        try {
+          await this.processOversizedMessage(imap, account, mailbox, uid);
+        } catch (error: any) {
+          logger.error(`Error processing oversized message ${uid} for ${account.email}:`, error.message);
+          failed.push(uid);
+        }
+      }
+
+      if (failed.length > 0) {
+        const firstFailed = Math.min(...failed);
+        const attempts = state?.failedUid === firstFailed ? (state.failedAttempts || 0) + 1 : 1;
+
+        if (attempts < this.maxFetchAttempts) {
+          // The checkpoint stops before the failed message, so the next sync
+          // fetches it again; messages after it are re-mapped by Message-ID
+          logger.warn(`UID ${firstFailed} in ${path} for ${account.email} could not be stored (attempt ${attempts}), will retry`);
+          processed += batch.filter(uid => uid < firstFailed).length;
+          await this.saveMailboxState(accountId, path, {
+            uidValidity: box.uidvalidity,
+            lastFetchedUid: firstFailed - 1,
+            failedUid: firstFailed,
+            failedAttempts: attempts
+          });
+          return processed;
+        }
+
+        logger.error(`Giving up on UID ${firstFailed} in ${path} for ${account.email} after ${attempts} attempts`);
+      }
+
+      processed += batch.length;
+      lastUid = batch[batch.length - 1];
+      await this.saveMailboxState(accountId, path, {
+        uidValidity: box.uidvalidity,
+        lastFetchedUid: lastUid,
+        failedUid: undefined,
+        failedAttempts: undefined
+      });
+      this.syncProgress.set(accountId, { processed, total: uids.length });
+    }
+
+    return processed;
+  }
+
+  // Pulls flag changes and expunges made by other clients for messages we
+  // already have. With CONDSTORE only messages changed since the stored
+  // HIGHESTMODSEQ are fetched; otherwise flags are diffed in full at most
+  // every flagResyncInterval. node-imap cannot ENABLE QRESYNC, so expunges
+  // are found by diffing the server's UID set against ours.
+  private async reconcileMailbox(connection: ImapConnection, mailbox: DiscoveredMailbox): Promise<void> {
+    const { imap, account } = connection;
+    const accountId = (account._id as any).toString();
+    const { path } = mailbox;
+
+    const state = await this.getMailboxState(accountId, path);
+    if (!state?.lastFetchedUid) return;
+
+    const box = await this.openMailbox(imap, path, false);
+    if (state.uidValidity !== box.uidvalidity) return; // syncMailbox handles the full resync
+
+    const lastUid = state.lastFetchedUid;
+    const update: Partial<IMailboxSyncState> = {};
+    const condstore = imap.serverSupports('CONDSTORE') && !!box.highestmodseq;
+
+    let fetchFlags: boolean;
+    let changedSince: string | undefined;
+    if (condstore) {
+      fetchFlags = state.highestModseq !== box.highestmodseq;
+      changedSince = state.highestModseq || undefined;
+      update.highestModseq = box.highestmodseq;
+    } else {
+      fetchFlags = Date.now() - (state.lastFlagSyncAt?.getTime() || 0) >= this.flagResyncInterval;
+    }
+
+    if (fetchFlags && box.messages.total > 0) {
+      const flagsByUid = new Map<number, string[]>();
+      const labelsByUid = new Map<number, string[]>(); // Gmail only
+      const options: Imap.FetchOptions = changedSince ? { modifiers: { changedsince: changedSince } } : {};
+
+      await this.fetchMessages(imap, `1:${lastUid}`, options, (msg) =>
+        new Promise<void>((resolve) => {
+          msg.once('attributes', (attrs: any) => {
+            flagsByUid.set(attrs.uid, attrs.flags || []);
+            if (attrs['x-gm-labels']) {
+              labelsByUid.set(attrs.uid, fromGmailLabels(attrs['x-gm-labels']));
+            }
+          });
+          msg.once('end', () => resolve());
+        })
+      );
+
+      await this.applyRemoteFlags(accountId, path, flagsByUid, labelsByUid);
+      update.lastFlagSyncAt = new Date();
+    }
+
+    const present = box.messages.total > 0
+      ? await this.searchUids(imap, [['UID', `1:${lastUid}`]])
+      : [];
+    await this.markVanishedMessages(accountId, path, lastUid, present);
+
+    await this.saveMailboxState(accountId, path, update);
+  }
+
+  private async applyRemoteFlags(
+    accountId: string,
+    path: string,
+    flagsByUid: Map<number, string[]>,
+    labelsByUid: Map<number, string[]> = new Map()
+  ): Promise<void> {
+    if (flagsByUid.size === 0) return;
+
+    // Local changes not yet pushed to the server win over remote state
+    const pendingEmailIds = new Set<string>(
+      await PendingImapAction.find({ accountId, status: 'pending' }).distinct('emailId')
+    );
+
+    const uids = Array.from(flagsByUid.keys());
+    let changed = 0;
+
+    for (let i = 0; i < uids.length; i += 1000) {
+      const emails = await Email.find({ accountId, mailbox: path, uid: { $in: uids.slice(i, i + 1000) } })
+        .select('uid isRead isStarred flags labels');
+
+      for (const email of emails) {
+        if (pendingEmailIds.has((email._id as any).toString())) continue;
+
+        const flags = flagsByUid.get(email.uid!) || [];
+        const isRead = flags.includes('\\Seen');
+        const isStarred = flags.includes('\\Flagged');
+        const actions: any[] = [];
+
+        if (isRead !== email.isRead) {
+          actions.push({ type: isRead ? 'read' : 'unread', timestamp: new Date(), metadata: { source: 'remote' } });
+        }
+        if (isStarred !== email.isStarred) {
+          actions.push({ type: isStarred ? 'star' : 'unstar', timestamp: new Date(), metadata: { source: 'remote' } });
+        }
+
+        const sameFlags = flags.length === email.flags.length && flags.every(flag => email.flags.includes(flag));
+        const labels = labelsByUid.get(email.uid!);
+        const sameLabels = !labels || (labels.length === email.labels.length && labels.every(label => email.labels.includes(label)));
+        if (actions.length === 0 && sameFlags && sameLabels) continue;
+
+        await Email.updateOne({ _id: email._id }, {
+          isRead,
+          isStarred,
+          flags,
+          ...(labels ? { labels } : {}),
+          ...(actions.length > 0 ? { lastActionAt: new Date(), $push: { actions: { $each: actions } } } : {})
+        });
+        changed += actions.length > 0 ? 1 : 0;
+      }
+    }
+
+    if (changed > 0) {
+      logger.info(`Applied remote flag changes to ${changed} emails in ${path}`);
+    }
+  }
+
+  private async markVanishedMessages(accountId: string, path: string, lastUid: number, present: number[]): Promise<void> {
+    const presentUids = new Set(present);
+    const local = await Email.find({ accountId, mailbox: path, uid: { $exists: true, $lte: lastUid } })
+      .select('uid')
+      .lean();
+
+    const vanished = local.filter(email => !presentUids.has(email.uid!)).map(email => email._id);
+    if (vanished.length === 0) return;
+
+    logger.info(`${vanished.length} emails were removed from ${path} on the server`);
+
+    // The UID is dropped so a later sync can re-map the message if it was
+    // moved to another mailbox rather than deleted.
+    await Email.updateMany({ _id: { $in: vanished } }, {
+      folder: 'deleted',
+      isDeleted: true,
+      lastActionAt: new Date(),
+      $unset: { uid: 1 },
+      $push: { actions: { type: 'delete', timestamp: new Date(), metadata: { source: 'remote', mailbox: path } } }
+    });
+  }
+
+  // Fetches only the Message-ID header for a batch of UIDs so messages we
+  // already store are re-mapped to their UID instead of being re-downloaded.
+  private async filterKnownMessages(
+    imap: Imap,
+    accountId: string,
+    mailbox: DiscoveredMailbox,
+    uids: number[]
+  ): Promise<{ uid: number; size: number }[]> {
+    const messageIds = new Map<number, string>();
+    const sizes = new Map<number, number>();
+
+    await this.fetchMessages(imap, uids, { bodies: 'HEADER.FIELDS (MESSAGE-ID)', size: true }, (msg) =>
+      new Promise<void>((resolve) => {
+        let header = '';
+        let uid = 0;
+
+        msg.on('body', (stream: any) => {
+          stream.on('data', (chunk: Buffer) => {
+            header += chunk.toString('utf8');
+          });
+        });
+        msg.once('attributes', (attrs: any) => {
+          uid = attrs.uid;
+          sizes.set(attrs.uid, attrs.size || 0);
+        });
+        msg.once('end', () => {
+          const messageId = Imap.parseHeader(header)['message-id']?.[0]?.trim();
+          if (uid && messageId) {
+            messageIds.set(uid, messageId);
+          }
+          resolve();
+        });
+      })
+    );
+
+    if (messageIds.size === 0) {
+      return uids.map(uid => ({ uid, size: sizes.get(uid) || 0 }));
+    }
+
+    const existing = await Email.find(
+      { accountId, messageId: { $in: Array.from(messageIds.values()) } },
+      { messageId: 1, mailbox: 1, uid: 1, folder: 1 }
+    ).lean();
+    const existingById = new Map(existing.map(email => [email.messageId, email]));
+
+    const toFetch: { uid: number; size: number }[] = [];
+    for (const uid of uids) {
+      const known = existingById.get(messageIds.get(uid) || '');
+      if (!known) {
+        toFetch.push({ uid, size: sizes.get(uid) || 0 });
+        continue;
+      }
+
+      if (known.mailbox === mailbox.path) {
+        await Email.updateOne({ _id: known._id }, { uid });
+      } else if (!known.uid) {
+        // Released by a move (ours or another client's): adopt the new location
+        const folder = mailbox.folder || 'archive';
+        await Email.updateOne({ _id: known._id }, {
+          mailbox: mailbox.path,
+          uid,
+          folder,
+          isDeleted: false,
+          ...(known.folder !== folder
+            ? { $push: { actions: { type: 'move', timestamp: new Date(), metadata: { source: 'remote', targetFolder: folder } } } }
+            : {})
+        });
+      }
+    }
+
+    return toFetch;
+  }
+
+  // Rejects with the error, tagged with the message's UID, when the message
+  // could not be parsed or stored
+  private async safeProcessMessage(msg: any, account: IEmailAccount, mailbox: DiscoveredMailbox): Promise<void> {
     return new Promise((resolve, reject) => {
-      let buffer = '';
+      let parsing: Promise<ParsedMail> | null = null;
       let attributes: any = null;
 
       try {
+        // The raw body stream goes straight into the MIME parser, so 8-bit and
+        // binary parts are never round-tripped through a JS string.
         msg.on('body', (stream: any) => {
-          stream.on('data', (chunk: any) => {
-            buffer += chunk.toString('utf8');
-          });
+          parsing = simpleParser(stream);
+          parsing.catch(() => undefined);
         });
 
         msg.once('attributes', (attrs: any) => {
@@ -368,101 +853,16 @@ export class ImapService extends EventEmitter {
 
         msg.once('end', async () => {
           try {
-            const parsed = await simpleParser(buffer);
-            const messageId = parsed.messageId || `${account._id}-${seqno}-${Date.now()}`;
-            
-            const existingEmail = await Email.findOne({ messageId });
-            if (existingEmail) {
-              resolve();
-              return;
-            }
-
-            const emailDoc: any = {
-              accountId: (account._id as any).toString(),
-              messageId,
-              from: {
-                address: Array.isArray(parsed.from) 
-                  ? parsed.from[0]?.address || ''
-                  : parsed.from?.value?.[0]?.address || '',
-                name: Array.isArray(parsed.from)
-                  ? parsed.from[0]?.name || ''
-                  : parsed.from?.value?.[0]?.name || ''
-              },
-              to: Array.isArray(parsed.to) 
-                ? parsed.to.map((addr: any) => ({
-                    address: addr.address,
-                    name: addr.name
-                  }))
-                : parsed.to?.value?.map((addr: any) => ({
-                    address: addr.address,
-                    name: addr.name
-                  })) || [],
-              subject: parsed.subject || 'No subject',
-              textBody: parsed.text || 'No text content',
-              htmlBody: parsed.html || '',
-              folder: 'inbox',
-              isRead: attributes?.flags?.includes('\\Seen') || false,
-              receivedDate: parsed.date || new Date(),
-              aiProcessed: false
-            };
-
-            if (parsed.attachments && parsed.attachments.length > 0) {
-              emailDoc.attachments = parsed.attachments.map((att: any) => ({
-                filename: att.filename,
-                contentType: att.contentType,
-                size: att.size,
-                contentId: att.cid
-              }));
-            }
-
-            // Safe AI classification
-            try {
-              const aiResult = await this.aiService.classifyEmail(emailDoc);
-              emailDoc.aiCategory = aiResult.category;
-              emailDoc.aiConfidence = aiResult.confidence;
-              emailDoc.aiProcessed = true;
-              
-              // Add LLM-based sales insights
-              if (aiResult.salesInsights) {
-                emailDoc.aiInsights = {
-                  sentiment: aiResult.salesInsights.intent === 'ready_to_buy' ? 'positive' : 'neutral',
-                  urgency: aiResult.salesInsights.urgency,
-                  intent: aiResult.salesInsights.intent,
-                  keyTopics: aiResult.salesInsights.buyingSignals || [],
-                  suggestedResponse: aiResult.salesInsights.nextAction
-                };
-              }
-            } catch (aiError: any) {
-              logger.debug('AI classification failed, using fallback:', aiError.message);
-              emailDoc.aiCategory = 'interested';
-              emailDoc.aiConfidence = 0.3;
-              emailDoc.aiProcessed = false;
+            if (!parsing) {
+              throw new Error(`No body received for UID ${attributes?.uid}`);
             }
 
-            const savedEmail = await Email.create(emailDoc);
-            
-            // Safe Elasticsearch indexing
-            try {
-              await this.indexEmailInElasticsearch(savedEmail);
-            } catch (esError: any) {
-              logger.debug('Elasticsearch indexing failed:', esError.message);
-            }
-
-            // Safe notifications
-            try {
-              if (['interested', 'meeting_booked'].includes(emailDoc.aiCategory)) {
-                await this.notificationService.processInterestedEmail(savedEmail);
-              }
-            } catch (notifError: any) {
-              logger.debug('Notification failed:', notifError.message);
-            }
-
-            this.emit('emailProcessed', savedEmail);
+            const parsed = await parsing;
+            await this.saveParsedMessage(parsed, account, mailbox, attributes);
             resolve();
-            
           } catch (error: any) {
             logger.error(`Error processing message for ${account.email}:`, error.message);
-            reject(error);
+            reject(Object.assign(error, { uid: attributes?.uid }));
           }
         });
 
@@ -473,43 +873,538 @@ export class ImapService extends EventEmitter {
     });
   }
 
+  // Messages above maxMessageSize are stored from their header and text parts
+  // only; attachment parts are recorded by section so they can be fetched
+  // on demand instead of being held in memory during sync.
+  private async processOversizedMessage(imap: Imap, account: IEmailAccount, mailbox: DiscoveredMailbox, uid: number): Promise<void> {
+    let header = Buffer.alloc(0);
+    let attributes: any = null;
+
+    await this.fetchMessages(imap, [uid], { bodies: 'HEADER', struct: true, size: true }, (msg) =>
+      this.collectSections(msg).then(({ sections, attrs }) => {
+        header = sections.get('HEADER') || header;
+        attributes = attrs;
+      })
+    );
+
+    if (!attributes) return;
+
+    const struct = attributes.struct || [];
+    const textParts = findTextParts(struct).filter(part => (part.size || 0) <= this.maxTextPartSize);
+    const singlePart = isSinglePart(struct);
+    let text: string | undefined;
+    let html: string | undefined;
+
+    if (textParts.length > 0) {
+      const bodies = singlePart ? ['TEXT'] : textParts.flatMap(part => [`${part.partID}.MIME`, part.partID]);
+      let sections = new Map<string, Buffer>();
+
+      await this.fetchMessages(imap, [uid], { bodies }, (msg) =>
+        this.collectSections(msg).then(result => {
+          sections = result.sections;
+        })
+      );
+
+      for (const part of textParts) {
+        const partHeader = singlePart ? header : sections.get(`${part.partID}.MIME`);
+        const partBody = singlePart ? sections.get('TEXT') : sections.get(part.partID);
+        if (!partHeader || !partBody) continue;
+
+        const parsedPart = await simpleParser(Buffer.concat([partHeader, partBody]));
+        if (part.subtype.toLowerCase() === 'html') {
+          html = html || (parsedPart.html || undefined);
+        } else {
+          text = text || parsedPart.text;
+        }
+      }
+    }
+
+    const parsed = await simpleParser(header);
+    parsed.text = text;
+    parsed.html = html || false;
+    parsed.attachments = [];
+
+    logger.info(`Stored oversized message UID ${uid} (${attributes.size} bytes) for ${account.email} without attachment bodies`);
+
+    await this.saveParsedMessage(parsed, account, mailbox, attributes, {
+      bodyStatus: textParts.length > 0 ? 'partial' : 'headers_only',
+      attachments: findAttachmentParts(struct).map(describeAttachmentPart)
+    });
+  }
+
+  // Downloads one attachment part of a stored message, e.g. one that was
+  // skipped because the message exceeded maxMessageSize
+  public async fetchAttachmentContent(
+    email: { accountId: string; mailbox?: string; uid?: number },
+    partId: string
+  ): Promise<Buffer | null> {
+    const connection = this.connections.get(email.accountId);
+    if (!connection?.isConnected || !email.mailbox || !email.uid) return null;
+
+    const { imap } = connection;
+
+    return this.runExclusive(connection, async () => {
+      try {
+        await this.openMailbox(imap, email.mailbox!, true);
+
+        let result: { sections: Map<string, Buffer>; attrs: any } | null = null;
+        await this.fetchMessages(imap, [email.uid!], { bodies: [`${partId}.MIME`, partId], struct: true }, (msg) =>
+          this.collectSections(msg).then(collected => {
+            result = collected;
+          })
+        );
+        if (!result) return null;
+
+        let { sections, attrs } = result as { sections: Map<string, Buffer>; attrs: any };
+        let header = sections.get(`${partId}.MIME`);
+        let body = sections.get(partId);
+
+        // A single-part message has no MIME sub-header; its part is the whole body
+        if (isSinglePart(attrs?.struct)) {
+          await this.fetchMessages(imap, [email.uid!], { bodies: ['HEADER', 'TEXT'] }, (msg) =>
+            this.collectSections(msg).then(collected => {
+              sections = collected.sections;
+            })
+          );
+          header = sections.get('HEADER');
+          body = sections.get('TEXT');
+        }
+
+        if (!header || !body) return null;
+
+        // Let the MIME parser undo the transfer encoding
+        const parsed = await simpleParser(Buffer.concat([header, body]));
+        return parsed.attachments[0]?.content || (parsed.text ? Buffer.from(parsed.text) : null);
+      } finally {
+        await this.openMailbox(imap, 'INBOX', false).catch(() => undefined);
+      }
+    });
+  }
+
+  // Saves a message in the mailbox mapped to `folder`, e.g. a message sent
+  // over SMTP into Sent. Resolves the mailbox path and, on servers with
+  // UIDPLUS, the UID of the new message; null when the account is not
+  // connected or has no such mailbox.
+  public async appendMessage(
+    accountId: string,
+    folder: 'sent' | 'drafts',
+    raw: Buffer,
+    flags: string[] = ['\\Seen']
+  ): Promise<{ mailbox: string; uid?: number } | null> {
+    const connection = this.connections.get(accountId);
+    if (!connection?.isConnected) return null;
+
+    const account = await EmailAccount.findById(accountId).select('remoteMailboxes');
+    const target = account?.remoteMailboxes.find(mailbox => mailbox.folder === folder);
+    if (!target) return null;
+
+    // APPEND names its mailbox, so it does not disturb the selected one.
+    // node-imap passes the APPENDUID to the callback after the error.
+    const uid = await new Promise<number | undefined>((resolve, reject) => {
+      connection.imap.append(raw, { mailbox: target.path, flags }, ((error: Error, appendedUid?: number) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(appendedUid || undefined);
+      }) as (error: Error) => void);
+    });
+    return { mailbox: target.path, uid };
+  }
+
+  // Removes a message from a mailbox, e.g. a replaced copy of a draft. It is
+  // found by UID, or by Message-ID when the server did not report one on
+  // APPEND. Without UIDPLUS it is only flagged \\Deleted: a plain EXPUNGE
+  // would also remove whatever other clients flagged. Resolves false when the
+  // account is not connected or the message is gone.
+  public async deleteMessage(
+    accountId: string,
+    mailbox: string,
+    target: { uid?: number; messageId?: string }
+  ): Promise<boolean> {
+    const connection = this.connections.get(accountId);
+    if (!connection?.isConnected) return false;
+
+    const { imap } = connection;
+
+    return this.runExclusive(connection, async () => {
+      try {
+        await this.openMailbox(imap, mailbox, false);
+
+        const uids = target.uid
+          ? [target.uid]
+          : target.messageId ? await this.searchUids(imap, [['HEADER', 'MESSAGE-ID', target.messageId]]) : [];
+        if (uids.length === 0) return false;
+
+        await this.removeMessages(imap, uids);
+        return true;
+      } finally {
+        await this.openMailbox(imap, 'INBOX', false).catch(() => undefined);
+      }
+    });
+  }
+
+  // Flags messages in the open mailbox \\Deleted and, with UIDPLUS, expunges
+  // just those UIDs
+  private async removeMessages(imap: Imap, uids: number[]): Promise<void> {
+    await this.imapCommand(cb => imap.addFlags(uids, '\\Deleted', cb));
+    if (imap.serverSupports('UIDPLUS')) {
+      await this.imapCommand(cb => imap.expunge(uids, cb));
+    }
+  }
+
+  private groupBySize(messages: { uid: number; size: number }[], maxBytes: number): number[][] {
+    const groups: number[][] = [];
+    let current: number[] = [];
+    let currentBytes = 0;
+
+    for (const message of messages) {
+      if (current.length > 0 && currentBytes + message.size > maxBytes) {
+        groups.push(current);
+        current = [];
+        currentBytes = 0;
+      }
+      current.push(message.uid);
+      currentBytes += message.size;
+    }
+
+    if (current.length > 0) groups.push(current);
+    return groups;
+  }
+
+  // Buffers the requested body sections of one message, keyed by section name
+  private collectSections(msg: any): Promise<{ sections: Map<string, Buffer>; attrs: any }> {
+    return new Promise((resolve) => {
+      const chunks = new Map<string, Buffer[]>();
+      let attrs: any = null;
+
+      msg.on('body', (stream: any, info: any) => {
+        const which = (info.which || '').toUpperCase();
+        chunks.set(which, []);
+        stream.on('data', (chunk: Buffer) => {
+          chunks.get(which)!.push(chunk);
+        });
+      });
+
+      msg.once('attributes', (attributes: any) => {
+        attrs = attributes;
+      });
+
+      msg.once('end', () => {
+        const sections = new Map<string, Buffer>();
+        chunks.forEach((parts, which) => sections.set(which, Buffer.concat(parts)));
+        resolve({ sections, attrs });
+      });
+    });
+  }
+
+  private async saveParsedMessage(
+    parsed: ParsedMail,
+    account: IEmailAccount,
+    mailbox: DiscoveredMailbox,
+    attributes: any,
+    overrides: { bodyStatus?: 'complete' | 'partial' | 'headers_only'; attachments?: any[] } = {}
+  ): Promise<void> {
+    await this.messageIngestor.ingest(parsed, account, {
+      mailbox: mailbox.path,
+      uid: attributes?.uid,
+      folder: mailbox.folder || 'archive',
+      ...this.gmailFields(attributes, mailbox.folder ? [] : [mailbox.path]),
+      flags: attributes?.flags || [],
+      size: attributes?.size,
+      ...overrides
+    });
+  }
+
+  // Every FETCH includes X-GM-LABELS / X-GM-THRID / X-GM-MSGID when the
+  // server advertises X-GM-EXT-1 (node-imap adds them); other servers keep
+  // the given labels and get no threadId here
+  private gmailFields(attributes: any, defaultLabels: string[]): { labels: string[]; threadId?: string; gmailMessageId?: string } {
+    if (!attributes?.['x-gm-labels']) {
+      return { labels: defaultLabels };
+    }
+
+    return {
+      labels: fromGmailLabels(attributes['x-gm-labels']),
+      threadId: attributes['x-gm-thrid'] ? String(attributes['x-gm-thrid']) : undefined,
+      gmailMessageId: attributes['x-gm-msgid'] ? String(attributes['x-gm-msgid']) : undefined
+    };
+  }
+
   private async safeSyncNewEmails(connection: ImapConnection): Promise<void> {
-    const { imap, account } = connection;
+    const { account } = connection;
 
     try {
-      imap.openBox('INBOX', true, (err: any, box: any) => {
-        if (err) {
-          logger.error(`Failed to open INBOX for new emails ${account.email}:`, err.message);
-          return;
+      const budget = account.syncSettings?.maxEmailsPerSync || this.maxEmailsPerSync;
+      const processed = await this.connectionManager.withSlot(account.imapConfig.host, () =>
+        this.runExclusive(connection, () =>
+          this.syncMailbox(connection, { path: 'INBOX', folder: 'inbox' }, budget)
+        )
+      );
+      if (processed > 0) {
+        logger.info(`Processed ${processed} new emails for ${account.email}`);
+      }
+    } catch (error: any) {
+      logger.error(`Error syncing new emails for ${account.email}:`, error.message);
+    }
+  }
+
+  // Records flag/folder changes made in ReachInbox and pushes them to the
+  // server. Actions stay queued until the account's connection can apply them.
+  public async queueRemoteActions(
+    emails: { _id: any; accountId: string; uid?: number }[],
+    action: RemoteAction,
+    targetFolder?: string,
+    labels?: string[]
+  ): Promise<void> {
+    const remoteEmails = emails.filter(email => email.uid);
+    if (remoteEmails.length === 0) return;
+
+    try {
+      await PendingImapAction.insertMany(remoteEmails.map(email => ({
+        accountId: email.accountId,
+        emailId: email._id.toString(),
+        action,
+        targetFolder,
+        labels
+      })));
+
+      const accountIds = new Set(remoteEmails.map(email => email.accountId));
+      accountIds.forEach(accountId => {
+        this.flushPendingActions(accountId).catch(err =>
+          logger.error(`Failed to push changes for ${accountId}:`, err.message)
+        );
+      });
+    } catch (error: any) {
+      logger.error(`Failed to queue ${action} for IMAP:`, error.message);
+    }
+  }
+
+  public async flushPendingActions(accountId: string): Promise<void> {
+    const connection = this.connections.get(accountId);
+    if (!connection?.isConnected) return;
+
+    await this.runExclusive(connection, async () => {
+      let movedTo = await this.applyPendingActions(connection);
+
+      // Moved messages get a new UID; pick it up so follow-up actions can run
+      if (movedTo.size > 0) {
+        const account = await EmailAccount.findById(accountId).select('remoteMailboxes');
+        for (const path of movedTo) {
+          const mailbox = account?.remoteMailboxes.find(box => box.path === path);
+          if (mailbox) {
+            await this.syncMailbox(connection, mailbox);
+          }
         }
+        movedTo = await this.applyPendingActions(connection);
+      }
+
+      await this.openMailbox(connection.imap, 'INBOX', false);
+    });
+  }
+
+  private async applyPendingActions(connection: ImapConnection): Promise<Set<string>> {
+    const { imap, account } = connection;
+    const accountId = (account._id as any).toString();
+    const movedTo = new Set<string>();
+
+    const pending = await PendingImapAction.find({ accountId, status: 'pending' }).sort({ createdAt: 1 });
+    if (pending.length === 0) return movedTo;
+
+    const freshAccount = await EmailAccount.findById(accountId).select('remoteMailboxes');
+    const remoteMailboxes = freshAccount?.remoteMailboxes || [];
 
-        imap.search(['UNSEEN'], (searchErr: any, results: number[]) => {
-          if (searchErr) {
-            logger.error(`Search error for ${account.email}:`, searchErr.message);
-            return;
+    for (const action of pending) {
+      const email = await Email.findById(action.emailId).select('mailbox uid');
+      if (!email) {
+        await action.deleteOne();
+        continue;
+      }
+
+      // Waiting for a previous move to be re-mapped by the next sync
+      if (!email.uid || !email.mailbox) continue;
+
+      try {
+        await this.openMailbox(imap, email.mailbox, false);
+
+        switch (action.action) {
+          case 'read':
+            await this.imapCommand(cb => imap.addFlags(email.uid, '\\Seen', cb));
+            break;
+          case 'unread':
+            await this.imapCommand(cb => imap.delFlags(email.uid, '\\Seen', cb));
+            break;
+          case 'star':
+            await this.imapCommand(cb => imap.addFlags(email.uid, '\\Flagged', cb));
+            break;
+          case 'unstar':
+            await this.imapCommand(cb => imap.delFlags(email.uid, '\\Flagged', cb));
+            break;
+          case 'label':
+          case 'unlabel': {
+            // Labels only exist on the server for Gmail; elsewhere they stay local
+            if (!imap.serverSupports('X-GM-EXT-1') || !action.labels?.length) break;
+
+            // STORE X-GM-LABELS; these node-imap methods are missing from @types/imap
+            const labels = action.labels.map(toGmailLabel);
+            const gmail = imap as any;
+            await this.imapCommand(cb => action.action === 'label'
+              ? gmail.addLabels(email.uid, labels, cb)
+              : gmail.delLabels(email.uid, labels, cb));
+            break;
           }
+          case 'move': {
+            const target = remoteMailboxes.find(mailbox => mailbox.folder === action.targetFolder);
+
+            if (!target && action.targetFolder === 'deleted') {
+              // No Trash mailbox on this server: delete in place
+              await this.removeMessages(imap, [email.uid]);
+              await Email.updateOne({ _id: email._id }, { $unset: { uid: 1, mailbox: 1 } });
+              break;
+            }
+
+            if (!target) {
+              throw new Error(`No mailbox mapped to folder "${action.targetFolder}"`);
+            }
 
-          if (!results || results.length === 0) {
-            return;
+            if (target.path !== email.mailbox) {
+              // node-imap falls back to COPY + \Deleted + EXPUNGE without MOVE
+              await this.imapCommand(cb => imap.move(email.uid, target.path, cb));
+              await Email.updateOne({ _id: email._id }, { mailbox: target.path, $unset: { uid: 1 } });
+              movedTo.add(target.path);
+            }
+            break;
           }
+        }
 
-          logger.info(`Processing ${results.length} new emails for ${account.email}`);
+        await action.deleteOne();
+      } catch (error: any) {
+        action.attempts += 1;
+        action.lastError = error.message;
+        if (action.attempts >= this.maxActionAttempts) {
+          action.status = 'failed';
+          logger.error(`Giving up on ${action.action} for email ${action.emailId} (${account.email}):`, error.message);
+        }
+        await action.save();
+      }
+    }
 
-          const fetch = imap.fetch(results, {
-            bodies: '',
-            struct: true,
-            envelope: true
-          });
+    return movedTo;
+  }
 
-          fetch.on('message', (msg: any, seqno: number) => {
-            this.safeProcessMessage(msg, account, seqno).catch((error) => {
-              logger.error(`Error processing new message ${seqno}:`, error.message);
-            });
-          });
+  private imapCommand(command: (callback: (error: Error) => void) => void): Promise<void> {
+    return new Promise((resolve, reject) => {
+      command((error: Error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  // node-imap keeps a single selected mailbox per connection, so syncs
+  // triggered by "ready" and "mail" events must not interleave.
+  private runExclusive<T>(connection: ImapConnection, task: () => Promise<T>): Promise<T> {
+    const run = connection.lock.then(task, task);
+    connection.lock = run.catch(() => undefined);
+    return run;
+  }
+
+  private openMailbox(imap: Imap, path: string, readOnly: boolean): Promise<Imap.Box> {
+    return new Promise((resolve, reject) => {
+      imap.openBox(path, readOnly, (err: any, box: Imap.Box) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(box);
+      });
+    });
+  }
+
+  private searchUids(imap: Imap, criteria: any[]): Promise<number[]> {
+    return new Promise((resolve, reject) => {
+      imap.search(criteria, (err: any, uids: number[]) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(uids || []);
+      });
+    });
+  }
+
+  // Resolves once the FETCH has ended and every message handler has settled
+  private fetchMessages(
+    imap: Imap,
+    uids: number[] | string,
+    options: Imap.FetchOptions,
+    onMessage: (msg: any, seqno: number) => Promise<void>
+  ): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const pending: Promise<void>[] = [];
+      const timeout = setTimeout(() => {
+        reject(new Error('Fetch timeout'));
+      }, this.fetchTimeout);
+
+      const fetch = imap.fetch(uids, options);
+
+      fetch.on('message', (msg: any, seqno: number) => {
+        pending.push(onMessage(msg, seqno).catch((error) => {
+          logger.error(`Error processing message ${seqno}:`, error.message);
+        }));
+      });
+
+      fetch.once('error', (error: any) => {
+        clearTimeout(timeout);
+        reject(error);
+      });
+
+      fetch.once('end', () => {
+        Promise.all(pending).then(() => {
+          clearTimeout(timeout);
+          resolve();
         });
       });
-    } catch (error: any) {
-      logger.error(`Error syncing new emails for ${account.email}:`, error.message);
+    });
+  }
+
+  private async getMailboxState(accountId: string, path: string): Promise<IMailboxSyncState | undefined> {
+    const account = await EmailAccount.findById(accountId).select('syncStats.mailboxes').lean();
+    return account?.syncStats?.mailboxes?.find(mailbox => mailbox.path === path);
+  }
+
+  private async saveMailboxState(accountId: string, path: string, fields: Partial<IMailboxSyncState>): Promise<void> {
+    // A field passed as undefined is cleared
+    const update: any = { 'syncStats.mailboxes.$.lastSyncAt': new Date() };
+    const cleared: any = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) cleared[`syncStats.mailboxes.$.${key}`] = 1;
+      else update[`syncStats.mailboxes.$.${key}`] = value;
+    }
+    if (path === 'INBOX' && fields.lastFetchedUid !== undefined) {
+      update['syncStats.lastFetchedUid'] = fields.lastFetchedUid;
+    }
+
+    const result = await EmailAccount.updateOne(
+      { _id: accountId, 'syncStats.mailboxes.path': path },
+      { $set: update, ...(Object.keys(cleared).length > 0 ? { $unset: cleared } : {}) }
+    );
+
+    if (result.matchedCount === 0) {
+      await EmailAccount.updateOne(
+        { _id: accountId },
+        {
+          ...(path === 'INBOX' && fields.lastFetchedUid !== undefined
+            ? { $set: { 'syncStats.lastFetchedUid': fields.lastFetchedUid } }
+            : {}),
+          $push: {
+            'syncStats.mailboxes': { path, lastFetchedUid: 0, ...fields, lastSyncAt: new Date() }
+          }
+        }
+      );
     }
   }
 
@@ -517,6 +1412,7 @@ export class ImapService extends EventEmitter {
     try {
       const connection = this.connections.get(accountId);
       if (connection) {
+        this.clearConnectionTimers(connection);
         connection.imap.end();
         this.connections.delete(accountId);
       }
@@ -531,18 +1427,6 @@ export class ImapService extends EventEmitter {
     }
   }
 
-  private async indexEmailInElasticsearch(email: any): Promise<void> {
-    try {
-      const success = await indexEmailInElasticsearch(email);
-      if (!success) {
-        logger.debug(`Failed to index email ${email._id} in Elasticsearch`);
-      }
-    } catch (error: any) {
-      // Don't throw - just log
-      logger.debug(`Elasticsearch indexing error for ${email._id}:`, error.message);
-    }
-  }
-
   private async bulkIndexEmailsInElasticsearch(emails: any[]): Promise<void> {
     if (!emails || emails.length === 0) return;
     
@@ -578,9 +1462,10 @@ export class ImapService extends EventEmitter {
 
   private async updateAccountSyncStats(account: IEmailAccount, processed: number, errors: number): Promise<void> {
     try {
+      const totalEmails = await Email.countDocuments({ accountId: (account._id as any).toString() });
       await EmailAccount.findByIdAndUpdate(account._id, {
         'syncStats.processedEmails': processed,
-        'syncStats.totalEmails': processed,
+        'syncStats.totalEmails': totalEmails,
         'syncStats.lastSyncAt': new Date()
       });
     } catch (error: any) {
@@ -596,6 +1481,7 @@ export class ImapService extends EventEmitter {
       }
 
       const timeout = setTimeout(async () => {
+        this.reconnectTimeouts.delete(accountId);
         try {
           const account = await EmailAccount.findById(accountId);
           if (account && account.isActive) {
@@ -632,45 +1518,167 @@ export class ImapService extends EventEmitter {
     return status;
   }
 
+  // Re-runs the mailbox sync on an already connected account, e.g. after
+  // its mailbox selection changed.
+  public async syncAccount(accountId: string): Promise<boolean> {
+    const connection = this.connections.get(accountId);
+    if (!connection?.isConnected) {
+      return false;
+    }
+
+    this.safeSyncEmails(connection).catch(err =>
+      logger.error('Failed to sync emails:', err.message)
+    );
+    return true;
+  }
+
+  // Manual retry of an account that is backing off or was given up on.
+  // Resolves once the attempt has finished.
+  public async retryAccount(accountId: string): Promise<boolean> {
+    const account = await EmailAccount.findById(accountId);
+    if (!account?.isActive || account.protocol === 'pop3') {
+      throw new Error(`IMAP account ${accountId} not found`);
+    }
+
+    await this.connectionManager.reset(accountId);
+    await this.safeDisconnectAccount(accountId);
+    await this.safeConnectToAccount(account, { force: true });
+    return this.connections.get(accountId)?.isConnected || false;
+  }
+
+  // Entry point for SyncScheduler. Reconnects accounts whose connection has
+  // dropped, and treats a connection that does not answer within
+  // probeTimeout as dead (e.g. IDLE silently lost its socket). Returns the
+  // number of messages fetched, or null when no sync ran.
+  public async runScheduledSync(accountId: string): Promise<number | null> {
+    const connection = this.connections.get(accountId);
+
+    if (!connection?.isConnected) {
+      if (!connection?.isReconnecting && !this.reconnectTimeouts.has(accountId)) {
+        const account = await EmailAccount.findById(accountId);
+        if (account?.isActive) {
+          logger.info(`Scheduled sync: reconnecting ${account.email}`);
+          await this.safeConnectToAccount(account);
+        }
+      }
+      return null;
+    }
+
+    if (connection.isSyncing) {
+      logger.debug(`Scheduled sync skipped for ${connection.account.email}: sync already running`);
+      return null;
+    }
+
+    try {
+      await withTimeout(
+        this.runExclusive(connection, () => this.openMailbox(connection.imap, 'INBOX', false)),
+        this.probeTimeout,
+        `no response within ${this.probeTimeout}ms`
+      );
+    } catch (error: any) {
+      logger.warn(`IMAP connection for ${connection.account.email} is unresponsive (${error.message}), reconnecting`);
+      const account = await EmailAccount.findById(accountId);
+      if (account?.isActive) {
+        await this.safeConnectToAccount(account);
+      }
+      return null;
+    }
+
+    return this.safeSyncEmails(connection);
+  }
+
   public async syncAllAccounts(): Promise<void> {
     try {
-      const accounts = await EmailAccount.find({ isActive: true });
-      
-      for (const account of accounts) {
+      const accounts = await EmailAccount.find({ isActive: true, protocol: { $ne: 'pop3' } });
+
+      // Connection slots pace the fleet; accounts still backing off from
+      // before a restart keep waiting
+      await Promise.all(accounts.map(async account => {
         try {
-          await this.safeConnectToAccount(account);
+          const accountId = (account._id as any).toString();
+          const delay = await this.connectionManager.retryDelay(accountId);
+          if (delay === null) {
+            logger.warn(`Not connecting ${account.email}: given up after authentication failure, retry it manually`);
+          } else if (delay > 0) {
+            this.scheduleReconnection(accountId, delay);
+          } else {
+            await this.safeConnectToAccount(account);
+          }
         } catch (error: any) {
           logger.error(`Failed to sync account ${account.email}:`, error.message);
           // Continue with other accounts
         }
-      }
+      }));
     } catch (error: any) {
       logger.error('Failed to sync all accounts:', error.message);
     }
   }
 
-  public async forceFreshSync(): Promise<void> {
-    try {
-      logger.info('🔄 Starting fresh email sync...');
-      
-      // Clear existing emails
-      await Email.deleteMany({});
-      logger.info('🗑️ Cleared existing emails for fresh sync');
-      
-      // Clear any existing IMAP connections
-      for (const [accountId] of this.connections) {
-        await this.safeDisconnectAccount(accountId);
+  // Non-destructive resync: rewinds the account's checkpoints so every
+  // message on the server is looked at again. Stored messages are matched by
+  // Message-ID and only get their UID refreshed, so stars, read state,
+  // labels, AI results and action history survive; flags are then re-read in
+  // full on the next pass. With `reset` the account's stored mail is deleted
+  // first and downloaded again from scratch.
+  public async resyncAccount(accountId: string, options: { reset?: boolean } = {}): Promise<void> {
+    const account = await EmailAccount.findById(accountId);
+    if (!account?.isActive) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    if (options.reset) {
+      await this.safeDisconnectAccount(accountId);
+      const deleted = await this.messageIngestor.clearAccount(accountId);
+      await this.rewindCheckpoints(accountId);
+      logger.warn(`🗑️ Reset ${account.email}: deleted ${deleted} stored emails, downloading again`);
+      await this.safeConnectToAccount(account, { force: true });
+      return;
+    }
+
+    // Under the connection lock, so a running sync cannot save its
+    // checkpoints over the rewound ones
+    const connection = this.connections.get(accountId);
+    if (connection) {
+      await this.runExclusive(connection, () => this.rewindCheckpoints(accountId));
+    } else {
+      await this.rewindCheckpoints(accountId);
+    }
+
+    const reindexed = await this.messageIngestor.reindexAccount(accountId);
+    logger.info(`🔄 Resyncing ${account.email} (${reindexed} stored emails reindexed)`);
+
+    if (!(await this.syncAccount(accountId))) {
+      await this.safeConnectToAccount(account);
+    }
+  }
+
+  // Resyncs every IMAP account without touching stored user state
+  public async resyncAllAccounts(): Promise<void> {
+    const accounts = await EmailAccount.find({ isActive: true, protocol: { $ne: 'pop3' } }).select('_id email');
+
+    for (const account of accounts) {
+      try {
+        await this.resyncAccount((account._id as any).toString());
+      } catch (error: any) {
+        logger.error(`Failed to resync account ${account.email}:`, error.message);
       }
-      
-      // Wait a moment then start fresh sync
-      setTimeout(async () => {
-        await this.syncAllAccounts();
-      }, 2000);
-    } catch (error: any) {
-      logger.error('Failed to perform fresh sync:', error.message);
     }
   }
 
+  // UIDVALIDITY is kept: it still identifies the UIDs stored on messages
+  private async rewindCheckpoints(accountId: string): Promise<void> {
+    await EmailAccount.updateOne({ _id: accountId }, {
+      $set: {
+        'syncStats.lastFetchedUid': 0,
+        'syncStats.mailboxes.$[].lastFetchedUid': 0
+      },
+      $unset: {
+        'syncStats.mailboxes.$[].highestModseq': 1,
+        'syncStats.mailboxes.$[].lastFlagSyncAt': 1
+      }
+    });
+  }
+
   public async disconnect(): Promise<void> {
     try {
       for (const [accountId] of this.connections) {
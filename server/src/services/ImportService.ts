@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import { ParsedMail, simpleParser } from 'mailparser';
+import { IEmailAccount, IImportJob, ImportJob } from '../models';
+import { MessageIngestor } from './MessageIngestor';
+import { readMbox } from '../utils/mboxUtils';
+import { logger } from '../utils/logger';
+
+export type ImportFormat = 'mbox' | 'eml_zip';
+
+interface ImportProgress {
+  bytesProcessed: number;
+  messagesProcessed: number;
+  imported: number;
+  duplicates: number;
+  failed: number;
+}
+
+// Imports mail from uploaded archives (mbox, or a zip of .eml files) through
+// the same ingest pipeline as IMAP sync. Uploads are spooled to disk first,
+// then processed in the background while the ImportJob records progress.
+export class ImportService {
+  private messageIngestor: MessageIngestor;
+  private uploadDir = path.join(os.tmpdir(), 'reachinbox-imports');
+  private maxUploadBytes = Number(process.env.IMPORT_MAX_UPLOAD_MB || 2048) * 1024 * 1024;
+  private maxMessageSize = Number(process.env.MAX_MESSAGE_SIZE_MB || 25) * 1024 * 1024;
+  private progressInterval = 25; // messages between progress writes
+  private maxErrorSamples = 20;
+
+  constructor(messageIngestor: MessageIngestor) {
+    this.messageIngestor = messageIngestor;
+  }
+
+  // Jobs cannot resume after a restart: their spooled upload is gone
+  async recoverInterruptedJobs(): Promise<void> {
+    const result = await ImportJob.updateMany(
+      { status: { $in: ['pending', 'running'] } },
+      { status: 'failed', error: 'Interrupted by server restart; upload the archive again', finishedAt: new Date() }
+    );
+    if (result.modifiedCount > 0) {
+      logger.warn(`Marked ${result.modifiedCount} interrupted import jobs as failed`);
+    }
+  }
+
+  async startImport(
+    account: IEmailAccount,
+    upload: Readable,
+    options: { format?: ImportFormat; filename?: string; folder: string }
+  ): Promise<IImportJob> {
+    await fs.promises.mkdir(this.uploadDir, { recursive: true });
+    const filePath = path.join(this.uploadDir, `${crypto.randomUUID()}.upload`);
+
+    try {
+      const bytesTotal = await this.saveUpload(upload, filePath);
+      const format = options.format || await this.detectFormat(filePath);
+
+      const job = await ImportJob.create({
+        accountId: (account._id as any).toString(),
+        format,
+        filename: options.filename,
+        folder: options.folder,
+        bytesTotal
+      });
+
+      this.runImport(job, account, filePath).catch(err =>
+        logger.error(`Import ${job._id} crashed:`, err.message)
+      );
+      return job;
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+  }
+
+  private async runImport(job: IImportJob, account: IEmailAccount, filePath: string): Promise<void> {
+    const progress: ImportProgress = { bytesProcessed: 0, messagesProcessed: 0, imported: 0, duplicates: 0, failed: 0 };
+    const errorSamples: { message: string; item?: string }[] = [];
+
+    const importOne = async (raw: Buffer | undefined, size: number, item: string) => {
+      try {
+        if (!raw) {
+          throw new Error(`Message is ${size} bytes, above the ${this.maxMessageSize} byte limit`);
+        }
+
+        const parsed = await simpleParser(raw);
+        const added = await this.messageIngestor.ingest(parsed, account, {
+          folder: job.folder,
+          flags: this.flagsFromHeaders(parsed),
+          size: raw.length,
+          importJobId: (job._id as any).toString()
+        });
+        added ? progress.imported++ : progress.duplicates++;
+      } catch (error: any) {
+        progress.failed++;
+        if (errorSamples.length < this.maxErrorSamples) {
+          errorSamples.push({ message: error.message, item });
+        }
+      }
+
+      progress.messagesProcessed++;
+      if (progress.messagesProcessed % this.progressInterval === 0) {
+        await ImportJob.updateOne({ _id: job._id }, { ...progress, errorSamples });
+      }
+    };
+
+    try {
+      await ImportJob.updateOne({ _id: job._id }, { status: 'running', startedAt: new Date() });
+      logger.info(`📥 Importing ${job.format} archive ${job.filename || job._id} into ${account.email}`);
+
+      if (job.format === 'mbox') {
+        const stream = fs.createReadStream(filePath);
+        stream.on('data', (chunk: string | Buffer) => {
+          progress.bytesProcessed += chunk.length;
+        });
+
+        let index = 0;
+        for await (const message of readMbox(stream, this.maxMessageSize)) {
+          await importOne(message.raw, message.size, `message ${++index}`);
+        }
+      } else {
+        await this.readZipEntries(filePath, job, progress, importOne);
+      }
+
+      await ImportJob.updateOne({ _id: job._id }, {
+        ...progress,
+        bytesProcessed: job.bytesTotal,
+        errorSamples,
+        status: 'completed',
+        finishedAt: new Date()
+      });
+      logger.info(`✅ Import ${job._id} finished: ${progress.imported} imported, ${progress.duplicates} duplicates, ${progress.failed} failed`);
+    } catch (error: any) {
+      logger.error(`Import ${job._id} failed:`, error.message);
+      await ImportJob.updateOne({ _id: job._id }, {
+        ...progress,
+        errorSamples,
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date()
+      });
+    } finally {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+
+  private async readZipEntries(
+    filePath: string,
+    job: IImportJob,
+    progress: ImportProgress,
+    importOne: (raw: Buffer | undefined, size: number, item: string) => Promise<void>
+  ): Promise<void> {
+    const isMessage = (entry: yauzl.Entry) =>
+      /\.eml$/i.test(entry.fileName) && !entry.fileName.startsWith('__MACOSX/');
+
+    // First pass only reads the central directory, to report a total
+    let messagesTotal = 0;
+    const index = await this.openZip(filePath);
+    try {
+      for (let entry = await this.nextZipEntry(index); entry; entry = await this.nextZipEntry(index)) {
+        if (isMessage(entry)) messagesTotal++;
+      }
+    } finally {
+      index.close();
+    }
+    await ImportJob.updateOne({ _id: job._id }, { messagesTotal });
+
+    const zipfile = await this.openZip(filePath);
+    try {
+      for (let entry = await this.nextZipEntry(zipfile); entry; entry = await this.nextZipEntry(zipfile)) {
+        progress.bytesProcessed += entry.compressedSize;
+        if (!isMessage(entry)) continue;
+
+        // Declared sizes are validated by yauzl while inflating
+        const raw = entry.uncompressedSize <= this.maxMessageSize
+          ? await this.readZipEntry(zipfile, entry)
+          : undefined;
+        await importOne(raw, entry.uncompressedSize, entry.fileName);
+      }
+    } finally {
+      zipfile.close();
+    }
+  }
+
+  private openZip(filePath: string): Promise<yauzl.ZipFile> {
+    return new Promise((resolve, reject) => {
+      yauzl.open(filePath, { lazyEntries: true }, (err, zipfile) => {
+        if (err || !zipfile) {
+          reject(err || new Error('Unable to open zip archive'));
+          return;
+        }
+        resolve(zipfile);
+      });
+    });
+  }
+
+  private nextZipEntry(zipfile: yauzl.ZipFile): Promise<yauzl.Entry | null> {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        zipfile.removeListener('entry', onEntry);
+        zipfile.removeListener('end', onEnd);
+        zipfile.removeListener('error', onError);
+      };
+      const onEntry = (entry: yauzl.Entry) => { cleanup(); resolve(entry); };
+      const onEnd = () => { cleanup(); resolve(null); };
+      const onError = (err: Error) => { cleanup(); reject(err); };
+
+      zipfile.on('entry', onEntry);
+      zipfile.on('end', onEnd);
+      zipfile.on('error', onError);
+      zipfile.readEntry();
+    });
+  }
+
+  private readZipEntry(zipfile: yauzl.ZipFile, entry: yauzl.Entry): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (err, stream) => {
+        if (err || !stream) {
+          reject(err || new Error(`Unable to read ${entry.fileName}`));
+          return;
+        }
+
+        const chunks: Buffer[] = [];
+        stream.on('data', (chunk: Buffer) => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+      });
+    });
+  }
+
+  // mbox writers record read/flagged state in Status / X-Status, Gmail
+  // Takeout in X-Gmail-Labels. Archived mail without either counts as read.
+  private flagsFromHeaders(parsed: ParsedMail): string[] {
+    const status = parsed.headers.get('status');
+    const xStatus = String(parsed.headers.get('x-status') || '');
+    const gmailLabels = String(parsed.headers.get('x-gmail-labels') || '').split(',').map(label => label.trim());
+
+    const unread = gmailLabels.includes('Unread') || (status !== undefined && !String(status).includes('R'));
+    const flags = unread ? [] : ['\\Seen'];
+    if (xStatus.includes('F') || gmailLabels.includes('Starred')) {
+      flags.push('\\Flagged');
+    }
+    return flags;
+  }
+
+  private async saveUpload(upload: Readable, filePath: string): Promise<number> {
+    let bytes = 0;
+    const maxBytes = this.maxUploadBytes;
+
+    const limit = new Transform({
+      transform(chunk: Buffer, _encoding, callback) {
+        bytes += chunk.length;
+        if (bytes > maxBytes) {
+          callback(Object.assign(new Error(`Upload exceeds ${maxBytes} bytes`), { statusCode: 413 }));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(upload, limit, fs.createWriteStream(filePath));
+
+    if (bytes === 0) {
+      throw Object.assign(new Error('Upload is empty'), { statusCode: 400 });
+    }
+    return bytes;
+  }
+
+  private async detectFormat(filePath: string): Promise<ImportFormat> {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(5), 0, 5, 0);
+      const magic = buffer.subarray(0, bytesRead);
+
+      if (magic.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) return 'eml_zip';
+      if (magic.toString('latin1') === 'From ') return 'mbox';
+    } finally {
+      await handle.close();
+    }
+
+    throw Object.assign(new Error('Unrecognised archive: expected an mbox file or a zip of .eml files'), { statusCode: 400 });
+  }
+}
@@ -1,17 +1,12 @@
 // server/src/services/LocalLLMService.ts
 import axios from 'axios';
 import { logger } from '../utils/logger';
+import { newContentText } from '../utils/bodySegmenter';
 
 export class LocalLLMService {
   private ollamaUrl: string;
   private modelName: string;
   private isInitialized: boolean = false;
-  private classificationQueue: Array<{
-    email: any;
-    resolve: (result: { category: string; confidence: number; salesInsights?: any }) => void;
-    reject: (error: Error) => void;
-  }> = [];
-  private isProcessing: boolean = false;
   private requestTimeout = 8000;
 
   constructor() {
@@ -81,70 +76,36 @@ export class LocalLLMService {
     }
   }
 
+  // One LLM request per call: the classify queue limits how many run at once
+  // (CLASSIFY_CONCURRENCY). A failed request rejects, so the job is retried
+  // and dead-lettered; an answer that does not hold up falls back to rules.
   async classifyEmail(email: any): Promise<{ category: string; confidence: number; salesInsights?: any }> {
-    // QUEUE SYSTEM: Add to queue and wait for sequential processing
-    if (this.isInitialized) {
-      return new Promise((resolve, reject) => {
-        this.classificationQueue.push({ 
-          email, 
-          resolve: (result: { category: string; confidence: number; salesInsights?: any }) => resolve(result),
-          reject 
-        });
-        this.processQueue();
-      });
+    if (!this.isInitialized) {
+      const fallbackResult = this.ruleBasedClassify(email);
+      logger.info(`🔧 Rule-based classification: ${fallbackResult.category} (${Math.round(fallbackResult.confidence * 100)}%)`);
+      return fallbackResult;
     }
 
-    // Fallback if LLM not available
-    const fallbackResult = this.ruleBasedClassify(email);
-    logger.info(`🔧 Rule-based classification: ${fallbackResult.category} (${Math.round(fallbackResult.confidence * 100)}%)`);
-    return fallbackResult;
-  }
-
-  private async processQueue(): Promise<void> {
-    if (this.isProcessing || this.classificationQueue.length === 0) {
-      return;
+    // Step 1: Category classification
+    const categoryResult = await this.classifyWithLLM(email);
+    if (!categoryResult || !this.validateLLMResult(categoryResult, email)) {
+      const fallback = this.ruleBasedClassify(email);
+      logger.info(`🔧 Fallback: ${fallback.category} (${Math.round(fallback.confidence * 100)}%)`);
+      return fallback;
     }
 
-    this.isProcessing = true;
-    logger.info(`📋 Processing LLM queue: ${this.classificationQueue.length} emails waiting`);
-
-    while (this.classificationQueue.length > 0) {
-      const { email, resolve, reject } = this.classificationQueue.shift()!;
-      
+    // Step 2: Sales insights for business-relevant categories
+    let salesInsights = null;
+    if (['interested', 'meeting_booked', 'not_interested'].includes(categoryResult.category)) {
       try {
-        // Step 1: Category classification
-        const categoryResult = await this.classifyWithLLM(email);
-        
-        if (categoryResult && this.validateLLMResult(categoryResult, email)) {
-          // Step 2: Sales insights for business-relevant categories
-          let salesInsights = null;
-          
-          if (['interested', 'meeting_booked', 'not_interested'].includes(categoryResult.category)) {
-            try {
-              salesInsights = await this.generateSalesInsights(email, categoryResult);
-              logger.info(`✅ LLM: ${categoryResult.category} (${Math.round(categoryResult.confidence * 100)}%) + Sales insights - ${this.classificationQueue.length} left`);
-            } catch (insightError) {
-              logger.warn(`⚠️ Sales insights failed, using category only`);
-            }
-          } else {
-            logger.info(`✅ LLM: ${categoryResult.category} (${Math.round(categoryResult.confidence * 100)}%) - ${this.classificationQueue.length} left`);
-          }
-          
-          resolve({ ...categoryResult, salesInsights });
-        } else {
-          const fallback = this.ruleBasedClassify(email);
-          logger.info(`🔧 Fallback: ${fallback.category} (${Math.round(fallback.confidence * 100)}%)`);
-          resolve(fallback);
-        }
-      } catch (error: any) {
-        const fallback = this.ruleBasedClassify(email);
-        logger.warn(`❌ LLM error, fallback: ${fallback.category}`);
-        resolve(fallback);
+        salesInsights = await this.generateSalesInsights(email, categoryResult);
+      } catch (insightError) {
+        logger.warn(`⚠️ Sales insights failed, using category only`);
       }
     }
 
-    this.isProcessing = false;
-    logger.info(`✅ Queue completed`);
+    logger.info(`✅ LLM: ${categoryResult.category} (${Math.round(categoryResult.confidence * 100)}%)${salesInsights ? ' + Sales insights' : ''}`);
+    return { ...categoryResult, salesInsights };
   }
 
   private async classifyWithLLM(email: any): Promise<{ category: string; confidence: number } | null> {
@@ -179,7 +140,7 @@ export class LocalLLMService {
 
   private buildOptimizedPrompt(email: any): string {
     const subject = (email.subject || '').substring(0, 80);
-    const body = (email.textBody || '').substring(0, 200);
+    const body = newContentText(email).substring(0, 200);
     const from = email.from?.address || '';
 
     // Enhanced prompt with clear examples
@@ -245,7 +206,7 @@ Classification:`;
     }
 
     // Context validation
-    const text = `${email.subject || ''} ${email.textBody || ''}`.toLowerCase();
+    const text = `${email.subject || ''} ${newContentText(email)}`.toLowerCase();
     
     // Check for obvious contradictions
     if (result.category === 'not_interested' && text.includes('interested')) {
@@ -265,7 +226,7 @@ Classification:`;
 
   private ruleBasedClassify(email: any): { category: string; confidence: number } {
     const subject = (email.subject || '').toLowerCase();
-    const body = (email.textBody || '').toLowerCase();
+    const body = newContentText(email).toLowerCase();
     const text = `${subject} ${body}`;
 
     // High confidence patterns
@@ -358,7 +319,7 @@ Classification:`;
 
   private buildSalesInsightsPrompt(email: any, categoryResult: any): string {
     const subject = email.subject || '';
-    const body = (email.textBody || '').substring(0, 300);
+    const body = newContentText(email).substring(0, 300);
     
     return `Analyze this ${categoryResult.category} email for sales insights:
 
@@ -559,17 +520,13 @@ Best regards`
       initialized: this.isInitialized,
       ollamaUrl: this.ollamaUrl,
       modelName: this.modelName,
-      queueLength: this.classificationQueue.length,
-      isProcessing: this.isProcessing,
       requestTimeout: this.requestTimeout,
-      version: '4.0.0 - Sequential Queue Processing'
+      version: '5.0.0 - Queued by the classify job queue'
     };
   }
 
   async cleanup(): Promise<void> {
     try {
-      this.classificationQueue.length = 0;
-      this.isProcessing = false;
       logger.info('🧹 Local LLM Service cleaned up');
     } catch (error) {
       logger.error('Error during LLM cleanup:', error);
@@ -0,0 +1,202 @@
+import { AddressObject, ParsedMail } from 'mailparser';
+import { Email, IEmail, IEmailAccount, PendingImapAction } from '../models';
+import { AttachmentService } from './AttachmentService';
+import { QueueService } from './QueueService';
+import { ThreadingService } from './ThreadingService';
+import { bulkIndexEmails, deleteAccountFromIndex } from '../config/elasticsearch';
+import { fallbackMessageId } from '../utils/emailUtils';
+import { segmentBody } from '../utils/bodySegmenter';
+import { sanitizeEmailHtml } from '../utils/htmlSanitizer';
+import { normalizeSubject, threadHeaders } from '../utils/threadUtils';
+import { logger } from '../utils/logger';
+
+export interface IngestOptions {
+  folder: string;
+  mailbox?: string;
+  uid?: number;
+  labels?: string[];
+  threadId?: string;
+  gmailMessageId?: string;
+  flags?: string[];
+  size?: number;
+  bodyStatus?: 'complete' | 'partial' | 'headers_only';
+  attachments?: any[]; // metadata for attachments whose content was not fetched
+  importJobId?: string;
+}
+
+// Turns a parsed message from any source (IMAP sync, archive import) into an
+// Email document and hands it to the ingest queue, which stores, classifies
+// and indexes it.
+export class MessageIngestor {
+  private queueService: QueueService;
+  private attachmentService: AttachmentService;
+  private threadingService: ThreadingService;
+  private reindexBatchSize = 500;
+
+  constructor(queueService: QueueService, attachmentService: AttachmentService, threadingService: ThreadingService) {
+    this.queueService = queueService;
+    this.attachmentService = attachmentService;
+    this.threadingService = threadingService;
+  }
+
+  // Resolves false when the message is already stored
+  async ingest(parsed: ParsedMail, account: IEmailAccount, options: IngestOptions): Promise<boolean> {
+    const accountId = (account._id as any).toString();
+    const messageId = parsed.messageId || fallbackMessageId(parsed);
+
+    // Identity is per account: the same message in two connected accounts
+    // is stored once for each
+    const existingEmail = await Email.findOne({ accountId, messageId });
+    if (existingEmail) {
+      // Seen again by a resync: adopt its current UID, keep everything else
+      if (options.uid && existingEmail.mailbox === options.mailbox && existingEmail.uid !== options.uid) {
+        await Email.updateOne({ _id: existingEmail._id }, { uid: options.uid });
+      }
+      // Stored before threading headers were kept: link it now that they are known
+      const headers = threadHeaders(parsed);
+      if (!existingEmail.references?.length && headers.references.length > 0) {
+        const threading = { ...headers, threadSubject: normalizeSubject(existingEmail.subject) };
+        await Email.updateOne({ _id: existingEmail._id }, threading);
+        Object.assign(existingEmail, threading);
+        await this.threadingService.assignThread(existingEmail);
+      }
+      return false;
+    }
+
+    const emailDoc = await this.buildEmailDoc(parsed, account, options, messageId);
+
+    // Storing, classification, indexing and notifications happen on the
+    // job queues; once this resolves the message is safe to checkpoint past
+    await this.queueService.add('ingest', emailDoc, `ingest:${emailDoc.accountId}:${messageId}`);
+    return true;
+  }
+
+  // Stores a message sent from this app right away, so the caller gets its
+  // Email. Sent mail is threaded and indexed but not classified: it is the
+  // user's own writing. Bcc recipients are not in the message and come
+  // from the caller.
+  async storeSent(
+    parsed: ParsedMail,
+    account: IEmailAccount,
+    options: IngestOptions & { bcc?: { address: string; name?: string }[] }
+  ): Promise<IEmail> {
+    const messageId = parsed.messageId || fallbackMessageId(parsed);
+    const emailDoc = await this.buildEmailDoc(parsed, account, options, messageId);
+    emailDoc.bcc = options.bcc || [];
+    // Also keeps the copy that sync later finds in Sent from being classified
+    emailDoc.aiProcessed = true;
+
+    const email = await Email.create(emailDoc);
+    await this.threadingService.assignThread(email);
+
+    const emailId = (email._id as any).toString();
+    await this.queueService.add('index', { emailId }, `index:${emailId}`);
+    return email;
+  }
+
+  private async buildEmailDoc(parsed: ParsedMail, account: IEmailAccount, options: IngestOptions, messageId: string): Promise<any> {
+    const emailDoc: any = {
+      accountId: (account._id as any).toString(),
+      messageId,
+      mailbox: options.mailbox,
+      uid: options.uid,
+      threadId: options.threadId,
+      gmailMessageId: options.gmailMessageId,
+      ...threadHeaders(parsed),
+      threadSubject: normalizeSubject(parsed.subject || 'No subject'),
+      from: {
+        address: Array.isArray(parsed.from)
+          ? parsed.from[0]?.address || ''
+          : parsed.from?.value?.[0]?.address || '',
+        name: Array.isArray(parsed.from)
+          ? parsed.from[0]?.name || ''
+          : parsed.from?.value?.[0]?.name || ''
+      },
+      to: Array.isArray(parsed.to)
+        ? parsed.to.map((addr: any) => ({
+            address: addr.address,
+            name: addr.name
+          }))
+        : parsed.to?.value?.map((addr: any) => ({
+            address: addr.address,
+            name: addr.name
+          })) || [],
+      replyTo: ([] as AddressObject[]).concat(parsed.replyTo || []).flatMap(group => group.value)
+        .map(addr => addr.address ? { address: addr.address, name: addr.name } : undefined)[0],
+      cc: ([] as AddressObject[]).concat(parsed.cc || []).flatMap(group => group.value).map(addr => ({
+        address: addr.address || '',
+        name: addr.name
+      })),
+      subject: parsed.subject || 'No subject',
+      textBody: parsed.text || 'No text content',
+      htmlBody: parsed.html || '',
+      segments: segmentBody(parsed.text, parsed.html || undefined),
+      tracking: parsed.html ? sanitizeEmailHtml(parsed.html).tracking : undefined,
+      size: options.size,
+      bodyStatus: options.bodyStatus || 'complete',
+      importJobId: options.importJobId,
+      folder: options.folder,
+      labels: options.labels || [],
+      flags: options.flags || [],
+      isRead: options.flags?.includes('\\Seen') || false,
+      isStarred: options.flags?.includes('\\Flagged') || false,
+      receivedDate: parsed.date || new Date(),
+      aiProcessed: false
+    };
+
+    if (options.attachments) {
+      emailDoc.attachments = options.attachments;
+    } else if (parsed.attachments && parsed.attachments.length > 0) {
+      emailDoc.attachments = [];
+      for (const att of parsed.attachments) {
+        let contentHash: string | undefined;
+        try {
+          contentHash = await this.attachmentService.store(att.content);
+        } catch (storeError: any) {
+          logger.warn(`Failed to store attachment ${att.filename} for ${account.email}:`, storeError.message);
+        }
+
+        emailDoc.attachments.push({
+          filename: att.filename || 'attachment',
+          contentType: att.contentType,
+          size: att.size,
+          contentId: att.cid,
+          contentHash
+        });
+      }
+    }
+
+    return emailDoc;
+  }
+
+  // Sends an account's stored mail to Elasticsearch again, e.g. after the
+  // index was lost or rebuilt. Returns the number of messages sent.
+  async reindexAccount(accountId: string): Promise<number> {
+    let batch: any[] = [];
+    let count = 0;
+
+    for await (const email of Email.find({ accountId }).lean().cursor()) {
+      batch.push(email);
+      if (batch.length === this.reindexBatchSize) {
+        await bulkIndexEmails(batch);
+        count += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await bulkIndexEmails(batch);
+      count += batch.length;
+    }
+
+    return count;
+  }
+
+  // Deletes everything stored for an account, user state included, so it
+  // can be synced from scratch. Attachment content is shared by hash and stays.
+  async clearAccount(accountId: string): Promise<number> {
+    const { deletedCount } = await Email.deleteMany({ accountId });
+    await PendingImapAction.deleteMany({ accountId });
+    await deleteAccountFromIndex(accountId);
+    return deletedCount;
+  }
+}
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { logger } from '../utils/logger';
+import { newContentText } from '../utils/bodySegmenter';
 
 export class NotificationService {
   private slackWebhookUrl: string | null = null;
@@ -53,6 +54,7 @@ export class NotificationService {
     try {
       const icon = email.aiCategory === 'meeting_booked' ? '📅' : '🎯';
       const title = email.aiCategory === 'meeting_booked' ? 'Meeting Booked!' : 'New Interested Lead!';
+      const preview = newContentText(email);
 
       const payload: any = {
         text: `${icon} ${title}`,
@@ -89,7 +91,7 @@ export class NotificationService {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: `*Message Preview:*\n${email.textBody.substring(0, 200)}${email.textBody.length > 200 ? '...' : ''}`
+              text: `*Message Preview:*\n${preview.substring(0, 200)}${preview.length > 200 ? '...' : ''}`
             }
           },
           {
@@ -0,0 +1,212 @@
+import axios from 'axios';
+import { EmailAccount } from '../models';
+import { encryptSecret, revealSecret } from '../utils/crypto';
+import { logger } from '../utils/logger';
+
+export type OAuthProvider = 'gmail' | 'outlook';
+
+interface OAuthProviderConfig {
+  authorizationUrl: string;
+  tokenUrl: string;
+  clientId?: string;
+  clientSecret?: string;
+  scopes: string[];
+  extraParams: { [key: string]: string };
+}
+
+export interface OAuthTokens {
+  email: string;
+  accessToken: string;
+  refreshToken: string;
+  expiresAt: Date;
+  scope?: string;
+}
+
+// Endpoints are overridable so tests can point at a local authorization server
+function providerConfig(provider: OAuthProvider): OAuthProviderConfig {
+  if (provider === 'gmail') {
+    return {
+      authorizationUrl: process.env.GOOGLE_OAUTH_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenUrl: process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+      clientId: process.env.GOOGLE_OAUTH_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_OAUTH_CLIENT_SECRET,
+      scopes: ['https://mail.google.com/', 'openid', 'email'],
+      // Google only returns a refresh token on consent with offline access
+      extraParams: { access_type: 'offline', prompt: 'consent' }
+    };
+  }
+
+  const tenant = process.env.MICROSOFT_OAUTH_TENANT || 'common';
+  return {
+    authorizationUrl: process.env.MICROSOFT_OAUTH_AUTH_URL || `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/authorize`,
+    tokenUrl: process.env.MICROSOFT_OAUTH_TOKEN_URL || `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/token`,
+    clientId: process.env.MICROSOFT_OAUTH_CLIENT_ID,
+    clientSecret: process.env.MICROSOFT_OAUTH_CLIENT_SECRET,
+    scopes: ['https://outlook.office.com/IMAP.AccessAsUser.All', 'https://outlook.office.com/SMTP.Send', 'offline_access', 'openid', 'email'],
+    extraParams: { prompt: 'select_account' }
+  };
+}
+
+// SASL XOAUTH2 initial client response, as node-imap expects it
+export function buildXOAuth2Token(user: string, accessToken: string): string {
+  return Buffer.from(`user=${user}\x01auth=Bearer ${accessToken}\x01\x01`).toString('base64');
+}
+
+export class OAuthService {
+  private redirectUri: string;
+  private refreshMargin = 60 * 1000; // refresh tokens expiring within a minute
+  private refreshing: Map<string, Promise<string>> = new Map();
+
+  constructor() {
+    this.redirectUri = process.env.OAUTH_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 5001}${process.env.API_PREFIX || '/api/v1'}/accounts/oauth/callback`;
+  }
+
+  supports(provider: string): provider is OAuthProvider {
+    return provider === 'gmail' || provider === 'outlook';
+  }
+
+  isConfigured(provider: string): boolean {
+    if (!this.supports(provider)) return false;
+    const config = providerConfig(provider);
+    return !!(config.clientId && config.clientSecret);
+  }
+
+  getAuthorizationUrl(provider: OAuthProvider, state: string, loginHint?: string): string {
+    const config = providerConfig(provider);
+    const params = new URLSearchParams({
+      client_id: config.clientId || '',
+      redirect_uri: this.redirectUri,
+      response_type: 'code',
+      scope: config.scopes.join(' '),
+      state,
+      ...config.extraParams,
+      ...(loginHint ? { login_hint: loginHint } : {})
+    });
+
+    return `${config.authorizationUrl}?${params.toString()}`;
+  }
+
+  async exchangeCode(provider: OAuthProvider, code: string): Promise<OAuthTokens> {
+    const data = await this.tokenRequest(provider, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri
+    });
+
+    if (!data.refresh_token) {
+      throw new Error('Authorization server did not return a refresh token');
+    }
+
+    const email = this.emailFromIdToken(data.id_token);
+    if (!email) {
+      throw new Error('Authorization server did not return the account email');
+    }
+
+    return {
+      email,
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token,
+      expiresAt: new Date(Date.now() + Number(data.expires_in || 3600) * 1000),
+      scope: data.scope
+    };
+  }
+
+  // Fields to store on EmailAccount.oauth for freshly issued tokens
+  toAccountFields(provider: OAuthProvider, tokens: OAuthTokens) {
+    return {
+      provider,
+      refreshToken: encryptSecret(tokens.refreshToken),
+      accessToken: encryptSecret(tokens.accessToken),
+      accessTokenExpiresAt: tokens.expiresAt,
+      scope: tokens.scope
+    };
+  }
+
+  // A valid access token for the account, refreshed and persisted when needed
+  async getAccessToken(accountId: string): Promise<string> {
+    const account = await EmailAccount.findById(accountId).select('+oauth.refreshToken +oauth.accessToken');
+    if (!account?.oauth?.refreshToken || !account.oauth.provider) {
+      throw Object.assign(new Error('Account has no OAuth authorization'), { source: 'authentication' });
+    }
+
+    const { accessToken, accessTokenExpiresAt } = account.oauth;
+    if (accessToken && accessTokenExpiresAt && accessTokenExpiresAt.getTime() - Date.now() > this.refreshMargin) {
+      return revealSecret(accessToken);
+    }
+
+    // Connects and reconnects can race; share a single refresh per account
+    let refresh = this.refreshing.get(accountId);
+    if (!refresh) {
+      refresh = this.refreshAccessToken(accountId, account.oauth.provider, revealSecret(account.oauth.refreshToken))
+        .finally(() => this.refreshing.delete(accountId));
+      this.refreshing.set(accountId, refresh);
+    }
+    return refresh;
+  }
+
+  private async refreshAccessToken(accountId: string, provider: OAuthProvider, refreshToken: string): Promise<string> {
+    let data: any;
+    try {
+      data = await this.tokenRequest(provider, {
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken
+      });
+    } catch (error: any) {
+      if (error.message.includes('invalid_grant')) {
+        // Same `source` node-imap gives a rejected login, so reconnects stop
+        throw Object.assign(
+          new Error('OAuth authorization was revoked or has expired; re-authorize the account'),
+          { source: 'authentication' }
+        );
+      }
+      throw error;
+    }
+
+    const update: any = {
+      'oauth.accessToken': encryptSecret(data.access_token),
+      'oauth.accessTokenExpiresAt': new Date(Date.now() + Number(data.expires_in || 3600) * 1000)
+    };
+    // Microsoft rotates refresh tokens on use
+    if (data.refresh_token) {
+      update['oauth.refreshToken'] = encryptSecret(data.refresh_token);
+    }
+
+    await EmailAccount.updateOne({ _id: accountId }, { $set: update });
+    logger.info(`🔑 Refreshed OAuth access token for account ${accountId}`);
+
+    return data.access_token;
+  }
+
+  private async tokenRequest(provider: OAuthProvider, params: { [key: string]: string }): Promise<any> {
+    const config = providerConfig(provider);
+    if (!config.clientId || !config.clientSecret) {
+      throw new Error(`OAuth is not configured for ${provider}`);
+    }
+
+    try {
+      const response = await axios.post(
+        config.tokenUrl,
+        new URLSearchParams({ ...params, client_id: config.clientId, client_secret: config.clientSecret }).toString(),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 15000 }
+      );
+      return response.data;
+    } catch (error: any) {
+      const reason = error.response?.data?.error || error.message;
+      throw new Error(`OAuth token request failed: ${reason}`);
+    }
+  }
+
+  // The ID token comes straight from the token endpoint over TLS, so its
+  // claims are read without verifying the signature (OpenID Connect 3.1.3.7)
+  private emailFromIdToken(idToken?: string): string | null {
+    if (!idToken) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+      return (claims.email || claims.preferred_username || '').toLowerCase() || null;
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,203 @@
+import { Readable } from 'stream';
+import Pop3Command from 'node-pop3';
+import { simpleParser } from 'mailparser';
+import { EmailAccount, IEmailAccount, Pop3SeenMessage } from '../models';
+import { MessageIngestor } from './MessageIngestor';
+import { revealSecret } from '../utils/crypto';
+import { TlsPolicy, buildTlsOptions, resolveTlsMode } from '../utils/tlsUtils';
+import { logger } from '../utils/logger';
+
+export interface Pop3ServerConfig {
+  host: string;
+  port: number;
+  secure: boolean;
+  user: string;
+  pass: string;
+}
+
+// Polls POP3 accounts for SyncScheduler. POP3 has no folders, flags or push,
+// so every poll lists the maildrop, downloads messages whose UIDL has not
+// been seen and hands them to the same ingest pipeline as IMAP.
+export class Pop3Service {
+  private messageIngestor: MessageIngestor;
+  private polling: Set<string> = new Set();
+  private socketTimeout = 60000;
+  private maxEmailsPerSync = Number(process.env.MAX_EMAILS_PER_SYNC || 1000);
+  private maxMessageSize = Number(process.env.MAX_MESSAGE_SIZE_MB || 25) * 1024 * 1024;
+
+  constructor(messageIngestor: MessageIngestor) {
+    this.messageIngestor = messageIngestor;
+  }
+
+  // Logs in and reads the maildrop size, without downloading anything
+  async testConnection(config: Pop3ServerConfig, tlsPolicy?: TlsPolicy): Promise<{ messageCount: number; totalSize: number }> {
+    const pop3 = this.createClient(config, tlsPolicy);
+
+    try {
+      const [messageCount, totalSize] = (await pop3.STAT()).split(' ').map(Number);
+      await pop3.QUIT();
+      return { messageCount, totalSize };
+    } finally {
+      pop3._socket?.destroy();
+    }
+  }
+
+  // Returns the number of messages downloaded, or null when no poll ran
+  async pollAccount(accountId: string): Promise<number | null> {
+    if (this.polling.has(accountId)) {
+      logger.debug(`POP3 poll skipped for ${accountId}: poll already running`);
+      return null;
+    }
+
+    const account = await EmailAccount.findById(accountId);
+    if (!account?.isActive || account.protocol !== 'pop3' || !account.pop3Config) {
+      return null;
+    }
+
+    this.polling.add(accountId);
+    let pop3: Pop3Command | undefined;
+
+    try {
+      pop3 = this.createClient({ ...account.pop3Config, pass: revealSecret(account.pop3Config.pass) }, account.tlsPolicy);
+      await EmailAccount.updateOne({ _id: account._id }, { syncStatus: 'syncing' });
+
+      const listing = (await pop3.UIDL()) as string[][];
+      const sizes = new Map(((await pop3.LIST()) as string[][]).map(([number, size]) => [Number(number), Number(size)]));
+      const onServer = listing.map(([number, uidl]) => ({ number: Number(number), uidl }));
+
+      const seen = new Set((await Pop3SeenMessage.find({ accountId, uidl: { $in: onServer.map(m => m.uidl) } })
+        .select('uidl')
+        .lean()).map(record => record.uidl));
+      const budget = account.syncSettings?.maxEmailsPerSync || this.maxEmailsPerSync;
+      const pending = onServer.filter(message => !seen.has(message.uidl)).slice(0, budget);
+
+      let processed = 0;
+      let errors = 0;
+      for (const message of pending) {
+        try {
+          const complete = await this.downloadMessage(pop3, account, message.number, sizes.get(message.number) || 0);
+          await Pop3SeenMessage.updateOne({ accountId, uidl: message.uidl }, {}, { upsert: true });
+
+          // Deletions only take effect on QUIT, after everything is ingested.
+          // Of an oversized message only the headers are stored, and the
+          // server copy is the only one with the body, so it stays.
+          if (!account.pop3Config.leaveOnServer && complete) {
+            await pop3.DELE(message.number);
+          } else if (!account.pop3Config.leaveOnServer) {
+            logger.warn(`Leaving oversized POP3 message ${message.uidl} on the server for ${account.email}: only its headers were stored`);
+          }
+          processed++;
+        } catch (error: any) {
+          errors++;
+          logger.warn(`Failed to download POP3 message ${message.uidl} for ${account.email}:`, error.message);
+        }
+      }
+
+      await pop3.QUIT();
+
+      // A UIDL the server no longer lists cannot come back, so stop tracking it
+      await Pop3SeenMessage.deleteMany({ accountId, uidl: { $nin: onServer.map(m => m.uidl) } });
+
+      await EmailAccount.updateOne({ _id: account._id }, {
+        syncStatus: 'connected',
+        lastSyncAt: new Date(),
+        'syncStats.processedEmails': processed,
+        'syncStats.lastSyncAt': new Date()
+      });
+      logger.info(`📬 POP3 poll for ${account.email}: ${processed} new, ${errors} failed, ${onServer.length - pending.length} already seen`);
+      return processed;
+    } catch (error: any) {
+      logger.error(`POP3 poll failed for ${account.email}:`, error.message);
+      await EmailAccount.updateOne({ _id: account._id }, {
+        syncStatus: 'error',
+        lastSyncAt: new Date(),
+        $push: { 'syncStats.errors': { message: error.message, timestamp: new Date() } }
+      });
+      return null;
+    } finally {
+      // Without QUIT the server rolls back any DELE
+      pop3?._socket?.destroy();
+      this.polling.delete(accountId);
+    }
+  }
+
+  // Forgets which UIDLs were downloaded, so the next poll looks at every
+  // message still on the server. Stored messages are recognised by
+  // Message-ID and kept as they are; with `reset` they are deleted first.
+  // Messages already deleted from the server cannot come back either way.
+  async resyncAccount(accountId: string, options: { reset?: boolean } = {}): Promise<number | null> {
+    if (this.polling.has(accountId)) {
+      throw new Error('A POP3 poll is already running for this account');
+    }
+
+    if (options.reset) {
+      const deleted = await this.messageIngestor.clearAccount(accountId);
+      logger.warn(`🗑️ Reset POP3 account ${accountId}: deleted ${deleted} stored emails`);
+    } else {
+      await this.messageIngestor.reindexAccount(accountId);
+    }
+
+    await Pop3SeenMessage.deleteMany({ accountId });
+    return this.pollAccount(accountId);
+  }
+
+  // Returns false when only the headers were stored
+  private async downloadMessage(pop3: Pop3Command, account: IEmailAccount, number: number, size: number): Promise<boolean> {
+    // Oversized messages are stored from their headers only
+    const oversized = size > this.maxMessageSize;
+    const raw = oversized
+      ? await this.readResponse(pop3, 'TOP', number, 0)
+      : await this.readResponse(pop3, 'RETR', number);
+
+    const parsed = await simpleParser(raw);
+    await this.messageIngestor.ingest(parsed, account, {
+      folder: 'inbox',
+      size,
+      bodyStatus: oversized ? 'headers_only' : 'complete'
+    });
+    return !oversized;
+  }
+
+  // RETR/TOP as bytes: node-pop3's own helpers decode to UTF-8, which
+  // corrupts 8-bit bodies, and leave dot-stuffing in place
+  private async readResponse(pop3: Pop3Command, ...command: (string | number)[]): Promise<Buffer> {
+    const [, stream] = await pop3.command(...command);
+    const chunks: Buffer[] = [];
+    for await (const chunk of stream as Readable) {
+      chunks.push(chunk);
+    }
+
+    const response = Buffer.concat(chunks);
+    const unstuffed: Buffer[] = [];
+    let start = 0;
+    while (start < response.length) {
+      let end = response.indexOf(0x0a, start);
+      end = end === -1 ? response.length : end + 1;
+      const line = response.subarray(start, end);
+      unstuffed.push(line[0] === 0x2e && line[1] === 0x2e ? line.subarray(1) : line); // ".." -> "."
+      start = end;
+    }
+    return Buffer.concat(unstuffed);
+  }
+
+  // node-pop3 cannot upgrade a connection with STLS, so a POP3 server is
+  // either reached over implicit TLS or, when the policy says so explicitly,
+  // in plaintext
+  private createClient(config: Pop3ServerConfig, tlsPolicy?: TlsPolicy): Pop3Command {
+    const mode = resolveTlsMode(config.secure, tlsPolicy);
+    if (mode === 'starttls') {
+      throw new Error('POP3 STLS is not supported: use implicit TLS (usually port 995), or set the TLS mode to "none" to allow plaintext');
+    }
+
+    return new Pop3Command({
+      host: config.host,
+      port: config.port,
+      tls: mode === 'implicit',
+      tlsOptions: mode === 'implicit' ? buildTlsOptions(config.host, tlsPolicy) as any : undefined, // passed through to tls.connect
+      user: config.user,
+      password: config.pass,
+      timeout: this.socketTimeout,
+      servername: config.host
+    });
+  }
+}
@@ -0,0 +1,255 @@
+import Queue, { Job } from 'bull';
+import { EventEmitter } from 'events';
+import { Email } from '../models';
+import { AiService } from './AiService';
+import { NotificationService } from './NotificationService';
+import { ThreadingService } from './ThreadingService';
+import { indexEmailInElasticsearch } from '../config/elasticsearch';
+import { logger } from '../utils/logger';
+import { withTimeout } from '../utils/promiseUtils';
+
+export type JobQueueName = 'ingest' | 'classify' | 'index' | 'notify';
+
+interface QueueSettings {
+  concurrency: number;
+  attempts: number;
+  backoffDelay: number;
+}
+
+const QUEUE_SETTINGS: { [name in JobQueueName]: QueueSettings } = {
+  ingest: { concurrency: 5, attempts: 5, backoffDelay: 2000 },
+  // The local LLM handles one prompt at a time; more workers only queue up there
+  classify: { concurrency: Number(process.env.CLASSIFY_CONCURRENCY || 1), attempts: 3, backoffDelay: 10000 },
+  index: { concurrency: 5, attempts: 5, backoffDelay: 5000 },
+  notify: { concurrency: 2, attempts: 5, backoffDelay: 15000 }
+};
+
+// Post-fetch processing of synced emails. IMAP sync only parses messages and
+// hands them to the ingest queue, so a slow LLM never holds up fetching.
+// Jobs live in Redis and survive restarts; without Redis they run in-process.
+export class QueueService extends EventEmitter {
+  private aiService: AiService;
+  private notificationService: NotificationService;
+  private threadingService: ThreadingService;
+  private queues: Map<JobQueueName, Queue.Queue> = new Map();
+  private deadLetterQueue: Queue.Queue | null = null;
+  private connectTimeout = 5000;
+
+  constructor(aiService: AiService, notificationService: NotificationService, threadingService: ThreadingService) {
+    super();
+    this.aiService = aiService;
+    this.notificationService = notificationService;
+    this.threadingService = threadingService;
+  }
+
+  async initialize(): Promise<void> {
+    const redisUrl = process.env.REDIS_URL;
+    if (!redisUrl) {
+      logger.warn('⚠️ REDIS_URL not set - processing jobs inline without retries');
+      return;
+    }
+
+    const names = Object.keys(QUEUE_SETTINGS) as JobQueueName[];
+    const queues = names.map(name => new Queue(name, redisUrl));
+    const deadLetterQueue = new Queue('dead-letter', redisUrl);
+
+    try {
+      await withTimeout(
+        Promise.all([...queues, deadLetterQueue].map(queue => queue.isReady())),
+        this.connectTimeout,
+        `no connection after ${this.connectTimeout}ms`
+      );
+    } catch (error: any) {
+      logger.warn(`⚠️ Redis unavailable (${error.message}) - processing jobs inline without retries`);
+      await Promise.all([...queues, deadLetterQueue].map(queue => queue.close().catch(() => undefined)));
+      return;
+    }
+
+    this.deadLetterQueue = deadLetterQueue;
+    names.forEach((name, i) => {
+      const queue = queues[i];
+      this.queues.set(name, queue);
+
+      queue.process(QUEUE_SETTINGS[name].concurrency, (job: Job) => this.runJob(name, job.data));
+      queue.on('failed', (job: Job, error: Error) => this.handleFailure(name, job, error));
+      queue.on('error', (error: Error) => logger.error(`Queue ${name} error:`, error.message));
+    });
+
+    logger.info('✅ Job queues ready (ingest, classify, index, notify)');
+  }
+
+  async add(name: JobQueueName, data: any, jobId?: string): Promise<void> {
+    const queue = this.queues.get(name);
+
+    if (!queue) {
+      // Inline fallback: ingest is awaited so sync checkpoints stay honest,
+      // the rest runs in the background as before queues existed
+      const run = this.runJob(name, data);
+      if (name === 'ingest') {
+        await run;
+      } else {
+        run.catch(async (error: any) => {
+          logger.debug(`Inline ${name} job failed:`, error.message);
+          if (name === 'classify') await this.markUncategorized(data.emailId);
+        });
+      }
+      return;
+    }
+
+    const { attempts, backoffDelay } = QUEUE_SETTINGS[name];
+    await queue.add(data, {
+      jobId,
+      attempts,
+      backoff: { type: 'exponential', delay: backoffDelay },
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+  }
+
+  async getStats(): Promise<{ mode: string; queues: { [name: string]: Queue.JobCounts } }> {
+    const queues: { [name: string]: Queue.JobCounts } = {};
+
+    for (const [name, queue] of this.queues) {
+      queues[name] = await queue.getJobCounts();
+    }
+    if (this.deadLetterQueue) {
+      queues['dead-letter'] = await this.deadLetterQueue.getJobCounts();
+    }
+
+    return { mode: this.queues.size > 0 ? 'redis' : 'inline', queues };
+  }
+
+  async close(): Promise<void> {
+    const queues = [...this.queues.values(), ...(this.deadLetterQueue ? [this.deadLetterQueue] : [])];
+    await Promise.all(queues.map(queue => queue.close()));
+    this.queues.clear();
+    this.deadLetterQueue = null;
+  }
+
+  private runJob(name: JobQueueName, data: any): Promise<void> {
+    switch (name) {
+      case 'ingest':
+        return this.ingestEmail(data);
+      case 'classify':
+        return this.classifyEmail(data.emailId);
+      case 'index':
+        return this.indexEmail(data.emailId);
+      case 'notify':
+        return this.notifyEmail(data.emailId);
+    }
+  }
+
+  private async ingestEmail(emailDoc: any): Promise<void> {
+    let email = await Email.findOne({ accountId: emailDoc.accountId, messageId: emailDoc.messageId });
+
+    if (email) {
+      // A retried job whose fan-out did not finish gets it re-run; anything
+      // else is a duplicate of a message that was already ingested
+      if (email.aiProcessed) {
+        return;
+      }
+      if (!email.threadId) {
+        await this.threadingService.assignThread(email);
+      }
+    } else {
+      try {
+        email = await Email.create(emailDoc);
+      } catch (error: any) {
+        if (error.code === 11000) return; // ingested concurrently under another job
+        throw error;
+      }
+      await this.threadingService.assignThread(email);
+      this.emit('emailIngested', email);
+    }
+
+    const emailId = (email._id as any).toString();
+    await this.add('index', { emailId }, `index:${emailId}`);
+    await this.add('classify', { emailId }, `classify:${emailId}`);
+  }
+
+  private async classifyEmail(emailId: string): Promise<void> {
+    const email = await Email.findById(emailId);
+    if (!email || email.aiProcessed) return;
+
+    const aiResult = await this.aiService.classifyEmail(email.toObject());
+    const update: any = {
+      aiCategory: aiResult.category,
+      aiConfidence: aiResult.confidence,
+      aiProcessed: true
+    };
+
+    // Add LLM-based sales insights
+    if (aiResult.salesInsights) {
+      update.aiInsights = {
+        sentiment: aiResult.salesInsights.intent === 'ready_to_buy' ? 'positive' : 'neutral',
+        urgency: aiResult.salesInsights.urgency,
+        intent: aiResult.salesInsights.intent,
+        keyTopics: aiResult.salesInsights.buyingSignals || [],
+        suggestedResponse: aiResult.salesInsights.nextAction
+      };
+    }
+
+    await Email.updateOne({ _id: emailId }, update);
+
+    // Re-index with the category; alert on leads, but not on archived mail
+    await this.add('index', { emailId }, `index:${emailId}:classified`);
+    if (['interested', 'meeting_booked'].includes(aiResult.category) && !email.importJobId) {
+      await this.add('notify', { emailId }, `notify:${emailId}`);
+    }
+  }
+
+  // An email whose classification failed for good still needs a category to
+  // show up in category views
+  private async markUncategorized(emailId: string): Promise<void> {
+    try {
+      const result = await Email.updateOne(
+        { _id: emailId, aiProcessed: false, aiCategory: { $exists: false } },
+        { aiCategory: 'uncategorized' }
+      );
+      if (result.modifiedCount > 0) {
+        await this.add('index', { emailId }, `index:${emailId}:classified`);
+      }
+    } catch (error: any) {
+      logger.error(`Failed to mark email ${emailId} uncategorized:`, error.message);
+    }
+  }
+
+  private async indexEmail(emailId: string): Promise<void> {
+    const email = await Email.findById(emailId);
+    if (!email) return;
+
+    if (!(await indexEmailInElasticsearch(email))) {
+      throw new Error(`Elasticsearch rejected email ${emailId}`);
+    }
+  }
+
+  private async notifyEmail(emailId: string): Promise<void> {
+    const email = await Email.findById(emailId);
+    if (!email) return;
+
+    await this.notificationService.processInterestedEmail(email);
+  }
+
+  // Jobs out of retries are parked in the dead-letter queue for inspection
+  private async handleFailure(name: JobQueueName, job: Job, error: Error): Promise<void> {
+    if (job.attemptsMade < (job.opts.attempts || 1)) {
+      logger.debug(`Queue ${name} job ${job.id} failed (attempt ${job.attemptsMade}), retrying:`, error.message);
+      return;
+    }
+
+    logger.error(`Queue ${name} job ${job.id} failed permanently:`, error.message);
+
+    if (name === 'classify') {
+      await this.markUncategorized(job.data.emailId);
+    }
+
+    try {
+      await this.deadLetterQueue?.add(
+        { queue: name, jobId: job.id, data: job.data, failedReason: error.message, failedAt: new Date() },
+        { removeOnComplete: false, removeOnFail: false }
+      );
+    } catch (dlqError: any) {
+      logger.error(`Failed to dead-letter ${name} job ${job.id}:`, dlqError.message);
+    }
+  }
+}
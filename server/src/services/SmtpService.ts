@@ -0,0 +1,338 @@
+import crypto from 'crypto';
+import nodemailer, { Transporter } from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer';
+import { simpleParser } from 'mailparser';
+import { Email, EmailAccount, IEmail, IEmailAccount } from '../models';
+import { AttachmentService } from './AttachmentService';
+import { ImapService } from './ImapService';
+import { MessageIngestor } from './MessageIngestor';
+import { OAuthService } from './OAuthService';
+import { mailProviders } from '../config/providers';
+import { revealSecret } from '../utils/crypto';
+import { htmlToText } from '../utils/emailUtils';
+import { forwardSubject, quoteOriginal, replyRecipients, replySubject, replyThreadHeaders } from '../utils/replyUtils';
+import { buildTlsOptions, resolveTlsMode } from '../utils/tlsUtils';
+import { logger } from '../utils/logger';
+
+export interface OutgoingAddress {
+  address: string;
+  name?: string;
+}
+
+export interface OutgoingAttachment {
+  filename: string;
+  contentType?: string;
+  content: Buffer;
+  cid?: string; // referenced from the HTML body as cid:...
+}
+
+export interface OutgoingMessage {
+  to: OutgoingAddress[];
+  cc?: OutgoingAddress[];
+  bcc?: OutgoingAddress[];
+  subject: string;
+  text?: string; // derived from html when omitted
+  html?: string;
+  attachments?: OutgoingAttachment[];
+  inReplyTo?: string;
+  references?: string[];
+}
+
+// What the user wrote in a reply or forward; recipients, subject and
+// threading headers come from the original unless given
+export interface ReplyInput {
+  to?: OutgoingAddress[]; // replies: instead of the computed ones
+  subject?: string; // instead of Re: or Fwd: plus the original's
+  text?: string;
+  html?: string;
+  cc?: OutgoingAddress[]; // in addition to the computed ones
+  bcc?: OutgoingAddress[];
+  attachments?: OutgoingAttachment[];
+  quote?: boolean; // include the original message below, default true
+}
+
+export interface ForwardInput extends ReplyInput {
+  to: OutgoingAddress[];
+  includeAttachments?: boolean; // carry the original's attachments, default true
+}
+
+export interface SendResult {
+  email: IEmail | null; // the stored copy, in `sent`; null when storing it failed
+  messageId: string;
+  accepted: string[];
+  rejected: string[];
+  savedToSent: string | null; // IMAP mailbox the message was appended to
+}
+
+// Delivers mail through an account's SMTP server, files a copy in the
+// server's Sent mailbox and stores it as an Email in `sent`
+export class SmtpService {
+  private imapService: ImapService;
+  private messageIngestor: MessageIngestor;
+  private oauthService: OAuthService;
+  private attachmentService: AttachmentService;
+
+  constructor(
+    imapService: ImapService,
+    messageIngestor: MessageIngestor,
+    oauthService: OAuthService,
+    attachmentService: AttachmentService
+  ) {
+    this.imapService = imapService;
+    this.messageIngestor = messageIngestor;
+    this.oauthService = oauthService;
+    this.attachmentService = attachmentService;
+  }
+
+  // Replies from the account that received the original, into its thread
+  async reply(emailId: string, input: ReplyInput, all = false): Promise<SendResult> {
+    const original = await this.loadOriginal(emailId);
+    const account = await this.loadAccount(original.accountId);
+    const recipients = replyRecipients(original, account.email, all);
+    const to = input.to?.length ? input.to : recipients.to;
+    if (to.length === 0) {
+      throw Object.assign(new Error('The original message has no one to reply to'), { code: 'ENORECIPIENTS' });
+    }
+
+    return this.send(original.accountId, {
+      to,
+      cc: [...recipients.cc, ...(input.cc || [])],
+      bcc: input.bcc,
+      subject: input.subject ?? replySubject(original.subject),
+      ...this.composeBody(original, input, 'reply'),
+      attachments: input.attachments,
+      ...replyThreadHeaders(original)
+    }, { threadId: original.threadId });
+  }
+
+  // Forwards keep In-Reply-To and References, as Gmail does, so they stay
+  // in the original's conversation
+  async forward(emailId: string, input: ForwardInput): Promise<SendResult> {
+    const original = await this.loadOriginal(emailId);
+    const carried = input.includeAttachments === false ? [] : await this.loadAttachments(original);
+
+    return this.send(original.accountId, {
+      to: input.to,
+      cc: input.cc,
+      bcc: input.bcc,
+      subject: input.subject ?? forwardSubject(original.subject),
+      ...this.composeBody(original, input, 'forward'),
+      attachments: [...carried, ...(input.attachments || [])],
+      ...replyThreadHeaders(original)
+    }, { threadId: original.threadId });
+  }
+
+  async send(accountId: string, message: OutgoingMessage, options: { threadId?: string } = {}): Promise<SendResult> {
+    const account = await this.loadAccount(accountId);
+    const domain = account.email.split('@')[1] || 'localhost';
+    const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+    const composer = new MailComposer({
+      from: { name: account.displayName || '', address: account.email },
+      to: message.to.map(toMailAddress),
+      cc: message.cc?.map(toMailAddress),
+      bcc: message.bcc?.map(toMailAddress),
+      subject: message.subject,
+      messageId,
+      date: new Date(),
+      inReplyTo: message.inReplyTo,
+      references: message.references?.length ? message.references : undefined,
+      text: message.text ?? (message.html ? htmlToText(message.html) : ''),
+      html: message.html,
+      attachments: message.attachments?.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: attachment.content,
+        cid: attachment.cid
+      }))
+    });
+
+    // Recipients see the message without its Bcc header; the copy kept in
+    // Sent has it, as mail clients do
+    const raw = await composer.compile().build();
+    const sentCopy = composer.compile();
+    sentCopy.keepBcc = true;
+    const sentRaw = await sentCopy.build();
+
+    const recipients = [...message.to, ...(message.cc || []), ...(message.bcc || [])].map(recipient => recipient.address);
+    const transporter = await this.createTransport(account);
+    let info: any;
+    try {
+      info = await transporter.sendMail({ envelope: { from: account.email, to: recipients }, raw });
+    } finally {
+      transporter.close();
+    }
+    logger.info(`📤 Sent ${messageId} from ${account.email} to ${info.accepted.length} recipient(s)`);
+
+    // The message is delivered: failing to file or store it must not be
+    // reported as a failed send, or the user sends it again
+    const savedToSent = await this.saveToSent(account, sentRaw);
+    let email: IEmail | null = null;
+    try {
+      email = await this.messageIngestor.storeSent(await simpleParser(sentRaw), account, {
+        folder: 'sent',
+        mailbox: savedToSent || undefined,
+        threadId: options.threadId,
+        flags: ['\\Seen'],
+        bcc: message.bcc || []
+      });
+    } catch (error: any) {
+      logger.error(`Sent ${messageId} from ${account.email} but could not store it:`, error.message);
+    }
+
+    return {
+      email,
+      messageId,
+      accepted: (info.accepted || []).map(String),
+      rejected: (info.rejected || []).map(String),
+      savedToSent
+    };
+  }
+
+  // Connects and authenticates without sending anything
+  async testAccount(accountId: string): Promise<void> {
+    const transporter = await this.createTransport(await this.loadAccount(accountId));
+    try {
+      await transporter.verify();
+    } finally {
+      transporter.close();
+    }
+  }
+
+  private async loadOriginal(emailId: string): Promise<IEmail> {
+    const email = await Email.findById(emailId);
+    if (!email) {
+      throw Object.assign(new Error('Email not found'), { code: 'ENOEMAIL' });
+    }
+    return email;
+  }
+
+  // The user's text above the original, in both alternatives
+  private composeBody(original: IEmail, input: ReplyInput, kind: 'reply' | 'forward'): { text: string; html: string } {
+    const html = input.html || (input.text ? `<div style="white-space: pre-wrap">${escapeText(input.text)}</div>` : '');
+    const text = input.text ?? (input.html ? htmlToText(input.html) : '');
+    if (input.quote === false) {
+      return { text, html };
+    }
+
+    const quoted = quoteOriginal(original, kind);
+    return {
+      text: text ? `${text}\n\n${quoted.text}` : quoted.text,
+      html: html ? `${html}<br>${quoted.html}` : quoted.html
+    };
+  }
+
+  // Attachments of oversized messages are fetched from IMAP, as for a download.
+  // A forward that would silently drop one fails instead.
+  private async loadAttachments(email: IEmail): Promise<OutgoingAttachment[]> {
+    const attachments: OutgoingAttachment[] = [];
+
+    for (const attachment of email.attachments || []) {
+      let contentHash = attachment.contentHash;
+      if (!contentHash && attachment.partId) {
+        const content = await this.imapService.fetchAttachmentContent(
+          { accountId: email.accountId.toString(), mailbox: email.mailbox, uid: email.uid },
+          attachment.partId
+        );
+        if (content) {
+          contentHash = await this.attachmentService.store(content);
+          await Email.updateOne(
+            { _id: email._id, 'attachments._id': (attachment as any)._id },
+            { $set: { 'attachments.$.contentHash': contentHash } }
+          );
+        }
+      }
+
+      // Buffered: the message is built twice, for sending and for Sent
+      const stream = contentHash ? await this.attachmentService.open(contentHash) : null;
+      const content = stream ? Buffer.concat(await stream.toArray()) : null;
+      if (!content) {
+        throw Object.assign(new Error(`Attachment ${attachment.filename} is not available`), { code: 'EATTACHMENTUNAVAILABLE' });
+      }
+
+      attachments.push({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content,
+        cid: attachment.contentId?.replace(/^<|>$/g, '')
+      });
+    }
+    return attachments;
+  }
+
+  private async loadAccount(accountId: string): Promise<IEmailAccount> {
+    const account = await EmailAccount.findById(accountId)
+      .select('+imapConfig.pass +pop3Config.pass +smtpConfig.pass');
+    if (!account) {
+      throw Object.assign(new Error('Account not found'), { code: 'ENOACCOUNT' });
+    }
+    if (!account.smtpConfig?.host) {
+      throw Object.assign(new Error(`No SMTP server configured for ${account.email}`), { code: 'ENOSMTPCONFIG' });
+    }
+    return account;
+  }
+
+  private async createTransport(account: IEmailAccount): Promise<Transporter> {
+    const smtp = account.smtpConfig!;
+    const mode = resolveTlsMode(smtp.secure, { mode: smtp.tlsMode });
+
+    let auth: any;
+    if (account.authType === 'oauth2' && !smtp.pass) {
+      auth = {
+        type: 'OAuth2',
+        user: smtp.user || account.email,
+        accessToken: await this.oauthService.getAccessToken((account._id as any).toString())
+      };
+    } else if (smtp.user) {
+      const stored = smtp.pass || account.imapConfig?.pass || account.pop3Config?.pass || '';
+      auth = { user: smtp.user, pass: revealSecret(stored) };
+    }
+
+    // The account's extra CAs and minimum version apply here too; its pinned
+    // fingerprint belongs to the IMAP/POP3 server and does not
+    return nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: mode === 'implicit',
+      requireTLS: mode === 'starttls',
+      ignoreTLS: mode === 'none',
+      auth,
+      tls: buildTlsOptions(smtp.host, {
+        minVersion: account.tlsPolicy?.minVersion,
+        caBundle: account.tlsPolicy?.caBundle
+      }),
+      connectionTimeout: 30000,
+      greetingTimeout: 30000,
+      socketTimeout: 60000
+    });
+  }
+
+  // Gmail and Outlook file submitted mail themselves; appending would
+  // leave two copies. POP3 accounts have no server-side Sent mailbox.
+  private async saveToSent(account: IEmailAccount, raw: Buffer): Promise<string | null> {
+    const provider = mailProviders.find(candidate => candidate.smtp?.host === account.smtpConfig!.host);
+    const accountId = (account._id as any).toString();
+
+    if (account.protocol === 'pop3') return null;
+    if (provider?.savesSentMail) {
+      return account.remoteMailboxes?.find(mailbox => mailbox.folder === 'sent')?.path || null;
+    }
+
+    try {
+      const appended = await this.imapService.appendMessage(accountId, 'sent', raw);
+      return appended?.mailbox || null;
+    } catch (error: any) {
+      // The message is already delivered; a missing Sent copy is not a send failure
+      logger.warn(`Could not save sent message to Sent for ${account.email}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+function escapeText(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toMailAddress(recipient: OutgoingAddress): { name: string; address: string } {
+  return { name: recipient.name || '', address: recipient.address };
+}
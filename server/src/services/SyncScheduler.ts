@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import cron, { ScheduledTask } from 'node-cron';
+import { EmailAccount, IEmailAccount } from '../models';
+import { ImapService } from './ImapService';
+import { Pop3Service } from './Pop3Service';
+import { logger } from '../utils/logger';
+
+// Periodically syncs every active account on its own interval: a backstop
+// for IDLE, which can die silently, and the only sync POP3 accounts get.
+// Each account's next run is stored on the account (nextSyncAt), and first
+// runs are spread over the interval so accounts do not all hit their
+// servers in the same minute.
+export class SyncScheduler {
+  private imapService: ImapService;
+  private pop3Service: Pop3Service;
+  private task: ScheduledTask | null = null;
+  private isTicking = false;
+  private defaultInterval = Number(process.env.SYNC_INTERVAL_MINUTES || 5);
+  private defaultBudget = Number(process.env.MAX_EMAILS_PER_SYNC || 1000);
+  private retryDelay = 60 * 1000; // budget exhausted: continue on the next tick
+
+  constructor(imapService: ImapService, pop3Service: Pop3Service) {
+    this.imapService = imapService;
+    this.pop3Service = pop3Service;
+  }
+
+  start(): void {
+    if (this.task) return;
+
+    this.task = cron.schedule('* * * * *', () => {
+      this.tick().catch(err => logger.error('Sync scheduler tick failed:', err.message));
+    });
+    logger.info(`⏰ Sync scheduler started (default interval ${this.defaultInterval} min)`);
+  }
+
+  stop(): void {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  // Moves an account's next run, e.g. after its interval setting changed
+  async reschedule(accountId: string): Promise<Date | null> {
+    const account = await EmailAccount.findById(accountId).select('syncSettings');
+    if (!account) return null;
+
+    const nextSyncAt = this.staggeredStart(account, new Date());
+    await EmailAccount.updateOne({ _id: accountId }, { nextSyncAt });
+    return nextSyncAt;
+  }
+
+  private async tick(): Promise<void> {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      const now = new Date();
+      const accounts = await EmailAccount.find({ isActive: true }).select('email protocol syncSettings nextSyncAt');
+
+      for (const account of accounts) {
+        if (!account.nextSyncAt) {
+          await EmailAccount.updateOne({ _id: account._id }, { nextSyncAt: this.staggeredStart(account, now) });
+          continue;
+        }
+
+        if (account.nextSyncAt > now) continue;
+
+        const intervalMs = this.intervalMinutes(account) * 60 * 1000;
+        await EmailAccount.updateOne({ _id: account._id }, { nextSyncAt: new Date(now.getTime() + intervalMs) });
+
+        // Not awaited: one slow server must not delay the other accounts
+        this.runAccount(account, now);
+      }
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  private async runAccount(account: IEmailAccount, startedAt: Date): Promise<void> {
+    const accountId = (account._id as any).toString();
+
+    try {
+      const processed = account.protocol === 'pop3'
+        ? await this.pop3Service.pollAccount(accountId)
+        : await this.imapService.runScheduledSync(accountId);
+      const budget = account.syncSettings?.maxEmailsPerSync || this.defaultBudget;
+
+      if (processed !== null && processed >= budget) {
+        logger.info(`Sync budget of ${budget} reached for ${account.email}, continuing next minute`);
+        await EmailAccount.updateOne(
+          { _id: account._id },
+          { nextSyncAt: new Date(startedAt.getTime() + this.retryDelay) }
+        );
+      }
+    } catch (error: any) {
+      logger.error(`Scheduled sync failed for ${account.email}:`, error.message);
+    }
+  }
+
+  private intervalMinutes(account: IEmailAccount): number {
+    return account.syncSettings?.intervalMinutes || this.defaultInterval;
+  }
+
+  // A stable per-account offset within the interval
+  private staggeredStart(account: IEmailAccount, from: Date): Date {
+    const interval = this.intervalMinutes(account);
+    const hash = crypto.createHash('md5').update((account._id as any).toString()).digest();
+    const offsetMinutes = (hash.readUInt32BE(0) % interval) + 1;
+    return new Date(from.getTime() + offsetMinutes * 60 * 1000);
+  }
+}
@@ -0,0 +1,151 @@
+import { Email, IEmail } from '../models';
+import { isReplySubject, normalizeSubject, threadIdFor } from '../utils/threadUtils';
+import { logger } from '../utils/logger';
+
+type ThreadCandidate = Pick<IEmail, 'threadId' | 'subject' | 'from' | 'to' | 'cc'> & { _id: any };
+
+// Groups an account's messages into conversations, JWZ style. A message
+// joins the thread of every stored message it references, that references
+// it, or that shares an ancestor with it (siblings whose parent was never
+// received); threads it bridges are merged. A message with no such relative
+// falls back to its normalized subject, when one side is a reply and they
+// share a participant. Gmail messages keep Gmail's own thread (X-GM-THRID):
+// those threads are never merged or renamed, and a message without one that
+// relates to them joins them.
+export class ThreadingService {
+  private locks: Map<string, Promise<unknown>> = new Map();
+  private subjectWindow = Number(process.env.THREAD_SUBJECT_WINDOW_DAYS || 30) * 24 * 60 * 60 * 1000;
+  private maxSubjectCandidates = 50;
+  private backfillBatchSize = 200;
+
+  // Sets the message's threadId and re-links stored messages it connects
+  async assignThread(email: IEmail): Promise<string> {
+    if (email.gmailMessageId && email.threadId) {
+      return email.threadId;
+    }
+    return this.runExclusive(email.accountId, () => this.link(email));
+  }
+
+  // Threads mail stored before threading existed, oldest first so the
+  // subject fallback sees originals before their replies. Returns the
+  // number of messages threaded.
+  async backfillThreads(): Promise<number> {
+    let count = 0;
+
+    for (;;) {
+      const batch = await Email.find({ threadSubject: { $exists: false } })
+        .sort({ receivedDate: 1 })
+        .limit(this.backfillBatchSize);
+      if (batch.length === 0) break;
+
+      for (const email of batch) {
+        email.threadSubject = normalizeSubject(email.subject);
+        await Email.updateOne({ _id: email._id }, { threadSubject: email.threadSubject });
+        await this.assignThread(email);
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      logger.info(`🧵 Threaded ${count} previously stored emails`);
+    }
+    return count;
+  }
+
+  private async link(email: IEmail): Promise<string> {
+    const ancestors = email.references || [];
+    const related: ThreadCandidate[] = await Email.find({
+      accountId: email.accountId,
+      _id: { $ne: email._id },
+      $or: [
+        { messageId: { $in: ancestors } },
+        { references: { $in: [...ancestors, email.messageId] } }
+      ]
+    }).select('threadId').lean();
+
+    const matches = related.length > 0 ? related : await this.findBySubject(email);
+    const threadIds = [...new Set([email.threadId, ...matches.map(match => match.threadId)].filter(Boolean))] as string[];
+
+    // A provider thread wins over header threads; with several, the message
+    // joins the oldest and the others stay as the provider split them
+    const providerThreadIds = await this.providerThreads(email.accountId, threadIds);
+    const candidates = providerThreadIds.length > 0 ? providerThreadIds : threadIds;
+    const threadId = candidates.length > 1
+      ? await this.oldestThread(email.accountId, candidates)
+      : candidates[0] || threadIdFor(email.accountId, ancestors[0] || email.messageId);
+
+    const unthreaded = matches.filter(match => !match.threadId).map(match => match._id);
+    const merged = threadIds.filter(id => id !== threadId && !providerThreadIds.includes(id));
+    const result = await Email.updateMany({
+      accountId: email.accountId,
+      $or: [
+        { _id: { $in: [email._id, ...unthreaded] } },
+        { threadId: { $in: merged } }
+      ]
+    }, { threadId });
+
+    if (merged.length > 0) {
+      logger.debug(`Merged ${merged.length} threads into ${threadId} (${result.modifiedCount} emails relinked)`);
+    }
+    email.threadId = threadId;
+    return threadId;
+  }
+
+  private async findBySubject(email: IEmail): Promise<ThreadCandidate[]> {
+    const threadSubject = email.threadSubject ?? normalizeSubject(email.subject);
+    if (!threadSubject || threadSubject === 'no subject') return [];
+
+    const received = new Date(email.receivedDate).getTime();
+    const candidates: ThreadCandidate[] = await Email.find({
+      accountId: email.accountId,
+      threadSubject,
+      _id: { $ne: email._id },
+      receivedDate: { $gte: new Date(received - this.subjectWindow), $lte: new Date(received + this.subjectWindow) }
+    })
+      .sort({ receivedDate: -1 })
+      .limit(this.maxSubjectCandidates)
+      .select('threadId subject from to cc')
+      .lean();
+
+    const participants = new Set(this.addresses(email));
+    const isReply = isReplySubject(email.subject);
+    return candidates.filter(candidate =>
+      (isReply || isReplySubject(candidate.subject)) &&
+      this.addresses(candidate).some(address => participants.has(address))
+    );
+  }
+
+  // Threads holding Gmail messages, whose ID is Gmail's X-GM-THRID
+  private async providerThreads(accountId: string, threadIds: string[]): Promise<string[]> {
+    if (threadIds.length === 0) return [];
+    return Email.distinct('threadId', { accountId, threadId: { $in: threadIds }, gmailMessageId: { $exists: true } });
+  }
+
+  // When a message bridges threads, the one that started first survives
+  private async oldestThread(accountId: string, threadIds: string[]): Promise<string> {
+    const oldest = await Email.findOne({ accountId, threadId: { $in: threadIds } })
+      .sort({ receivedDate: 1 })
+      .select('threadId')
+      .lean();
+    return oldest?.threadId || threadIds[0];
+  }
+
+  private addresses(email: Pick<IEmail, 'from' | 'to' | 'cc'>): string[] {
+    return [email.from, ...(email.to || []), ...(email.cc || [])]
+      .map(address => address?.address?.toLowerCase())
+      .filter(Boolean) as string[];
+  }
+
+  // Ingest workers run side by side; linking one account's messages one at
+  // a time keeps two halves of a thread from missing each other
+  private runExclusive<T>(accountId: string, task: () => Promise<T>): Promise<T> {
+    const previous = this.locks.get(accountId) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => undefined);
+    this.locks.set(accountId, tail);
+    tail.then(() => {
+      if (this.locks.get(accountId) === tail) this.locks.delete(accountId);
+    });
+    return run;
+  }
+}
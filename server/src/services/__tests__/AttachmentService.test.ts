@@ -0,0 +1,97 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
+import { AttachmentService } from '../AttachmentService';
+import { logger } from '../../utils/logger';
+
+const logo = Buffer.from('GIF89a company logo');
+
+describe('AttachmentService', () => {
+  const env = { ...process.env };
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe('local storage', () => {
+    let directory: string;
+
+    beforeEach(async () => {
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+      process.env.ATTACHMENT_STORAGE = 'local';
+      process.env.ATTACHMENT_DIR = directory;
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    async function filesIn(dir: string): Promise<string[]> {
+      const entries = await fs.promises.readdir(dir, { recursive: true, withFileTypes: true });
+      return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+    }
+
+    it('stores the same content twice at once', async () => {
+      const attachmentService = new AttachmentService();
+
+      const hashes = await Promise.all([attachmentService.store(logo), attachmentService.store(logo)]);
+
+      expect(hashes).toEqual([AttachmentService.hash(logo), AttachmentService.hash(logo)]);
+      expect(await filesIn(directory)).toEqual([hashes[0]]);
+      const stream = await attachmentService.open(hashes[0]);
+      expect(Buffer.concat(await stream!.toArray())).toEqual(logo);
+    });
+
+    it('stores the same content from two processes at once', async () => {
+      const hashes = await Promise.all([new AttachmentService().store(logo), new AttachmentService().store(logo)]);
+
+      expect(hashes[0]).toBe(hashes[1]);
+      expect(await filesIn(directory)).toEqual([hashes[0]]);
+    });
+  });
+
+  describe('GridFS', () => {
+    // One bucket shared by every service instance, like the database
+    function fakeBucket() {
+      const files: { _id: number; filename: string }[] = [];
+      let nextId = 1;
+      return {
+        files,
+        find: (filter: { filename: string }) => {
+          const matching = () => files.filter(file => file.filename === filter.filename);
+          return {
+            limit: () => ({ toArray: async () => matching().slice(0, 1) }),
+            sort: () => ({ toArray: async () => matching().sort((a, b) => a._id - b._id) })
+          };
+        },
+        openUploadStream: (filename: string) => new Writable({
+          write: (_chunk, _encoding, callback) => callback(),
+          final: callback => {
+            files.push({ _id: nextId++, filename });
+            callback();
+          }
+        }),
+        delete: async (id: number) => {
+          const index = files.findIndex(file => file._id === id);
+          if (index === -1) throw new Error(`FileNotFound: file ${id} was not found`);
+          files.splice(index, 1);
+        }
+      };
+    }
+
+    it('keeps one file when two processes upload the same content at once', async () => {
+      const bucket = fakeBucket();
+      const services = [new AttachmentService(), new AttachmentService()];
+      for (const service of services) (service as any).bucket = () => bucket;
+
+      await Promise.all(services.map(service => service.store(logo)));
+
+      expect(bucket.files).toEqual([{ _id: 1, filename: AttachmentService.hash(logo) }]);
+    });
+  });
+});
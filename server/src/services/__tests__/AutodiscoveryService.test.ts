@@ -0,0 +1,123 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+import { AutodiscoveryService, DiscoveryResolver, createDiscoveryResolver } from '../AutodiscoveryService';
+import { LookupFunction } from '../../utils/netUtils';
+import { logger } from '../../utils/logger';
+
+// Canned DNS and HTTP, so discovery runs offline
+function cannedResolver(documents: { [url: string]: string }, mx: { exchange: string; priority: number }[] = []): DiscoveryResolver {
+  return {
+    resolveMx: async () => mx,
+    resolveSrv: async () => { throw Object.assign(new Error('no SRV records'), { code: 'ENODATA' }); },
+    fetchText: async url => documents[url.split('?')[0]] ?? null
+  };
+}
+
+const autoconfig = `<?xml version="1.0"?>
+<clientConfig version="1.1">
+  <emailProvider id="example.org">
+    <incomingServer type="imap">
+      <hostname>imap.example.org</hostname><port>993</port><socketType>SSL</socketType>
+      <username>%EMAILLOCALPART%</username>
+    </incomingServer>
+    <incomingServer type="pop3">
+      <hostname>pop.example.org</hostname><port>110</port><socketType>plain</socketType>
+    </incomingServer>
+    <outgoingServer type="smtp">
+      <hostname>smtp.example.org</hostname><port>587</port><socketType>STARTTLS</socketType>
+    </outgoingServer>
+  </emailProvider>
+</clientConfig>`;
+
+describe('AutodiscoveryService', () => {
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  it('answers bundled domains without any lookup', async () => {
+    const resolver = cannedResolver({});
+    const fetchText = jest.spyOn(resolver, 'fetchText');
+
+    const result = await new AutodiscoveryService(resolver).discover('Someone@Gmail.com');
+
+    expect(result.provider?.id).toBe('gmail');
+    expect(result.candidates[0]).toMatchObject({ protocol: 'imap', host: 'imap.gmail.com', port: 993, username: 'someone@gmail.com' });
+    expect(fetchText).not.toHaveBeenCalled();
+  });
+
+  it('ranks the domain autoconfig document first and never suggests plaintext', async () => {
+    const resolver = cannedResolver({ 'https://autoconfig.example.org/mail/config-v1.1.xml': autoconfig });
+
+    const { candidates } = await new AutodiscoveryService(resolver).discover('jane@example.org');
+
+    expect(candidates[0]).toMatchObject({ protocol: 'imap', host: 'imap.example.org', secure: true, username: 'jane', source: 'autoconfig' });
+    expect(candidates.find(candidate => candidate.protocol === 'smtp')).toMatchObject({ host: 'smtp.example.org', starttls: true });
+    expect(candidates.some(candidate => candidate.port === 110)).toBe(false);
+  });
+
+  it('recognises a hosted domain by its MX records', async () => {
+    const resolver = cannedResolver({}, [{ exchange: 'aspmx.l.google.com.', priority: 1 }]);
+
+    const result = await new AutodiscoveryService(resolver).discover('team@startup.example');
+
+    expect(result.provider?.id).toBe('gmail');
+    expect(result.candidates[0]).toMatchObject({ host: 'imap.gmail.com', source: 'mx' });
+  });
+});
+
+describe('discovery HTTP requests', () => {
+  let server: http.Server;
+  let port: number;
+  let hits: number;
+
+  beforeAll(async () => {
+    logger.silent = true;
+    server = http.createServer((_req, res) => {
+      hits++;
+      res.end('<clientConfig/>');
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = (server.address() as AddressInfo).port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    hits = 0;
+  });
+
+  // Every host name resolves to `address`, which is where the local server listens
+  function resolvingTo(address: string, family = 4): jest.Mock {
+    return jest.fn<void, Parameters<LookupFunction>>((_hostname, _options, callback) => callback(null, [{ address, family }]));
+  }
+
+  it('refuses a host that resolves to a private address', async () => {
+    const lookup = resolvingTo('127.0.0.1');
+
+    const document = await createDiscoveryResolver(lookup).fetchText(`http://autoconfig.example.org:${port}/mail/config-v1.1.xml`);
+
+    expect(document).toBeNull();
+    expect(lookup).toHaveBeenCalledWith('autoconfig.example.org', expect.anything(), expect.any(Function));
+    expect(hits).toBe(0);
+  });
+
+  it('refuses a host that resolves to an IPv4-mapped IPv6 address', async () => {
+    const lookup = resolvingTo('::ffff:127.0.0.1', 6);
+
+    const document = await createDiscoveryResolver(lookup).fetchText(`http://autoconfig.example.org:${port}/`);
+
+    expect(document).toBeNull();
+    expect(lookup).toHaveBeenCalled();
+    expect(hits).toBe(0);
+  });
+
+  it('refuses URLs that name a private address directly', async () => {
+    const lookup = resolvingTo('93.184.216.34');
+
+    expect(await createDiscoveryResolver(lookup).fetchText(`http://127.0.0.1:${port}/`)).toBeNull();
+    expect(await createDiscoveryResolver(lookup).fetchText(`http://[::ffff:127.0.0.1]:${port}/`)).toBeNull();
+    expect(hits).toBe(0);
+  });
+});
@@ -0,0 +1,113 @@
+import { EmailAccount } from '../../models';
+import { ConnectionManager } from '../ConnectionManager';
+import { logger } from '../../utils/logger';
+
+describe('ConnectionManager', () => {
+  let connectionManager: ConnectionManager;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    connectionManager = new ConnectionManager();
+    Object.assign(connectionManager as any, { maxConcurrent: 3, maxPerHost: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('slots', () => {
+    // Tasks that run until released, recording which are running
+    function tasks() {
+      const running = new Set<string>();
+      const releases = new Map<string, () => void>();
+      const run = (host: string, name: string) => connectionManager.withSlot(host, () => new Promise<string>(resolve => {
+        running.add(name);
+        releases.set(name, () => {
+          running.delete(name);
+          resolve(name);
+        });
+      }));
+      const release = async (name: string) => {
+        releases.get(name)!();
+        await new Promise(resolve => setImmediate(resolve));
+      };
+      return { running, run, release };
+    }
+
+    it('runs at most the per-host limit against one host, and other hosts alongside', async () => {
+      const { running, run, release } = tasks();
+
+      const done = [run('imap.gmail.com', 'a'), run('imap.gmail.com', 'b'), run('imap.gmail.com', 'c'), run('outlook.office365.com', 'd')];
+      await new Promise(resolve => setImmediate(resolve));
+      expect([...running]).toEqual(['a', 'b', 'd']);
+
+      await release('a');
+      expect([...running]).toEqual(['b', 'd', 'c']);
+
+      await Promise.all(['b', 'c', 'd'].map(release));
+      await expect(Promise.all(done)).resolves.toEqual(['a', 'b', 'c', 'd']);
+      expect(connectionManager.getStats()).toMatchObject({ active: 0, waiting: 0, byHost: {} });
+    });
+
+    it('runs at most the global limit, handing freed slots out in arrival order', async () => {
+      const { running, run, release } = tasks();
+
+      ['a', 'b', 'c', 'd', 'e'].forEach((name, i) => run(`imap${i}.example.org`, name));
+      await new Promise(resolve => setImmediate(resolve));
+      expect([...running]).toEqual(['a', 'b', 'c']);
+      expect(connectionManager.getStats()).toMatchObject({ active: 3, waiting: 2 });
+
+      await release('b');
+      expect([...running]).toEqual(['a', 'c', 'd']);
+    });
+
+    it('frees the slot when the task fails', async () => {
+      await expect(connectionManager.withSlot('imap.gmail.com', async () => { throw new Error('ECONNRESET'); }))
+        .rejects.toThrow('ECONNRESET');
+
+      expect(connectionManager.getStats()).toMatchObject({ active: 0, byHost: {} });
+    });
+  });
+
+  describe('circuit breaker', () => {
+    let health: any;
+
+    beforeEach(() => {
+      health = undefined;
+      const find = () => ({ select: () => ({ lean: async () => ({ email: 'jane@example.com', connectionHealth: health }) }) });
+      jest.spyOn(EmailAccount, 'findById').mockImplementation(find as any);
+      jest.spyOn(EmailAccount, 'updateOne').mockImplementation((async (_filter: any, update: any) => {
+        if (update.connectionHealth) health = update.connectionHealth;
+        if (update['connectionHealth.state']) health = { ...health, state: update['connectionHealth.state'] };
+        return {};
+      }) as any);
+    });
+
+    it('backs off after failures and opens after the threshold', async () => {
+      for (let i = 0; i < 4; i++) {
+        expect(await connectionManager.recordFailure('account-1', new Error('ETIMEDOUT'))).toBeLessThanOrEqual(30 * 1000 * 2 ** i);
+      }
+      expect(health).toMatchObject({ state: 'closed', consecutiveFailures: 4 });
+      await expect(connectionManager.allowAttempt('account-1')).resolves.toBe(false);
+
+      await connectionManager.recordFailure('account-1', new Error('ETIMEDOUT'));
+
+      expect(health).toMatchObject({ state: 'open', consecutiveFailures: 5 });
+      await expect(connectionManager.allowAttempt('account-1')).resolves.toBe(false);
+    });
+
+    it('gives up on a rejected login until the account is retried by hand', async () => {
+      const error = Object.assign(new Error('Invalid credentials'), { source: 'authentication' });
+
+      await expect(connectionManager.recordFailure('account-1', error)).resolves.toBeNull();
+
+      expect(health).toMatchObject({ state: 'open', consecutiveFailures: 1 });
+      expect(health.nextRetryAt).toBeUndefined();
+      await expect(connectionManager.allowAttempt('account-1')).resolves.toBe(false);
+      await expect(connectionManager.retryDelay('account-1')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { Draft } from '../../models';
+import { DraftService } from '../DraftService';
+import { logger } from '../../utils/logger';
+
+describe('DraftService', () => {
+  let stored: any;
+  let smtpService: { send: jest.Mock; reply: jest.Mock; forward: jest.Mock };
+  let draftService: DraftService;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  // One draft in memory, written the way the conditional updates would
+  beforeEach(() => {
+    jest.useFakeTimers();
+    stored = saved();
+
+    jest.spyOn(Draft, 'findById').mockImplementation((() => Promise.resolve(stored && { ...stored })) as any);
+    jest.spyOn(Draft, 'findOneAndUpdate').mockImplementation((async (filter: any, update: any) => {
+      if (!stored || (filter.version !== undefined && filter.version !== stored.version)) return null;
+      if (filter.sending?.$ne === true && stored.sending) return null;
+      stored = { ...stored, ...update.$set, version: stored.version + (update.$inc?.version || 0) };
+      return { ...stored };
+    }) as any);
+    jest.spyOn(Draft, 'updateOne').mockImplementation((async (_filter: any, update: any) => {
+      for (const key of Object.keys(update.$unset || {})) delete stored[key];
+      return { modifiedCount: 1 };
+    }) as any);
+    jest.spyOn(Draft, 'findByIdAndDelete').mockImplementation((async () => {
+      const deleted = stored;
+      stored = null;
+      return deleted;
+    }) as any);
+
+    const result = { email: null, messageId: '<sent@example.com>', accepted: [], rejected: [], savedToSent: null };
+    smtpService = {
+      send: jest.fn().mockResolvedValue(result),
+      reply: jest.fn().mockResolvedValue(result),
+      forward: jest.fn().mockResolvedValue(result)
+    };
+    draftService = new DraftService({} as any, smtpService as any, {} as any);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  function saved(fields: any = {}): any {
+    return {
+      _id: 'draft-1',
+      accountId: 'account-1',
+      to: [{ address: 'bob@example.org' }],
+      cc: [],
+      bcc: [],
+      subject: 'Launch',
+      body: 'Sounds good.',
+      attachments: [],
+      version: 3,
+      ...fields
+    };
+  }
+
+  describe('saving', () => {
+    it('saves changes made on top of the current version', async () => {
+      const draft = await draftService.update('draft-1', 3, { subject: 'Launch on Friday' });
+
+      expect(draft).toMatchObject({ subject: 'Launch on Friday', version: 4 });
+    });
+
+    it('does not overwrite a draft saved since, and returns the current one', async () => {
+      await expect(draftService.update('draft-1', 2, { subject: 'Stale edit' }))
+        .rejects.toMatchObject({ code: 'EVERSIONCONFLICT', current: { version: 3, subject: 'Launch' } });
+      expect(stored.subject).toBe('Launch');
+    });
+
+    it('reports a save that lands between the read and the write as a conflict', async () => {
+      // Another tab saves right after this one read version 3
+      (Draft.findById as jest.Mock).mockImplementationOnce(() => {
+        const seen = { ...stored };
+        stored = { ...stored, subject: 'From the other tab', version: 4 };
+        return Promise.resolve(seen);
+      });
+
+      await expect(draftService.update('draft-1', 3, { subject: 'Mine' }))
+        .rejects.toMatchObject({ code: 'EVERSIONCONFLICT', current: { version: 4 } });
+      expect(stored.subject).toBe('From the other tab');
+    });
+
+    it('refuses changes while the draft is being sent', async () => {
+      stored.sending = true;
+
+      await expect(draftService.update('draft-1', 3, { subject: 'Too late' }))
+        .rejects.toMatchObject({ code: 'EDRAFTSENDING' });
+    });
+  });
+
+  describe('sending', () => {
+    it('sends the version asked for and discards the draft', async () => {
+      await draftService.send('draft-1', 3);
+
+      expect(smtpService.send).toHaveBeenCalledWith('account-1', expect.objectContaining({
+        to: [{ address: 'bob@example.org', name: undefined }],
+        subject: 'Launch'
+      }));
+      expect(stored).toBeNull();
+    });
+
+    it('does not send a draft saved since that version', async () => {
+      await expect(draftService.send('draft-1', 2))
+        .rejects.toMatchObject({ code: 'EVERSIONCONFLICT', current: { version: 3 } });
+      expect(smtpService.send).not.toHaveBeenCalled();
+      expect(stored).not.toBeNull();
+    });
+
+    it('delivers a draft once when it is sent twice at the same time', async () => {
+      const results = await Promise.allSettled([draftService.send('draft-1', 3), draftService.send('draft-1', 3)]);
+
+      expect(smtpService.send).toHaveBeenCalledTimes(1);
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected')).toMatchObject({ reason: { code: 'EDRAFTSENDING' } });
+    });
+
+    it('keeps the draft editable when sending fails', async () => {
+      smtpService.send.mockRejectedValue(new Error('Connection refused'));
+
+      await expect(draftService.send('draft-1', 3)).rejects.toThrow('Connection refused');
+      expect(stored).toMatchObject({ version: 3 });
+      expect(stored.sending).toBeUndefined();
+      await expect(draftService.update('draft-1', 3, { subject: 'Retry' })).resolves.toMatchObject({ version: 4 });
+    });
+
+    it('sends a reply draft with the recipients and subject as edited', async () => {
+      stored = saved({
+        sourceEmailId: 'email-1',
+        replyAction: 'reply-all',
+        to: [{ address: 'dave@example.org' }],
+        subject: 'Launch moved to Friday'
+      });
+
+      await draftService.send('draft-1', 3);
+
+      const [emailId, input, all] = smtpService.reply.mock.calls[0];
+      expect(emailId).toBe('email-1');
+      expect(input).toMatchObject({ to: [{ address: 'dave@example.org' }], subject: 'Launch moved to Friday', text: 'Sounds good.' });
+      expect(all).toBe(true);
+    });
+
+    it('sends a forward draft with the subject as edited', async () => {
+      stored = saved({
+        sourceEmailId: 'email-1',
+        replyAction: 'forward',
+        to: [{ address: 'dave@example.org' }],
+        subject: 'FYI: launch plan',
+        includeAttachments: false
+      });
+
+      await draftService.send('draft-1', 3);
+
+      const [emailId, input] = smtpService.forward.mock.calls[0];
+      expect(emailId).toBe('email-1');
+      expect(input).toMatchObject({
+        to: [{ address: 'dave@example.org' }],
+        subject: 'FYI: launch plan',
+        includeAttachments: false
+      });
+    });
+
+    it('leaves the recipients of a reply draft without `to` to the original', async () => {
+      stored = saved({ sourceEmailId: 'email-1', replyAction: 'reply', to: [], subject: 'Re: Launch' });
+
+      await draftService.send('draft-1', 3);
+
+      expect(smtpService.reply.mock.calls[0][1]).toMatchObject({ to: [], subject: 'Re: Launch' });
+      expect(smtpService.reply.mock.calls[0][2]).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { PassThrough } from 'stream';
+import { simpleParser } from 'mailparser';
+import { Email } from '../../models';
+import { ExportService } from '../ExportService';
+
+const stored: any = {
+  messageId: '<launch@example.org>',
+  from: { address: 'jane@example.com', name: 'Jane' },
+  to: [{ address: 'bob@example.org', name: 'Bob' }],
+  cc: [{ address: 'carol@example.org' }],
+  bcc: [{ address: 'boss@example.com' }],
+  replyTo: { address: 'team@example.com', name: 'Launch team' },
+  subject: 'Launch',
+  textBody: 'Friday it is.',
+  receivedDate: new Date('2024-05-03T09:00:00Z'),
+  isRead: true,
+  isStarred: false,
+  attachments: []
+};
+
+describe('ExportService', () => {
+  const exportService = new ExportService({} as any);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rebuilds messages with every recipient and Reply-To', async () => {
+    const parsed = await simpleParser(await exportService.buildRawMessage(stored));
+
+    expect((parsed.to as any).value).toEqual([{ address: 'bob@example.org', name: 'Bob' }]);
+    expect((parsed.cc as any).value).toEqual([{ address: 'carol@example.org', name: '' }]);
+    expect((parsed.bcc as any).value).toEqual([{ address: 'boss@example.com', name: '' }]);
+    expect(parsed.replyTo?.value).toEqual([{ address: 'team@example.com', name: 'Launch team' }]);
+    expect(parsed.messageId).toBe('<launch@example.org>');
+  });
+
+  it('writes every recipient field to NDJSON', async () => {
+    let selected = '';
+    jest.spyOn(Email, 'find').mockReturnValue({
+      select(fields: string) {
+        selected = fields;
+        return this;
+      },
+      sort() { return this; },
+      lean() { return this; },
+      async *cursor() { yield stored; }
+    } as any);
+
+    const out = new PassThrough();
+    const chunks: Buffer[] = [];
+    out.on('data', chunk => chunks.push(chunk));
+
+    await expect(exportService.exportEmails({}, 'ndjson', out)).resolves.toBe(1);
+
+    expect(selected.split(' ')).toEqual(expect.arrayContaining(['to', 'cc', 'bcc', 'replyTo']));
+    expect(JSON.parse(Buffer.concat(chunks).toString())).toMatchObject({ cc: stored.cc, bcc: stored.bcc, replyTo: stored.replyTo });
+  });
+});
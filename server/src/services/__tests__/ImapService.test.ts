@@ -0,0 +1,430 @@
+import Imap from 'imap';
+import net from 'net';
+import { AddressInfo } from 'net';
+import { EventEmitter } from 'events';
+import { Email, EmailAccount, PendingImapAction } from '../../models';
+import { ImapService } from '../ImapService';
+import { logger } from '../../utils/logger';
+
+// A scripted IMAP server on loopback that records every command it gets
+function fakeImapServer(capabilities: string, answer: (tag: string, command: string) => string = () => '') {
+  const commands: string[] = [];
+  const server = net.createServer(socket => {
+    socket.write(`* OK [CAPABILITY ${capabilities}] ready\r\n`);
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let newline: number;
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+
+        const [tag, ...rest] = line.split(' ');
+        const command = rest.join(' ');
+        commands.push(command);
+
+        if (command === 'CAPABILITY') {
+          socket.write(`* CAPABILITY ${capabilities}\r\n${tag} OK done\r\n`);
+        } else if (command === 'LOGOUT') {
+          socket.end(`* BYE\r\n${tag} OK done\r\n`);
+        } else {
+          socket.write(answer(tag, command) || `${tag} OK done\r\n`);
+        }
+      }
+    });
+    socket.on('error', () => undefined);
+  });
+
+  return { server, commands };
+}
+
+// Logged in with INBOX selected, on a server with the given capabilities
+async function selected(capabilities: string, answer: (tag: string, command: string) => string = () => '') {
+  const fake = fakeImapServer(capabilities, (tag, command) =>
+    command.startsWith('SELECT') ? `* 5 EXISTS\r\n* OK [UIDVALIDITY 7] ok\r\n${tag} OK [READ-WRITE] done\r\n` : answer(tag, command));
+  await new Promise<void>(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+  const imap = new Imap({ host: '127.0.0.1', port: (fake.server.address() as AddressInfo).port, user: 'jane', password: 'secret', tls: false });
+  const close = async () => {
+    imap.destroy();
+    await new Promise(resolve => fake.server.close(resolve));
+  };
+
+  try {
+    await new Promise<void>((resolve, reject) => {
+      imap.once('ready', resolve);
+      imap.once('error', reject);
+      imap.connect();
+    });
+    await new Promise<void>((resolve, reject) => imap.openBox('INBOX', false, err => err ? reject(err) : resolve()));
+  } catch (error) {
+    await close();
+    throw error;
+  }
+
+  // Without node-imap's keepalive NOOPs
+  const sent = () => fake.commands.filter(command => command !== 'NOOP');
+  return { imap, sent, close };
+}
+
+describe('ImapService STARTTLS policy', () => {
+  let imapService: ImapService;
+
+  beforeAll(() => {
+    logger.silent = true;
+    imapService = new ImapService({ on: () => undefined } as any, {} as any, {} as any, {} as any);
+  });
+
+  async function listen(server: net.Server): Promise<number> {
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    return (server.address() as AddressInfo).port;
+  }
+
+  function close(server: net.Server): Promise<void> {
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  const account = (port: number) => ({ host: '127.0.0.1', port, secure: false, user: 'jane', pass: 'secret' });
+
+  it('does not send the password when the server offers no STARTTLS', async () => {
+    const { server, commands } = fakeImapServer('IMAP4rev1 AUTH=PLAIN');
+    const port = await listen(server);
+
+    try {
+      await expect(imapService.testConnection(account(port), { mode: 'starttls' }))
+        .rejects.toMatchObject({ source: 'tls' });
+      expect(commands).toEqual(['CAPABILITY']);
+    } finally {
+      await close(server);
+    }
+  });
+
+  it('asks for STARTTLS before anything else when it is offered', async () => {
+    const { server, commands } = fakeImapServer('IMAP4rev1 STARTTLS AUTH=PLAIN', (tag, command) =>
+      command === 'STARTTLS' ? `${tag} NO not today\r\n` : '');
+    const port = await listen(server);
+
+    try {
+      await expect(imapService.testConnection(account(port), { mode: 'starttls' }))
+        .rejects.toThrow('not today');
+      expect(commands).toEqual(['CAPABILITY', 'STARTTLS']);
+    } finally {
+      await close(server);
+    }
+  });
+
+  it('logs in over plaintext only when the policy allows it', async () => {
+    const { server, commands } = fakeImapServer('IMAP4rev1 AUTH=PLAIN');
+    const port = await listen(server);
+
+    try {
+      await expect(imapService.testConnection(account(port), { mode: 'none' })).resolves.toEqual({ mailboxes: 0 });
+      expect(commands[1]).toBe('LOGIN "jane" "secret"');
+    } finally {
+      await close(server);
+    }
+  });
+});
+
+describe('ImapService sync checkpoint', () => {
+  let imapService: ImapService;
+  let saveMailboxState: jest.SpyInstance;
+  let failing: Set<number>;
+
+  const mailbox = { path: 'INBOX', folder: 'inbox' };
+  const connection = { imap: {}, account: { _id: 'account-1', email: 'jane@example.com' } };
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  // UIDs 1-5 on the server; `failing` ones cannot be stored
+  function server(state?: { lastFetchedUid?: number; failedUid?: number; failedAttempts?: number }) {
+    const service = imapService as any;
+    jest.spyOn(service, 'openMailbox').mockResolvedValue({ uidvalidity: 7, uidnext: 6, messages: { total: 5 } });
+    jest.spyOn(service, 'getMailboxState').mockResolvedValue(state && { path: 'INBOX', uidValidity: 7, ...state });
+    jest.spyOn(service, 'searchUids').mockImplementation(async () => [1, 2, 3, 4, 5].filter(uid => uid > (state?.lastFetchedUid || 0)));
+    jest.spyOn(service, 'filterKnownMessages').mockImplementation(async (...args: any[]) => args[3].map((uid: number) => ({ uid, size: 100 })));
+    jest.spyOn(service, 'fetchMessages').mockImplementation(async (...args: any[]) => {
+      await Promise.all(args[1].map((uid: number) => args[3]({ uid })));
+    });
+    jest.spyOn(service, 'safeProcessMessage').mockImplementation(async (msg: any) => {
+      if (failing.has(msg.uid)) throw Object.assign(new Error('E11000 duplicate key error'), { uid: msg.uid });
+    });
+  }
+
+  beforeEach(() => {
+    imapService = new ImapService({ on: () => undefined } as any, {} as any, {} as any, {} as any);
+    saveMailboxState = jest.spyOn(imapService as any, 'saveMailboxState').mockResolvedValue(undefined);
+    failing = new Set();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const sync = () => (imapService as any).syncMailbox(connection, mailbox);
+
+  it('keeps the checkpoint before a message that could not be stored', async () => {
+    server();
+    failing.add(3);
+
+    await expect(sync()).resolves.toBe(2);
+
+    expect(saveMailboxState).toHaveBeenLastCalledWith('account-1', 'INBOX', {
+      uidValidity: 7, lastFetchedUid: 2, failedUid: 3, failedAttempts: 1
+    });
+  });
+
+  it('fetches the failed message again on the next sync and moves on once it is stored', async () => {
+    server({ lastFetchedUid: 2, failedUid: 3, failedAttempts: 1 });
+
+    await expect(sync()).resolves.toBe(3);
+
+    expect(saveMailboxState).toHaveBeenLastCalledWith('account-1', 'INBOX', {
+      uidValidity: 7, lastFetchedUid: 5, failedUid: undefined, failedAttempts: undefined
+    });
+  });
+
+  it('counts the attempts on the same message', async () => {
+    server({ lastFetchedUid: 2, failedUid: 3, failedAttempts: 2 });
+    failing.add(3);
+
+    await sync();
+
+    expect(saveMailboxState).toHaveBeenLastCalledWith('account-1', 'INBOX', expect.objectContaining({
+      lastFetchedUid: 2, failedUid: 3, failedAttempts: 3
+    }));
+  });
+
+  it('gives up on a message that keeps failing, so the mailbox is not stuck behind it', async () => {
+    server({ lastFetchedUid: 2, failedUid: 3, failedAttempts: 4 });
+    failing.add(3);
+
+    await sync();
+
+    expect(saveMailboxState).toHaveBeenLastCalledWith('account-1', 'INBOX', expect.objectContaining({
+      lastFetchedUid: 5, failedUid: undefined
+    }));
+  });
+
+  it('clears the failure once the checkpoint passes it', async () => {
+    saveMailboxState.mockRestore();
+    const updateOne = jest.spyOn(EmailAccount, 'updateOne').mockResolvedValue({ matchedCount: 1 } as any);
+
+    await (imapService as any).saveMailboxState('account-1', 'Archive', { lastFetchedUid: 5, failedUid: undefined, failedAttempts: undefined });
+
+    const [, update] = updateOne.mock.calls[0] as any[];
+    expect(update.$set).toMatchObject({ 'syncStats.mailboxes.$.lastFetchedUid': 5 });
+    expect(update.$unset).toEqual({ 'syncStats.mailboxes.$.failedUid': 1, 'syncStats.mailboxes.$.failedAttempts': 1 });
+  });
+});
+
+describe('ImapService message removal', () => {
+  let imapService: ImapService;
+
+  beforeAll(() => {
+    logger.silent = true;
+    imapService = new ImapService({ on: () => undefined } as any, {} as any, {} as any, {} as any);
+  });
+
+  it('expunges only the removed UIDs when the server has UIDPLUS', async () => {
+    const { imap, sent, close } = await selected('IMAP4rev1 UIDPLUS');
+
+    try {
+      await (imapService as any).removeMessages(imap, [3, 7]);
+      expect(sent().slice(-2)).toEqual(['UID STORE 3,7 +FLAGS.SILENT (\\Deleted)', 'UID EXPUNGE 3,7']);
+    } finally {
+      await close();
+    }
+  });
+
+  it('never sends a plain EXPUNGE, which would remove other clients\' deleted messages', async () => {
+    const { imap, sent, close } = await selected('IMAP4rev1');
+
+    try {
+      await (imapService as any).removeMessages(imap, [3]);
+      expect(sent().slice(-1)).toEqual(['UID STORE 3 +FLAGS.SILENT (\\Deleted)']);
+      expect(sent().some(command => command.includes('EXPUNGE'))).toBe(false);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('ImapService oversized messages', () => {
+  const header = 'From: bob@example.org\r\nSubject: Scans\r\nMessage-ID: <scans@example.org>\r\n\r\n';
+  let close: () => Promise<void>;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await close();
+  });
+
+  // A single-part message of 30 MB; the size is only reported when asked for
+  function answer(tag: string, command: string): string {
+    if (!command.startsWith('UID FETCH')) return '';
+    if (command.includes('BODY.PEEK[TEXT]')) {
+      return `* 1 FETCH (UID 9 FLAGS () INTERNALDATE "03-May-2024 09:00:00 +0000" BODY[TEXT] {5}\r\nHello)\r\n${tag} OK done\r\n`;
+    }
+    const size = command.includes('RFC822.SIZE') ? ' RFC822.SIZE 31457280' : '';
+    return `* 1 FETCH (UID 9 FLAGS () INTERNALDATE "03-May-2024 09:00:00 +0000"${size} BODYSTRUCTURE ("TEXT" "PLAIN" ("CHARSET" "utf-8") NIL NIL "7BIT" 5 1) `
+      + `BODY[HEADER] {${header.length}}\r\n${header})\r\n${tag} OK done\r\n`;
+  }
+
+  it('stores the size of a message it stores without attachment bodies', async () => {
+    const imapService = new ImapService({ on: () => undefined } as any, {} as any, {} as any, {} as any);
+    const saveParsedMessage = jest.spyOn(imapService as any, 'saveParsedMessage').mockResolvedValue(undefined);
+    const connection = await selected('IMAP4rev1', answer);
+    close = connection.close;
+
+    await (imapService as any).processOversizedMessage(connection.imap, { email: 'jane@example.com' }, { path: 'INBOX', folder: 'inbox' }, 9);
+
+    const [parsed, , , attributes, options] = saveParsedMessage.mock.calls[0] as any[];
+    expect(attributes).toMatchObject({ uid: 9, size: 31457280 });
+    expect(parsed.text).toBe('Hello');
+    expect(options).toMatchObject({ bodyStatus: 'partial' });
+  });
+});
+
+describe('ImapService remote changes', () => {
+  let imapService: ImapService;
+  let fetchMessages: jest.SpyInstance;
+  let saveMailboxState: jest.SpyInstance;
+  let updateOne: jest.SpyInstance;
+  let updateMany: jest.SpyInstance;
+  let pending: string[];
+
+  const mailbox = { path: 'INBOX', folder: 'inbox' };
+  const connection = {
+    imap: { serverSupports: (capability: string) => capability === 'CONDSTORE' },
+    account: { _id: 'account-1', email: 'jane@example.com' }
+  };
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  // UIDs 1-3 stored unread; on the server 1 was read and starred, 2 expunged
+  beforeEach(() => {
+    imapService = new ImapService({ on: () => undefined } as any, {} as any, {} as any, {} as any);
+    const service = imapService as any;
+    pending = [];
+
+    jest.spyOn(service, 'getMailboxState').mockResolvedValue({ path: 'INBOX', uidValidity: 7, lastFetchedUid: 3, highestModseq: '100' });
+    jest.spyOn(service, 'openMailbox').mockResolvedValue({ uidvalidity: 7, highestmodseq: '120', messages: { total: 2 } });
+    jest.spyOn(service, 'searchUids').mockResolvedValue([1, 3]);
+    saveMailboxState = jest.spyOn(service, 'saveMailboxState').mockResolvedValue(undefined);
+    // CHANGEDSINCE only returns UID 1
+    fetchMessages = jest.spyOn(service, 'fetchMessages').mockImplementation(async (...args: any[]) => {
+      const msg = new EventEmitter();
+      const handled = args[3](msg);
+      msg.emit('attributes', { uid: 1, flags: ['\\Seen', '\\Flagged'] });
+      msg.emit('end');
+      await handled;
+    });
+
+    const stored = [1, 2, 3].map(uid => ({ _id: `email-${uid}`, uid, isRead: false, isStarred: false, flags: [], labels: [] }));
+    jest.spyOn(PendingImapAction, 'find').mockReturnValue({ distinct: async () => pending } as any);
+    jest.spyOn(Email, 'find').mockImplementation(((filter: any) => ({
+      select: () => {
+        const matching = filter.uid.$in ? stored.filter(email => filter.uid.$in.includes(email.uid)) : stored;
+        return Object.assign(Promise.resolve(matching), { lean: async () => matching });
+      }
+    })) as any);
+    updateOne = jest.spyOn(Email, 'updateOne').mockResolvedValue({} as any);
+    updateMany = jest.spyOn(Email, 'updateMany').mockResolvedValue({} as any);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reconcile = () => (imapService as any).reconcileMailbox(connection, mailbox);
+
+  it('fetches only the flags changed since the stored HIGHESTMODSEQ and applies them', async () => {
+    await reconcile();
+
+    expect(fetchMessages).toHaveBeenCalledWith(connection.imap, '1:3', { modifiers: { changedsince: '100' } }, expect.any(Function));
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(updateOne).toHaveBeenCalledWith({ _id: 'email-1' }, expect.objectContaining({
+      isRead: true,
+      isStarred: true,
+      flags: ['\\Seen', '\\Flagged']
+    }));
+    expect(saveMailboxState).toHaveBeenCalledWith('account-1', 'INBOX', expect.objectContaining({ highestModseq: '120' }));
+  });
+
+  it('marks messages expunged on the server as deleted and drops their UID', async () => {
+    await reconcile();
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ _id: { $in: ['email-2'] } });
+    expect(update).toMatchObject({ folder: 'deleted', isDeleted: true, $unset: { uid: 1 } });
+  });
+
+  it('keeps local changes not yet pushed to the server', async () => {
+    pending = ['email-1'];
+
+    await reconcile();
+
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it('skips the flag fetch when nothing changed since the last pass', async () => {
+    (imapService as any).openMailbox.mockResolvedValue({ uidvalidity: 7, highestmodseq: '100', messages: { total: 2 } });
+
+    await reconcile();
+
+    expect(fetchMessages).not.toHaveBeenCalled();
+    expect(updateMany).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ImapService resync', () => {
+  let imapService: ImapService;
+  let messageIngestor: { clearAccount: jest.Mock; reindexAccount: jest.Mock };
+  let updateOne: jest.SpyInstance;
+  let connect: jest.SpyInstance;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    messageIngestor = { clearAccount: jest.fn().mockResolvedValue(40), reindexAccount: jest.fn().mockResolvedValue(40) };
+    imapService = new ImapService({ on: () => undefined } as any, messageIngestor as any, {} as any, {} as any);
+    jest.spyOn(EmailAccount, 'findById').mockResolvedValue({ _id: 'account-1', email: 'jane@example.com', isActive: true } as any);
+    updateOne = jest.spyOn(EmailAccount, 'updateOne').mockResolvedValue({} as any);
+    jest.spyOn(imapService as any, 'safeDisconnectAccount').mockResolvedValue(undefined);
+    connect = jest.spyOn(imapService as any, 'safeConnectToAccount').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps stored mail and rewinds the checkpoints', async () => {
+    await imapService.resyncAccount('account-1');
+
+    expect(messageIngestor.clearAccount).not.toHaveBeenCalled();
+    expect(messageIngestor.reindexAccount).toHaveBeenCalledWith('account-1');
+    const [filter, update] = updateOne.mock.calls[0] as any[];
+    expect(filter).toEqual({ _id: 'account-1' });
+    expect(update.$set).toEqual({ 'syncStats.lastFetchedUid': 0, 'syncStats.mailboxes.$[].lastFetchedUid': 0 });
+    expect(connect).toHaveBeenCalledTimes(1);
+  });
+
+  it('deletes the stored mail first only when asked to reset', async () => {
+    await imapService.resyncAccount('account-1', { reset: true });
+
+    expect(messageIngestor.clearAccount).toHaveBeenCalledWith('account-1');
+    expect(messageIngestor.reindexAccount).not.toHaveBeenCalled();
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(connect).toHaveBeenCalledWith(expect.objectContaining({ _id: 'account-1' }), { force: true });
+  });
+});
@@ -0,0 +1,53 @@
+import axios from 'axios';
+import { AiService } from '../AiService';
+import { LocalLLMService } from '../LocalLLMService';
+import { logger } from '../../utils/logger';
+
+describe('LocalLLMService classification', () => {
+  let llm: LocalLLMService;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    llm = new LocalLLMService();
+    (llm as any).isInitialized = true;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const email = { subject: 'Pricing for 40 seats', textBody: 'Budget approved, can we see a demo next week?', from: { address: 'cto@example.org' } };
+
+  it('rejects when the LLM request fails, so the classify job is retried', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue(new Error('timeout of 8000ms exceeded'));
+
+    await expect(llm.classifyEmail(email)).rejects.toThrow('timeout of 8000ms exceeded');
+
+    const aiService = new AiService();
+    (aiService as any).localLLM = llm;
+    await expect(aiService.classifyEmail(email)).rejects.toThrow('timeout of 8000ms exceeded');
+  });
+
+  it('sends concurrent classifications to the LLM without queueing them itself', async () => {
+    const pending: (() => void)[] = [];
+    const post = jest.spyOn(axios, 'post').mockImplementation(() => new Promise(resolve => {
+      pending.push(() => resolve({ data: { response: 'SPAM' } }));
+    }));
+
+    const results = Promise.all([llm.classifyEmail(email), llm.classifyEmail(email)]);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(post).toHaveBeenCalledTimes(2);
+    pending.forEach(release => release());
+    expect((await results).map(result => result.category)).toEqual(['spam', 'spam']);
+  });
+
+  it('falls back to the rules when the answer cannot be parsed', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { response: 'no idea, sorry' } });
+
+    await expect(llm.classifyEmail(email)).resolves.toMatchObject({ category: 'interested' });
+  });
+});
@@ -0,0 +1,45 @@
+import { simpleParser } from 'mailparser';
+import { Email } from '../../models';
+import { MessageIngestor } from '../MessageIngestor';
+
+const raw = 'From: Jane <jane@example.com>\r\nTo: team@example.org\r\nSubject: Launch\r\nMessage-ID: <launch@example.com>\r\n\r\nFriday it is.\r\n';
+
+describe('MessageIngestor', () => {
+  let stored: { accountId: string; messageId: string }[];
+  let queueService: { add: jest.Mock };
+  let messageIngestor: MessageIngestor;
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(Email, 'findOne').mockImplementation((async (filter: any) =>
+      stored.find(email => email.accountId === filter.accountId && email.messageId === filter.messageId) || null) as any);
+
+    // The ingest job stores the message
+    queueService = { add: jest.fn(async (_name: string, emailDoc: any) => { stored.push(emailDoc); }) };
+    messageIngestor = new MessageIngestor(queueService as any, {} as any, {} as any);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const ingest = async (accountId: string) =>
+    messageIngestor.ingest(await simpleParser(raw), { _id: accountId, email: 'jane@example.com' } as any, { folder: 'inbox', mailbox: 'INBOX' });
+
+  it('stores a message once for every account it arrives in', async () => {
+    await expect(ingest('account-1')).resolves.toBe(true);
+    await expect(ingest('account-2')).resolves.toBe(true);
+
+    expect(queueService.add.mock.calls.map(([, emailDoc, jobId]) => [emailDoc.accountId, jobId])).toEqual([
+      ['account-1', 'ingest:account-1:<launch@example.com>'],
+      ['account-2', 'ingest:account-2:<launch@example.com>']
+    ]);
+  });
+
+  it('does not store the same message twice in one account', async () => {
+    await ingest('account-1');
+
+    await expect(ingest('account-1')).resolves.toBe(false);
+    expect(queueService.add).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,121 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+import { EmailAccount } from '../../models';
+import { OAuthService } from '../OAuthService';
+import { decryptSecret, encryptSecret } from '../../utils/crypto';
+import { logger } from '../../utils/logger';
+
+// A local token endpoint stands in for Google's
+describe('OAuthService token refresh', () => {
+  let server: http.Server;
+  let requests: URLSearchParams[];
+  let respond: (res: http.ServerResponse) => void;
+
+  beforeAll(async () => {
+    process.env.ENCRYPT_SECRET = 'test-secret';
+    process.env.GOOGLE_OAUTH_CLIENT_ID = 'client-id';
+    process.env.GOOGLE_OAUTH_CLIENT_SECRET = 'client-secret';
+    logger.silent = true;
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(new URLSearchParams(body));
+        respond(res);
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.GOOGLE_OAUTH_TOKEN_URL = `http://127.0.0.1:${(server.address() as AddressInfo).port}/token`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let updateOne: jest.SpyInstance;
+
+  beforeEach(() => {
+    requests = [];
+    respond = res => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ access_token: 'fresh-token', expires_in: 3600 }));
+    };
+    updateOne = jest.spyOn(EmailAccount, 'updateOne').mockResolvedValue({} as any);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function storedAccount(oauth: any) {
+    jest.spyOn(EmailAccount, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ oauth: { provider: 'gmail', ...oauth } })
+    } as any);
+  }
+
+  it('returns the stored access token while it is still valid', async () => {
+    storedAccount({
+      refreshToken: encryptSecret('refresh-token'),
+      accessToken: encryptSecret('stored-token'),
+      accessTokenExpiresAt: new Date(Date.now() + 30 * 60 * 1000)
+    });
+
+    await expect(new OAuthService().getAccessToken('account-1')).resolves.toBe('stored-token');
+    expect(requests).toHaveLength(0);
+  });
+
+  it('refreshes an expiring token and stores the new one encrypted', async () => {
+    storedAccount({
+      refreshToken: encryptSecret('refresh-token'),
+      accessToken: encryptSecret('stale-token'),
+      accessTokenExpiresAt: new Date(Date.now() + 10 * 1000)
+    });
+
+    await expect(new OAuthService().getAccessToken('account-1')).resolves.toBe('fresh-token');
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].get('grant_type')).toBe('refresh_token');
+    expect(requests[0].get('refresh_token')).toBe('refresh-token');
+
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'account-1' });
+    expect(decryptSecret(update.$set['oauth.accessToken'])).toBe('fresh-token');
+    expect(update.$set['oauth.accessTokenExpiresAt'].getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+    expect(update.$set['oauth.refreshToken']).toBeUndefined();
+  });
+
+  it('stores a rotated refresh token', async () => {
+    respond = res => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ access_token: 'fresh-token', refresh_token: 'rotated-token', expires_in: 3600 }));
+    };
+    storedAccount({ refreshToken: encryptSecret('refresh-token') });
+
+    await new OAuthService().getAccessToken('account-1');
+
+    expect(decryptSecret(updateOne.mock.calls[0][1].$set['oauth.refreshToken'])).toBe('rotated-token');
+  });
+
+  it('shares one refresh between concurrent callers', async () => {
+    storedAccount({ refreshToken: encryptSecret('refresh-token') });
+    const service = new OAuthService();
+
+    const tokens = await Promise.all([service.getAccessToken('account-1'), service.getAccessToken('account-1')]);
+
+    expect(tokens).toEqual(['fresh-token', 'fresh-token']);
+    expect(requests).toHaveLength(1);
+  });
+
+  it('reports a revoked refresh token as an authentication failure', async () => {
+    respond = res => {
+      res.statusCode = 400;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: 'invalid_grant' }));
+    };
+    storedAccount({ refreshToken: encryptSecret('refresh-token') });
+
+    await expect(new OAuthService().getAccessToken('account-1')).rejects.toMatchObject({ source: 'authentication' });
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
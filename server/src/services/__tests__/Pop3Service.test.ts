@@ -0,0 +1,95 @@
+import net from 'net';
+import { AddressInfo } from 'net';
+import { EmailAccount, Pop3SeenMessage } from '../../models';
+import { Pop3Service } from '../Pop3Service';
+import { logger } from '../../utils/logger';
+
+const small = 'From: bob@example.org\r\nSubject: Lunch\r\nMessage-ID: <lunch@example.org>\r\n\r\nNoon?\r\n';
+const large = 'From: bob@example.org\r\nSubject: Scans\r\nMessage-ID: <scans@example.org>\r\n\r\n' + 'x'.repeat(4000) + '\r\n';
+
+// A maildrop on loopback holding the two messages above; records commands
+function fakePop3Server() {
+  const commands: string[] = [];
+  const messages = [small, large];
+  const server = net.createServer(socket => {
+    socket.write('+OK ready\r\n');
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let newline: number;
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        commands.push(line);
+
+        const [verb, arg] = line.split(' ');
+        const message = messages[Number(arg) - 1];
+        if (verb === 'UIDL') {
+          socket.write('+OK\r\n1 uidl-lunch\r\n2 uidl-scans\r\n.\r\n');
+        } else if (verb === 'LIST') {
+          socket.write(`+OK\r\n${messages.map((m, i) => `${i + 1} ${m.length}`).join('\r\n')}\r\n.\r\n`);
+        } else if (verb === 'RETR') {
+          socket.write(`+OK\r\n${message}.\r\n`);
+        } else if (verb === 'TOP') {
+          socket.write(`+OK\r\n${message.slice(0, message.indexOf('\r\n\r\n') + 4)}.\r\n`);
+        } else if (verb === 'QUIT') {
+          socket.end('+OK bye\r\n');
+        } else {
+          socket.write('+OK\r\n');
+        }
+      }
+    });
+    socket.on('error', () => undefined);
+  });
+
+  return { server, commands };
+}
+
+describe('Pop3Service polling', () => {
+  let fake: ReturnType<typeof fakePop3Server>;
+  let ingest: jest.Mock;
+  let pop3Service: Pop3Service;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(async () => {
+    fake = fakePop3Server();
+    await new Promise<void>(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+    const port = (fake.server.address() as AddressInfo).port;
+
+    ingest = jest.fn().mockResolvedValue(undefined);
+    pop3Service = new Pop3Service({ ingest } as any);
+    (pop3Service as any).maxMessageSize = 1000;
+
+    jest.spyOn(EmailAccount, 'findById').mockResolvedValue({
+      _id: 'account-1',
+      email: 'jane@example.org',
+      isActive: true,
+      protocol: 'pop3',
+      tlsPolicy: { mode: 'none' },
+      pop3Config: { host: '127.0.0.1', port, secure: false, user: 'jane', pass: 'secret', leaveOnServer: false }
+    } as any);
+    jest.spyOn(EmailAccount, 'updateOne').mockResolvedValue({} as any);
+    jest.spyOn(Pop3SeenMessage, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) } as any);
+    jest.spyOn(Pop3SeenMessage, 'updateOne').mockResolvedValue({} as any);
+    jest.spyOn(Pop3SeenMessage, 'deleteMany').mockResolvedValue({} as any);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => fake.server.close(resolve));
+  });
+
+  it('deletes downloaded messages but leaves those stored from their headers only', async () => {
+    await expect(pop3Service.pollAccount('account-1')).resolves.toBe(2);
+
+    expect(ingest.mock.calls.map(call => call[2].bodyStatus)).toEqual(['complete', 'headers_only']);
+    expect(fake.commands).toContain('RETR 1');
+    expect(fake.commands).toContain('TOP 2 0');
+    expect(fake.commands.filter(command => command.startsWith('DELE'))).toEqual(['DELE 1']);
+    expect(fake.commands[fake.commands.length - 1]).toBe('QUIT');
+  });
+});
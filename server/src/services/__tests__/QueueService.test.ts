@@ -0,0 +1,72 @@
+import { Email } from '../../models';
+import { QueueService } from '../QueueService';
+import { indexEmailInElasticsearch } from '../../config/elasticsearch';
+import { logger } from '../../utils/logger';
+
+jest.mock('../../config/elasticsearch', () => ({
+  indexEmailInElasticsearch: jest.fn().mockResolvedValue(true)
+}));
+
+// Inline jobs run in the background; let them finish
+async function settle(): Promise<void> {
+  for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+describe('QueueService classification failures', () => {
+  let classifyEmail: jest.Mock;
+  let updateOne: jest.SpyInstance;
+  let queueService: QueueService;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    delete process.env.REDIS_URL;
+    classifyEmail = jest.fn().mockRejectedValue(new Error('LLM unavailable'));
+    queueService = new QueueService({ classifyEmail } as any, {} as any, {} as any);
+
+    jest.spyOn(Email, 'findById').mockResolvedValue({ _id: 'email-1', aiProcessed: false, toObject: () => ({}) } as any);
+    updateOne = jest.spyOn(Email, 'updateOne').mockResolvedValue({ modifiedCount: 1 } as any);
+    (indexEmailInElasticsearch as jest.Mock).mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const failedJob = (attemptsMade: number) => ({ id: 'classify:email-1', attemptsMade, opts: { attempts: 3 }, data: { emailId: 'email-1' } });
+
+  it('files an email uncategorized when inline classification fails, and re-indexes it', async () => {
+    await queueService.initialize();
+    await queueService.add('classify', { emailId: 'email-1' });
+    await settle();
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: 'email-1', aiProcessed: false, aiCategory: { $exists: false } },
+      { aiCategory: 'uncategorized' }
+    );
+    expect(indexEmailInElasticsearch).toHaveBeenCalled();
+  });
+
+  it('files an email uncategorized once its classify job is out of retries', async () => {
+    await (queueService as any).handleFailure('classify', failedJob(3), new Error('LLM unavailable'));
+
+    expect(updateOne).toHaveBeenCalledWith(expect.objectContaining({ _id: 'email-1' }), { aiCategory: 'uncategorized' });
+  });
+
+  it('leaves the email alone while the job will be retried', async () => {
+    await (queueService as any).handleFailure('classify', failedJob(1), new Error('LLM unavailable'));
+
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it('does not re-index an email that was classified meanwhile', async () => {
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await (queueService as any).handleFailure('classify', failedJob(3), new Error('LLM unavailable'));
+    await settle();
+
+    expect(indexEmailInElasticsearch).not.toHaveBeenCalled();
+  });
+});
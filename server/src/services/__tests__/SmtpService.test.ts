@@ -0,0 +1,207 @@
+import net from 'net';
+import { AddressInfo } from 'net';
+import { Email, EmailAccount } from '../../models';
+import { SmtpService } from '../SmtpService';
+import { logger } from '../../utils/logger';
+
+interface SinkMessage {
+  from: string;
+  to: string[];
+  data: string;
+}
+
+// A minimal SMTP server on loopback that keeps what it is sent
+function smtpSink(options: { rejectRecipients?: boolean } = {}) {
+  const messages: SinkMessage[] = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let current: SinkMessage = { from: '', to: [], data: '' };
+
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let newline: number;
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { from: '', to: [], data: '' };
+            socket.write('250 queued\r\n');
+          } else {
+            current.data += (line.startsWith('..') ? line.slice(1) : line) + '\r\n';
+          }
+          continue;
+        }
+
+        const verb = line.slice(0, 4).toUpperCase();
+        const address = (line.match(/<([^>]*)>/) || [])[1] || '';
+        if (verb === 'EHLO' || verb === 'HELO') {
+          socket.write('250-sink\r\n250 8BITMIME\r\n');
+        } else if (verb === 'MAIL') {
+          current.from = address;
+          socket.write('250 ok\r\n');
+        } else if (verb === 'RCPT') {
+          if (options.rejectRecipients) {
+            socket.write('550 no such user\r\n');
+          } else {
+            current.to.push(address);
+            socket.write('250 ok\r\n');
+          }
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+    socket.on('error', () => undefined);
+  });
+
+  return { server, messages };
+}
+
+describe('SmtpService', () => {
+  let sink: ReturnType<typeof smtpSink>;
+  let port: number;
+  let appendMessage: jest.Mock;
+  let storeSent: jest.Mock;
+  let smtpService: SmtpService;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  async function startSink(options?: { rejectRecipients?: boolean }) {
+    sink = smtpSink(options);
+    await new Promise<void>(resolve => sink.server.listen(0, '127.0.0.1', resolve));
+    port = (sink.server.address() as AddressInfo).port;
+  }
+
+  beforeEach(async () => {
+    await startSink();
+
+    appendMessage = jest.fn().mockResolvedValue({ mailbox: 'Sent' });
+    storeSent = jest.fn().mockImplementation(async (parsed: any) => ({ _id: 'email-1', messageId: parsed.messageId }));
+    smtpService = new SmtpService({ appendMessage } as any, { storeSent } as any, {} as any, {} as any);
+
+    jest.spyOn(EmailAccount, 'findById').mockImplementation(() => ({
+      select: () => Promise.resolve({
+        _id: 'account-1',
+        email: 'jane@example.com',
+        displayName: 'Jane',
+        protocol: 'imap',
+        remoteMailboxes: [],
+        smtpConfig: { host: '127.0.0.1', port, secure: false, tlsMode: 'none' }
+      })
+    }) as any);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => sink.server.close(resolve));
+  });
+
+  const message = {
+    to: [{ address: 'bob@example.org', name: 'Bob' }],
+    bcc: [{ address: 'boss@example.org' }],
+    subject: 'Quarterly numbers',
+    text: 'Attached as promised.'
+  };
+
+  it('delivers the message, files it in Sent and stores it', async () => {
+    const result = await smtpService.send('account-1', message);
+
+    expect(sink.messages).toHaveLength(1);
+    const [delivered] = sink.messages;
+    expect(delivered.from).toBe('jane@example.com');
+    expect(delivered.to).toEqual(['bob@example.org', 'boss@example.org']);
+    expect(delivered.data).toContain('Subject: Quarterly numbers');
+    expect(delivered.data).toContain(`Message-ID: ${result.messageId}`);
+    expect(delivered.data).not.toMatch(/^Bcc:/m);
+
+    // The Sent copy keeps the Bcc header
+    expect(appendMessage.mock.calls[0][2].toString()).toMatch(/^Bcc: boss@example.org/m);
+    expect(storeSent.mock.calls[0][2]).toMatchObject({ folder: 'sent', mailbox: 'Sent' });
+    expect(result).toMatchObject({ savedToSent: 'Sent', accepted: ['bob@example.org', 'boss@example.org'], rejected: [] });
+    expect(result.email).toMatchObject({ messageId: result.messageId });
+  });
+
+  it('reports success once delivered even when filing and storing fail', async () => {
+    appendMessage.mockRejectedValue(new Error('APPEND failed: mailbox is full'));
+    storeSent.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const result = await smtpService.send('account-1', message);
+
+    expect(sink.messages).toHaveLength(1);
+    expect(result).toMatchObject({ savedToSent: null, email: null, accepted: ['bob@example.org', 'boss@example.org'] });
+  });
+
+  it('fails without storing anything when the server refuses the recipients', async () => {
+    await new Promise(resolve => sink.server.close(resolve));
+    await startSink({ rejectRecipients: true });
+
+    await expect(smtpService.send('account-1', message)).rejects.toThrow();
+    expect(sink.messages).toHaveLength(0);
+    expect(appendMessage).not.toHaveBeenCalled();
+    expect(storeSent).not.toHaveBeenCalled();
+  });
+
+  describe('replies and forwards', () => {
+    beforeEach(() => {
+      jest.spyOn(Email, 'findById').mockResolvedValue({
+        accountId: 'account-1',
+        threadId: 'thread-1',
+        messageId: '<launch@example.org>',
+        references: [],
+        subject: 'Launch',
+        from: { address: 'bob@example.org' },
+        to: [{ address: 'jane@example.com' }],
+        cc: [{ address: 'carol@example.org' }]
+      } as any);
+    });
+
+    it('answers the sender of the original, threaded under it', async () => {
+      await smtpService.reply('email-1', { text: 'Sounds good.', quote: false });
+
+      const [delivered] = sink.messages;
+      expect(delivered.to).toEqual(['bob@example.org']);
+      expect(delivered.data).toContain('Subject: Re: Launch');
+      expect(delivered.data).toContain('In-Reply-To: <launch@example.org>');
+    });
+
+    it('uses the recipients and subject it is given instead', async () => {
+      await smtpService.reply('email-1', {
+        to: [{ address: 'dave@example.org' }],
+        subject: 'Launch moved to Friday',
+        text: 'See below.',
+        quote: false
+      }, true);
+
+      const [delivered] = sink.messages;
+      expect(delivered.to).toEqual(['dave@example.org', 'carol@example.org']);
+      expect(delivered.data).toContain('Subject: Launch moved to Friday');
+      expect(delivered.data).toContain('In-Reply-To: <launch@example.org>');
+    });
+
+    it('forwards under Fwd: plus the original subject unless given one', async () => {
+      await smtpService.forward('email-1', { to: [{ address: 'dave@example.org' }], includeAttachments: false });
+      await smtpService.forward('email-1', {
+        to: [{ address: 'dave@example.org' }],
+        subject: 'FYI: launch plan',
+        includeAttachments: false
+      });
+
+      expect(sink.messages.map(delivered => delivered.to)).toEqual([['dave@example.org'], ['dave@example.org']]);
+      expect(sink.messages[0].data).toContain('Subject: Fwd: Launch');
+      expect(sink.messages[1].data).toContain('Subject: FYI: launch plan');
+    });
+  });
+});
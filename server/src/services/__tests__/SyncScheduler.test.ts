@@ -0,0 +1,80 @@
+import { EmailAccount } from '../../models';
+import { SyncScheduler } from '../SyncScheduler';
+import { logger } from '../../utils/logger';
+
+const now = new Date('2024-05-03T09:00:00Z');
+const minutes = (n: number) => new Date(now.getTime() + n * 60 * 1000);
+
+describe('SyncScheduler', () => {
+  let accounts: any[];
+  let updates: Map<string, Date>;
+  let imapService: { runScheduledSync: jest.Mock };
+  let pop3Service: { pollAccount: jest.Mock };
+  let scheduler: SyncScheduler;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now, doNotFake: ['setImmediate', 'nextTick'] });
+    updates = new Map();
+    jest.spyOn(EmailAccount, 'find').mockReturnValue({ select: async () => accounts } as any);
+    jest.spyOn(EmailAccount, 'updateOne').mockImplementation((async (filter: any, update: any) => {
+      updates.set(filter._id, update.nextSyncAt);
+      return {};
+    }) as any);
+
+    imapService = { runScheduledSync: jest.fn().mockResolvedValue(3) };
+    pop3Service = { pollAccount: jest.fn().mockResolvedValue(0) };
+    scheduler = new SyncScheduler(imapService as any, pop3Service as any);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  // Runs one minute's tick and lets the account syncs it started finish
+  async function tick() {
+    await (scheduler as any).tick();
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  it('syncs accounts that are due with their protocol and schedules the next run', async () => {
+    accounts = [
+      { _id: 'imap-due', email: 'jane@example.com', protocol: 'imap', nextSyncAt: minutes(-1) },
+      { _id: 'pop3-due', email: 'bob@example.org', protocol: 'pop3', nextSyncAt: now, syncSettings: { intervalMinutes: 15 } },
+      { _id: 'imap-later', email: 'carol@example.org', protocol: 'imap', nextSyncAt: minutes(2) }
+    ];
+
+    await tick();
+
+    expect(imapService.runScheduledSync.mock.calls).toEqual([['imap-due']]);
+    expect(pop3Service.pollAccount.mock.calls).toEqual([['pop3-due']]);
+    expect(updates).toEqual(new Map([['imap-due', minutes(5)], ['pop3-due', minutes(15)]]));
+  });
+
+  it('spreads the first runs of new accounts over their interval', async () => {
+    accounts = Array.from({ length: 20 }, (_, i) => ({ _id: `account-${i}`, email: `user${i}@example.org`, protocol: 'imap' }));
+
+    await tick();
+    const first = new Map(updates);
+    await tick();
+
+    expect(imapService.runScheduledSync).not.toHaveBeenCalled();
+    const offsets = [...first.values()].map(date => (date.getTime() - now.getTime()) / 60000);
+    expect(offsets.every(offset => Number.isInteger(offset) && offset >= 1 && offset <= 5)).toBe(true);
+    expect(new Set(offsets).size).toBeGreaterThan(1);
+    // The offset is stable for an account
+    expect(updates).toEqual(first);
+  });
+
+  it('continues next minute when a sync used up its budget', async () => {
+    accounts = [{ _id: 'busy', email: 'jane@example.com', protocol: 'imap', nextSyncAt: now, syncSettings: { maxEmailsPerSync: 3 } }];
+
+    await tick();
+
+    expect(updates.get('busy')).toEqual(minutes(1));
+  });
+});
@@ -0,0 +1,97 @@
+import { Email } from '../../models';
+import { ThreadingService } from '../ThreadingService';
+import { logger } from '../../utils/logger';
+
+// Gmail thread IDs are X-GM-THRID values; header threads are hashes
+const GMAIL_THREAD = '1780000000000000001';
+const OTHER_GMAIL_THREAD = '1780000000000000002';
+const HEADER_THREAD = 'a1b2c3d4e5f6a1b2c3d4e5f6';
+
+describe('ThreadingService with provider thread IDs', () => {
+  let updateMany: jest.SpyInstance;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    updateMany = jest.spyOn(Email, 'updateMany').mockResolvedValue({ modifiedCount: 1 } as any);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Stored relatives of the message, and which of their threads hold Gmail messages
+  function stored(relatives: { threadId?: string }[], providerThreads: string[], oldest?: string) {
+    jest.spyOn(Email, 'find').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve(relatives.map((relative, i) => ({ _id: `relative-${i}`, ...relative }))) })
+    } as any);
+    jest.spyOn(Email, 'distinct').mockResolvedValue(providerThreads as any);
+    jest.spyOn(Email, 'findOne').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: () => Promise.resolve(oldest ? { threadId: oldest } : null) }) })
+    } as any);
+  }
+
+  function reply(fields: any = {}): any {
+    return {
+      _id: 'reply',
+      accountId: 'account-1',
+      messageId: '<reply@example.com>',
+      references: ['<original@example.com>'],
+      subject: 'Re: Launch',
+      ...fields
+    };
+  }
+
+  it('keeps the thread Gmail gave a message', async () => {
+    const find = jest.spyOn(Email, 'find');
+
+    const threadId = await new ThreadingService().assignThread(reply({ gmailMessageId: '42', threadId: GMAIL_THREAD }));
+
+    expect(threadId).toBe(GMAIL_THREAD);
+    expect(find).not.toHaveBeenCalled();
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it('puts a message without a provider ID into the Gmail thread it relates to', async () => {
+    // The header thread started earlier, but the Gmail thread still wins
+    stored([{ threadId: GMAIL_THREAD }, { threadId: HEADER_THREAD }], [GMAIL_THREAD], HEADER_THREAD);
+
+    const threadId = await new ThreadingService().assignThread(reply());
+
+    expect(threadId).toBe(GMAIL_THREAD);
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(update).toEqual({ threadId: GMAIL_THREAD });
+    expect(filter.$or[1]).toEqual({ threadId: { $in: [HEADER_THREAD] } });
+  });
+
+  it('never merges or renames Gmail threads', async () => {
+    stored([{ threadId: GMAIL_THREAD }, { threadId: OTHER_GMAIL_THREAD }], [GMAIL_THREAD, OTHER_GMAIL_THREAD], OTHER_GMAIL_THREAD);
+
+    const threadId = await new ThreadingService().assignThread(reply());
+
+    expect(threadId).toBe(OTHER_GMAIL_THREAD);
+    const [filter] = updateMany.mock.calls[0];
+    expect(filter.$or[1]).toEqual({ threadId: { $in: [] } });
+  });
+
+  it('does not move a message out of the Gmail thread it already joined', async () => {
+    stored([{ threadId: HEADER_THREAD }], [GMAIL_THREAD], HEADER_THREAD);
+
+    const threadId = await new ThreadingService().assignThread(reply({ threadId: GMAIL_THREAD }));
+
+    expect(threadId).toBe(GMAIL_THREAD);
+    expect(updateMany.mock.calls[0][0].$or[1]).toEqual({ threadId: { $in: [HEADER_THREAD] } });
+  });
+
+  it('merges header threads into the oldest one', async () => {
+    const newer = 'f6e5d4c3b2a1f6e5d4c3b2a1';
+    stored([{ threadId: newer }, { threadId: HEADER_THREAD }], [], HEADER_THREAD);
+
+    const threadId = await new ThreadingService().assignThread(reply());
+
+    expect(threadId).toBe(HEADER_THREAD);
+    expect(updateMany.mock.calls[0][0].$or[1]).toEqual({ threadId: { $in: [newer] } });
+  });
+});
@@ -1,12 +1,47 @@
 import { ImapService } from './ImapService';
 import { AiService } from './AiService';
 import { NotificationService } from './NotificationService';
-import { setImapService } from '../routes/accounts';
+import { AttachmentService } from './AttachmentService';
+import { QueueService } from './QueueService';
+import { SyncScheduler } from './SyncScheduler';
+import { OAuthService } from './OAuthService';
+import { MessageIngestor } from './MessageIngestor';
+import { ImportService } from './ImportService';
+import { ExportService } from './ExportService';
+import { Pop3Service } from './Pop3Service';
+import { ConnectionManager } from './ConnectionManager';
+import { AutodiscoveryService } from './AutodiscoveryService';
+import { ThreadingService } from './ThreadingService';
+import { ImageProxyService } from './ImageProxyService';
+import { SmtpService } from './SmtpService';
+import { DraftService } from './DraftService';
+import {
+  setAutodiscoveryService,
+  setImapService,
+  setImportService,
+  setOAuthService,
+  setPop3Service,
+  setSmtpService,
+  setSyncScheduler
+} from '../routes/accounts';
 import { logger } from '../utils/logger';
 
 export let imapService: ImapService;
 export let aiService: AiService;
 export let notificationService: NotificationService;
+export let attachmentService: AttachmentService;
+export let queueService: QueueService;
+export let syncScheduler: SyncScheduler;
+export let oauthService: OAuthService;
+export let importService: ImportService;
+export let exportService: ExportService;
+export let pop3Service: Pop3Service;
+export let connectionManager: ConnectionManager;
+export let autodiscoveryService: AutodiscoveryService;
+export let threadingService: ThreadingService;
+export let imageProxyService: ImageProxyService;
+export let smtpService: SmtpService;
+export let draftService: DraftService;
 
 export async function initializeServices(): Promise<void> {
   try {
@@ -15,16 +50,43 @@ export async function initializeServices(): Promise<void> {
     aiService = new AiService();
     await aiService.initialize();
     notificationService = new NotificationService();
-    imapService = new ImapService(aiService, notificationService);
+    attachmentService = new AttachmentService();
+    threadingService = new ThreadingService();
+    queueService = new QueueService(aiService, notificationService, threadingService);
+    await queueService.initialize();
+    oauthService = new OAuthService();
+    const messageIngestor = new MessageIngestor(queueService, attachmentService, threadingService);
+    connectionManager = new ConnectionManager();
+    imapService = new ImapService(queueService, messageIngestor, oauthService, connectionManager);
+    pop3Service = new Pop3Service(messageIngestor);
+    importService = new ImportService(messageIngestor);
+    await importService.recoverInterruptedJobs();
+    exportService = new ExportService(attachmentService);
+    autodiscoveryService = new AutodiscoveryService();
+    imageProxyService = new ImageProxyService();
+    smtpService = new SmtpService(imapService, messageIngestor, oauthService, attachmentService);
+    draftService = new DraftService(imapService, smtpService, attachmentService);
+
+    syncScheduler = new SyncScheduler(imapService, pop3Service);
 
     setImapService(imapService);
+    setSyncScheduler(syncScheduler);
+    setOAuthService(oauthService);
+    setImportService(importService);
+    setPop3Service(pop3Service);
+    setAutodiscoveryService(autodiscoveryService);
+    setSmtpService(smtpService);
     
-    // FIXED: Force fresh sync on startup
-    if (process.env.NODE_ENV === 'development') {
-      await imapService.forceFreshSync();
-    } else {
-      await imapService.syncAllAccounts();
-    }
+    // Incremental from the stored checkpoints; a full resync is only ever
+    // requested explicitly
+    await imapService.syncAllAccounts();
+
+    syncScheduler.start();
+
+    // Mail stored before threading gets its threads in the background
+    threadingService.backfillThreads().catch(err =>
+      logger.error('Thread backfill failed:', err.message)
+    );
 
     logger.info('✅ All services initialized successfully');
   } catch (error: any) {
@@ -36,9 +98,13 @@ export async function initializeServices(): Promise<void> {
 export async function shutdownServices(): Promise<void> {
   try {
     logger.info('Shutting down services...');
+    syncScheduler?.stop();
     if (imapService) {
       await imapService.disconnect();
     }
+    if (queueService) {
+      await queueService.close();
+    }
     logger.info('✅ Services shutdown completed');
   } catch (error: any) {
     logger.error('❌ Error during service shutdown:', error);
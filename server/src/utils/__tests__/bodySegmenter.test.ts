@@ -0,0 +1,93 @@
+import { newContentText, segmentBody, segmentText } from '../bodySegmenter';
+
+describe('segmentText', () => {
+  it('separates a reply from the quote and its attribution line', () => {
+    const segments = segmentText([
+      'Friday works for me.',
+      '',
+      'On Tue, 7 May 2024 at 09:12, Jane Doe <jane@example.com>',
+      'wrote:',
+      '> Can we move the launch to Friday?',
+      '> Jane'
+    ].join('\r\n'));
+
+    expect(segments).toEqual({
+      content: 'Friday works for me.',
+      quoted: 'On Tue, 7 May 2024 at 09:12, Jane Doe <jane@example.com>\nwrote:\n> Can we move the launch to Friday?\n> Jane'
+    });
+  });
+
+  it('keeps inline replies between quotes as the message content', () => {
+    const segments = segmentText('> Friday?\nYes.\n> Which venue?\nThe usual one.');
+
+    expect(segments.content).toBe('Yes.\nThe usual one.');
+    expect(segments.quoted).toBe('> Friday?\n> Which venue?');
+  });
+
+  it('treats everything from an Outlook header block on as history', () => {
+    const segments = segmentText([
+      'See below.',
+      '________________________________',
+      'From: Jane Doe <jane@example.com>',
+      'Sent: Tuesday, May 7, 2024 9:12 AM',
+      'To: Bob <bob@example.org>',
+      'Subject: Launch',
+      '',
+      'Can we move the launch to Friday?'
+    ].join('\n'));
+
+    expect(segments.content).toBe('See below.');
+    expect(segments.quoted).toMatch(/^_{32}\nFrom: Jane Doe/);
+    expect(segments.quoted).toMatch(/to Friday\?$/);
+  });
+
+  it('splits off a signature after the "-- " delimiter', () => {
+    const segments = segmentText('Friday works.\n\n-- \nBob Smith\nAcme Corp');
+
+    expect(segments).toEqual({ content: 'Friday works.', signature: 'Bob Smith\nAcme Corp' });
+  });
+
+  it('splits off a signature after a sign-off and a mobile footer', () => {
+    expect(segmentText('Friday works.\n\nThanks,\nBob Smith\n+1 555 0100')).toEqual({
+      content: 'Friday works.\n\nThanks,',
+      signature: 'Bob Smith\n+1 555 0100'
+    });
+    expect(segmentText('Friday works.\n\nSent from my iPhone')).toEqual({ content: 'Friday works.', signature: 'Sent from my iPhone' });
+  });
+
+  it('splits off a legal disclaimer', () => {
+    const disclaimer = 'This email and any files transmitted with it are confidential and intended solely for the use of the individual ' +
+      'to whom they are addressed. If you have received this email in error please notify the sender.';
+
+    expect(segmentText(`Friday works.\n\n${disclaimer}`)).toEqual({ content: 'Friday works.', disclaimer });
+  });
+});
+
+describe('segmentBody', () => {
+  it('removes the quoted history and signature from the HTML', () => {
+    const segments = segmentBody(
+      'Friday works.\n\nOn Tue, Jane wrote:\n> Friday?',
+      '<div>Friday works.</div><div class="gmail_signature">Bob</div>' +
+      '<div class="gmail_quote"><div>On Tue, Jane wrote:</div><blockquote>Friday?</blockquote></div>'
+    );
+
+    expect(segments.htmlContent).toBe('<div>Friday works.</div>');
+  });
+
+  it('leaves htmlContent unset when the markup marks no history', () => {
+    expect(segmentBody('Friday works.', '<p>Friday works.</p>').htmlContent).toBeUndefined();
+  });
+});
+
+describe('newContentText', () => {
+  it('uses the stored segments, or segments the text of older mail', () => {
+    expect(newContentText({ textBody: 'whole body', segments: { content: 'stored content' } })).toBe('stored content');
+    expect(newContentText({ textBody: 'Yes.\n\nOn Tue, Jane wrote:\n> Friday?' })).toBe('Yes.');
+  });
+
+  it('falls back to the whole body for a bare forward', () => {
+    const forward = '---------- Forwarded message ---------\nFrom: Jane\n\nLaunch plan attached.';
+
+    expect(newContentText({ textBody: forward })).toBe(forward);
+  });
+});
@@ -0,0 +1,27 @@
+import { decodeModifiedUtf7, fromGmailLabels, toGmailLabel } from '../gmailUtils';
+
+describe('decodeModifiedUtf7', () => {
+  it('decodes non-ASCII label names and "&-"', () => {
+    expect(decodeModifiedUtf7('Caf&AOk-')).toBe('Café');
+    expect(decodeModifiedUtf7('&ZeVnLIqe-/Reisen')).toBe('日本語/Reisen');
+    expect(decodeModifiedUtf7('R&-D')).toBe('R&D');
+    expect(decodeModifiedUtf7('Receipts')).toBe('Receipts');
+  });
+});
+
+describe('fromGmailLabels', () => {
+  it('keeps user labels and Important, and drops labels a folder or flag already covers', () => {
+    expect(fromGmailLabels(['\\Inbox', '\\Important', '\\Starred', 'Clients/Acme', 'Caf&AOk-'])).toEqual(['Important', 'Clients/Acme', 'Café']);
+  });
+
+  it('reads a missing attribute as no labels', () => {
+    expect(fromGmailLabels(undefined)).toEqual([]);
+  });
+});
+
+describe('toGmailLabel', () => {
+  it('stores Important as the system label and user labels as they are', () => {
+    expect(toGmailLabel('Important')).toBe('\\Important');
+    expect(toGmailLabel('Clients/Acme')).toBe('Clients/Acme');
+  });
+});
@@ -0,0 +1,68 @@
+import { sanitizeEmailHtml } from '../htmlSanitizer';
+
+const proxyUrl = (url: string) => `/api/images/proxy?url=${encodeURIComponent(url)}`;
+
+describe('sanitizeEmailHtml', () => {
+  it('strips scripts, forms and event handlers', () => {
+    const { html } = sanitizeEmailHtml(
+      '<p onclick="steal()">Hi<script>alert(1)</script></p>' +
+      '<form action="https://evil.example/login"><input name="password"><button>Sign in</button></form>' +
+      '<a href="javascript:alert(1)" onmouseover="steal()">Open</a><iframe src="https://evil.example"></iframe>'
+    );
+
+    expect(html).toBe('<p>Hi</p><a target="_blank" rel="noopener noreferrer">Open</a>');
+  });
+
+  it('keeps formatting styles but drops any that load a resource', () => {
+    const { html } = sanitizeEmailHtml(
+      '<td style="color: red; background: url(https://tracker.example/open.gif); font-weight: bold">' +
+      '<div style="background-image: image-set(\'https://tracker.example/a.png\' 1x)">Hi</div></td>'
+    );
+
+    expect(html).toContain('color:red');
+    expect(html).toContain('font-weight:bold');
+    expect(html).not.toMatch(/url|image-set|tracker\.example/);
+  });
+
+  it('loads remote images through the proxy when given one', () => {
+    const result = sanitizeEmailHtml('<img src="https://cdn.example.org/logo.png" alt="Logo" width="120" height="40">', { proxyUrl });
+
+    expect(result.html).toContain(`src="${proxyUrl('https://cdn.example.org/logo.png')}"`);
+    expect(result.html).toContain('referrerpolicy="no-referrer"');
+    expect(result).toMatchObject({ remoteImages: 1, blockedImages: 0 });
+  });
+
+  it('blocks remote images without a proxy, but keeps inline ones', () => {
+    const result = sanitizeEmailHtml(
+      '<img src="https://cdn.example.org/logo.png" alt="Logo"><img src="cid:signature@example.org">'
+    );
+
+    expect(result.html).toBe('<img alt="Logo" /><img src="cid:signature@example.org" />');
+    expect(result).toMatchObject({ remoteImages: 1, blockedImages: 1 });
+  });
+
+  it('removes and counts tracking pixels', () => {
+    const result = sanitizeEmailHtml(
+      '<p>News</p>' +
+      '<img src="https://example.us1.list-manage.com/track/open.php?u=1&id=2">' +
+      '<img src="https://t.example.org/o.gif" width="1" height="1">' +
+      '<img src="https://t.example.org/p.gif" style="display: none">',
+      { proxyUrl }
+    );
+
+    expect(result.html).toBe('<p>News</p>');
+    expect(result.tracking).toEqual({ trackers: ['Mailchimp'], pixels: 3, trackedLinks: 0 });
+    expect(result.remoteImages).toBe(0);
+  });
+
+  it('counts links that go through a click-tracking redirect', () => {
+    const result = sanitizeEmailHtml(
+      '<a href="https://example.us1.list-manage.com/track/click?u=1&id=2">Read more</a>' +
+      '<a href="https://links.example.org/r?url=https%3A%2F%2Fexample.org%2Fpricing">Pricing</a>' +
+      '<a href="https://example.org/about">About</a><a href="mailto:jane@example.org">Mail us</a>'
+    );
+
+    expect(result.tracking).toEqual({ trackers: ['Mailchimp'], pixels: 0, trackedLinks: 2 });
+    expect(result.html).toContain('href="https://example.org/about"');
+  });
+});
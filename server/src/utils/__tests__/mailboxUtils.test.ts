@@ -0,0 +1,60 @@
+import Imap from 'imap';
+import { defaultSyncedMailboxes, discoverMailboxes, resolveSyncedMailboxes } from '../mailboxUtils';
+
+function box(attribs: string[] = [], children?: Imap.MailBoxes): Imap.Folder {
+  return { attribs, delimiter: '/', children: children || null, parent: null } as any;
+}
+
+describe('discoverMailboxes', () => {
+  it('maps special-use mailboxes onto folders, nested ones included', () => {
+    const mailboxes = discoverMailboxes({
+      INBOX: box(),
+      '[Gmail]': box(['\\Noselect'], {
+        'Sent Mail': box(['\\Sent']),
+        Trash: box(['\\Trash']),
+        Spam: box(['\\Junk'])
+      }),
+      Receipts: box()
+    });
+
+    expect(mailboxes).toEqual([
+      { path: 'INBOX', folder: 'inbox' },
+      { path: '[Gmail]/Sent Mail', folder: 'sent', specialUse: '\\sent' },
+      { path: '[Gmail]/Trash', folder: 'deleted', specialUse: '\\trash' },
+      { path: '[Gmail]/Spam', folder: 'spam', specialUse: '\\junk' },
+      { path: 'Receipts' }
+    ]);
+  });
+
+  it('guesses folders by name only where no special-use mailbox claimed them', () => {
+    const mailboxes = discoverMailboxes({
+      Inbox: box(),
+      'Sent Items': box(),
+      Sent: box(['\\Sent']),
+      Junk: box(),
+      Archive: box()
+    });
+
+    expect(mailboxes).toEqual([
+      { path: 'INBOX', folder: 'inbox' },
+      { path: 'Sent Items' },
+      { path: 'Sent', folder: 'sent', specialUse: '\\sent' },
+      { path: 'Junk', folder: 'spam' },
+      { path: 'Archive', folder: 'archive' }
+    ]);
+  });
+});
+
+describe('resolveSyncedMailboxes', () => {
+  const mailboxes = discoverMailboxes({ INBOX: box(), Sent: box(['\\Sent']), Drafts: box(['\\Drafts']), Receipts: box() });
+
+  it('syncs the mapped mailboxes by default, INBOX last', () => {
+    expect(defaultSyncedMailboxes(mailboxes)).toEqual(['INBOX', 'Sent', 'Drafts']);
+    expect(resolveSyncedMailboxes(mailboxes).map(mailbox => mailbox.path)).toEqual(['Sent', 'Drafts', 'INBOX']);
+  });
+
+  it('syncs only the mailboxes chosen for the account that still exist', () => {
+    expect(resolveSyncedMailboxes(mailboxes, ['INBOX', 'Receipts', 'Gone']).map(mailbox => mailbox.path))
+      .toEqual(['Receipts', 'INBOX']);
+  });
+});
@@ -0,0 +1,75 @@
+import { Readable } from 'stream';
+import { formatMboxMessage, readMbox } from '../mboxUtils';
+
+const launch = Buffer.from([
+  'From: Jane <jane@example.com>',
+  'Subject: Launch',
+  '',
+  'From now on we ship on Fridays.',
+  '>From the last meeting:',
+  '',
+  'From here it is up to you.',
+  ''
+].join('\n'));
+const lunch = Buffer.from('From: bob@example.org\nSubject: Lunch\n\nNoon? Caf\xe9 across the street.\n', 'latin1');
+
+async function read(mbox: Buffer, maxBytes = 1024 * 1024, chunkSize = 7) {
+  // Small chunks so lines and separators straddle them
+  const chunks: Buffer[] = [];
+  for (let i = 0; i < mbox.length; i += chunkSize) chunks.push(mbox.subarray(i, i + chunkSize));
+
+  const messages = [];
+  for await (const message of readMbox(Readable.from(chunks), maxBytes)) messages.push(message);
+  return messages;
+}
+
+describe('formatMboxMessage', () => {
+  it('writes a separator line and quotes "From " lines one level deeper', () => {
+    const entry = formatMboxMessage(launch, 'jane@example.com', new Date('2024-05-03T09:04:05Z')).toString();
+
+    expect(entry.split('\n')).toEqual([
+      'From jane@example.com Fri May  3 09:04:05 2024',
+      'From: Jane <jane@example.com>',
+      'Subject: Launch',
+      '',
+      '>From now on we ship on Fridays.',
+      '>>From the last meeting:',
+      '',
+      '>From here it is up to you.',
+      '',
+      ''
+    ]);
+  });
+
+  it('writes LF line endings', () => {
+    const entry = formatMboxMessage(Buffer.from('Subject: Hi\r\n\r\nHello\r\n'), '', new Date(0));
+
+    expect(entry.toString()).toBe('From MAILER-DAEMON Thu Jan  1 00:00:00 1970\nSubject: Hi\n\nHello\n\n');
+  });
+});
+
+describe('readMbox', () => {
+  it('reads back the messages formatMboxMessage wrote, byte for byte', async () => {
+    const mbox = Buffer.concat([
+      formatMboxMessage(launch, 'jane@example.com', new Date('2024-05-03T09:04:05Z')),
+      formatMboxMessage(lunch, 'bob@example.org', new Date('2024-05-04T12:00:00Z'))
+    ]);
+
+    const messages = await read(mbox);
+
+    expect(messages.map(message => message.raw)).toEqual([launch, lunch]);
+  });
+
+  it('reports only the size of a message over the limit', async () => {
+    const mbox = Buffer.concat([
+      formatMboxMessage(launch, 'jane@example.com', new Date()),
+      formatMboxMessage(lunch, 'bob@example.org', new Date())
+    ]);
+
+    const messages = await read(mbox, launch.length - 1);
+
+    expect(messages[0].raw).toBeUndefined();
+    expect(messages[0].size).toBeGreaterThan(launch.length);
+    expect(messages[1].raw).toEqual(lunch);
+  });
+});
@@ -0,0 +1,72 @@
+import dns from 'dns';
+import { LookupFunction, createPublicOnlyLookup, isPrivateHost, refusePrivateRedirect } from '../netUtils';
+
+// Resolves every host name to the given addresses
+function stubLookup(...addresses: string[]): LookupFunction {
+  return (_hostname, _options, callback) =>
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+}
+
+function lookup(addresses: string[], options: dns.LookupOptions = {}): Promise<any> {
+  return new Promise((resolve, reject) => {
+    createPublicOnlyLookup(stubLookup(...addresses))('mail.example.com', options, (err: any, address: any, family?: number) =>
+      err ? reject(err) : resolve(options.all ? address : { address, family }));
+  });
+}
+
+describe('createPublicOnlyLookup', () => {
+  it.each(['10.0.0.5', '127.0.0.1', '169.254.169.254', '172.16.4.1', '192.168.1.1', '100.64.0.1', '0.0.0.0'])(
+    'refuses the private IPv4 address %s',
+    async address => {
+      await expect(lookup([address])).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+    }
+  );
+
+  it.each(['::1', '::', 'fd00::1', 'fe80::1'])('refuses the private IPv6 address %s', async address => {
+    await expect(lookup([address])).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+  });
+
+  it.each(['::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:10.0.0.5', '::ffff:8.8.8.8'])(
+    'refuses the IPv4-mapped IPv6 address %s',
+    async address => {
+      await expect(lookup([address])).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+    }
+  );
+
+  it('connects only to the public addresses of a host', async () => {
+    await expect(lookup(['10.0.0.5', '93.184.216.34'])).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+    await expect(lookup(['::ffff:10.0.0.5', '2606:2800:220:1::1', '192.168.0.2'], { all: true }))
+      .resolves.toEqual([{ address: '2606:2800:220:1::1', family: 6 }]);
+  });
+
+  it('passes resolver errors on', async () => {
+    const failing: LookupFunction = (_hostname, _options, callback) =>
+      callback(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }), []);
+
+    await expect(new Promise((resolve, reject) => {
+      createPublicOnlyLookup(failing)('missing.example.com', {}, (err: any) => err ? reject(err) : resolve(null));
+    })).rejects.toMatchObject({ code: 'ENOTFOUND' });
+  });
+});
+
+describe('refusePrivateRedirect', () => {
+  it.each(['127.0.0.1', '10.1.2.3', '[::1]', '[::ffff:127.0.0.1]', '[::ffff:a9fe:a9fe]'])(
+    'refuses a redirect to %s',
+    hostname => {
+      expect(() => refusePrivateRedirect({ hostname })).toThrow(expect.objectContaining({ code: 'EPRIVATEADDRESS' }));
+    }
+  );
+
+  it('leaves host names to the connect-time lookup', () => {
+    expect(() => refusePrivateRedirect({ hostname: 'localhost.example.com' })).not.toThrow();
+    expect(() => refusePrivateRedirect({ hostname: '93.184.216.34' })).not.toThrow();
+  });
+});
+
+describe('isPrivateHost', () => {
+  it('checks IP literals only', () => {
+    expect(isPrivateHost('[::ffff:192.168.1.1]')).toBe(true);
+    expect(isPrivateHost('8.8.8.8')).toBe(false);
+    expect(isPrivateHost('intranet')).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+import { forwardSubject, quoteOriginal, replyRecipients, replySubject, replyThreadHeaders } from '../replyUtils';
+
+const original: any = {
+  messageId: '<launch-3@example.com>',
+  references: ['<launch-1@example.com>', '<launch-2@example.org>'],
+  from: { address: 'jane@example.com', name: 'Jane' },
+  to: [{ address: 'me@example.org', name: 'Me' }, { address: 'bob@example.org' }],
+  cc: [{ address: 'carol@example.org' }, { address: 'ME@example.org' }],
+  subject: 'Re: Launch',
+  textBody: 'Friday?\nJane',
+  htmlBody: '<p>Friday?</p><script>alert(1)</script><img src="https://t.example.org/o.gif" width="1" height="1">',
+  receivedDate: new Date('2024-05-03T09:00:00Z')
+};
+
+describe('replySubject and forwardSubject', () => {
+  it('adds one marker, recognising those of other clients', () => {
+    expect(replySubject('Launch')).toBe('Re: Launch');
+    expect(replySubject('RE: AW: Launch')).toBe('Re: Launch');
+    expect(replySubject('Fwd: Launch')).toBe('Re: Fwd: Launch');
+    expect(forwardSubject('Re: Launch')).toBe('Fwd: Re: Launch');
+    expect(forwardSubject('WG: Launch')).toBe('WG: Launch');
+  });
+});
+
+describe('replyThreadHeaders', () => {
+  it('answers the message and keeps its references', () => {
+    expect(replyThreadHeaders(original)).toEqual({
+      inReplyTo: '<launch-3@example.com>',
+      references: ['<launch-1@example.com>', '<launch-2@example.org>', '<launch-3@example.com>']
+    });
+  });
+});
+
+describe('replyRecipients', () => {
+  it('replies to the sender, or Reply-To when set', () => {
+    expect(replyRecipients(original, 'me@example.org', false)).toEqual({ to: [{ address: 'jane@example.com', name: 'Jane' }], cc: [] });
+    expect(replyRecipients({ ...original, replyTo: { address: 'team@example.com' } }, 'me@example.org', false).to)
+      .toEqual([{ address: 'team@example.com', name: undefined }]);
+  });
+
+  it('replies to everyone but the account itself when replying to all', () => {
+    expect(replyRecipients(original, 'me@example.org', true)).toEqual({
+      to: [{ address: 'jane@example.com', name: 'Jane' }, { address: 'bob@example.org', name: undefined }],
+      cc: [{ address: 'carol@example.org', name: undefined }]
+    });
+  });
+
+  it('replies to the recipients of the account\'s own message', () => {
+    const sent = { ...original, from: { address: 'me@example.org' }, to: [{ address: 'bob@example.org' }], cc: [] };
+
+    expect(replyRecipients(sent, 'me@example.org', false).to).toEqual([{ address: 'bob@example.org', name: undefined }]);
+  });
+});
+
+describe('quoteOriginal', () => {
+  it('quotes a reply under its attribution line, without scripts or tracking pixels', () => {
+    const { text, html } = quoteOriginal(original, 'reply');
+
+    expect(text).toBe('On Fri, 03 May 2024 09:00:00 GMT, Jane <jane@example.com> wrote:\n> Friday?\n> Jane');
+    expect(html).toContain('<blockquote type="cite"');
+    expect(html).toContain('<p>Friday?</p>');
+    expect(html).not.toMatch(/script|t\.example\.org/);
+  });
+
+  it('puts the original header block above a forward', () => {
+    const { text } = quoteOriginal(original, 'forward');
+
+    expect(text.split('\n').slice(0, 6)).toEqual([
+      '---------- Forwarded message ---------',
+      'From: Jane <jane@example.com>',
+      'Date: Fri, 03 May 2024 09:00:00 GMT',
+      'Subject: Re: Launch',
+      'To: Me <me@example.org>, bob@example.org',
+      'Cc: carol@example.org, ME@example.org'
+    ]);
+  });
+});
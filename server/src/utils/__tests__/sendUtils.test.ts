@@ -0,0 +1,56 @@
+import { Response } from 'express';
+import { respondWithSend } from '../sendUtils';
+import { logger } from '../logger';
+
+// Just enough of a Response to see what was sent
+function response() {
+  const res: any = { statusCode: 200, body: undefined };
+  res.status = (code: number) => { res.statusCode = code; return res; };
+  res.json = (body: any) => { res.body = body; return res; };
+  return res as Response & { body: any };
+}
+
+describe('respondWithSend', () => {
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  it('answers 201 with the outcome', async () => {
+    const res = response();
+
+    await respondWithSend(res, async () => ({
+      email: null, messageId: '<sent@example.com>', accepted: ['bob@example.org'], rejected: [], savedToSent: null
+    }));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ success: true, data: { messageId: '<sent@example.com>', email: null, savedToSent: null } });
+  });
+
+  it('answers 409 with the current draft when it was saved since', async () => {
+    const res = response();
+    const current = { _id: 'draft-1', version: 4 };
+
+    await respondWithSend(res, () => Promise.reject(Object.assign(new Error('saved elsewhere'), { code: 'EVERSIONCONFLICT', current })));
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toEqual({ success: false, error: 'saved elsewhere', data: current });
+  });
+
+  it('answers 409 when the draft is already being sent', async () => {
+    const res = response();
+
+    await respondWithSend(res, () => Promise.reject(Object.assign(new Error('being sent'), { code: 'EDRAFTSENDING' })));
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toEqual({ success: false, error: 'being sent' });
+  });
+
+  it('answers 502 when the SMTP server fails', async () => {
+    const res = response();
+
+    await respondWithSend(res, () => Promise.reject(Object.assign(new Error('Connection refused'), { rejected: [] })));
+
+    expect(res.statusCode).toBe(502);
+    expect(res.body).toMatchObject({ success: false, error: 'Failed to send email: Connection refused' });
+  });
+});
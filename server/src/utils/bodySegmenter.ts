@@ -0,0 +1,278 @@
+// server/src/utils/bodySegmenter.ts
+import { DomUtils, parseDocument } from 'htmlparser2';
+import type { AnyNode, Element } from 'domhandler';
+
+// Email.segments
+export interface BodySegments {
+  content: string; // what the sender wrote in this message
+  quoted?: string; // reply chain and forwarded history
+  signature?: string;
+  disclaimer?: string;
+  htmlContent?: string; // htmlBody without quoted history and signature; unset when nothing was removed
+}
+
+// Attribution lines that introduce a quote, in the languages mail clients
+// write them in. Some clients wrap them, so they are also tried joined with
+// the next line.
+const ATTRIBUTION_PATTERNS = [
+  /^on\b.{1,250}\bwrote:$/i,
+  /^am\b.{1,250}\bschrieb\b.{0,200}:$/i,
+  /^le\b.{1,250}\ba écrit\s?:$/i,
+  /^el\b.{1,250}\bescribió:$/i,
+  /^il\b.{1,250}\bha scritto:$/i,
+  /^op\b.{1,250}\bschreef\b.{0,200}:$/i,
+  /^em\b.{1,250}\bescreveu:$/i,
+  /^.{1,250}\bнаписал\(?а?\)?:$/i
+];
+
+// Lines after which everything is earlier correspondence
+const HISTORY_MARKERS = [
+  /^-{2,}\s*original message\s*-{2,}$/i,
+  /^-{2,}\s*forwarded message\s*-{2,}$/i,
+  /^begin forwarded message:$/i,
+  /^-{2,}\s*ursprüngliche nachricht\s*-{2,}$/i,
+  /^-{2,}\s*message d'origine\s*-{2,}$/i
+];
+
+const SIGNATURE_DELIMITER = /^--\s?$/;
+const MOBILE_SIGNATURE = /^(sent from my \w+|sent from (outlook|mail|yahoo mail)\b|get outlook for (ios|android)|envoyé de mon \w+|von meinem \w+ gesendet)/i;
+const VALEDICTION = /^(best|kind|warm)?\s*(regards|wishes)|^(thanks|thank you|many thanks|cheers|sincerely|best|all the best|yours( truly)?|talk soon|mit freundlichen grüßen|cordialement|saludos)[,!.]?$/i;
+const MAX_SIGNATURE_LINES = 8;
+
+const DISCLAIMER_PHRASES = [
+  /confidential/i,
+  /privileged/i,
+  /intended (solely |only )?for the (use of the )?(individual|addressee|recipient|person)/i,
+  /(received|got) this (e-?mail|message|communication|transmission) in error/i,
+  /unauthori[sz]ed (use|review|disclosure|dissemination|copying|distribution)/i,
+  /(delete|destroy) (it|this (e-?mail|message))( and any copies)?/i,
+  /(is|are) strictly prohibited/i,
+  /this (e-?mail|message) and any (files|attachments)/i,
+  /does not (necessarily )?(represent|reflect) the views/i
+];
+
+// Splits a plain-text body into what this message says and the quoted
+// history, signature and disclaimer around it
+export function segmentText(text: string): BodySegments {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const isQuote = lines.map(line => /^\s*>/.test(line));
+
+  // Header-style quotes (Outlook, forwards) run to the end of the message
+  let historyStart = lines.length;
+  for (let i = 0; i < lines.length; i++) {
+    if (isQuote[i]) continue;
+    if (HISTORY_MARKERS.some(pattern => pattern.test(lines[i].trim())) || isHeaderBlock(lines, i)) {
+      historyStart = i > 0 && /^_{10,}$/.test(lines[i - 1].trim()) ? i - 1 : i;
+      break;
+    }
+  }
+
+  // ">" quotes can be interleaved with replies; take them along with the
+  // attribution line that introduces them
+  for (let i = 0; i < historyStart; i++) {
+    const attribution = attributionLength(lines, i);
+    if (attribution === 0) continue;
+
+    let next = i + attribution;
+    while (next < historyStart && lines[next].trim() === '') next++;
+    if (next === historyStart || isQuote[next]) {
+      for (let j = i; j < i + attribution; j++) isQuote[j] = true;
+      if (next === historyStart && historyStart === lines.length) {
+        // "On ... wrote:" followed by an unquoted copy of the original
+        historyStart = i;
+      }
+    }
+  }
+
+  const own: string[] = [];
+  const quoted: string[] = [];
+  lines.forEach((line, i) => (i >= historyStart || isQuote[i] ? quoted : own).push(line));
+
+  const { body, signature, disclaimer } = splitFooter(own);
+  return compact({
+    content: body,
+    quoted: quoted.join('\n').trim(),
+    signature,
+    disclaimer
+  });
+}
+
+// HTML bodies are segmented from their text, and the markup is trimmed of
+// the quote and signature containers mail clients mark up
+export function segmentBody(text: string | undefined, html: string | undefined): BodySegments {
+  const segments = segmentText(text || '');
+  if (html) {
+    const htmlContent = stripHtmlHistory(html);
+    if (htmlContent !== undefined) {
+      segments.htmlContent = htmlContent;
+    }
+  }
+  return segments;
+}
+
+// The text worth reading, summarizing or classifying. Mail stored before
+// segmentation is segmented on the fly; a message with no text of its own
+// (a bare forward) falls back to the whole body.
+export function newContentText(email: { textBody?: string | null; segments?: { content?: string | null } | null }): string {
+  const content = email.segments ? email.segments.content : segmentText(email.textBody || '').content;
+  return content || email.textBody || '';
+}
+
+function attributionLength(lines: string[], i: number): number {
+  const line = lines[i].trim();
+  if (!line || line.length > 300) return 0;
+  if (ATTRIBUTION_PATTERNS.some(pattern => pattern.test(line))) return 1;
+
+  const joined = `${line} ${(lines[i + 1] || '').trim()}`;
+  if (i + 1 < lines.length && ATTRIBUTION_PATTERNS.some(pattern => pattern.test(joined))) return 2;
+  return 0;
+}
+
+// "From: ..." followed closely by Sent/Date and To/Subject, as Outlook writes
+// the header of the message being replied to
+function isHeaderBlock(lines: string[], i: number): boolean {
+  if (!/^\*?(from|von|de|van):\*?\s/i.test(lines[i].trim())) return false;
+
+  const following = lines.slice(i + 1, i + 6).map(line => line.trim());
+  const hasDate = following.some(line => /^\*?(sent|date|gesendet|datum|envoyé|enviado|verzonden):\*?\s/i.test(line));
+  const hasRecipient = following.some(line => /^\*?(to|subject|an|betreff|à|objet|para|asunto|aan|onderwerp):\*?\s/i.test(line));
+  return hasDate && hasRecipient;
+}
+
+function splitFooter(lines: string[]): { body: string; signature?: string; disclaimer?: string } {
+  let end = lines.length;
+  while (end > 0 && lines[end - 1].trim() === '') end--;
+
+  // Disclaimers are the last paragraphs and read like legal boilerplate
+  let disclaimerStart = end;
+  for (const [start, stop] of paragraphs(lines, end).reverse()) {
+    const paragraph = lines.slice(start, stop).join(' ');
+    const hits = DISCLAIMER_PHRASES.filter(pattern => pattern.test(paragraph)).length;
+    if (hits >= 2 || (hits === 1 && paragraph.length > 200 && /^[\s*_-]*(disclaimer|confidentiality|notice)\b/i.test(paragraph))) {
+      disclaimerStart = start;
+    } else if (disclaimerStart < end) {
+      break;
+    }
+  }
+
+  let signatureStart = disclaimerStart;
+  for (let i = 0; i < disclaimerStart; i++) {
+    const line = lines[i].trim();
+    if (SIGNATURE_DELIMITER.test(lines[i]) || MOBILE_SIGNATURE.test(line)) {
+      signatureStart = i;
+      break;
+    }
+  }
+
+  // Without a delimiter, a short block of short lines after a sign-off
+  if (signatureStart === disclaimerStart) {
+    let last = disclaimerStart;
+    while (last > 0 && lines[last - 1].trim() === '') last--;
+    for (let i = last - 2; i >= 0 && i >= last - 1 - MAX_SIGNATURE_LINES; i--) {
+      if (VALEDICTION.test(lines[i].trim())) {
+        const block = lines.slice(i + 1, last);
+        if (block.every(line => line.trim().length <= 60)) {
+          signatureStart = i + 1;
+        }
+        break;
+      }
+    }
+  }
+
+  return {
+    body: lines.slice(0, signatureStart).join('\n').trim(),
+    signature: lines.slice(signatureStart, disclaimerStart).join('\n').replace(/^--\s?\n/, '').trim(),
+    disclaimer: lines.slice(disclaimerStart, end).join('\n').trim()
+  };
+}
+
+// [start, stop) line ranges of blank-line separated paragraphs
+function paragraphs(lines: string[], end: number): [number, number][] {
+  const ranges: [number, number][] = [];
+  let start = -1;
+  for (let i = 0; i <= end; i++) {
+    const blank = i === end || lines[i].trim() === '';
+    if (!blank && start === -1) start = i;
+    if (blank && start !== -1) {
+      ranges.push([start, i]);
+      start = -1;
+    }
+  }
+  return ranges;
+}
+
+function compact(segments: BodySegments): BodySegments {
+  const result: BodySegments = { content: segments.content };
+  if (segments.quoted) result.quoted = segments.quoted;
+  if (segments.signature) result.signature = segments.signature;
+  if (segments.disclaimer) result.disclaimer = segments.disclaimer;
+  return result;
+}
+
+// Containers that hold the quoted message; they are removed along with
+// everything after them (Outlook puts the quoted message after its header
+// block, not inside it)
+const HTML_HISTORY_SELECTORS: ((element: Element) => boolean)[] = [
+  element => (hasClass(element, 'gmail_quote') || hasClass(element, 'gmail_quote_container')) && element.name !== 'blockquote',
+  element => hasClass(element, 'yahoo_quoted') || hasClass(element, 'protonmail_quote') || hasClass(element, 'moz-cite-prefix'),
+  element => ['divRplyFwdMsg', 'appendonsend', 'mail-editor-reference-message-container', 'zwchr'].includes(element.attribs.id)
+];
+
+const HTML_SIGNATURE_SELECTORS: ((element: Element) => boolean)[] = [
+  element => hasClass(element, 'gmail_signature') || element.attribs['data-smartmail'] === 'gmail_signature',
+  element => hasClass(element, 'moz-signature') || ['Signature', 'signature'].includes(element.attribs.id)
+];
+
+// htmlBody with quoted history and the signature removed, or undefined when
+// the markup marks neither
+function stripHtmlHistory(html: string): string | undefined {
+  const document = parseDocument(html);
+  let changed = false;
+
+  const history = DomUtils.findOne(element => HTML_HISTORY_SELECTORS.some(matches => matches(element)), document.children, true);
+  if (history) {
+    removeFrom(history);
+    changed = true;
+  }
+
+  // Apple Mail and others cite with <blockquote type="cite">, which can sit
+  // between inline replies: only the quote and its attribution go
+  const citations = DomUtils.findAll(element => element.name === 'blockquote' && element.attribs.type === 'cite', document.children)
+    .filter(element => !hasCitingAncestor(element));
+  for (const citation of citations) {
+    const attribution = DomUtils.prevElementSibling(citation);
+    if (attribution && attributionLength([DomUtils.textContent(attribution).replace(/\s+/g, ' ')], 0) > 0) {
+      DomUtils.removeElement(attribution);
+    }
+    DomUtils.removeElement(citation);
+    changed = true;
+  }
+
+  for (const signature of DomUtils.findAll(element => HTML_SIGNATURE_SELECTORS.some(matches => matches(element)), document.children)) {
+    DomUtils.removeElement(signature);
+    changed = true;
+  }
+
+  return changed ? DomUtils.getOuterHTML(document) : undefined;
+}
+
+function hasCitingAncestor(element: Element): boolean {
+  for (let parent = element.parent; parent; parent = parent.parent) {
+    if ((parent as Element).name === 'blockquote' && (parent as Element).attribs.type === 'cite') return true;
+  }
+  return false;
+}
+
+// Removes the node and everything that follows it in document order
+function removeFrom(node: AnyNode): void {
+  for (let current: AnyNode | null = node; current && current.parent; current = current.parent) {
+    while (current.next) {
+      DomUtils.removeElement(current.next);
+    }
+  }
+  DomUtils.removeElement(node);
+}
+
+function hasClass(element: Element, className: string): boolean {
+  return (element.attribs.class || '').split(/\s+/).includes(className);
+}
@@ -0,0 +1,115 @@
+// server/src/utils/crypto.ts
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const ENCRYPTED_PATTERN = /^enc:v(\d+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+// ENCRYPT_SECRET is the current key, identified by ENCRYPT_KEY_VERSION.
+// Retired keys stay readable as ENCRYPT_SECRET_V<n> until the rotation
+// script (npm run rotate-keys) has re-encrypted everything with the new one.
+export function currentKeyVersion(): number {
+  return Number(process.env.ENCRYPT_KEY_VERSION || 1);
+}
+
+function secretKey(version = currentKeyVersion()): Buffer {
+  const secret = version === currentKeyVersion()
+    ? process.env.ENCRYPT_SECRET
+    : process.env[`ENCRYPT_SECRET_V${version}`];
+
+  if (!secret) {
+    throw new Error(version === currentKeyVersion()
+      ? 'ENCRYPT_SECRET environment variable is not set'
+      : `No key for encryption version ${version} (set ENCRYPT_SECRET_V${version})`);
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+// Encrypted values carry the "enc:" marker; anything else is plaintext, e.g.
+// a password saved before encryption existed
+export function isEncrypted(value?: string): boolean {
+  return !!value && ENCRYPTED_PATTERN.test(value);
+}
+
+// True for plaintext and for values encrypted with a retired key
+export function needsReencryption(value?: string): boolean {
+  if (!value) return false;
+  const match = value.match(ENCRYPTED_PATTERN);
+  return !match || Number(match[1]) !== currentKeyVersion();
+}
+
+// AES-256-GCM; output is "enc:v<key version>:<iv>:<tag>:<ciphertext>" in base64
+export function encryptSecret(plaintext: string): string {
+  const version = currentKeyVersion();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, secretKey(version), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return ['enc', `v${version}`, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+// Schema setter for secret fields, so every write path stores them encrypted
+export function protectSecret(value?: string): string | undefined {
+  return value && !isEncrypted(value) ? encryptSecret(value) : value;
+}
+
+// A stored secret as plaintext, legacy plaintext included
+export function revealSecret(stored?: string): string {
+  if (!stored) return '';
+  return isEncrypted(stored) ? decryptSecret(stored) : stored;
+}
+
+export function decryptSecret(encrypted: string): string {
+  const match = (encrypted || '').match(ENCRYPTED_PATTERN);
+  if (!match) {
+    throw new Error('Unrecognised encrypted value');
+  }
+
+  const [, version, iv, tag, ciphertext] = match;
+  const decipher = crypto.createDecipheriv(ALGORITHM, secretKey(Number(version)), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// Tamper-proof, expiring token for round-tripping state through a browser
+// redirect (e.g. the OAuth "state" parameter)
+export function signPayload(payload: object, ttlSeconds: number): string {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlSeconds * 1000 })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secretKey()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+export function verifyPayload<T>(token: string): T | null {
+  const [body, signature] = (token || '').split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secretKey()).update(body).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// Stable signature for a value, for links that must not be forged but should
+// stay cacheable (e.g. image proxy URLs)
+export function signValue(value: string): string {
+  return crypto.createHmac('sha256', secretKey()).update(`value:${value}`).digest('base64url');
+}
+
+export function verifySignedValue(value: string, signature: string): boolean {
+  const expected = Buffer.from(signValue(value), 'base64url');
+  const actual = Buffer.from(signature || '', 'base64url');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
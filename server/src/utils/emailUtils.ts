@@ -1,4 +1,8 @@
 // server/src/utils/emailUtils.ts
+import crypto from 'crypto';
+import { AddressObject, ParsedMail } from 'mailparser';
+import { DomUtils, parseDocument } from 'htmlparser2';
+import { newContentText } from './bodySegmenter';
 
 export function cleanEmailText(text: string): string {
   if (!text) return '';
@@ -32,7 +36,7 @@ export function analyzeSalesOpportunity(email: any): {
   responseStrategy: string;
 } {
   const subject = (email.subject || '').toLowerCase();
-  const body = (email.textBody || '').toLowerCase();
+  const body = newContentText(email).toLowerCase();
   const text = `${subject} ${body}`;
   const senderName = email.from?.name || email.from?.address?.split('@')[0] || 'the prospect';
 
@@ -201,3 +205,73 @@ export function formatBytes(bytes: number, decimals = 2): string {
   const i = Math.floor(Math.log(bytes) / Math.log(k));
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
+
+// Plain-text rendering of an HTML body, for the text alternative of a
+// message composed in HTML
+export function htmlToText(html: string): string {
+  const document = parseDocument(
+    html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|tr|h[1-6]|blockquote|pre|table)>/gi, '$&\n')
+  );
+  for (const element of DomUtils.findAll(element => ['script', 'style', 'head'].includes(element.name), document.children)) {
+    DomUtils.removeElement(element);
+  }
+
+  return DomUtils.textContent(document)
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Points cid: references in an HTML body at the attachment download endpoint
+export function resolveInlineImages(
+  html: string,
+  attachments: { _id?: any; contentId?: string }[],
+  attachmentUrl: (attachmentId: string) => string
+): string {
+  if (!html || !attachments?.length) return html;
+
+  const byContentId = new Map<string, string>();
+  attachments.forEach(att => {
+    if (att.contentId && att._id) {
+      byContentId.set(att.contentId.toLowerCase(), att._id.toString());
+    }
+  });
+
+  return html.replace(/(["'(])cid:([^"')\s]+)/gi, (match, prefix: string, cid: string) => {
+    let contentId = cid;
+    try {
+      contentId = decodeURIComponent(cid);
+    } catch {
+      // Malformed escape: match the reference as written
+    }
+
+    const attachmentId = byContentId.get(contentId.replace(/^<|>$/g, '').toLowerCase());
+    return attachmentId ? `${prefix}${attachmentUrl(attachmentId)}` : match;
+  });
+}
+
+function addressText(addresses?: AddressObject | AddressObject[]): string {
+  return ([] as AddressObject[]).concat(addresses || []).map(address => address.text).join(', ');
+}
+
+// Stand-in for a missing Message-ID header, derived from the message itself
+// so a resync, POP3 poll or archive import of the same message yields the
+// same ID
+export function fallbackMessageId(parsed: ParsedMail): string {
+  const hash = crypto.createHash('sha256');
+  const parts = [
+    parsed.date?.toISOString(),
+    addressText(parsed.from),
+    addressText(parsed.to),
+    addressText(parsed.cc),
+    parsed.subject,
+    (parsed.text || '').slice(0, 1000)
+  ];
+  for (const part of parts) {
+    hash.update(`${part || ''}\0`);
+  }
+  return `<${hash.digest('hex').slice(0, 40)}@fallback.reachinbox>`;
+}
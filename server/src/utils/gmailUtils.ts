@@ -0,0 +1,43 @@
+// server/src/utils/gmailUtils.ts
+
+// Gmail system labels that are not already represented by a folder or flag,
+// keyed by their X-GM-LABELS name. The rest (\Inbox, \Sent, \Starred, ...)
+// are covered by the mailbox mapping and \Seen / \Flagged.
+const SYSTEM_LABELS: { [gmailName: string]: string } = {
+  '\\Important': 'Important'
+};
+
+// IMAP modified UTF-7 (RFC 3501 5.1.3); node-imap leaves X-GM-LABELS encoded
+export function decodeModifiedUtf7(value: string): string {
+  return value.replace(/&([^-]*)-/g, (_match, encoded: string) => {
+    if (encoded === '') return '&';
+    const utf16 = Buffer.from(encoded.replace(/,/g, '/'), 'base64');
+    let decoded = '';
+    for (let i = 0; i + 1 < utf16.length; i += 2) {
+      decoded += String.fromCharCode(utf16.readUInt16BE(i));
+    }
+    return decoded;
+  });
+}
+
+// X-GM-LABELS attribute -> Email.labels
+export function fromGmailLabels(raw: unknown): string[] {
+  if (!Array.isArray(raw)) return [];
+
+  const labels: string[] = [];
+  for (const value of raw) {
+    const label = String(value);
+    if (label.startsWith('\\')) {
+      if (SYSTEM_LABELS[label]) labels.push(SYSTEM_LABELS[label]);
+      continue;
+    }
+    labels.push(decodeModifiedUtf7(label));
+  }
+  return labels;
+}
+
+// Email.labels entry -> name for STORE X-GM-LABELS (node-imap encodes it)
+export function toGmailLabel(label: string): string {
+  const system = Object.keys(SYSTEM_LABELS).find(name => SYSTEM_LABELS[name] === label);
+  return system || label;
+}
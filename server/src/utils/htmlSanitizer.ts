@@ -0,0 +1,182 @@
+// server/src/utils/htmlSanitizer.ts
+import sanitizeHtml from 'sanitize-html';
+
+// Email.tracking
+export interface TrackingReport {
+  trackers: string[]; // services recognised, e.g. "Mailchimp"
+  pixels: number; // tracking images, always removed
+  trackedLinks: number; // links that go through a click-tracking redirect
+}
+
+export interface SanitizedHtml {
+  html: string;
+  tracking: TrackingReport;
+  remoteImages: number; // remote images other than tracking pixels
+  blockedImages: number; // of those, left out because remote content is blocked
+}
+
+export interface SanitizeOptions {
+  // Remote images load through this URL (the image proxy); without it they
+  // are blocked
+  proxyUrl?: (url: string) => string;
+}
+
+// Open-tracking images of common mailing, CRM and sales tools
+const PIXEL_TRACKERS: [string, RegExp][] = [
+  ['Mailchimp', /list-manage\.com\/track\/open/i],
+  ['SendGrid', /sendgrid\.net\/wf\/open|\/wf\/open\?upn=/i],
+  ['HubSpot', /hubspotemail\.net|hubspotlinks\.com\/.*\/o\/|\/e2t\/o\//i],
+  ['Mandrill', /mandrillapp\.com\/track\/open/i],
+  ['Amazon SES', /awstrack\.me\/I0\//i],
+  ['Postmark', /pstmrk\.it\/open/i],
+  ['Mailtrack', /mailtrack\.io\/trace/i],
+  ['Yesware', /t\.yesware\.com/i],
+  ['Mixmax', /(track|email)\.mixmax\.com/i],
+  ['Streak', /mailfoogae\.appspot\.com/i],
+  ['Superhuman', /r\.superhuman\.com/i],
+  ['Salesforce Marketing Cloud', /\.exct\.net\/open|exacttarget\.com\/open/i],
+  ['Constant Contact', /rs6\.net\/on\.jsp/i],
+  ['Klaviyo', /trk\.klaviyomail\.com|klaviyo\.com\/open/i],
+  ['Intercom', /via\.intercom\.io\/o\//i]
+];
+
+// Click-tracking redirects
+const LINK_TRACKERS: [string, RegExp][] = [
+  ['Mailchimp', /list-manage\.com\/track\/click/i],
+  ['SendGrid', /sendgrid\.net\/ls\/click|\/ls\/click\?upn=/i],
+  ['HubSpot', /hubspotlinks\.com|\/e[13]t\/c\w*\//i],
+  ['Mandrill', /mandrillapp\.com\/track\/click/i],
+  ['Amazon SES', /awstrack\.me\/L0\//i],
+  ['Postmark', /click\.pstmrk\.it/i],
+  ['Mailtrack', /mailtrack\.io\/link/i],
+  ['Salesforce Marketing Cloud', /click\.exacttarget\.com|cl\.exct\.net/i],
+  ['Constant Contact', /rs6\.net\/tn\.jsp/i],
+  ['Klaviyo', /klclick\d?\.com|trk\.klaviyomail\.com/i],
+  ['Google', /^https?:\/\/(www\.)?google\.[a-z.]+\/url\?/i]
+];
+
+// Query parameters that carry the real destination of a redirect link
+const REDIRECT_PARAMS = ['url', 'u', 'q', 'redirect', 'redirect_url', 'target', 'link', 'dest', 'destination'];
+
+const STYLE_PROPERTIES = [
+  'color', 'background', 'background-color', 'opacity', 'visibility', 'display', 'float', 'clear', 'overflow',
+  'font', 'font-family', 'font-size', 'font-style', 'font-weight', 'font-variant',
+  'text-align', 'text-decoration', 'text-transform', 'text-indent', 'line-height', 'letter-spacing',
+  'word-spacing', 'white-space', 'word-break', 'word-wrap', 'vertical-align', 'direction',
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'border', 'border-top', 'border-right', 'border-bottom', 'border-left', 'border-color', 'border-style',
+  'border-width', 'border-radius', 'border-collapse', 'border-spacing',
+  'width', 'height', 'min-width', 'max-width', 'min-height', 'max-height',
+  'list-style', 'list-style-type', 'table-layout'
+];
+
+// Style values that cannot fetch anything: no url(), image-set() and the
+// like, and no escapes that could spell them
+const SAFE_STYLE_VALUE = /^(?!.*\b(url|image|image-set|cross-fade|element|expression|var|attr)\s*\()[^<>\\]*$/i;
+
+// Sanitizes message HTML against an allowlist of formatting tags, attributes
+// and styles. Scripts, forms, frames, event handlers and CSS that loads
+// resources are dropped, tracking pixels are removed, and remote images
+// either go through the image proxy or are blocked. cid: references are
+// kept for resolveInlineImages.
+export function sanitizeEmailHtml(html: string, options: SanitizeOptions = {}): SanitizedHtml {
+  const trackers = new Set<string>();
+  const result: SanitizedHtml = {
+    html: '',
+    tracking: { trackers: [], pixels: 0, trackedLinks: 0 },
+    remoteImages: 0,
+    blockedImages: 0
+  };
+
+  result.html = sanitizeHtml(html || '', {
+    allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'font', 'center', 'strike', 'del', 'ins'],
+    nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'title', 'head', 'select', 'button'],
+    allowedAttributes: {
+      '*': ['style', 'dir', 'lang', 'title', 'align', 'valign', 'width', 'height', 'bgcolor'],
+      a: ['href', 'name', 'target', 'rel'],
+      img: ['src', 'alt', 'border', 'referrerpolicy', 'data-tracking-pixel'],
+      font: ['color', 'face', 'size'],
+      table: ['border', 'cellpadding', 'cellspacing'],
+      td: ['colspan', 'rowspan', 'nowrap'],
+      th: ['colspan', 'rowspan', 'nowrap'],
+      col: ['span'],
+      colgroup: ['span'],
+      ol: ['start', 'type'],
+      ul: ['type'],
+      li: ['value']
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedSchemesByTag: { img: ['http', 'https', 'cid', 'data'] },
+    allowProtocolRelative: false,
+    allowedStyles: {
+      '*': Object.fromEntries(STYLE_PROPERTIES.map(property => [property, [SAFE_STYLE_VALUE]]))
+    },
+    transformTags: {
+      img: (tagName, attribs) => {
+        const src = (attribs.src || '').trim();
+        if (!/^https?:\/\//i.test(src)) {
+          return { tagName, attribs: /^(cid|data):/i.test(src) ? attribs : omit(attribs, 'src') };
+        }
+
+        const tracker = PIXEL_TRACKERS.find(([, pattern]) => pattern.test(src));
+        if (tracker || isHiddenOrTiny(attribs)) {
+          if (tracker) trackers.add(tracker[0]);
+          result.tracking.pixels++;
+          return { tagName, attribs: { 'data-tracking-pixel': '' } };
+        }
+
+        result.remoteImages++;
+        if (!options.proxyUrl) {
+          result.blockedImages++;
+          return { tagName, attribs: omit(attribs, 'src') };
+        }
+        return { tagName, attribs: { ...attribs, src: options.proxyUrl(src), referrerpolicy: 'no-referrer' } };
+      },
+      a: (tagName, attribs) => {
+        const href = (attribs.href || '').trim();
+        if (/^https?:\/\//i.test(href)) {
+          const tracker = LINK_TRACKERS.find(([, pattern]) => pattern.test(href));
+          if (tracker) trackers.add(tracker[0]);
+          if (tracker || isRedirect(href)) result.tracking.trackedLinks++;
+        }
+        return { tagName, attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' } };
+      }
+    },
+    // Tracking pixels, and images left with nothing to show
+    exclusiveFilter: frame => frame.tag === 'img' &&
+      ('data-tracking-pixel' in frame.attribs || Object.keys(frame.attribs).length === 0)
+  });
+
+  result.tracking.trackers = [...trackers].sort();
+  return result;
+}
+
+// 1x1 and invisible images exist only to report that the message was opened
+function isHiddenOrTiny(attribs: sanitizeHtml.Attributes): boolean {
+  const style = (attribs.style || '').toLowerCase().replace(/\s+/g, '');
+  const size = (dimension: 'width' | 'height') => {
+    const value = attribs[dimension] ?? style.match(new RegExp(`(?:^|;)${dimension}:([\\d.]+)(px)?(;|$)`))?.[1];
+    return value === undefined ? undefined : parseFloat(value);
+  };
+
+  const width = size('width');
+  const height = size('height');
+  if (width === 0 || height === 0) return true;
+  if (width !== undefined && height !== undefined && width <= 1 && height <= 1) return true;
+  return /(^|;)(display:none|visibility:hidden|opacity:0)(;|$)/.test(style);
+}
+
+function isRedirect(href: string): boolean {
+  try {
+    const { searchParams } = new URL(href);
+    return REDIRECT_PARAMS.some(name => /^https?:\/\//i.test(searchParams.get(name) || ''));
+  } catch {
+    return false;
+  }
+}
+
+function omit(attribs: sanitizeHtml.Attributes, name: string): sanitizeHtml.Attributes {
+  const { [name]: _omitted, ...rest } = attribs;
+  return rest;
+}
@@ -15,3 +15,34 @@ export const logger = winston.createLogger({
     })
   ]
 });
+
+// Credentials and OAuth artefacts that must never reach the logs
+const SENSITIVE_KEYS = /^(pass|password|secret|client_secret|token|access_?token|refresh_?token|id_token|code|state|authorization|xoauth2?)$/i;
+
+export function redactSensitive(value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(redactSensitive);
+  }
+
+  if (value && typeof value === 'object') {
+    const redacted: { [key: string]: any } = {};
+    for (const [key, field] of Object.entries(value)) {
+      redacted[key] = SENSITIVE_KEYS.test(key) ? '[REDACTED]' : redactSensitive(field);
+    }
+    return redacted;
+  }
+
+  return value;
+}
+
+// Same for query string parameters, e.g. the code on an OAuth callback URL
+export function redactUrl(url: string): string {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return url;
+
+  const params = new URLSearchParams(url.slice(queryStart + 1));
+  for (const key of Array.from(params.keys())) {
+    if (SENSITIVE_KEYS.test(key)) params.set(key, 'REDACTED');
+  }
+  return `${url.slice(0, queryStart)}?${params.toString()}`;
+}
@@ -0,0 +1,95 @@
+// server/src/utils/mailboxUtils.ts
+import Imap from 'imap';
+
+export type MailboxFolder = 'inbox' | 'sent' | 'drafts' | 'archive' | 'spam' | 'deleted';
+
+export interface DiscoveredMailbox {
+  path: string;
+  folder?: MailboxFolder;
+  specialUse?: string;
+}
+
+// RFC 6154 special-use attributes mapped onto the Email.folder enum
+const SPECIAL_USE_FOLDERS: { [attrib: string]: MailboxFolder } = {
+  '\\sent': 'sent',
+  '\\drafts': 'drafts',
+  '\\archive': 'archive',
+  '\\junk': 'spam',
+  '\\trash': 'deleted'
+};
+
+// Used when the server does not advertise special-use attributes
+const FALLBACK_NAMES: { [folder: string]: string[] } = {
+  sent: ['sent', 'sent items', 'sent mail', 'sent messages'],
+  drafts: ['drafts', 'draft'],
+  archive: ['archive', 'archives'],
+  spam: ['junk', 'spam', 'junk e-mail', 'junk email', 'bulk mail'],
+  deleted: ['trash', 'deleted', 'deleted items', 'deleted messages', 'bin']
+};
+
+function flattenMailboxes(boxes: Imap.MailBoxes, prefix = ''): { path: string; name: string; attribs: string[] }[] {
+  const flattened: { path: string; name: string; attribs: string[] }[] = [];
+
+  for (const [name, box] of Object.entries(boxes || {})) {
+    const path = prefix ? `${prefix}${box.delimiter || '/'}${name}` : name;
+    const attribs = (box.attribs || []).map(attrib => attrib.toLowerCase());
+
+    if (!attribs.includes('\\noselect') && !attribs.includes('\\nonexistent')) {
+      flattened.push({ path, name, attribs });
+    }
+
+    if (box.children) {
+      flattened.push(...flattenMailboxes(box.children, path));
+    }
+  }
+
+  return flattened;
+}
+
+export function discoverMailboxes(boxes: Imap.MailBoxes): DiscoveredMailbox[] {
+  const flattened = flattenMailboxes(boxes);
+  const claimed = new Set<MailboxFolder>(['inbox']);
+
+  const discovered: DiscoveredMailbox[] = flattened.map(({ path, attribs }) => {
+    if (path.toUpperCase() === 'INBOX') {
+      return { path: 'INBOX', folder: 'inbox' as MailboxFolder };
+    }
+
+    const specialUse = attribs.find(attrib => SPECIAL_USE_FOLDERS[attrib]);
+    if (specialUse && !claimed.has(SPECIAL_USE_FOLDERS[specialUse])) {
+      claimed.add(SPECIAL_USE_FOLDERS[specialUse]);
+      return { path, folder: SPECIAL_USE_FOLDERS[specialUse], specialUse };
+    }
+
+    return { path };
+  });
+
+  // Name-based guesses only fill folders no special-use mailbox claimed
+  for (const mailbox of discovered) {
+    if (mailbox.folder) continue;
+
+    const name = flattened.find(box => box.path === mailbox.path)!.name.toLowerCase();
+    const folder = (Object.keys(FALLBACK_NAMES) as MailboxFolder[])
+      .find(candidate => !claimed.has(candidate) && FALLBACK_NAMES[candidate].includes(name));
+
+    if (folder) {
+      claimed.add(folder);
+      mailbox.folder = folder;
+    }
+  }
+
+  return discovered;
+}
+
+export function defaultSyncedMailboxes(mailboxes: DiscoveredMailbox[]): string[] {
+  return mailboxes.filter(mailbox => mailbox.folder).map(mailbox => mailbox.path);
+}
+
+// Mailboxes to sync for an account, with INBOX last so it stays selected for IDLE
+export function resolveSyncedMailboxes(mailboxes: DiscoveredMailbox[], selected?: string[]): DiscoveredMailbox[] {
+  const paths = selected && selected.length > 0 ? selected : defaultSyncedMailboxes(mailboxes);
+
+  return mailboxes
+    .filter(mailbox => paths.includes(mailbox.path))
+    .sort((a, b) => Number(a.folder === 'inbox') - Number(b.folder === 'inbox'));
+}
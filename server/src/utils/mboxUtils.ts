@@ -0,0 +1,123 @@
+// server/src/utils/mboxUtils.ts
+import { Readable } from 'stream';
+
+export interface MboxMessage {
+  raw?: Buffer; // undefined when the message exceeded maxBytes
+  size: number;
+}
+
+const FROM_LINE = Buffer.from('From ');
+const NEWLINE = Buffer.from('\n');
+
+function isBlank(line: Buffer): boolean {
+  return line.length === 0 || (line.length === 1 && line[0] === 0x0d);
+}
+
+// ">From " (mboxrd) / ">>From " lines lose one quoting level
+function unescapeFromLine(line: Buffer): Buffer {
+  let depth = 0;
+  while (line[depth] === 0x3e) depth++; // '>'
+  return depth > 0 && line.subarray(depth, depth + FROM_LINE.length).equals(FROM_LINE)
+    ? line.subarray(1)
+    : line;
+}
+
+// Splits an mbox stream into raw RFC 822 messages. Works on bytes so 8-bit
+// bodies survive untouched, and holds at most one message in memory.
+export async function* readMbox(stream: Readable, maxBytes: number): AsyncGenerator<MboxMessage> {
+  let pending = Buffer.alloc(0);
+  let lines: Buffer[] = [];
+  let size = 0;
+  let inMessage = false;
+  let previousBlank = true;
+
+  const finish = (): MboxMessage | null => {
+    if (!inMessage) return null;
+
+    // The blank line before the next "From " separates messages
+    if (lines.length > 0 && isBlank(lines[lines.length - 1])) {
+      lines.pop();
+    }
+    const message = size > maxBytes
+      ? { size }
+      : { raw: Buffer.concat(lines.flatMap(line => [line, NEWLINE])), size };
+    lines = [];
+    size = 0;
+    return message;
+  };
+
+  const handleLine = (line: Buffer): MboxMessage | null => {
+    let finished: MboxMessage | null = null;
+
+    if (previousBlank && line.subarray(0, FROM_LINE.length).equals(FROM_LINE)) {
+      finished = finish();
+      inMessage = true;
+    } else if (inMessage) {
+      size += line.length + 1;
+      if (size <= maxBytes) {
+        lines.push(unescapeFromLine(line));
+      } else {
+        lines = []; // oversized: only the size is reported
+      }
+    }
+
+    previousBlank = isBlank(line);
+    return finished;
+  };
+
+  for await (const chunk of stream) {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+    let newline: number;
+    while ((newline = pending.indexOf(0x0a)) !== -1) {
+      const message = handleLine(pending.subarray(0, newline));
+      pending = pending.subarray(newline + 1);
+      if (message) yield message;
+    }
+  }
+
+  if (pending.length > 0) {
+    const message = handleLine(pending);
+    if (message) yield message;
+  }
+
+  const last = finish();
+  if (last) yield last;
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// asctime()-style date used on the "From " separator line, in UTC
+function separatorDate(date: Date): string {
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+}
+
+// Wraps a raw RFC 822 message as one mboxrd entry: separator line, LF line
+// endings, "From " lines quoted one level deeper, trailing blank line.
+// The inverse of what readMbox expects.
+export function formatMboxMessage(raw: Buffer, sender: string, date: Date): Buffer {
+  const parts: Buffer[] = [Buffer.from(`From ${sender || 'MAILER-DAEMON'} ${separatorDate(date)}\n`)];
+
+  let start = 0;
+  while (start < raw.length) {
+    let end = raw.indexOf(0x0a, start);
+    if (end === -1) end = raw.length;
+
+    let line = raw.subarray(start, end);
+    if (line[line.length - 1] === 0x0d) line = line.subarray(0, -1);
+
+    let depth = 0;
+    while (line[depth] === 0x3e) depth++; // '>'
+    if (line.subarray(depth, depth + FROM_LINE.length).equals(FROM_LINE)) {
+      parts.push(Buffer.from('>'));
+    }
+    parts.push(line, NEWLINE);
+    start = end + 1;
+  }
+
+  parts.push(NEWLINE);
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,71 @@
+// server/src/utils/messageStructure.ts
+
+// A leaf of node-imap's BODYSTRUCTURE tree
+export interface MessagePart {
+  partID: string;
+  type: string;
+  subtype: string;
+  params?: { [key: string]: string };
+  id?: string;
+  encoding?: string;
+  size?: number;
+  disposition?: { type: string; params?: { [key: string]: string } } | null;
+}
+
+export function flattenStructure(struct: any[] = []): MessagePart[] {
+  const parts: MessagePart[] = [];
+
+  for (const item of struct) {
+    if (Array.isArray(item)) {
+      parts.push(...flattenStructure(item));
+    } else if (item && item.partID) {
+      parts.push(item);
+    }
+  }
+
+  return parts;
+}
+
+export function isSinglePart(struct: any[] = []): boolean {
+  return struct.length === 1 && !Array.isArray(struct[0]);
+}
+
+function partFilename(part: MessagePart): string | undefined {
+  return part.disposition?.params?.filename || part.params?.name;
+}
+
+// Body text parts (text/plain, text/html) that are not attachments
+export function findTextParts(struct: any[]): MessagePart[] {
+  return flattenStructure(struct).filter(part =>
+    part.type?.toLowerCase() === 'text' &&
+    ['plain', 'html'].includes(part.subtype?.toLowerCase()) &&
+    part.disposition?.type?.toLowerCase() !== 'attachment' &&
+    !partFilename(part)
+  );
+}
+
+export function findAttachmentParts(struct: any[]): MessagePart[] {
+  const textParts = new Set(findTextParts(struct).map(part => part.partID));
+
+  return flattenStructure(struct).filter(part =>
+    !textParts.has(part.partID) &&
+    part.type?.toLowerCase() !== 'multipart' &&
+    (!!partFilename(part) || part.type?.toLowerCase() !== 'text')
+  );
+}
+
+export function describeAttachmentPart(part: MessagePart): {
+  filename: string;
+  contentType: string;
+  size: number;
+  contentId?: string;
+  partId: string;
+} {
+  return {
+    filename: partFilename(part) || `part-${part.partID}`,
+    contentType: `${part.type}/${part.subtype}`.toLowerCase(),
+    size: part.size || 0,
+    contentId: part.id ? part.id.replace(/^<|>$/g, '') : undefined,
+    partId: part.partID
+  };
+}
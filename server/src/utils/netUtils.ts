@@ -0,0 +1,66 @@
+// server/src/utils/netUtils.ts
+import dns from 'dns';
+import net from 'net';
+
+// Separate lists: a BlockList matches IPv4 addresses against IPv6 subnets
+// in their ::ffff: mapped form
+const privateIpv4 = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]] as const) {
+  privateIpv4.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped addresses are refused outright rather than checked twice
+const privateIpv6 = new net.BlockList();
+for (const [network, prefix] of [['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10]] as const) {
+  privateIpv6.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address: string): boolean {
+  return net.isIPv6(address) ? privateIpv6.check(address, 'ipv6') : privateIpv4.check(address, 'ipv4');
+}
+
+// Connections to IP literals skip the lookup below, so URLs (and redirect
+// targets) naming a private address directly are checked with this
+export function isPrivateHost(hostname: string): boolean {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+export type LookupFunction = (
+  hostname: string,
+  options: dns.LookupAllOptions,
+  callback: (err: NodeJS.ErrnoException | null, addresses: dns.LookupAddress[]) => void
+) => void;
+
+// dns.lookup for HTTP agents that fetch URLs chosen by outsiders: connections
+// to private and loopback addresses are refused. Used as the agent's lookup,
+// the check runs at connect time, which also covers redirects and DNS rebinding.
+// `lookup` is the resolver underneath, replaceable in tests.
+export function createPublicOnlyLookup(lookup: LookupFunction = dns.lookup) {
+  return (hostname: string, options: any, callback: any): void => lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const allowed = addresses.filter(({ address }) => !isPrivateAddress(address));
+    if (allowed.length === 0) {
+      callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATEADDRESS' }));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, allowed);
+    } else {
+      callback(null, allowed[0].address, allowed[0].family);
+    }
+  });
+}
+
+export const publicOnlyLookup = createPublicOnlyLookup();
+
+// axios beforeRedirect hook, for redirects that name a private address
+export function refusePrivateRedirect(options: Record<string, any>): void {
+  if (options.hostname && isPrivateHost(options.hostname)) {
+    throw Object.assign(new Error(`Redirect to private address ${options.hostname} refused`), { code: 'EPRIVATEADDRESS' });
+  }
+}
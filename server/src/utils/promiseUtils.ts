@@ -0,0 +1,13 @@
+// server/src/utils/promiseUtils.ts
+
+// Rejects with `message` if `promise` has not settled within `ms`. The
+// underlying operation is not cancelled.
+export function withTimeout<T>(promise: Promise<T>, ms: number, message: string): Promise<T> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(message)), ms);
+    promise.then(
+      value => { clearTimeout(timer); resolve(value); },
+      error => { clearTimeout(timer); reject(error); }
+    );
+  });
+}
@@ -0,0 +1,116 @@
+// server/src/utils/replyUtils.ts
+import { IEmail } from '../models';
+import { sanitizeEmailHtml } from './htmlSanitizer';
+
+type Address = { address: string; name?: string };
+
+// Reply markers of the clients in threadUtils' REPLY_PREFIX, without the
+// forward ones: "Re: Fwd: x" is a reply to a forward
+const REPLY_MARKER = /^(re|aw|sv|antw|odp|rif)(\[\d+\])?\s*:\s*/i;
+const FORWARD_MARKER = /^(fwd?|wg|tr|enc)(\[\d+\])?\s*:\s*/i;
+
+// Long threads would grow References without bound; the root and the most
+// recent ancestors are what threading needs
+const MAX_REFERENCES = 20;
+
+// "Re: x" for x, "Re: Re: x" or "AW: x"
+export function replySubject(subject: string | undefined): string {
+  let rest = (subject || '').trim();
+  while (REPLY_MARKER.test(rest)) {
+    rest = rest.replace(REPLY_MARKER, '');
+  }
+  return `Re: ${rest}`.trim();
+}
+
+export function forwardSubject(subject: string | undefined): string {
+  const trimmed = (subject || '').trim();
+  return FORWARD_MARKER.test(trimmed) ? trimmed : `Fwd: ${trimmed}`.trim();
+}
+
+// In-Reply-To and References for an answer to `email`: its References (which
+// include its own In-Reply-To) followed by its Message-ID
+export function replyThreadHeaders(email: Pick<IEmail, 'messageId' | 'references'>): { inReplyTo: string; references: string[] } {
+  const references = [...new Set([...(email.references || []), email.messageId])];
+  return {
+    inReplyTo: email.messageId,
+    references: references.length > MAX_REFERENCES
+      ? [references[0], ...references.slice(references.length - MAX_REFERENCES + 1)]
+      : references
+  };
+}
+
+// Who a reply goes to. Replies go to Reply-To or the sender; replying to
+// one's own message goes to its recipients again. Reply-all adds the other
+// To and Cc recipients. The account's own address is never included.
+export function replyRecipients(
+  email: Pick<IEmail, 'from' | 'to' | 'cc' | 'replyTo'>,
+  ownAddress: string,
+  all: boolean
+): { to: Address[]; cc: Address[] } {
+  const own = ownAddress.toLowerCase();
+  const fromSelf = email.from?.address?.toLowerCase() === own;
+  const author = email.replyTo?.address ? email.replyTo : email.from;
+
+  const to = fromSelf ? email.to || [] : [author, ...(all ? email.to || [] : [])];
+  const cc = all ? email.cc || [] : [];
+
+  const seen = new Set([own]);
+  const pick = (addresses: Address[]) => addresses.filter(recipient => {
+    const address = recipient?.address?.toLowerCase();
+    if (!address || seen.has(address)) return false;
+    seen.add(address);
+    return true;
+  }).map(recipient => ({ address: recipient.address, name: recipient.name }));
+
+  return { to: pick(to), cc: pick(cc) };
+}
+
+// The original message below a reply ("On ... wrote:" and the quote) or a
+// forward (the forwarded header block), as text and HTML. Scripts and
+// tracking pixels are not passed on; remote images are kept as they were.
+export function quoteOriginal(email: IEmail, kind: 'reply' | 'forward'): { text: string; html: string } {
+  const sender = formatAddress(email.from);
+  const date = new Date(email.sentDate || email.receivedDate).toUTCString();
+  const originalHtml = email.htmlBody
+    ? sanitizeEmailHtml(email.htmlBody, { proxyUrl: url => url }).html
+    : `<div style="white-space: pre-wrap">${escapeHtml(email.textBody || '')}</div>`;
+
+  if (kind === 'reply') {
+    const attribution = `On ${date}, ${sender} wrote:`;
+    return {
+      text: `${attribution}\n${(email.textBody || '').replace(/\r\n?/g, '\n').split('\n').map(line => `> ${line}`).join('\n')}`,
+      html: `<div class="gmail_quote"><div>${escapeHtml(attribution)}</div>` +
+        `<blockquote type="cite" style="margin: 0 0 0 .8ex; border-left: 1px solid #ccc; padding-left: 1ex">${originalHtml}</blockquote></div>`
+    };
+  }
+
+  const header: [string, string][] = [
+    ['From', sender],
+    ['Date', date],
+    ['Subject', email.subject || ''],
+    ['To', (email.to || []).map(formatAddress).join(', ')]
+  ];
+  if (email.cc?.length) {
+    header.push(['Cc', email.cc.map(formatAddress).join(', ')]);
+  }
+
+  return {
+    text: ['---------- Forwarded message ---------', ...header.map(([name, value]) => `${name}: ${value}`), '', email.textBody || ''].join('\n'),
+    html: '<div class="gmail_quote"><div>---------- Forwarded message ---------<br>' +
+      header.map(([name, value]) => `${name}: ${escapeHtml(value)}`).join('<br>') +
+      `</div><br>${originalHtml}</div>`
+  };
+}
+
+function formatAddress(address: Address | undefined): string {
+  if (!address?.address) return '';
+  return address.name ? `${address.name} <${address.address}>` : address.address;
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
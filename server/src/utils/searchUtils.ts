@@ -0,0 +1,41 @@
+// server/src/utils/searchUtils.ts
+
+export interface EmailSearchQuery {
+  q?: any;
+  from?: any;
+  to?: any;
+  subject?: any;
+  body?: any;
+  dateFrom?: any;
+  dateTo?: any;
+  hasAttachments?: any;
+  aiCategory?: any;
+  folder?: any;
+  label?: any;
+  accountId?: any;
+}
+
+// Mongo filter for the /emails/search query parameters, shared by search
+// and export so both select exactly the same messages
+export function buildSearchFilter(query: EmailSearchQuery): any {
+  const { q, from, to, subject, body, dateFrom, dateTo, hasAttachments, aiCategory, folder, label, accountId } = query;
+  const filter: any = {}; // Don't filter by isDeleted for search
+
+  if (q) filter.$text = { $search: q as string };
+  if (from) filter['from.address'] = new RegExp(from as string, 'i');
+  if (to) filter['to.address'] = new RegExp(to as string, 'i');
+  if (subject) filter.subject = new RegExp(subject as string, 'i');
+  if (body) filter.textBody = new RegExp(body as string, 'i');
+  if (dateFrom || dateTo) {
+    filter.receivedDate = {};
+    if (dateFrom) filter.receivedDate.$gte = new Date(dateFrom as string);
+    if (dateTo) filter.receivedDate.$lte = new Date(dateTo as string);
+  }
+  if (hasAttachments === 'true' || hasAttachments === true) filter['attachments.0'] = { $exists: true };
+  if (aiCategory) filter.aiCategory = aiCategory;
+  if (folder) filter.folder = folder;
+  if (label) filter.labels = label;
+  if (accountId) filter.accountId = accountId;
+
+  return filter;
+}
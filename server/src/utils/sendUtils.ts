@@ -0,0 +1,82 @@
+// server/src/utils/sendUtils.ts
+import { Response } from 'express';
+import Joi from 'joi';
+import { SendResult } from '../services/SmtpService';
+import { logger } from './logger';
+
+// Recipients are plain addresses or { address, name }
+export const recipientSchema = Joi.alternatives().try(
+  Joi.string().email().custom(address => ({ address })),
+  Joi.object({
+    address: Joi.string().email().required(),
+    name: Joi.string().allow('')
+  })
+);
+
+export const outgoingAttachmentSchema = Joi.object({
+  filename: Joi.string().required(),
+  contentType: Joi.string(),
+  content: Joi.string().base64().allow('').required(),
+  cid: Joi.string()
+});
+
+// Attachment content arrives base64 encoded
+export function withAttachmentContent<T extends { attachments: { content: string }[] }>(message: T) {
+  return {
+    ...message,
+    attachments: message.attachments.map(attachment => ({
+      ...attachment,
+      content: Buffer.from(attachment.content, 'base64')
+    }))
+  };
+}
+
+const SEND_ERROR_STATUS: { [code: string]: number } = {
+  ENOACCOUNT: 404,
+  ENOEMAIL: 404,
+  ENODRAFT: 404,
+  ENOSMTPCONFIG: 400,
+  ENORECIPIENTS: 400,
+  EATTACHMENTUNAVAILABLE: 409,
+  EVERSIONCONFLICT: 409,
+  EDRAFTSENDING: 409
+};
+
+// 201 with the stored copy and per-recipient outcome; problems with the
+// request map to 4xx (a draft saved since comes back in `data`), a failure
+// of the SMTP server to 502
+export async function respondWithSend(res: Response, send: () => Promise<SendResult>): Promise<void> {
+  try {
+    const result = await send();
+    res.status(201).json({
+      success: true,
+      message: result.rejected.length > 0
+        ? `Email sent; rejected by the server for ${result.rejected.join(', ')}`
+        : 'Email sent',
+      data: {
+        email: result.email,
+        messageId: result.messageId,
+        accepted: result.accepted,
+        rejected: result.rejected,
+        savedToSent: result.savedToSent
+      }
+    });
+  } catch (sendError: any) {
+    const status = SEND_ERROR_STATUS[sendError.code];
+    if (status) {
+      res.status(status).json({
+        success: false,
+        error: sendError.message,
+        ...(sendError.current ? { data: sendError.current } : {})
+      });
+      return;
+    }
+
+    logger.error('Sending failed:', sendError.message);
+    res.status(502).json({
+      success: false,
+      error: 'Failed to send email: ' + sendError.message,
+      data: { rejected: sendError.rejected || [] }
+    });
+  }
+}
@@ -0,0 +1,59 @@
+// server/src/utils/threadUtils.ts
+import crypto from 'crypto';
+import { ParsedMail } from 'mailparser';
+
+// Reply/forward markers as written by common clients and locales (Re, Fwd,
+// AW/WG in German, SV/VS in Nordic languages, ...), optionally counted as in
+// "Re[2]:", and mailing list tags such as "[team]"
+const REPLY_PREFIX = /^(re|fwd?|aw|wg|sv|vs|antw|odp|tr|rif|enc)(\[\d+\])?\s*:\s*/i;
+const LIST_TAG = /^\[[^\]]{1,40}\]\s*/;
+
+// Subject with reply markers and list tags removed, lowercased, for
+// grouping messages that lack usable References
+export function normalizeSubject(subject: string | undefined): string {
+  let rest = (subject || '').trim();
+  for (let previous = ''; previous !== rest;) {
+    previous = rest;
+    rest = rest.replace(REPLY_PREFIX, '').replace(LIST_TAG, '').trim();
+  }
+  return rest.replace(/\s+/g, ' ').toLowerCase();
+}
+
+export function isReplySubject(subject: string | undefined): boolean {
+  let rest = (subject || '').trim();
+  while (LIST_TAG.test(rest)) {
+    rest = rest.replace(LIST_TAG, '');
+  }
+  return REPLY_PREFIX.test(rest);
+}
+
+// Message-IDs in a header value, in order, as "<id@host>"
+export function parseMessageIds(value: string | string[] | undefined): string[] {
+  const ids: string[] = [];
+  for (const part of ([] as string[]).concat(value || [])) {
+    const bracketed = part.match(/<[^<>\s]+>/g);
+    if (bracketed) {
+      ids.push(...bracketed);
+    } else if (/^[^<>\s]+@[^<>\s]+$/.test(part.trim())) {
+      ids.push(`<${part.trim()}>`);
+    }
+  }
+  return [...new Set(ids)];
+}
+
+// Threading headers of a parsed message. References lists the thread from
+// its root; clients that only send In-Reply-To get that as the single entry.
+export function threadHeaders(parsed: ParsedMail): { inReplyTo?: string; references: string[] } {
+  const inReplyTo = parseMessageIds(parsed.inReplyTo)[0];
+  const references = parseMessageIds(parsed.references);
+  if (inReplyTo && !references.includes(inReplyTo)) {
+    references.push(inReplyTo);
+  }
+  return { inReplyTo, references };
+}
+
+// Thread IDs derive from the root Message-ID, so replies to the same root
+// that are ingested side by side agree on their thread without seeing each other
+export function threadIdFor(accountId: string, rootMessageId: string): string {
+  return crypto.createHash('sha256').update(`${accountId}\0${rootMessageId}`).digest('hex').slice(0, 24);
+}
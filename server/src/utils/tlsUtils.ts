@@ -0,0 +1,207 @@
+// server/src/utils/tlsUtils.ts
+import crypto from 'crypto';
+import net from 'net';
+import tls from 'tls';
+
+export type TlsMode = 'implicit' | 'starttls' | 'none';
+
+// EmailAccount.tlsPolicy
+export interface TlsPolicy {
+  mode?: TlsMode; // default: implicit when the server config is `secure`, else STARTTLS
+  minVersion?: tls.SecureVersion; // default TLSv1.2
+  caBundle?: string; // PEM certificates trusted in addition to the system store
+  pinnedFingerprint?: string; // SHA-256 of the server's leaf certificate
+}
+
+export interface CertificateInfo {
+  subject: string;
+  issuer: string;
+  subjectAltName?: string;
+  serialNumber: string;
+  validFrom: string;
+  validTo: string;
+  fingerprint256: string;
+  pem: string;
+}
+
+export interface TlsProbeResult {
+  authorized: boolean; // the chain verifies against the policy's trust store and host name
+  authorizationError?: string;
+  pinMatches?: boolean; // set when the policy pins a fingerprint
+  protocol: string | null;
+  cipher: string | null;
+  chain: CertificateInfo[]; // leaf first
+}
+
+export function resolveTlsMode(secure: boolean, policy?: TlsPolicy): TlsMode {
+  return policy?.mode || (secure ? 'implicit' : 'starttls');
+}
+
+// "ab:cd..." / "ABCD..." -> "AB:CD:...", Node's fingerprint256 format.
+// Returns null for anything that is not a SHA-256 fingerprint.
+export function normalizeFingerprint(value: string): string | null {
+  const hex = value.replace(/^sha256[:/]?/i, '').replace(/[:\s]/g, '').toUpperCase();
+  if (!/^[0-9A-F]{64}$/.test(hex)) return null;
+  return hex.match(/.{2}/g)!.join(':');
+}
+
+// The certificates in a PEM bundle; throws when one does not parse
+export function parseCaBundle(pem: string): crypto.X509Certificate[] {
+  const blocks = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+  if (blocks.length === 0) {
+    throw new Error('No PEM certificates found');
+  }
+  return blocks.map(block => new crypto.X509Certificate(block));
+}
+
+// Options for tls.connect. Certificates are always verified. A pinned
+// fingerprint replaces the host name check: the server must present exactly
+// that certificate, and its chain must still verify (add a self-signed
+// certificate to caBundle to trust it).
+export function buildTlsOptions(host: string, policy: TlsPolicy = {}): tls.ConnectionOptions {
+  const options: tls.ConnectionOptions = {
+    rejectUnauthorized: true,
+    minVersion: policy.minVersion || 'TLSv1.2'
+  };
+
+  // SNI must not carry an IP address
+  if (!net.isIP(host)) {
+    options.servername = host;
+  }
+  if (policy.caBundle) {
+    options.ca = [...tls.rootCertificates, policy.caBundle];
+  }
+
+  const pin = policy.pinnedFingerprint && normalizeFingerprint(policy.pinnedFingerprint);
+  if (pin) {
+    options.checkServerIdentity = (_hostname, cert) =>
+      cert.fingerprint256 === pin
+        ? undefined
+        : Object.assign(
+            new Error(`Certificate fingerprint ${cert.fingerprint256} does not match the pinned ${pin}`),
+            { code: 'ERR_TLS_CERT_PIN_MISMATCH' }
+          );
+  }
+
+  return options;
+}
+
+export function describeCertificateChain(leaf: tls.DetailedPeerCertificate): CertificateInfo[] {
+  const chain: CertificateInfo[] = [];
+  const seen = new Set<string>();
+
+  for (let cert = leaf; cert?.raw && !seen.has(cert.fingerprint256); cert = cert.issuerCertificate) {
+    seen.add(cert.fingerprint256);
+    const x509 = new crypto.X509Certificate(cert.raw);
+    chain.push({
+      subject: x509.subject.replace(/\n/g, ', '),
+      issuer: x509.issuer.replace(/\n/g, ', '),
+      subjectAltName: x509.subjectAltName,
+      serialNumber: x509.serialNumber,
+      validFrom: x509.validFrom,
+      validTo: x509.validTo,
+      fingerprint256: x509.fingerprint256,
+      pem: x509.toString()
+    });
+  }
+
+  return chain;
+}
+
+// Plaintext exchange that asks the server to switch to TLS. Each step sends
+// a command (or nothing, for the greeting) and waits for a line matching `ok`.
+const STARTTLS_DIALOGS: { [protocol in 'imap' | 'pop3']: { send?: string; ok: RegExp; fail: RegExp }[] } = {
+  imap: [
+    { ok: /^\* (OK|PREAUTH)/i, fail: /^\* BYE/i },
+    { send: 'A1 STARTTLS\r\n', ok: /^A1 OK/i, fail: /^A1 (NO|BAD)/i }
+  ],
+  pop3: [
+    { ok: /^\+OK/, fail: /^-ERR/ },
+    { send: 'STLS\r\n', ok: /^\+OK/, fail: /^-ERR/ }
+  ]
+};
+
+// Opens a TLS session without logging in and reports the certificate chain
+// the server presents, whether or not it is trusted, so an administrator can
+// inspect it before adding a CA or pinning it.
+export async function probeTls(options: {
+  host: string;
+  port: number;
+  mode: Exclude<TlsMode, 'none'>;
+  protocol: 'imap' | 'pop3';
+  policy?: TlsPolicy;
+  timeout?: number;
+}): Promise<TlsProbeResult> {
+  const timeout = options.timeout || 15000;
+  const tlsOptions = { ...buildTlsOptions(options.host, options.policy), rejectUnauthorized: false };
+
+  const plain = options.mode === 'starttls'
+    ? await startTls(options.host, options.port, STARTTLS_DIALOGS[options.protocol], timeout)
+    : undefined;
+
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({ ...tlsOptions, host: options.host, port: options.port, socket: plain });
+    socket.setTimeout(timeout, () => socket.destroy(new Error('TLS handshake timed out')));
+    socket.once('error', reject);
+    socket.once('secureConnect', () => {
+      const chain = describeCertificateChain(socket.getPeerCertificate(true));
+      const pin = options.policy?.pinnedFingerprint && normalizeFingerprint(options.policy.pinnedFingerprint);
+      const authorizationError = socket.authorizationError as unknown as Error | string | undefined;
+
+      resolve({
+        authorized: socket.authorized,
+        authorizationError: authorizationError instanceof Error ? authorizationError.message : authorizationError,
+        pinMatches: pin ? chain[0]?.fingerprint256 === pin : undefined,
+        protocol: socket.getProtocol(),
+        cipher: socket.getCipher()?.name || null,
+        chain
+      });
+      socket.destroy();
+    });
+  });
+}
+
+function startTls(host: string, port: number, dialog: { send?: string; ok: RegExp; fail: RegExp }[], timeout: number): Promise<net.Socket> {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    let buffered = '';
+    let step = 0;
+
+    const fail = (error: Error) => {
+      socket.destroy();
+      reject(error);
+    };
+
+    const advance = () => {
+      if (step === dialog.length) {
+        socket.removeAllListeners('data');
+        socket.setTimeout(0);
+        socket.removeListener('error', fail);
+        resolve(socket);
+        return;
+      }
+      if (dialog[step].send) socket.write(dialog[step].send!);
+    };
+
+    socket.setTimeout(timeout, () => fail(new Error('STARTTLS negotiation timed out')));
+    socket.once('error', fail);
+    socket.on('data', (chunk: Buffer) => {
+      buffered += chunk.toString('latin1');
+      let newline: number;
+      while ((newline = buffered.indexOf('\n')) !== -1 && step < dialog.length) {
+        const line = buffered.slice(0, newline).trim();
+        buffered = buffered.slice(newline + 1);
+
+        if (dialog[step].fail.test(line)) {
+          fail(new Error(`Server refused STARTTLS: ${line}`));
+          return;
+        }
+        if (dialog[step].ok.test(line)) {
+          step++;
+          advance();
+        }
+      }
+    });
+    socket.once('connect', advance);
+  });
+}